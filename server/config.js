@@ -0,0 +1,47 @@
+// Runtime settings for the hazards backend, all overridable through the environment.
+
+function readNumber(name, fallback) {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+module.exports = {
+  port: readNumber('PORT', 8787),
+
+  driversChat: {
+    baseUrl: process.env.DRIVERSCHAT_URL || 'https://app.driverschat.com',
+    // REACT_APP_X_AUTH is still read so existing .env files keep working, but the
+    // token now only lives on the server and is never shipped to browsers.
+    authToken: process.env.DRIVERSCHAT_X_AUTH || process.env.REACT_APP_X_AUTH || '',
+    pollIntervalMs: readNumber('DRIVERSCHAT_POLL_MS', 60_000),
+    requestsPerMinute: readNumber('DRIVERSCHAT_REQUESTS_PER_MINUTE', 6),
+    burst: 2,
+  },
+
+  waze: {
+    baseUrl: process.env.WAZE_URL || 'https://www.waze.com',
+    // One budget for every client: upstream sees the backend, not each browser tab.
+    requestsPerMinute: readNumber('WAZE_REQUESTS_PER_MINUTE', 20),
+    burst: readNumber('WAZE_REQUEST_BURST', 6),
+    defaultRetryAfterMs: 30_000,
+    tileTtlMs: readNumber('WAZE_TILE_TTL_MS', 60_000),
+    pollIntervalMs: readNumber('WAZE_POLL_MS', 15_000),
+    // Tiles nobody has asked for in this long stop being polled, and later dropped.
+    activeTileWindowMs: readNumber('WAZE_ACTIVE_TILE_WINDOW_MS', 5 * 60_000),
+    evictTileAfterMs: readNumber('WAZE_EVICT_TILE_AFTER_MS', 30 * 60_000),
+    // Tiles are a couple of zoom levels coarser than the map so a viewport needs only a few.
+    tileZoomOffset: 2,
+    minTileZoom: 2,
+    maxTileZoom: 12,
+    maxTilesPerRequest: 16,
+    // How long a request may wait for uncached tiles before answering with what it has.
+    requestWaitMs: readNumber('WAZE_REQUEST_WAIT_MS', 8_000),
+  },
+
+  moderation: {
+    // "name:token,name:token"; moderation is read-only for everyone while this is empty.
+    moderatorTokens: process.env.MODERATOR_TOKENS || '',
+    // Where decisions are kept across restarts; in memory only when unset.
+    filePath: process.env.MODERATION_FILE || '',
+  },
+};
@@ -0,0 +1,91 @@
+// Polls DriversChat warning messages on a schedule and keeps the last good
+// snapshot; the X-Auth token stays on the server. `onChange` receives the
+// { added, removed } delta of every poll that changed something, and of every
+// warning reported through postWarning.
+
+const { UpstreamError, fetchUpstreamJson } = require('./upstream');
+const { normalizeWarning } = require('./normalize');
+const { diffById } = require('./eventLog');
+
+const WARNINGS_PATH = '/api/messages/warning-messages';
+// A report waits this long for the shared budget before giving up with a 429.
+const POST_WAIT_MS = 10_000;
+
+function createDriversChatPoller({ config, limiter, fetchJson = fetchUpstreamJson, now = Date.now, onChange }) {
+  let snapshot = { items: [], updatedAt: null, error: null };
+  let pollTimer = null;
+  let inFlight = null;
+
+  async function poll() {
+    if (!config.authToken) {
+      snapshot = { ...snapshot, error: 'DRIVERSCHAT_X_AUTH is not set on the server' };
+      return;
+    }
+    if (!limiter.tryTake()) return;
+    try {
+      const data = await fetchJson(`${config.baseUrl}${WARNINGS_PATH}`, {
+        label: 'Warning messages request',
+        limiter,
+        headers: { 'X-Auth': config.authToken, Accept: 'application/json' },
+      });
+      const items = (Array.isArray(data) ? data : []).map(normalizeWarning).filter(Boolean);
+      const delta = diffById(snapshot.items, items);
+      snapshot = { items, updatedAt: now(), error: null };
+      if (onChange && (delta.added.length || delta.removed.length)) onChange(delta);
+    } catch (err) {
+      // Keep serving the previous items; the response says they are stale.
+      snapshot = { ...snapshot, error: err.message };
+    }
+  }
+
+  // Sends a new warning ({ lat, lng, category, text, audio: { mimeType, data } | null },
+  // audio base64-encoded) upstream and adds the created message to the snapshot
+  // right away, so every client sees it before the next poll.
+  async function postWarning({ lat, lng, category, text, audio }) {
+    if (!config.authToken) throw new UpstreamError('DRIVERSCHAT_X_AUTH is not set on the server', { status: 503 });
+    if (!(await limiter.take({ maxWaitMs: POST_WAIT_MS }))) {
+      throw new UpstreamError('Warning report rate limited', { status: 429, retryAfterMs: limiter.msUntilAvailable() });
+    }
+    const data = await fetchJson(`${config.baseUrl}${WARNINGS_PATH}`, {
+      label: 'Warning report',
+      limiter,
+      method: 'POST',
+      headers: { 'X-Auth': config.authToken, Accept: 'application/json', 'Content-Type': 'application/json' },
+      body: JSON.stringify({ point: [lat, lng], category, transcript: text || null, audio }),
+    });
+    const item = normalizeWarning(data);
+    if (!item) throw new UpstreamError('Warning report: unexpected upstream response', { status: 502 });
+    snapshot = { ...snapshot, items: [...snapshot.items.filter((i) => i.id !== item.id), item] };
+    if (onChange) onChange({ added: [item], removed: [] });
+    return item;
+  }
+
+  function pollOnce() {
+    if (!inFlight) {
+      inFlight = poll().finally(() => {
+        inFlight = null;
+      });
+    }
+    return inFlight;
+  }
+
+  return {
+    poll: pollOnce,
+    postWarning,
+    async getWarnings() {
+      // The very first request waits for the initial poll instead of answering empty.
+      if (!snapshot.updatedAt && inFlight) await inFlight;
+      return { ...snapshot, stale: Boolean(snapshot.error) && Boolean(snapshot.updatedAt) };
+    },
+    start() {
+      pollOnce();
+      pollTimer = setInterval(pollOnce, config.pollIntervalMs);
+    },
+    stop() {
+      clearInterval(pollTimer);
+    },
+    status: () => ({ updatedAt: snapshot.updatedAt, error: snapshot.error, limiter: limiter.status() }),
+  };
+}
+
+module.exports = { createDriversChatPoller };
@@ -0,0 +1,58 @@
+// Recent hazard deltas with resumable ids for the /hazards/events stream.
+// Ids are "<boot>-<seq>" so a client resuming across a backend restart gets a
+// fresh snapshot instead of a wrong replay.
+
+const DEFAULT_CAPACITY = 1000;
+
+function diffById(prevItems, nextItems) {
+  // Upsert semantics: `added` also carries items whose content changed.
+  const prevById = new Map(prevItems.map((item) => [item.id, JSON.stringify(item)]));
+  const nextIds = new Set(nextItems.map((item) => item.id));
+  return {
+    added: nextItems.filter((item) => prevById.get(item.id) !== JSON.stringify(item)),
+    removed: prevItems.filter((item) => !nextIds.has(item.id)).map((item) => item.id),
+  };
+}
+
+function createEventLog({ capacity = DEFAULT_CAPACITY, bootId = Date.now().toString(36) } = {}) {
+  const events = [];
+  const listeners = new Set();
+  let seq = 0;
+
+  const formatId = (n) => `${bootId}-${n}`;
+
+  function parseId(id) {
+    const [boot, n] = String(id || '').split('-');
+    return boot === bootId && Number.isInteger(Number(n)) ? Number(n) : null;
+  }
+
+  return {
+    get lastId() {
+      return formatId(seq);
+    },
+
+    append(type, data) {
+      seq += 1;
+      const event = { id: formatId(seq), seq, type, data };
+      events.push(event);
+      if (events.length > capacity) events.shift();
+      listeners.forEach((listener) => listener(event));
+      return event;
+    },
+
+    since(id) {
+      // Events after `id`, or null when they can't be replayed (unknown id, or older than the buffer).
+      const n = parseId(id);
+      if (n === null || n > seq) return null;
+      if (n < seq && (!events.length || events[0].seq > n + 1)) return null;
+      return events.filter((event) => event.seq > n);
+    },
+
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+  };
+}
+
+module.exports = { createEventLog, diffById };
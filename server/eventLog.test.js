@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createEventLog, diffById } = require('./eventLog');
+
+test('diffById reports new, changed and removed items', () => {
+  const prev = [
+    { id: 'a', v: 1 },
+    { id: 'b', v: 1 },
+  ];
+  const next = [
+    { id: 'b', v: 2 },
+    { id: 'c', v: 1 },
+  ];
+  assert.deepEqual(diffById(prev, next), { added: next, removed: ['a'] });
+});
+
+test('replays events after an id and refuses ids it cannot resume', () => {
+  const log = createEventLog({ capacity: 2, bootId: 'x' });
+  const start = log.lastId;
+  log.append('delta', { n: 1 });
+  const afterFirst = log.lastId;
+  log.append('delta', { n: 2 });
+
+  assert.deepEqual(
+    log.since(afterFirst).map((e) => e.data.n),
+    [2]
+  );
+  assert.deepEqual(log.since(log.lastId), []);
+  assert.deepEqual(
+    log.since(start).map((e) => e.data.n),
+    [1, 2]
+  );
+
+  log.append('delta', { n: 3 });
+  // Event 1 fell out of the buffer, so resuming from the start needs a snapshot.
+  assert.equal(log.since(start), null);
+  assert.equal(log.since('other-1'), null);
+  assert.equal(log.since('x-99'), null);
+});
@@ -0,0 +1,367 @@
+// Hazards backend: the only thing the browser talks to for live data.
+//
+//   GET /hazards/waze?south=&west=&north=&east=&zoom=&env=   Waze alerts for a view
+//   GET /hazards/warnings                                    driver warning messages
+//   POST /hazards/warnings                                   report a new warning (see parseWarningReport)
+//   GET /hazards/moderation                                  moderation decisions per warning id
+//   GET /hazards/moderation/session                          the signed-in moderator (Authorization: Bearer)
+//   POST /hazards/moderation                                 apply a bulk action (see parseModerationRequest)
+//   GET /hazards?south=&west=&north=&east=&zoom=&env=        both, merged into one list
+//   GET /hazards/status                                      cache and rate-limit state
+//   GET /hazards/events?sources=waze,driversChat&south=...   server-sent events (see handleEvents)
+//
+// Every route answers with normalized hazards ({ id, sourceId, kind, location, ... })
+// plus { updatedAt, stale } so the map can tell cached data from fresh data.
+
+const http = require('http');
+const config = require('./config');
+const { createRateLimiter } = require('./rateLimiter');
+const { createWazeTileCache } = require('./wazeTiles');
+const { createDriversChatPoller } = require('./driversChat');
+const { createEventLog } = require('./eventLog');
+const { isInBbox } = require('./wazeTiles');
+const { UpstreamError } = require('./upstream');
+const { WARNING_CATEGORIES } = require('./normalize');
+const {
+  MAX_EXPIRE_MINUTES,
+  MAX_IDS_PER_ACTION,
+  MODERATION_ACTIONS,
+  authenticateModerator,
+  createModerationStore,
+  parseModeratorTokens,
+} = require('./moderation');
+
+const WAZE_ENVS = ['na', 'row', 'il'];
+const EVENT_SOURCES = ['waze', 'driversChat'];
+const HEARTBEAT_MS = 25_000;
+// Leaflet reports longitudes past ±180 after panning across the antimeridian.
+const MAX_ABS_LNG = 540;
+const MAX_ZOOM = 24;
+// Room for a minute or so of compressed voice note, base64-encoded.
+const MAX_REPORT_BYTES = 2_000_000;
+const MAX_REPORT_TEXT = 500;
+const MAX_MODERATION_BYTES = 100_000;
+
+class BadRequestError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function parseViewQuery(searchParams) {
+  const read = (name) => Number(searchParams.get(name));
+  const bbox = { south: read('south'), west: read('west'), north: read('north'), east: read('east') };
+  if (!Object.values(bbox).every(Number.isFinite) || bbox.south > bbox.north) {
+    throw new BadRequestError('Expected numeric south, west, north and east');
+  }
+  // west > east is a box across the antimeridian; anything wider than the world is a mistake.
+  const lngSpan = bbox.east >= bbox.west ? bbox.east - bbox.west : bbox.east + 360 - bbox.west;
+  if (bbox.south < -90 || bbox.north > 90 || Math.abs(bbox.west) > MAX_ABS_LNG || Math.abs(bbox.east) > MAX_ABS_LNG) {
+    throw new BadRequestError('south and north must be within ±90, west and east within ±540');
+  }
+  if (lngSpan > 360) throw new BadRequestError('The box is wider than the world');
+  const zoom = searchParams.has('zoom') ? read('zoom') : 10;
+  if (!Number.isFinite(zoom) || zoom < 0 || zoom > MAX_ZOOM) throw new BadRequestError(`zoom must be 0 to ${MAX_ZOOM}`);
+  const env = searchParams.get('env') || 'row';
+  if (!WAZE_ENVS.includes(env)) throw new BadRequestError(`env must be one of ${WAZE_ENVS.join(', ')}`);
+  return { bbox, zoom, env };
+}
+
+// { lat, lng, category, text, audio: { mimeType, data } } with either text or audio.
+function parseWarningReport(body) {
+  const { lat, lng, category, text = '', audio = null } = body || {};
+  if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+    throw new BadRequestError('Expected numeric lat and lng');
+  }
+  if (!WARNING_CATEGORIES.includes(category)) {
+    throw new BadRequestError(`category must be one of ${WARNING_CATEGORIES.join(', ')}`);
+  }
+  if (typeof text !== 'string' || text.length > MAX_REPORT_TEXT) {
+    throw new BadRequestError(`text must be a string of at most ${MAX_REPORT_TEXT} characters`);
+  }
+  if (audio !== null) {
+    const valid =
+      typeof audio === 'object' &&
+      /^audio\/[\w.+-]+(;.*)?$/.test(audio.mimeType) &&
+      typeof audio.data === 'string' &&
+      /^[A-Za-z0-9+/]+={0,2}$/.test(audio.data);
+    if (!valid) throw new BadRequestError('audio must be { mimeType: "audio/...", data: "<base64>" }');
+  }
+  if (!text.trim() && !audio) throw new BadRequestError('A report needs text or a voice note');
+  return { lat, lng, category, text: text.trim(), audio };
+}
+
+// { ids: [warning id], action, minutes } where minutes is only read by 'expire'.
+function parseModerationRequest(body) {
+  const { ids, action, minutes } = body || {};
+  if (
+    !Array.isArray(ids) ||
+    !ids.length ||
+    ids.length > MAX_IDS_PER_ACTION ||
+    !ids.every((id) => typeof id === 'string')
+  ) {
+    throw new BadRequestError(`ids must list 1 to ${MAX_IDS_PER_ACTION} warning ids`);
+  }
+  if (!MODERATION_ACTIONS.includes(action)) {
+    throw new BadRequestError(`action must be one of ${MODERATION_ACTIONS.join(', ')}`);
+  }
+  if (action === 'expire' && !(Number.isInteger(minutes) && minutes > 0 && minutes <= MAX_EXPIRE_MINUTES)) {
+    throw new BadRequestError(`minutes must be a whole number from 1 to ${MAX_EXPIRE_MINUTES}`);
+  }
+  return { ids, action, minutes: action === 'expire' ? minutes : null };
+}
+
+function readJsonBody(req, maxBytes) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      // Past the limit the rest is read and dropped, so the 413 still reaches the client.
+      if (size <= maxBytes) chunks.push(chunk);
+    });
+    req.on('end', () => {
+      if (size > maxBytes) {
+        reject(new BadRequestError('Request body too large', 413));
+        return;
+      }
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+      } catch {
+        reject(new BadRequestError('Expected a JSON body'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store' });
+  res.end(JSON.stringify(body));
+}
+
+function parseEventSources(searchParams) {
+  const requested = (searchParams.get('sources') || EVENT_SOURCES.join(',')).split(',');
+  const sources = EVENT_SOURCES.filter((id) => requested.includes(id));
+  if (!sources.length) throw new BadRequestError(`sources must list some of ${EVENT_SOURCES.join(', ')}`);
+  return sources;
+}
+
+function writeEvent(res, { id, type, data }) {
+  res.write(`id: ${id}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// One stream per client view. The first message is a `snapshot` with the full list per
+// source; after that only `delta` events ({ source, added, removed }) follow. A client
+// reconnecting with Last-Event-ID (or ?lastEventId=, for a reopened EventSource) gets the
+// deltas it missed, or a new snapshot when they are no longer in the log. With ?snapshot=0
+// the stream carries deltas only, for clients that load each view themselves (per tile).
+async function handleEvents(req, res, url, { waze, driversChat, events }) {
+  const sources = parseEventSources(url.searchParams);
+  const view = sources.includes('waze') ? parseViewQuery(url.searchParams) : null;
+  const lastEventId = req.headers['last-event-id'] || url.searchParams.get('lastEventId');
+  const wantsSnapshot = url.searchParams.get('snapshot') !== '0';
+
+  const forClient = (event) => {
+    const { source, added, removed } = event.data;
+    if (!sources.includes(source)) return null;
+    if (source !== 'waze') return event;
+    // Removals go out unfiltered; ids the client never had are ignored there.
+    const inView = added.filter((item) => isInBbox(item.location, view.bbox));
+    return inView.length || removed.length ? { ...event, data: { source, added: inView, removed } } : null;
+  };
+
+  // Listen before building the snapshot so nothing appended meanwhile is lost;
+  // deltas are upserts/removals by id, so replaying one the snapshot already has is harmless.
+  const pending = [];
+  let ready = false;
+  const unsubscribe = events.subscribe((event) => {
+    const filtered = forClient(event);
+    if (!filtered) return;
+    if (ready) writeEvent(res, filtered);
+    else pending.push(filtered);
+  });
+  let heartbeat = null;
+  let closed = false;
+  req.on('close', () => {
+    closed = true;
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    // no-transform keeps compressing proxies (the CRA dev server's included) from buffering it.
+    'Cache-Control': 'no-store, no-transform',
+    Connection: 'keep-alive',
+    // Tell nginx not to buffer the stream.
+    'X-Accel-Buffering': 'no',
+  });
+  // The browser reports the stream open on these headers, which may come well before any event.
+  res.flushHeaders();
+
+  const missed = lastEventId ? events.since(lastEventId) : null;
+  if (missed) {
+    for (const event of missed) {
+      const filtered = forClient(event);
+      if (filtered) writeEvent(res, filtered);
+    }
+  } else if (!wantsSnapshot) {
+    // Nothing to wait for, but the view's tiles still join the background poll.
+    if (view) waze.touch(view);
+  } else {
+    const snapshotId = events.lastId;
+    const [wazeResult, warningsResult] = await Promise.all([
+      view ? waze.getAlerts(view) : null,
+      sources.includes('driversChat') ? driversChat.getWarnings() : null,
+    ]);
+    // The client may have left while uncached tiles were loading; nothing must outlive it.
+    if (closed) return;
+    const data = { sources: {} };
+    if (wazeResult) data.sources.waze = wazeResult;
+    if (warningsResult) data.sources.driversChat = warningsResult;
+    writeEvent(res, { id: snapshotId, type: 'snapshot', data });
+  }
+  ready = true;
+  pending.forEach((event) => writeEvent(res, event));
+
+  heartbeat = setInterval(() => {
+    res.write(': ping\n\n');
+    // Keeps this view's tiles on the background poll while the stream is open.
+    if (view) waze.touch(view);
+  }, HEARTBEAT_MS);
+}
+
+function createHazardsServer({
+  waze,
+  driversChat,
+  events = createEventLog(),
+  moderation = createModerationStore(),
+  moderators = [],
+}) {
+  // Moderator tokens double as staff sign-in: only staff report warnings, since
+  // reports go upstream under the server's own DriversChat token.
+  const requireModerator = (req) => {
+    if (!moderators.length) throw new BadRequestError('No moderator tokens are set up on this server', 503);
+    const name = authenticateModerator(moderators, req.headers.authorization);
+    if (!name) throw new BadRequestError('Sign in with a moderator token first', 401);
+    return name;
+  };
+
+  const routes = {
+    '/hazards/waze': async (url) => waze.getAlerts(parseViewQuery(url.searchParams)),
+    '/hazards/warnings': async () => driversChat.getWarnings(),
+    '/hazards': async (url) => {
+      const [wazeResult, warningsResult] = await Promise.all([
+        waze.getAlerts(parseViewQuery(url.searchParams)),
+        driversChat.getWarnings(),
+      ]);
+      const { items: wazeItems, ...wazeStatus } = wazeResult;
+      const { items: warningItems, ...warningsStatus } = warningsResult;
+      return {
+        items: [...wazeItems, ...warningItems],
+        sources: { waze: wazeStatus, driversChat: warningsStatus },
+      };
+    },
+    '/hazards/status': async () => ({ waze: waze.status(), driversChat: driversChat.status() }),
+    '/hazards/moderation': async () => moderation.getDecisions(),
+    '/hazards/moderation/session': async (url, req) => ({ moderator: requireModerator(req) }),
+  };
+  const postRoutes = {
+    '/hazards/warnings': async (req) => {
+      requireModerator(req);
+      return { item: await driversChat.postWarning(parseWarningReport(await readJsonBody(req, MAX_REPORT_BYTES))) };
+    },
+    '/hazards/moderation': async (req) => {
+      const moderator = requireModerator(req);
+      return moderation.apply(parseModerationRequest(await readJsonBody(req, MAX_MODERATION_BYTES)), moderator);
+    },
+  };
+
+  return http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const pathname = url.pathname.replace(/\/$/, '');
+    const route = (req.method === 'POST' ? postRoutes : routes)[pathname];
+    const isEvents = req.method === 'GET' && pathname === '/hazards/events';
+    if (!['GET', 'POST'].includes(req.method) || (!route && !isEvents)) {
+      sendJson(res, 404, { error: 'Not found' });
+      return;
+    }
+    try {
+      if (isEvents) await handleEvents(req, res, url, { waze, driversChat, events });
+      // A report creates a warning; moderation actions update existing decisions.
+      else if (req.method === 'POST') sendJson(res, pathname === '/hazards/warnings' ? 201 : 200, await route(req));
+      else sendJson(res, 200, await route(url, req));
+    } catch (err) {
+      if (res.headersSent) {
+        // eslint-disable-next-line no-console
+        console.error(`${url.pathname}:`, err);
+        res.end();
+        return;
+      }
+      if (err instanceof BadRequestError) {
+        sendJson(res, err.status, { error: err.message });
+        return;
+      }
+      if (err instanceof UpstreamError) {
+        // Only reports go upstream from a request; reads are answered from the snapshot.
+        if (err.retryAfterMs) res.setHeader('Retry-After', Math.ceil(err.retryAfterMs / 1000));
+        sendJson(res, [429, 503].includes(err.status) ? err.status : 502, { error: err.message });
+        return;
+      }
+      // eslint-disable-next-line no-console
+      console.error(`${url.pathname}:`, err);
+      sendJson(res, 500, { error: 'Internal error' });
+    }
+  });
+}
+
+function listen({ waze, driversChat, events, moderation, moderators }, label = 'Hazards backend') {
+  waze.start();
+  driversChat.start();
+  const server = createHazardsServer({ waze, driversChat, events, moderation, moderators });
+  server.listen(config.port, () => {
+    // eslint-disable-next-line no-console
+    console.log(`${label} listening on :${config.port}`);
+  });
+
+  const shutdown = () => {
+    waze.stop();
+    driversChat.stop();
+    server.close(() => process.exit(0));
+    // Open event streams would otherwise keep close() waiting forever.
+    server.closeAllConnections();
+  };
+  process.on('SIGTERM', shutdown);
+  process.on('SIGINT', shutdown);
+}
+
+function start() {
+  const events = createEventLog();
+  const waze = createWazeTileCache({
+    config: config.waze,
+    limiter: createRateLimiter({ capacity: config.waze.burst, refillPerMinute: config.waze.requestsPerMinute }),
+    onChange: (delta) => events.append('delta', { source: 'waze', ...delta }),
+  });
+  const driversChat = createDriversChatPoller({
+    config: config.driversChat,
+    limiter: createRateLimiter({
+      capacity: config.driversChat.burst,
+      refillPerMinute: config.driversChat.requestsPerMinute,
+    }),
+    onChange: (delta) => events.append('delta', { source: 'driversChat', ...delta }),
+  });
+  const moderation = createModerationStore({ filePath: config.moderation.filePath });
+  listen({
+    waze,
+    driversChat,
+    events,
+    moderation,
+    moderators: parseModeratorTokens(config.moderation.moderatorTokens),
+  });
+}
+
+if (require.main === module) start();
+
+module.exports = { createHazardsServer, parseViewQuery, parseWarningReport, parseModerationRequest, listen };
@@ -0,0 +1,174 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { createHazardsServer, parseViewQuery, parseWarningReport } = require('./index');
+const { createEventLog } = require('./eventLog');
+const { UpstreamError } = require('./upstream');
+
+const report = { lat: 44.4, lng: 26.1, category: 'police', text: 'Radar at the bridge' };
+
+async function withServer(options, fn) {
+  const server = createHazardsServer({ waze: {}, driversChat: {}, ...options });
+  await new Promise((resolve) => server.listen(0, resolve));
+  const base = `http://localhost:${server.address().port}`;
+  const post = (body, { path = '/hazards/warnings', headers = {} } = {}) =>
+    fetch(`${base}${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: typeof body === 'string' ? body : JSON.stringify(body),
+    });
+  const get = (path, headers = {}) => fetch(`${base}${path}`, { headers });
+  try {
+    await fn(post, get, base);
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+}
+
+test('validates warning reports', () => {
+  assert.deepEqual(parseWarningReport({ ...report, text: '  x ' }), { ...report, text: 'x', audio: null });
+  const audio = { mimeType: 'audio/webm;codecs=opus', data: 'AAAA' };
+  assert.equal(parseWarningReport({ ...report, text: '', audio }).audio, audio);
+  assert.throws(() => parseWarningReport({ ...report, lat: 91 }), /lat and lng/);
+  assert.throws(() => parseWarningReport({ ...report, category: 'ufo' }), /category/);
+  assert.throws(() => parseWarningReport({ ...report, text: ' ' }), /text or a voice note/);
+  assert.throws(() => parseWarningReport({ ...report, audio: { mimeType: 'text/html', data: 'AAAA' } }), /audio/);
+});
+
+test('rejects view boxes larger than the world', () => {
+  const query = (params) =>
+    parseViewQuery(new URLSearchParams({ south: 44, west: 26, north: 45, east: 27, ...params }));
+  assert.equal(query({}).zoom, 10);
+  assert.deepEqual(query({ west: 170, east: -170 }).bbox, { south: 44, west: 170, north: 45, east: -170 });
+  assert.throws(() => query({ north: 91 }), /±90/);
+  assert.throws(() => query({ west: -1e9 }), /±540/);
+  assert.throws(() => query({ west: -200, east: 170 }), /wider than the world/);
+  assert.throws(() => query({ zoom: 1e6 }), /zoom/);
+});
+
+test('posts reports to the warnings source and maps failures to status codes', async () => {
+  const posted = [];
+  let failure = null;
+  const driversChat = {
+    async postWarning(payload) {
+      if (failure) throw failure;
+      posted.push(payload);
+      return { id: 'w1', sourceId: 'driversChat' };
+    },
+  };
+  const moderators = [{ name: 'alice', token: 's3cret' }];
+  await withServer({ driversChat, moderators }, async (post) => {
+    const headers = { Authorization: 'Bearer s3cret' };
+    const created = await post(report, { headers });
+    assert.equal(created.status, 201);
+    assert.deepEqual(await created.json(), { item: { id: 'w1', sourceId: 'driversChat' } });
+    assert.deepEqual(posted, [{ ...report, audio: null }]);
+
+    assert.equal((await post('{', { headers })).status, 400);
+    assert.equal((await post({ ...report, category: 'ufo' }, { headers })).status, 400);
+    assert.equal((await post({ ...report, text: 'x'.repeat(2_100_000) }, { headers })).status, 413);
+
+    failure = new UpstreamError('Warning report rate limited', { status: 429, retryAfterMs: 4_500 });
+    const limited = await post(report, { headers });
+    assert.equal(limited.status, 429);
+    assert.equal(limited.headers.get('retry-after'), '5');
+
+    failure = new UpstreamError('Warning report failed (500)', { status: 500 });
+    assert.equal((await post(report, { headers })).status, 502);
+  });
+  assert.equal(posted.length, 1);
+});
+
+test('only takes warning reports from signed-in staff', async () => {
+  const posted = [];
+  const driversChat = {
+    async postWarning(payload) {
+      posted.push(payload);
+      return { id: 'w1', sourceId: 'driversChat' };
+    },
+  };
+  await withServer({ driversChat, moderators: [{ name: 'alice', token: 's3cret' }] }, async (post) => {
+    assert.equal((await post(report)).status, 401);
+    assert.equal((await post(report, { headers: { Authorization: 'Bearer guess' } })).status, 401);
+  });
+  await withServer({ driversChat }, async (post) => {
+    assert.equal((await post(report, { headers: { Authorization: 'Bearer s3cret' } })).status, 503);
+  });
+  assert.equal(posted.length, 0);
+});
+
+test('only lets signed-in moderators change decisions', async () => {
+  const moderators = [{ name: 'alice', token: 's3cret' }];
+  const auth = { Authorization: 'Bearer s3cret' };
+  await withServer({ moderators }, async (post, get) => {
+    const options = { path: '/hazards/moderation' };
+    assert.equal((await get('/hazards/moderation/session')).status, 401);
+    assert.deepEqual(await (await get('/hazards/moderation/session', auth)).json(), { moderator: 'alice' });
+
+    assert.equal((await post({ ids: ['w1'], action: 'hide' }, options)).status, 401);
+    assert.equal((await post({ ids: ['w1'], action: 'expire' }, { ...options, headers: auth })).status, 400);
+    const applied = await post({ ids: ['w1'], action: 'expire', minutes: 15 }, { ...options, headers: auth });
+    assert.equal(applied.status, 200);
+
+    const { decisions } = await (await get('/hazards/moderation')).json();
+    assert.equal(decisions.w1.updatedBy, 'alice');
+    assert.ok(decisions.w1.expiresAt > Date.now());
+  });
+  await withServer({}, async (post) => {
+    assert.equal((await post({ ids: ['w1'], action: 'hide' }, { path: '/hazards/moderation' })).status, 503);
+  });
+});
+
+test('streams deltas only when asked for no snapshot', async () => {
+  const events = createEventLog({ bootId: 'b' });
+  const touched = [];
+  const waze = {
+    getAlerts: () => assert.fail('no snapshot was asked for'),
+    touch: (view) => touched.push(view.bbox),
+  };
+  await withServer({ waze, events }, async (post, get) => {
+    const res = await get('/hazards/events?sources=waze&south=44&west=26&north=45&east=27&zoom=10&snapshot=0');
+    const reader = res.body.getReader();
+    const alert = { id: 'p1', kind: 'police', location: { lat: 44.5, lng: 26.5 } };
+    events.append('delta', { source: 'waze', added: [alert], removed: [] });
+    const { value } = await reader.read();
+    const text = new TextDecoder().decode(value);
+    assert.match(text, /^id: b-1\nevent: delta\n/);
+    assert.doesNotMatch(text, /snapshot/);
+    assert.deepEqual(touched, [{ south: 44, west: 26, north: 45, east: 27 }]);
+    await reader.cancel();
+  });
+});
+
+test('starts no heartbeat for an event stream closed before its snapshot', async (t) => {
+  const setIntervalSpy = t.mock.method(global, 'setInterval');
+  let snapshotRequested;
+  const requested = new Promise((resolve) => {
+    snapshotRequested = resolve;
+  });
+  let resolveSnapshot;
+  let touches = 0;
+  const waze = {
+    getAlerts: () => {
+      snapshotRequested();
+      return new Promise((resolve) => {
+        resolveSnapshot = resolve;
+      });
+    },
+    touch: () => {
+      touches += 1;
+    },
+  };
+  await withServer({ waze }, async (post, get, base) => {
+    const req = http.get(`${base}/hazards/events?sources=waze&south=44&west=26&north=45&east=27&zoom=10`);
+    req.on('error', () => {});
+    await requested;
+    req.destroy();
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    resolveSnapshot({ items: [], updatedAt: 1, stale: false });
+    await new Promise((resolve) => setTimeout(resolve, 50));
+  });
+  const heartbeats = setIntervalSpy.mock.calls.filter((call) => call.arguments[1] === 25_000);
+  assert.equal(heartbeats.length, 0);
+  assert.equal(touches, 0);
+});
@@ -0,0 +1,122 @@
+// Mock hazards backend for working on the live updates without upstream access:
+// same routes as server/index.js, but warnings and police alerts are made up and
+// appear/disappear every few seconds inside the last view a client asked about.
+// Reported warnings (POST /hazards/warnings) are accepted and join the feed.
+// Reporting and moderation work with the token "mock" unless MODERATOR_TOKENS says otherwise.
+//
+//   npm run mock:server            (MOCK_INTERVAL_MS=2000 for a faster feed)
+
+const { createEventLog } = require('./eventLog');
+const { normalizeWarning, normalizeWazeAlert } = require('./normalize');
+const { isInBbox } = require('./wazeTiles');
+const { listen } = require('./index');
+const { createModerationStore, parseModeratorTokens } = require('./moderation');
+
+const INTERVAL_MS = Number(process.env.MOCK_INTERVAL_MS) || 5_000;
+const MAX_ITEMS_PER_SOURCE = 15;
+// Bucharest, until a client sends its view.
+let area = { south: 44.35, west: 25.95, north: 44.5, east: 26.25 };
+
+const randomPoint = () => [
+  area.south + Math.random() * (area.north - area.south),
+  area.west + Math.random() * (area.east - area.west),
+];
+
+let counter = 0;
+const makers = {
+  driversChat: () => {
+    const [lat, lng] = randomPoint();
+    counter += 1;
+    return normalizeWarning({
+      userId: 1000 + (counter % 7),
+      url: `mock-${counter}.mp3`,
+      point: [lat, lng],
+      created: new Date().toISOString(),
+    });
+  },
+  waze: () => {
+    const [lat, lng] = randomPoint();
+    counter += 1;
+    return normalizeWazeAlert({
+      uuid: `mock-${counter}`,
+      type: 'POLICE',
+      subtype: Math.random() < 0.5 ? 'POLICE_VISIBLE' : 'POLICE_HIDING',
+      location: { x: lng, y: lat },
+      pubMillis: Date.now(),
+      confidence: Math.floor(Math.random() * 6),
+      reliability: 5 + Math.floor(Math.random() * 6),
+      nThumbsUp: Math.floor(Math.random() * 4),
+      street: 'Mock street',
+      city: 'Mock city',
+    });
+  },
+};
+
+function createMockSource(sourceId, events) {
+  let items = [];
+  let timer = null;
+
+  function tick() {
+    const remove = items.length >= MAX_ITEMS_PER_SOURCE || (items.length > 3 && Math.random() < 0.4);
+    if (remove) {
+      const [gone, ...rest] = items;
+      items = rest;
+      events.append('delta', { source: sourceId, added: [], removed: [gone.id] });
+    } else {
+      const item = makers[sourceId]();
+      items = [...items, item];
+      events.append('delta', { source: sourceId, added: [item], removed: [] });
+    }
+  }
+
+  const snapshot = (filter = () => true) => ({ items: items.filter(filter), updatedAt: Date.now(), stale: false });
+
+  return {
+    getWarnings: async () => ({ ...snapshot(), error: null }),
+    getAlerts: async (view) => {
+      area = view.bbox;
+      return snapshot((item) => isInBbox(item.location, view.bbox));
+    },
+    touch: (view) => {
+      area = view.bbox;
+    },
+    // Keeps the voice note as a data: URL so the popup can play it back.
+    postWarning: async ({ lat, lng, category, text, audio }) => {
+      counter += 1;
+      const item = {
+        ...normalizeWarning({
+          userId: 'mock-reporter',
+          url: `mock-report-${counter}`,
+          point: [lat, lng],
+          created: new Date().toISOString(),
+          transcript: text,
+          category,
+        }),
+        url: audio ? `data:${audio.mimeType};base64,${audio.data}` : '',
+      };
+      items = [...items, item];
+      events.append('delta', { source: sourceId, added: [item], removed: [] });
+      return item;
+    },
+    poll: tick,
+    start() {
+      timer = setInterval(tick, INTERVAL_MS);
+    },
+    stop() {
+      clearInterval(timer);
+    },
+    status: () => ({ mock: true, items: items.length }),
+  };
+}
+
+const events = createEventLog();
+listen(
+  {
+    waze: createMockSource('waze', events),
+    driversChat: createMockSource('driversChat', events),
+    events,
+    moderation: createModerationStore(),
+    moderators: parseModeratorTokens(process.env.MODERATOR_TOKENS || 'mock:mock'),
+  },
+  'Mock hazards backend'
+);
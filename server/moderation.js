@@ -0,0 +1,123 @@
+// Moderation decisions for driver warnings, shared by every moderator and every
+// map: one entry per warning id, { hidden, verified, expiresAt, updatedBy, updatedAt }.
+// Kept in a JSON file when `filePath` is set (MODERATION_FILE), in memory otherwise.
+// Moderators sign in with their own token (MODERATOR_TOKENS="name:token,...").
+
+const fs = require('fs');
+const crypto = require('crypto');
+
+const MODERATION_ACTIONS = ['hide', 'unhide', 'verify', 'unverify', 'expire', 'clear'];
+const MAX_EXPIRE_MINUTES = 7 * 24 * 60;
+const MAX_IDS_PER_ACTION = 1_000;
+// Decisions nobody has touched in this long are about warnings long gone.
+const KEEP_DECISIONS_MS = 30 * 24 * 60 * 60_000;
+
+// "alice:s3cret,bob:t0ken" -> [{ name: 'alice', token: 's3cret' }, ...]
+function parseModeratorTokens(value) {
+  return String(value || '')
+    .split(',')
+    .map((pair) => pair.trim())
+    .filter(Boolean)
+    .map((pair) => {
+      const at = pair.indexOf(':');
+      return at > 0 ? { name: pair.slice(0, at), token: pair.slice(at + 1) } : null;
+    })
+    .filter((m) => m && m.token);
+}
+
+// Returns the moderator's name for an `Authorization: Bearer <token>` header, or null.
+function authenticateModerator(moderators, header) {
+  const match = /^Bearer (.+)$/.exec(header || '');
+  if (!match) return null;
+  const given = crypto.createHash('sha256').update(match[1]).digest();
+  // Compare digests so neither the length nor the content of a token leaks through timing.
+  const found = moderators.find((m) =>
+    crypto.timingSafeEqual(given, crypto.createHash('sha256').update(m.token).digest())
+  );
+  return found ? found.name : null;
+}
+
+function applyAction(entry, action, minutes, now) {
+  const base = entry || { hidden: false, verified: false, expiresAt: null };
+  switch (action) {
+    case 'hide':
+      return { ...base, hidden: true };
+    case 'unhide':
+      return { ...base, hidden: false };
+    case 'verify':
+      return { ...base, verified: true };
+    case 'unverify':
+      return { ...base, verified: false };
+    case 'expire':
+      return { ...base, expiresAt: now + minutes * 60_000 };
+    default:
+      return null;
+  }
+}
+
+function readDecisions(filePath) {
+  if (!filePath) return {};
+  try {
+    const parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+  } catch (err) {
+    // eslint-disable-next-line no-console
+    if (err.code !== 'ENOENT') console.error(`Could not read ${filePath}, starting without decisions:`, err);
+    return {};
+  }
+}
+
+function createModerationStore({ filePath = '', now = Date.now } = {}) {
+  let decisions = readDecisions(filePath);
+  let updatedAt = now();
+  let writing = Promise.resolve();
+
+  function persist() {
+    if (!filePath) return;
+    const data = JSON.stringify(decisions);
+    // One write at a time, through a temp file so a crash never leaves half a file behind.
+    writing = writing
+      .then(async () => {
+        await fs.promises.writeFile(`${filePath}.tmp`, data);
+        await fs.promises.rename(`${filePath}.tmp`, filePath);
+      })
+      .catch((err) => {
+        // eslint-disable-next-line no-console
+        console.error(`Could not save moderation decisions to ${filePath}:`, err);
+      });
+  }
+
+  return {
+    getDecisions: () => ({ decisions, updatedAt }),
+
+    // Applies one action ({ ids, action, minutes }) to every id; 'clear' drops their decisions.
+    apply({ ids, action, minutes }, moderator) {
+      const t = now();
+      const next = {};
+      for (const [id, entry] of Object.entries(decisions)) {
+        if (t - entry.updatedAt < KEEP_DECISIONS_MS) next[id] = entry;
+      }
+      for (const id of ids) {
+        const entry = applyAction(next[id], action, minutes, t);
+        if (entry) next[id] = { ...entry, updatedBy: moderator, updatedAt: t };
+        else delete next[id];
+      }
+      decisions = next;
+      updatedAt = t;
+      persist();
+      return { decisions, updatedAt };
+    },
+
+    // Resolves once the last change is on disk (tests, shutdown).
+    flush: () => writing,
+  };
+}
+
+module.exports = {
+  MAX_EXPIRE_MINUTES,
+  MAX_IDS_PER_ACTION,
+  MODERATION_ACTIONS,
+  authenticateModerator,
+  createModerationStore,
+  parseModeratorTokens,
+};
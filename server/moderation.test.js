@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { authenticateModerator, createModerationStore, parseModeratorTokens } = require('./moderation');
+
+test('signs moderators in by their own token', () => {
+  const moderators = parseModeratorTokens(' alice:s3cret, bob:to:ken ,broken, :x');
+  assert.deepEqual(moderators, [
+    { name: 'alice', token: 's3cret' },
+    { name: 'bob', token: 'to:ken' },
+  ]);
+  assert.equal(authenticateModerator(moderators, 'Bearer to:ken'), 'bob');
+  assert.equal(authenticateModerator(moderators, 'Bearer nope'), null);
+  assert.equal(authenticateModerator(moderators, 's3cret'), null);
+  assert.equal(authenticateModerator(moderators, undefined), null);
+});
+
+test('applies bulk actions and records who made them', () => {
+  let t = 1_000;
+  const store = createModerationStore({ now: () => t });
+  store.apply({ ids: ['a', 'b'], action: 'hide', minutes: null }, 'alice');
+  t = 2_000;
+  const { decisions } = store.apply({ ids: ['b'], action: 'expire', minutes: 30 }, 'bob');
+  assert.deepEqual(decisions.a, {
+    hidden: true,
+    verified: false,
+    expiresAt: null,
+    updatedBy: 'alice',
+    updatedAt: 1_000,
+  });
+  assert.deepEqual(decisions.b, {
+    hidden: true,
+    verified: false,
+    expiresAt: 2_000 + 30 * 60_000,
+    updatedBy: 'bob',
+    updatedAt: 2_000,
+  });
+  assert.deepEqual(Object.keys(store.apply({ ids: ['a'], action: 'clear' }, 'bob').decisions), ['b']);
+});
+
+test('keeps decisions across restarts when given a file', async () => {
+  const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'moderation-')), 'decisions.json');
+  const store = createModerationStore({ filePath });
+  store.apply({ ids: ['a'], action: 'verify' }, 'alice');
+  await store.flush();
+  const reopened = createModerationStore({ filePath });
+  assert.equal(reopened.getDecisions().decisions.a.verified, true);
+  fs.rmSync(path.dirname(filePath), { recursive: true });
+});
@@ -0,0 +1,76 @@
+// Upstream records -> the common hazard shape the map uses
+// ({ id, sourceId, kind, location: { lat, lng }, reportedAt, label, ...source fields }).
+// Kept in step with the category ids in src/wazeAlertTypes.js and the fields
+// the map reads from Waze alerts and driver warnings.
+
+// Waze files road and shoulder hazards under WEATHERHAZARD too, so only a
+// HAZARD_WEATHER_* subtype makes an alert 'weather'.
+function categorizeWazeAlert(alert) {
+  const type = String(alert?.type || '').toUpperCase();
+  const subtype = String(alert?.subtype || '').toUpperCase();
+
+  if (type.includes('POLICE') || subtype.includes('POLICE')) return 'police';
+  if (type === 'ACCIDENT') return 'accident';
+  if (type === 'ROAD_CLOSED') return 'roadClosed';
+  if (type === 'JAM') return 'jam';
+  if (subtype.startsWith('HAZARD_WEATHER')) return 'weather';
+  if (type.startsWith('WEATHERHAZARD') || type.startsWith('HAZARD')) return 'hazard';
+  return 'other';
+}
+
+function normalizeWazeAlert(a) {
+  const lat = a?.location?.y;
+  const lng = a?.location?.x;
+  if (typeof lat !== 'number' || typeof lng !== 'number') return null;
+
+  return {
+    id: a?.uuid || a?.id || `${a?.type || 'unknown'}-${lng}-${lat}-${a?.pubMillis || ''}`,
+    sourceId: 'waze',
+    kind: categorizeWazeAlert(a),
+    location: { lat, lng },
+    reportedAt: a?.pubMillis || null,
+    label: [a?.street, a?.city].filter(Boolean).join(', '),
+    uuid: a?.uuid || null,
+    type: a?.type || '',
+    subtype: a?.subtype || '',
+    street: a?.street || '',
+    city: a?.city || '',
+    pubMillis: a?.pubMillis || null,
+    // Waze's own scores: confidence 0-5 grows as drivers confirm, reliability 0-10.
+    confidence: Number.isFinite(a?.confidence) ? a.confidence : null,
+    reliability: Number.isFinite(a?.reliability) ? a.reliability : null,
+    thumbsUp: Number.isFinite(a?.nThumbsUp) ? a.nThumbsUp : 0,
+  };
+}
+
+// Categories a driver warning can be reported under; the same ids as the Waze
+// categories above, so both kinds of hazard share filters and icons.
+const WARNING_CATEGORIES = ['police', 'accident', 'roadClosed', 'hazard', 'weather', 'jam', 'other'];
+
+function toMillis(value) {
+  // Same as src/warningHistory.js.
+  if (value === null || value === undefined || value === '') return null;
+  const t = new Date(value).getTime();
+  return Number.isFinite(t) ? t : null;
+}
+
+function normalizeWarning(item) {
+  if (!item || !Array.isArray(item.point) || item.point.length !== 2) return null;
+  return {
+    id: `${item.userId}-${item.url}-${item.created}`,
+    sourceId: 'driversChat',
+    kind: 'warning',
+    location: { lat: item.point[0], lng: item.point[1] },
+    reportedAt: toMillis(item.created),
+    label: `User ${item.userId}`,
+    userId: item.userId,
+    url: item.url,
+    point: item.point,
+    created: item.created,
+    // Shown under the audio player when the upstream has one.
+    transcript: typeof item.transcript === 'string' && item.transcript ? item.transcript : null,
+    category: WARNING_CATEGORIES.includes(item.category) ? item.category : null,
+  };
+}
+
+module.exports = { WARNING_CATEGORIES, categorizeWazeAlert, normalizeWazeAlert, normalizeWarning };
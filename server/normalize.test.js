@@ -0,0 +1,15 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { categorizeWazeAlert } = require('./normalize');
+
+test('tells weather from road hazards by subtype', () => {
+  const kind = (type, subtype) => categorizeWazeAlert({ type, subtype });
+  assert.equal(kind('WEATHERHAZARD', 'HAZARD_WEATHER_FOG'), 'weather');
+  assert.equal(kind('HAZARD', 'HAZARD_WEATHER_HEAVY_SNOW'), 'weather');
+  assert.equal(kind('WEATHERHAZARD', 'HAZARD_ON_ROAD_POT_HOLE'), 'hazard');
+  assert.equal(kind('WEATHERHAZARD', 'HAZARD_ON_SHOULDER_CAR_STOPPED'), 'hazard');
+  assert.equal(kind('WEATHERHAZARD', ''), 'hazard');
+  assert.equal(kind('POLICE', 'POLICE_HIDING'), 'police');
+  assert.equal(kind('ROAD_CLOSED', 'ROAD_CLOSED_EVENT'), 'roadClosed');
+  assert.equal(kind('CHIT_CHAT', ''), 'other');
+});
@@ -0,0 +1,54 @@
+// Token bucket shared by every client of one upstream, plus a pause window
+// that a 429 (with or without Retry-After) pushes out.
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function createRateLimiter({ capacity, refillPerMinute, now = Date.now }) {
+  let tokens = capacity;
+  let lastRefillAt = now();
+  let pausedUntil = 0;
+
+  const refill = () => {
+    const t = now();
+    tokens = Math.min(capacity, tokens + ((t - lastRefillAt) / 60_000) * refillPerMinute);
+    lastRefillAt = t;
+  };
+
+  function msUntilAvailable() {
+    refill();
+    const pauseMs = Math.max(0, pausedUntil - now());
+    const refillMs = tokens >= 1 ? 0 : Math.ceil(((1 - tokens) / refillPerMinute) * 60_000);
+    return Math.max(pauseMs, refillMs);
+  }
+
+  function tryTake() {
+    if (msUntilAvailable() > 0) return false;
+    tokens -= 1;
+    return true;
+  }
+
+  async function take({ maxWaitMs = Infinity } = {}) {
+    // Resolves false instead of waiting longer than maxWaitMs.
+    let budget = maxWaitMs;
+    for (;;) {
+      if (tryTake()) return true;
+      const waitMs = msUntilAvailable();
+      if (waitMs > budget) return false;
+      await sleep(waitMs);
+      budget -= waitMs;
+    }
+  }
+
+  function pause(ms) {
+    pausedUntil = Math.max(pausedUntil, now() + ms);
+  }
+
+  function status() {
+    refill();
+    return { tokens: Math.floor(tokens), capacity, pausedUntil: pausedUntil > now() ? pausedUntil : null };
+  }
+
+  return { tryTake, take, pause, msUntilAvailable, status };
+}
+
+module.exports = { createRateLimiter };
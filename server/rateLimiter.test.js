@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createRateLimiter } = require('./rateLimiter');
+
+test('spends the burst, then refills over time', () => {
+  let t = 0;
+  const limiter = createRateLimiter({ capacity: 2, refillPerMinute: 6, now: () => t });
+  assert.equal(limiter.tryTake(), true);
+  assert.equal(limiter.tryTake(), true);
+  assert.equal(limiter.tryTake(), false);
+  assert.equal(limiter.msUntilAvailable(), 10_000);
+
+  t = 10_000;
+  assert.equal(limiter.tryTake(), true);
+  assert.equal(limiter.tryTake(), false);
+});
+
+test('a pause blocks every caller until it expires', () => {
+  let t = 0;
+  const limiter = createRateLimiter({ capacity: 5, refillPerMinute: 60, now: () => t });
+  limiter.pause(30_000);
+  assert.equal(limiter.tryTake(), false);
+  assert.ok(limiter.status().pausedUntil);
+
+  t = 30_000;
+  assert.equal(limiter.tryTake(), true);
+});
+
+test('take gives up instead of waiting past maxWaitMs', async () => {
+  const limiter = createRateLimiter({ capacity: 1, refillPerMinute: 1 });
+  assert.equal(await limiter.take(), true);
+  assert.equal(await limiter.take({ maxWaitMs: 10 }), false);
+});
@@ -0,0 +1,36 @@
+// Upstream fetch helper. A 429 pauses the upstream's shared limiter so no
+// client request or poll hits it again before Retry-After has passed.
+
+const DEFAULT_TIMEOUT_MS = 15_000;
+
+class UpstreamError extends Error {
+  constructor(message, { status, retryAfterMs = null } = {}) {
+    super(message);
+    this.name = 'UpstreamError';
+    this.status = status;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+function parseRetryAfterToMs(retryAfterValue) {
+  // Same rules as the browser side (src/sources/http.js): null when missing/unparseable.
+  if (!retryAfterValue) return null;
+  const asNumber = Number(retryAfterValue);
+  if (Number.isFinite(asNumber) && asNumber > 0) return asNumber * 1000;
+  const asDate = Date.parse(retryAfterValue);
+  if (!Number.isNaN(asDate)) return Math.max(0, asDate - Date.now());
+  return null;
+}
+
+async function fetchUpstreamJson(url, { label, limiter, method = 'GET', headers, body, defaultRetryAfterMs = 30_000 }) {
+  const res = await fetch(url, { method, headers, body, signal: AbortSignal.timeout(DEFAULT_TIMEOUT_MS) });
+  if (res.status === 429) {
+    const retryAfterMs = parseRetryAfterToMs(res.headers.get('retry-after')) ?? defaultRetryAfterMs;
+    limiter.pause(retryAfterMs);
+    throw new UpstreamError(`${label} rate limited (429)`, { status: 429, retryAfterMs });
+  }
+  if (!res.ok) throw new UpstreamError(`${label} failed (${res.status})`, { status: res.status });
+  return res.json();
+}
+
+module.exports = { UpstreamError, parseRetryAfterToMs, fetchUpstreamJson };
@@ -0,0 +1,231 @@
+// Waze alerts cached per slippy-map tile. Client requests are answered from
+// the cache; missing tiles are fetched (within the shared budget) before
+// answering, and a background poll keeps recently requested tiles fresh, so
+// upstream load depends on the area being watched rather than on the number
+// of open browser tabs. `onChange` receives the { added, removed } delta of
+// every tile refresh that changed something.
+
+const { fetchUpstreamJson } = require('./upstream');
+const { normalizeWazeAlert } = require('./normalize');
+const { diffById } = require('./eventLog');
+
+const MAX_MERCATOR_LAT = 85.05112878;
+
+function clampLat(lat) {
+  return Math.max(-MAX_MERCATOR_LAT, Math.min(MAX_MERCATOR_LAT, lat));
+}
+
+function normalizeLng(lng) {
+  return ((((lng + 180) % 360) + 360) % 360) - 180;
+}
+
+function lng2tileX(lng, z) {
+  return Math.min(2 ** z - 1, Math.floor(((lng + 180) / 360) * 2 ** z));
+}
+
+function lat2tileY(lat, z) {
+  const latRad = (clampLat(lat) * Math.PI) / 180;
+  const y = Math.floor(((1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2) * 2 ** z);
+  return Math.min(2 ** z - 1, Math.max(0, y));
+}
+
+function tileBox(x, y, z) {
+  const n = 2 ** z;
+  const lat = (yy) => (Math.atan(Math.sinh(Math.PI * (1 - (2 * yy) / n))) * 180) / Math.PI;
+  return { top: lat(y), bottom: lat(y + 1), left: (x / n) * 360 - 180, right: ((x + 1) / n) * 360 - 180 };
+}
+
+function toLngSpans(bbox) {
+  if (bbox.east - bbox.west >= 360) return [{ west: -180, east: 180 }];
+  const west = normalizeLng(bbox.west);
+  const east = normalizeLng(bbox.east);
+  if (west <= east) return [{ west, east }];
+  // Dateline-crossing boxes become two longitudinal spans.
+  return [
+    { west, east: 180 },
+    { west: -180, east },
+  ];
+}
+
+// How many tiles listTiles would return, without building them.
+function countTiles(bbox, z) {
+  const rows = lat2tileY(bbox.south, z) - lat2tileY(bbox.north, z) + 1;
+  const columns = toLngSpans(bbox).reduce(
+    (sum, span) => sum + lng2tileX(span.east, z) - lng2tileX(span.west, z) + 1,
+    0
+  );
+  return rows * columns;
+}
+
+function listTiles(bbox, z) {
+  const yMin = lat2tileY(bbox.north, z);
+  const yMax = lat2tileY(bbox.south, z);
+  const tiles = [];
+  for (const span of toLngSpans(bbox)) {
+    for (let x = lng2tileX(span.west, z); x <= lng2tileX(span.east, z); x += 1) {
+      for (let y = yMin; y <= yMax; y += 1) tiles.push({ x, y, z });
+    }
+  }
+  return tiles;
+}
+
+function isInBbox(loc, bbox) {
+  if (loc.lat < bbox.south || loc.lat > bbox.north) return false;
+  if (bbox.east - bbox.west >= 360) return true;
+  const lng = normalizeLng(loc.lng);
+  const west = normalizeLng(bbox.west);
+  const east = normalizeLng(bbox.east);
+  return west <= east ? lng >= west && lng <= east : lng >= west || lng <= east;
+}
+
+function createWazeTileCache({ config, limiter, fetchJson = fetchUpstreamJson, now = Date.now, onChange }) {
+  const tiles = new Map();
+  let pollTimer = null;
+
+  function pickTiles(bbox, zoom) {
+    // Coarser tiles than the map's zoom, and coarser still if the view would need too many.
+    // Counted first, so a world-sized box at a high zoom never lists millions of tiles.
+    let z = Math.max(config.minTileZoom, Math.min(config.maxTileZoom, Math.round(zoom) - config.tileZoomOffset));
+    while (countTiles(bbox, z) > config.maxTilesPerRequest && z > 0) z -= 1;
+    return listTiles(bbox, z);
+  }
+
+  function getTile({ x, y, z }, env) {
+    const key = `${env}/${z}/${x}/${y}`;
+    let tile = tiles.get(key);
+    if (!tile) {
+      tile = { key, env, x, y, z, alerts: [], fetchedAt: 0, lastRequestedAt: 0, error: null, inFlight: null };
+      tiles.set(key, tile);
+    }
+    return tile;
+  }
+
+  function isHeldByOtherTile(id, tile) {
+    for (const other of tiles.values()) {
+      if (other !== tile && other.env === tile.env && other.alerts.some((alert) => alert.id === id)) return true;
+    }
+    return false;
+  }
+
+  const isFresh = (tile) => tile.fetchedAt && now() - tile.fetchedAt < config.tileTtlMs;
+
+  function refreshTile(tile) {
+    // Callers must have taken a token from the limiter.
+    if (tile.inFlight) return tile.inFlight;
+    const box = tileBox(tile.x, tile.y, tile.z);
+    const params = new URLSearchParams({
+      env: tile.env,
+      top: String(box.top),
+      bottom: String(box.bottom),
+      left: String(box.left),
+      right: String(box.right),
+    });
+    tile.inFlight = fetchJson(`${config.baseUrl}/live-map/api/georss?types=alerts&${params}`, {
+      label: 'Waze request',
+      limiter,
+      defaultRetryAfterMs: config.defaultRetryAfterMs,
+      // Waze may return 500 if User-Agent is missing/empty.
+      headers: { 'User-Agent': 'Mozilla/5.0', Accept: 'application/json' },
+    })
+      .then((data) => {
+        const alerts = Array.isArray(data?.alerts) ? data.alerts : [];
+        // Only keep alerts inside the tile, so same-zoom tiles never share one.
+        const tileBbox = { south: box.bottom, north: box.top, west: box.left, east: box.right };
+        const next = alerts.map(normalizeWazeAlert).filter((alert) => alert && isInBbox(alert.location, tileBbox));
+        const { added, removed } = diffById(tile.alerts, next);
+        tile.alerts = next;
+        // Tiles of other zooms overlap this one, and Waze thins out alerts for larger
+        // boxes: an alert a coarse tile dropped may still be live in a finer one.
+        const delta = { added, removed: removed.filter((id) => !isHeldByOtherTile(id, tile)) };
+        tile.fetchedAt = now();
+        tile.error = null;
+        if (onChange && (delta.added.length || delta.removed.length)) onChange(delta);
+      })
+      .catch((err) => {
+        tile.error = err.message;
+      })
+      .finally(() => {
+        tile.inFlight = null;
+      });
+    return tile.inFlight;
+  }
+
+  function touch({ bbox, zoom, env }) {
+    // Keeps the view's tiles on the background poll (open event streams call this).
+    const requestedAt = now();
+    const list = pickTiles(bbox, zoom).map((spec) => getTile(spec, env));
+    list.forEach((tile) => {
+      tile.lastRequestedAt = requestedAt;
+    });
+    return list;
+  }
+
+  async function getAlerts({ bbox, zoom, env }) {
+    const requestedAt = now();
+    const list = touch({ bbox, zoom, env });
+
+    // Tiles we have never fetched are worth waiting for; expired ones are answered
+    // from cache right away and refreshed in the background if the budget allows.
+    const deadline = requestedAt + config.requestWaitMs;
+    await Promise.all(
+      list.map(async (tile) => {
+        if (isFresh(tile) || tile.inFlight) return tile.inFlight;
+        if (!tile.fetchedAt) {
+          if (await limiter.take({ maxWaitMs: Math.max(0, deadline - now()) })) await refreshTile(tile);
+        } else if (limiter.tryTake()) {
+          refreshTile(tile);
+        }
+        return null;
+      })
+    );
+
+    const byId = new Map();
+    for (const tile of list) {
+      for (const alert of tile.alerts) {
+        if (isInBbox(alert.location, bbox)) byId.set(alert.id, alert);
+      }
+    }
+    const fetched = list.filter((t) => t.fetchedAt);
+    return {
+      items: Array.from(byId.values()),
+      updatedAt: fetched.length ? Math.min(...fetched.map((t) => t.fetchedAt)) : null,
+      stale: list.some((t) => !isFresh(t)),
+      tiles: {
+        total: list.length,
+        fresh: list.filter(isFresh).length,
+        missing: list.filter((t) => !t.fetchedAt).length,
+      },
+      errors: Array.from(new Set(list.map((t) => t.error).filter(Boolean))),
+    };
+  }
+
+  function poll() {
+    const t = now();
+    for (const [key, tile] of tiles) {
+      if (t - tile.lastRequestedAt > config.evictTileAfterMs && !tile.inFlight) tiles.delete(key);
+    }
+    // Oldest data first, only for tiles someone is still looking at.
+    const due = Array.from(tiles.values())
+      .filter((tile) => t - tile.lastRequestedAt <= config.activeTileWindowMs && !isFresh(tile) && !tile.inFlight)
+      .sort((a, b) => a.fetchedAt - b.fetchedAt);
+    for (const tile of due) {
+      if (!limiter.tryTake()) break;
+      refreshTile(tile);
+    }
+  }
+
+  return {
+    getAlerts,
+    touch,
+    poll,
+    start() {
+      pollTimer = setInterval(poll, config.pollIntervalMs);
+    },
+    stop() {
+      clearInterval(pollTimer);
+    },
+    status: () => ({ tiles: tiles.size, limiter: limiter.status() }),
+  };
+}
+
+module.exports = { createWazeTileCache, countTiles, listTiles, isInBbox };
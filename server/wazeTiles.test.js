@@ -0,0 +1,140 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createRateLimiter } = require('./rateLimiter');
+const { createWazeTileCache, countTiles, listTiles } = require('./wazeTiles');
+
+const config = {
+  baseUrl: 'https://waze.test',
+  tileTtlMs: 60_000,
+  activeTileWindowMs: 300_000,
+  evictTileAfterMs: 1_800_000,
+  tileZoomOffset: 2,
+  minTileZoom: 2,
+  maxTileZoom: 12,
+  maxTilesPerRequest: 16,
+  requestWaitMs: 0,
+};
+
+// A single tile at the tile zoom this view maps to.
+const view = { bbox: { south: 44.3, west: 26.05, north: 44.45, east: 26.2 }, zoom: 11, env: 'row' };
+
+const defaultAlerts = [
+  { uuid: 'p1', type: 'POLICE', location: { x: 26.1, y: 44.4 } },
+  { uuid: 'far', type: 'ACCIDENT', location: { x: 0, y: 0 } },
+];
+
+function setup({ capacity = 10, alerts = () => defaultAlerts, onChange } = {}) {
+  let t = 1_000;
+  const calls = [];
+  const fetchJson = async (url) => {
+    calls.push(url);
+    return { alerts: alerts(url) };
+  };
+  const limiter = createRateLimiter({ capacity, refillPerMinute: 1, now: () => t });
+  const cache = createWazeTileCache({ config, limiter, fetchJson, now: () => t, onChange });
+  return { cache, calls, limiter, advance: (ms) => (t += ms) };
+}
+
+test('splits dateline-crossing boxes into tiles on both sides', () => {
+  const tiles = listTiles({ south: 1, north: 2, west: 179, east: 181 }, 4);
+  const columns = tiles.map((t) => t.x);
+  assert.deepEqual(columns, [15, 0]);
+});
+
+test('counts tiles without listing them and coarsens world-sized views', async () => {
+  const boxes = [
+    view.bbox,
+    { south: 1, north: 2, west: 179, east: 181 },
+    { south: -60, north: 70, west: -180, east: 180 },
+  ];
+  boxes.forEach((bbox) => assert.equal(countTiles(bbox, 5), listTiles(bbox, 5).length));
+  assert.equal(countTiles({ south: -90, north: 90, west: -180, east: 180 }, 12), 4096 * 4096);
+
+  const { cache, calls } = setup({ capacity: 100 });
+  await cache.getAlerts({ bbox: { south: -85, west: -180, north: 85, east: 180 }, zoom: 20, env: 'row' });
+  assert.ok(calls.length > 0 && calls.length <= config.maxTilesPerRequest);
+});
+
+test('fetches missing tiles once and serves later requests from cache', async () => {
+  const { cache, calls, advance } = setup();
+  const first = await cache.getAlerts(view);
+  assert.equal(first.items.length, 1);
+  assert.equal(first.items[0].kind, 'police');
+  assert.equal(first.stale, false);
+  const fetchedTiles = calls.length;
+  assert.ok(fetchedTiles >= 1);
+
+  advance(1_000);
+  const second = await cache.getAlerts(view);
+  assert.equal(second.items.length, 1);
+  assert.equal(calls.length, fetchedTiles);
+});
+
+test('answers from stale tiles when the shared budget is spent', async () => {
+  const { cache, calls, limiter, advance } = setup({ capacity: 1 });
+  await cache.getAlerts(view);
+  assert.equal(calls.length, 1);
+
+  advance(config.tileTtlMs + 1);
+  // Refill is 1/minute; spend the token regained meanwhile so no refresh can start.
+  assert.equal(limiter.tryTake(), true);
+  const result = await cache.getAlerts(view);
+  assert.equal(result.items.length, 1);
+  assert.equal(result.stale, true);
+
+  cache.poll();
+  assert.equal(calls.length, 1);
+});
+
+test('reports added and removed alerts when a tile refresh changes them', async () => {
+  let alerts = defaultAlerts;
+  const deltas = [];
+  const { cache, advance } = setup({ alerts: () => alerts, onChange: (delta) => deltas.push(delta) });
+  await cache.getAlerts(view);
+  assert.deepEqual(
+    deltas.map((d) => [d.added.map((a) => a.id), d.removed]),
+    [[['p1'], []]]
+  );
+
+  alerts = [{ uuid: 'p2', type: 'POLICE', location: { x: 26.15, y: 44.35 } }];
+  advance(config.tileTtlMs + 1);
+  cache.poll();
+  await new Promise((resolve) => setImmediate(resolve));
+  const [, second] = deltas;
+  const addedIds = second.added.map((a) => a.id);
+  assert.deepEqual(addedIds, ['p2']);
+  assert.deepEqual(second.removed, ['p1']);
+});
+
+test('reports no removal while a tile of another zoom still holds the alert', async () => {
+  let coarseAlerts = defaultAlerts;
+  let fineAlerts = defaultAlerts;
+  const deltas = [];
+  const coarseView = { ...view, zoom: 6 };
+  const { cache, advance } = setup({
+    // The coarse tile's box reaches up to 55.8°N; the fine one stays under 45°N.
+    alerts: (url) => (new URL(url).searchParams.get('top') > 50 ? coarseAlerts : fineAlerts),
+    onChange: (delta) => deltas.push(delta),
+  });
+  const settle = () => new Promise((resolve) => setImmediate(resolve));
+  await cache.getAlerts(view);
+  await cache.getAlerts(coarseView);
+  assert.equal(deltas.length, 2);
+
+  // Waze thins out the coarse box; the fine tile still has p1.
+  coarseAlerts = [];
+  advance(config.tileTtlMs + 1);
+  await cache.getAlerts(coarseView);
+  await settle();
+  assert.equal(deltas.length, 2);
+
+  // Gone from every tile now, so the removal goes out.
+  fineAlerts = [];
+  advance(config.tileTtlMs + 1);
+  await cache.getAlerts(view);
+  await settle();
+  assert.deepEqual(
+    deltas.map((d) => d.removed),
+    [[], [], ['p1']]
+  );
+});
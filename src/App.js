@@ -1,355 +1,140 @@
 import './App.css';
 import 'leaflet/dist/leaflet.css';
 import '@mdi/font/css/materialdesignicons.min.css';
-import { useEffect, useMemo, useRef, useState } from 'react';
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
 import { MapContainer, TileLayer, Marker, Popup, Rectangle, useMap, useMapEvents } from 'react-leaflet';
-import L from 'leaflet';
-
-// In development, CRA's proxy (defined in package.json) will forward this
-// relative path to https://app.driverschat.com to avoid CORS issues.
-const API_URL = '/api/messages/warning-messages';
-const AUTH_TOKEN = process.env.REACT_APP_X_AUTH;
-
-const warningMarkerIcon = L.divIcon({
-  className: 'custom-marker-icon',
-  html: '<i class="mdi mdi-map-marker-alert"></i>',
-  iconSize: [32, 32],
-  iconAnchor: [16, 32],
-});
-
-const POLICE_BADGE_SVG = `
-  <svg
-    class="police-marker-icon__svg"
-    width="44"
-    height="44"
-    viewBox="0 0 64 64"
-    role="img"
-    aria-hidden="true"
-  >
-    <path
-      d="M32 6c8 6 16 7 22 8v18c0 15-9 23-22 28C19 55 10 47 10 32V14c6-1 14-2 22-8z"
-      fill="#1565c0"
-      stroke="#ffffff"
-      stroke-width="3"
-      stroke-linejoin="round"
-    />
-    <path
-      d="M32 13c6 4 12 5 16 6v13c0 10-6 15-16 20-10-5-16-10-16-20V19c4-1 10-2 16-6z"
-      fill="#1e88e5"
-      opacity="0.95"
-    />
-    <path
-      d="M32 22l2.9 6.3 6.8.6-5.2 4.5 1.6 6.7-6.1-3.5-6.1 3.5 1.6-6.7-5.2-4.5 6.8-.6L32 22z"
-      fill="#ffeb3b"
-      stroke="#0d47a1"
-      stroke-width="1.4"
-      stroke-linejoin="round"
-    />
-  </svg>
-`;
-
-function buildPoliceMarkerHtml(count) {
-  return `
-    <div class="police-marker-icon__wrap" aria-label="Police">
-      ${POLICE_BADGE_SVG}
-    </div>
-  `;
-}
+import ReplayTimeline from './ReplayTimeline';
+import { normalizeLng } from './geo';
+import { BUILT_IN_SOURCE_IDS, sourceRegistry } from './sources';
+import useSources from './sources/useSources';
+import { buildWazeTileSnappedQuery, inferWazeEnvFromBounds } from './sources/wazeAlerts';
+import {
+  buildDensityIcon,
+  getWazeAlertIcon,
+  poiMarkerIcon,
+  getSpeedCamMarkerIcon,
+  getUserLayerIcon,
+  pendingWarningMarkerIcon,
+  playingWarningMarkerIcon,
+  warningMarkerIcon,
+} from './markerIcons';
+import SpeedCameraFilters from './SpeedCameraFilters';
+import { SPEED_CAMERA_STATUS_LABELS, SPEED_CAMERA_TYPE_LABELS, formatHeading } from './speedCameraTypes';
+import WazeAlertFilters from './WazeAlertFilters';
+import { WAZE_REFRESH_INTERVALS_SEC, resolveInitialViewState } from './viewState';
+import { createGridIndex, getPaddedBox } from './spatialIndex';
+import { createClusterIndex, pickLatestReport } from './clustering';
+import useViewStateSync from './useViewStateSync';
+import { WAZE_ALERT_CATEGORIES, WAZE_ALERT_CATEGORY_LABELS, getWazeSubtypeFilterKey } from './wazeAlertTypes';
+import useDriveMode from './useDriveMode';
+import DriveModePanel, { DriveModeBanner, DriveModeRecenter } from './DriveModePanel';
+import useRoutePlanner from './useRoutePlanner';
+import RoutePlannerPanel from './RoutePlannerPanel';
+import RoutePlannerLayer from './RoutePlannerLayer';
+import HazardListPanel from './HazardListPanel';
+import { buildHazardListRows } from './hazardList';
+import ExportMenu from './ExportMenu';
+import DriveModeLayer from './DriveModeLayer';
+import useUserLayers from './useUserLayers';
+import UserLayersPanel from './UserLayersPanel';
+import { USER_LAYER_ICONS } from './userLayers';
+import useAudioPlayer from './useAudioPlayer';
+import WarningAudioPlayer, { AudioQueueControls } from './AudioPlayer';
+import usePoliceHistory from './usePoliceHistory';
+import PoliceHeatmapPanel from './PoliceHeatmapPanel';
+import PoliceHeatmapLayer from './PoliceHeatmapLayer';
+import useWatchZones from './useWatchZones';
+import useZoneNotifications from './useZoneNotifications';
+import WatchZonesPanel from './WatchZonesPanel';
+import WatchZonesLayer from './WatchZonesLayer';
+import { getZoneBounds } from './watchZones';
+import useAlertLifecycle from './useAlertLifecycle';
+import RequestDiagnosticsPanel from './RequestDiagnosticsPanel';
+import useAutoRefresh from './useAutoRefresh';
+import useWarningReports from './useWarningReports';
+import WarningReportPanel from './WarningReportPanel';
+import WarningReportLayer from './WarningReportLayer';
+import { mergeReportedWarnings } from './warningReports';
+import useModeration from './useModeration';
+import ModerationConsole from './ModerationConsole';
+import { applyModeration } from './moderation';
+import {
+  MAX_WAZE_CONFIDENCE,
+  MAX_WAZE_RELIABILITY,
+  WAZE_CONFIDENCE_THRESHOLDS,
+  WAZE_MAX_AGE_OPTIONS,
+  countRecentlyVanished,
+  formatAlertAge,
+  getAgeOpacity,
+  getAlertAgeMs,
+  passesAlertThresholds,
+} from './alertLifecycle';
+import {
+  WARNING_HISTORY_RETENTION,
+  getWarningsAt,
+  loadWarningHistory,
+  mergeWarningsIntoHistory,
+  saveWarningHistory,
+} from './warningHistory';
+import { pruneByLastSeen } from './pruneByLastSeen';
 
-const policeMarkerIcon = L.divIcon({
-  className: 'police-marker-icon',
-  // Inline SVG so it always renders (no reliance on icon-font glyph names)
-  html: buildPoliceMarkerHtml(1),
-  iconSize: [44, 44],
-  iconAnchor: [22, 44],
-});
-
-const SPEED_CAMERA_SVG = `
-  <svg
-    class="speedcam-marker-icon__svg"
-    width="34"
-    height="34"
-    viewBox="0 0 64 64"
-    role="img"
-    aria-hidden="true"
-  >
-    <path
-      d="M10 22c0-4 3-7 7-7h30c4 0 7 3 7 7v20c0 4-3 7-7 7H17c-4 0-7-3-7-7V22z"
-      fill="#0b0b0b"
-      stroke="#ffffff"
-      stroke-width="3"
-      stroke-linejoin="round"
-    />
-    <circle cx="32" cy="32" r="10" fill="#1e88e5" stroke="#ffffff" stroke-width="3" />
-    <circle cx="32" cy="32" r="4" fill="#0b0b0b" />
-    <path
-      d="M20 15l6-7h12l6 7"
-      fill="#ffeb3b"
-      stroke="#0b0b0b"
-      stroke-width="3"
-      stroke-linejoin="round"
-    />
-  </svg>
-`;
-
-const speedCamMarkerIcon = L.divIcon({
-  className: 'speedcam-marker-icon',
-  html: `
-    <div class="speedcam-marker-icon__wrap" aria-label="Speed camera">
-      ${SPEED_CAMERA_SVG}
-    </div>
-  `,
-  iconSize: [34, 34],
-  iconAnchor: [17, 34],
-});
-
-const WAZE_ALERTS_BASE_URL = '/waze/live-map/api/georss?types=alerts';
-const MAX_WAZE_TILE_BOXES_PER_REQUEST = 24;
-const MIN_WAZE_FETCH_INTERVAL_MS = 2500;
-const DEFAULT_WAZE_RETRY_AFTER_SEC = 30;
-const POLICE_CLUSTER_RADIUS_METERS = 200;
-const SPEED_RADAR_CLUSTER_RADIUS_METERS = 200;
-const SPEED_RADARS_WORLD_CSV_URL = `${process.env.PUBLIC_URL || ''}/SCDB_Speed.csv`;
 const MIN_SPEED_RADAR_RENDER_ZOOM = 6;
-const MAX_VISIBLE_SPEED_RADARS = 8000;
 const SPEED_RADAR_VIEW_PADDING_METERS = 50_000;
-
-function inferWazeEnvFromBounds(bounds) {
-  if (!bounds) return 'na';
-  const center = bounds.getCenter();
-  const lat = center.lat;
-  const lng = normalizeLng(center.lng);
-  // Heuristic: North America longitudes roughly [-170, -30]
-  if (lng <= -30 && lng >= -170 && lat >= 5 && lat <= 85) return 'na';
-  return 'row';
+const USER_LAYER_VIEW_PADDING_METERS = 5_000;
+const USER_LAYER_GLYPHS = Object.fromEntries(USER_LAYER_ICONS.map((i) => [i.id, i.glyph]));
+// Markers from an offline snapshot are drawn faded.
+const STALE_MARKER_OPACITY = 0.55;
+const RECENTLY_VANISHED_MS = 30 * 60 * 1000;
+
+function canExpandCluster(cluster, map) {
+  // Clusters of points at (nearly) the same spot can't be split by zooming; show their popup instead.
+  if (cluster.count < 2 || cluster.expansionZoom === null || !map) return false;
+  const { south, north, west, east } = cluster.bounds;
+  return cluster.expansionZoom <= map.getMaxZoom() && (north > south || east > west);
 }
 
-function isPoliceAlert(alert) {
-  const type = String(alert?.type || '').toLowerCase();
-  const subtype = String(alert?.subtype || '').toLowerCase();
-  return type.includes('police') || subtype.includes('police');
-}
-
-function normalizeLng(lng) {
-  // Leaflet can return longitudes outside [-180, 180] when the map wraps.
-  // Normalize for upstream APIs that expect standard lon range.
-  const n = ((lng + 180) % 360 + 360) % 360 - 180;
-  // Avoid returning -180 when 180 is more intuitive at the boundary.
-  return n === -180 ? 180 : n;
+function zoomToCluster(cluster, map) {
+  const { south, north, west, east } = cluster.bounds;
+  map.fitBounds(
+    [
+      [south, west],
+      [north, east],
+    ],
+    { padding: [48, 48], maxZoom: Math.max(cluster.expansionZoom, map.getZoom() + 1) }
+  );
 }
 
-function clampLat(lat) {
-  // WebMercator practical max latitude
-  return Math.max(Math.min(lat, 85.05112878), -85.05112878);
+function formatStaleSince(ts) {
+  if (!ts) return 'an earlier session';
+  const d = new Date(ts);
+  return d.toDateString() === new Date().toDateString() ? d.toLocaleTimeString() : d.toLocaleString();
 }
 
-function haversineMeters(a, b) {
-  const R = 6371000; // meters
-  const toRad = (deg) => (deg * Math.PI) / 180;
-  const dLat = toRad(b.lat - a.lat);
-  const dLng = toRad(b.lng - a.lng);
-  const lat1 = toRad(a.lat);
-  const lat2 = toRad(b.lat);
-  const sinDLat = Math.sin(dLat / 2);
-  const sinDLng = Math.sin(dLng / 2);
-  const h = sinDLat * sinDLat + Math.cos(lat1) * Math.cos(lat2) * sinDLng * sinDLng;
-  return 2 * R * Math.asin(Math.min(1, Math.sqrt(h)));
+function formatPushStatus(push) {
+  // Runner push state -> how fresh the markers are kept.
+  if (push === 'live') return 'Live';
+  if (push === 'connecting') return 'Connecting…';
+  if (push === 'down') return 'Polling (live updates reconnecting)';
+  return 'Polling';
 }
 
-function clusterPoliceAlerts(alerts, radiusMeters) {
-  // Simple greedy clustering (good enough for typical alert counts).
-  // Each cluster has a representative "center" (average lat/lng) and items.
-  const remaining = alerts.slice();
-  const clusters = [];
-
-  while (remaining.length) {
-    const seed = remaining.pop();
-    const cluster = [seed];
-    let changed = true;
-
-    // Pull in points that are close to ANY point in the cluster (single-linkage).
-    while (changed) {
-      changed = false;
-      for (let i = remaining.length - 1; i >= 0; i -= 1) {
-        const candidate = remaining[i];
-        const nearAny = cluster.some(
-          (p) => haversineMeters(p.location, candidate.location) <= radiusMeters
-        );
-        if (nearAny) {
-          cluster.push(candidate);
-          remaining.splice(i, 1);
-          changed = true;
-        }
-      }
-    }
-
-    // Center as average lat/lng
-    const center = cluster.reduce(
-      (acc, p) => {
-        acc.lat += p.location.lat;
-        acc.lng += p.location.lng;
-        return acc;
-      },
-      { lat: 0, lng: 0 }
-    );
-    center.lat /= cluster.length;
-    center.lng /= cluster.length;
-
-    // Primary (for popup details): latest pubMillis
-    const primary = cluster.reduce((best, cur) => {
-      const bestTs = best?.pubMillis || 0;
-      const curTs = cur?.pubMillis || 0;
-      return curTs >= bestTs ? cur : best;
-    }, cluster[0]);
-
-    clusters.push({
-      id: primary?.id || `${center.lat}-${center.lng}-${cluster.length}`,
-      center,
-      primary,
-      count: cluster.length,
-      items: cluster,
-    });
-  }
-
-  return clusters;
+function formatRefreshInterval(seconds) {
+  if (!seconds) return 'off';
+  return seconds < 60 ? `every ${seconds} s` : `every ${seconds / 60} min`;
 }
 
-function clusterPoints(points, radiusMeters) {
-  // Generic clustering for points shaped like { lat, lng, ... }.
-  const remaining = points.slice();
-  const clusters = [];
-
-  while (remaining.length) {
-    const seed = remaining.pop();
-    const cluster = [seed];
-    let changed = true;
-
-    while (changed) {
-      changed = false;
-      for (let i = remaining.length - 1; i >= 0; i -= 1) {
-        const candidate = remaining[i];
-        const nearAny = cluster.some(
-          (p) => haversineMeters({ lat: p.lat, lng: p.lng }, { lat: candidate.lat, lng: candidate.lng }) <= radiusMeters
-        );
-        if (nearAny) {
-          cluster.push(candidate);
-          remaining.splice(i, 1);
-          changed = true;
-        }
-      }
-    }
-
-    const center = cluster.reduce(
-      (acc, p) => {
-        acc.lat += p.lat;
-        acc.lng += p.lng;
-        return acc;
-      },
-      { lat: 0, lng: 0 }
-    );
-    center.lat /= cluster.length;
-    center.lng /= cluster.length;
-
-    const primary = cluster[0];
-
-    clusters.push({
-      id: primary?.id || `${center.lat}-${center.lng}-${cluster.length}`,
-      center,
-      count: cluster.length,
-      items: cluster,
-      primary,
-    });
-  }
-
-  return clusters;
+function formatAutoRefresh({ status, secondsLeft }, loading) {
+  if (loading) return 'Refreshing…';
+  if (status === 'off') return 'Auto-refresh off';
+  if (status === 'live') return 'Live updates';
+  if (status === 'paused') return 'Auto-refresh paused while the tab is hidden';
+  return secondsLeft === null ? '' : `Next refresh in ${secondsLeft} s`;
 }
 
-function parseSpeedRadarCsv(text) {
-  const lines = String(text || '')
-    .split(/\r?\n/)
-    .map((l) => l.trim())
-    .filter(Boolean);
-
-  const points = [];
-
-  for (const line of lines) {
-    const firstComma = line.indexOf(',');
-    const secondComma = firstComma >= 0 ? line.indexOf(',', firstComma + 1) : -1;
-    if (firstComma < 0 || secondComma < 0) continue;
-
-    // Format seems to be: lng,lat,<desc...>[,]<[id]>...
-    const lngStr = line.slice(0, firstComma).trim();
-    const latStr = line.slice(firstComma + 1, secondComma).trim();
-    const rest = line.slice(secondComma + 1);
-
-    const lng = Number(lngStr);
-    const lat = Number(latStr);
-    if (!Number.isFinite(lat) || !Number.isFinite(lng)) continue;
-
-    const idMatch = rest.match(/\[([^\]]+)\]/);
-    if (!idMatch) continue;
-    const id = String(idMatch[1]).trim();
-
-    const bracketIdx = rest.indexOf('[');
-    let desc = bracketIdx >= 0 ? rest.slice(0, bracketIdx).trim() : '';
-    if (desc.startsWith('"') && desc.endsWith('"')) desc = desc.slice(1, -1);
-
-    points.push({ id, lat, lng, desc });
-  }
-
-  const byId = new Map(points.map((p) => [p.id, p]));
-  return Array.from(byId.values());
-}
-
-function isPointInBounds(point, bounds) {
-  if (!bounds) return false;
-  const north = bounds.getNorth();
-  const south = bounds.getSouth();
-  const west = normalizeLng(bounds.getWest());
-  const east = normalizeLng(bounds.getEast());
-
-  if (point.lat > north || point.lat < south) return false;
-
-  const lng = normalizeLng(point.lng);
-  // Handle dateline crossing
-  if (west > east) {
-    return lng >= west || lng <= east;
-  }
-  return lng >= west && lng <= east;
-}
-
-function isPointInBoundsPadded(point, bounds, padMeters) {
-  if (!bounds) return false;
-  const c = bounds.getCenter();
-  const latPad = padMeters / 111320; // ~ meters per degree latitude
-  const lngPad =
-    padMeters / (111320 * Math.max(0.15, Math.cos((c.lat * Math.PI) / 180))); // avoid blowups near poles
-
-  const padded = L.latLngBounds(
-    [bounds.getSouth() - latPad, bounds.getWest() - lngPad],
-    [bounds.getNorth() + latPad, bounds.getEast() + lngPad]
-  );
-  return isPointInBounds(point, padded);
-}
-
-// WebMercator tile math (slippy map)
-function lng2tileX(lng, z) {
-  const n = 2 ** z;
-  return Math.floor(((lng + 180) / 360) * n);
-}
-function lat2tileY(lat, z) {
-  const n = 2 ** z;
-  const latRad = (clampLat(lat) * Math.PI) / 180;
-  return Math.floor(((1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2) * n);
-}
-function tileX2lng(x, z) {
-  const n = 2 ** z;
-  return (x / n) * 360 - 180;
-}
-function tileY2lat(y, z) {
-  const n = 2 ** z;
-  const rad = Math.atan(Math.sinh(Math.PI * (1 - (2 * y) / n)));
-  return (rad * 180) / Math.PI;
+function formatBytes(bytes) {
+  if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  if (bytes >= 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${bytes} B`;
 }
 
 function getNormalizedBoundsForDisplay(bounds) {
@@ -361,92 +146,6 @@ function getNormalizedBoundsForDisplay(bounds) {
   return { north, south, west, east };
 }
 
-function buildWazeAlertsUrlsFromBoxes(boxes, env) {
-  return boxes.map((b) => {
-    const params = new URLSearchParams({
-      env: String(env || 'na'),
-      top: String(b.top),
-      bottom: String(b.bottom),
-      left: String(b.left),
-      right: String(b.right),
-    });
-    return `${WAZE_ALERTS_BASE_URL}&${params.toString()}`;
-  });
-}
-
-function parseRetryAfterToMs(retryAfterValue) {
-  if (!retryAfterValue) return DEFAULT_WAZE_RETRY_AFTER_SEC * 1000;
-  const asNumber = Number(retryAfterValue);
-  if (Number.isFinite(asNumber) && asNumber > 0) return asNumber * 1000;
-  const asDate = Date.parse(retryAfterValue);
-  if (!Number.isNaN(asDate)) return Math.max(0, asDate - Date.now());
-  return DEFAULT_WAZE_RETRY_AFTER_SEC * 1000;
-}
-
-function buildWazeTileSnappedQuery(bounds, zoom) {
-  // We compute tile-aligned boxes (for Waze-like snapping and optional debug rendering),
-  // but we only REQUEST a union bounding box per longitudinal span to avoid 429s.
-  // If too many tiles would be covered, we lower the zoom used for the query.
-  if (!bounds) return { requestBoxes: [], debugBoxes: [], usedZoom: zoom };
-
-  const north = clampLat(bounds.getNorth());
-  const south = clampLat(bounds.getSouth());
-  const west = normalizeLng(bounds.getWest());
-  const east = normalizeLng(bounds.getEast());
-
-  // Handle dateline crossing by splitting into two longitudinal spans.
-  const spans = west > east ? [{ west, east: 180 }, { west: -180, east }] : [{ west, east }];
-
-  let z = Math.max(0, Math.min(22, Math.round(zoom)));
-
-  const computeAtZoom = (zz) => {
-    const debugBoxes = [];
-    const requestBoxes = [];
-
-    for (const span of spans) {
-      // Avoid edge-case where east=180 maps to x=n (one past last tile).
-      const safeEast = span.east >= 180 ? 179.999999 : span.east;
-      // Avoid edge-case where south hits the WebMercator extreme and maps outside the last tile row.
-      const safeSouth = south <= -85.05112878 ? -85.05112877 : south;
-
-      // For tile ranges, we treat "top" as north and "bottom" as south.
-      const xMin = lng2tileX(span.west, zz);
-      const xMax = lng2tileX(safeEast, zz);
-      const yMin = lat2tileY(north, zz);
-      const yMax = lat2tileY(safeSouth, zz);
-
-      // Union box aligned to tile edges (one request per span)
-      const unionLeft = tileX2lng(xMin, zz);
-      const unionRight = tileX2lng(xMax + 1, zz);
-      const unionTop = tileY2lat(yMin, zz);
-      const unionBottom = tileY2lat(yMax + 1, zz);
-      requestBoxes.push({ top: unionTop, bottom: unionBottom, left: unionLeft, right: unionRight });
-
-      for (let x = xMin; x <= xMax; x += 1) {
-        // Keep X in [0..n-1] (for dateline split spans, xMin..xMax is already in-range)
-        const left = tileX2lng(x, zz);
-        const right = tileX2lng(x + 1, zz);
-
-        for (let y = yMin; y <= yMax; y += 1) {
-          const top = tileY2lat(y, zz);
-          const bottom = tileY2lat(y + 1, zz);
-          debugBoxes.push({ top, bottom, left, right });
-        }
-      }
-    }
-
-    return { requestBoxes, debugBoxes, tileCount: debugBoxes.length };
-  };
-
-  let computed = computeAtZoom(z);
-  while (computed.tileCount > MAX_WAZE_TILE_BOXES_PER_REQUEST && z > 0) {
-    z -= 1;
-    computed = computeAtZoom(z);
-  }
-
-  return { ...computed, usedZoom: z };
-}
-
 function MapBoundsWatcher({ onViewChange }) {
   const map = useMapEvents({
     moveend: () => onViewChange({ bounds: map.getBounds(), zoom: map.getZoom() }),
@@ -472,297 +171,463 @@ function MapInstanceBridge({ onMap }) {
   return null;
 }
 
+function SpeedCameraDetails({ camera }) {
+  const facts = [
+    SPEED_CAMERA_TYPE_LABELS[camera.cameraType],
+    camera.speedLimit ? `${camera.speedLimit} km/h` : '',
+    camera.heading !== null ? `towards ${formatHeading(camera.heading)}${camera.bidirectional ? ' and back' : ''}` : '',
+    camera.bidirectional && camera.heading === null ? 'both directions' : '',
+    camera.status !== 'active' ? SPEED_CAMERA_STATUS_LABELS[camera.status] : '',
+    camera.uncertain ? 'unconfirmed' : '',
+  ].filter(Boolean);
+
+  return (
+    <div>
+      <strong>{camera.id}</strong> — {facts.join(', ')}
+      {camera.desc ? <div className="Map-overlay-subtitle">“{camera.desc}”</div> : null}
+    </div>
+  );
+}
+
+function WazeAlertLifecycleDetails({ alert, entry, now }) {
+  const scores = [
+    Number.isFinite(alert.confidence) ? `confidence ${alert.confidence}/${MAX_WAZE_CONFIDENCE}` : '',
+    Number.isFinite(alert.reliability) ? `reliability ${alert.reliability}/${MAX_WAZE_RELIABILITY}` : '',
+    alert.thumbsUp ? `${alert.thumbsUp} 👍` : '',
+  ].filter(Boolean);
+
+  return (
+    <>
+      {scores.length ? (
+        <div>
+          <strong>Reliability:</strong> {scores.join(', ')}
+        </div>
+      ) : null}
+      {entry ? (
+        <div>
+          <strong>Seen:</strong> first {formatAlertAge(now - entry.firstSeenAt)}, in {entry.polls}{' '}
+          {entry.polls === 1 ? 'update' : 'updates'}
+        </div>
+      ) : null}
+    </>
+  );
+}
+
+function UserLayerItemDetails({ item }) {
+  // Camera files (SCDB) carry the same fields as the built-in speed cameras.
+  if (item.cameraType) return <SpeedCameraDetails camera={item} />;
+  // A few of the file's own fields, skipping the ones already shown.
+  const props = Object.entries(item.props || {})
+    .filter(([, value]) => value !== '' && value !== null && typeof value !== 'object' && item.label !== value)
+    .slice(0, 6);
+
+  return (
+    <div>
+      {item.label ? <div>{item.label}</div> : null}
+      {item.desc && item.desc !== item.label ? <div className="Map-overlay-subtitle">{item.desc}</div> : null}
+      {props.map(([key, value]) => (
+        <div key={key}>
+          <strong>{key}:</strong> {String(value)}
+        </div>
+      ))}
+    </div>
+  );
+}
+
 function App() {
-  const [warnings, setWarnings] = useState([]);
-  const audioRef = useRef(null);
+  // Settings and view restored from the URL hash, falling back to the last session.
+  const [initialView] = useState(resolveInitialViewState);
+  const [warningHistory, setWarningHistory] = useState(loadWarningHistory);
+  const [replayAt, setReplayAt] = useState(null); // null = live, otherwise a timestamp (ms)
   const [mapInstance, setMapInstance] = useState(null);
   const [mapBounds, setMapBounds] = useState(null);
-  const [mapZoom, setMapZoom] = useState(4);
-  const [showWazeBoxes, setShowWazeBoxes] = useState(false);
-  const [wazeEnvMode, setWazeEnvMode] = useState('auto'); // 'auto' | 'na' | 'row'
-  const [mapStyle, setMapStyle] = useState('osm'); // 'cartoLight' | 'cartoDark' | 'cartoVoyager' | 'osm'
-
-  const [policeAlerts, setPoliceAlerts] = useState([]);
-  const [policeLoading, setPoliceLoading] = useState(false);
-  const [policeError, setPoliceError] = useState('');
-  const [policeLastUpdatedAt, setPoliceLastUpdatedAt] = useState(null);
-  const policeBackoffUntilRef = useRef(0);
-  const policeLastFetchAtRef = useRef(0);
-  const policeLastQueryKeyRef = useRef('');
-
-  const [showSpeedRadars, setShowSpeedRadars] = useState(true);
-  const [speedRadarsWorld, setSpeedRadarsWorld] = useState([]);
-  const [speedRadarsWorldError, setSpeedRadarsWorldError] = useState('');
-  const [speedRadarsWorldName, setSpeedRadarsWorldName] = useState('');
-  const [speedRadarsWorldLoading, setSpeedRadarsWorldLoading] = useState(false);
+  const [mapZoom, setMapZoom] = useState(initialView.zoom ?? 4);
+  const [showWazeBoxes, setShowWazeBoxes] = useState(initialView.showWazeBoxes);
+  const [wazeEnvMode, setWazeEnvMode] = useState(initialView.wazeEnvMode); // 'auto' | 'na' | 'row'
+  const [mapStyle, setMapStyle] = useState(initialView.mapStyle); // 'cartoLight' | 'cartoDark' | 'cartoVoyager' | 'osm'
+  const [showSpeedRadars, setShowSpeedRadars] = useState(initialView.showSpeedRadars);
+  const [showHazardList, setShowHazardList] = useState(initialView.showHazardList);
+  const [showModeration, setShowModeration] = useState(false);
+  const [showPoliceHeatmap, setShowPoliceHeatmap] = useState(initialView.showPoliceHeatmap);
+  const [minWazeConfidence, setMinWazeConfidence] = useState(initialView.minWazeConfidence);
+  const [maxWazeAgeMinutes, setMaxWazeAgeMinutes] = useState(initialView.maxWazeAgeMinutes);
+  const [wazeRefreshSeconds, setWazeRefreshSeconds] = useState(initialView.wazeRefreshSeconds);
+  // Leaflet markers by hazard list row key, so a row can open its marker's popup.
+  const markerRefs = useRef(new Map());
+  const registerMarker = useCallback(
+    (key) => (marker) => {
+      if (marker) markerRefs.current.set(key, marker);
+      else markerRefs.current.delete(key);
+    },
+    []
+  );
 
-  useEffect(() => {
-    let isMounted = true;
+  const watchZones = useWatchZones();
+  // The planned route for the route source; the planner itself needs the sources' hazards.
+  const [routeQuery, setRouteQuery] = useState(null); // { points, bufferMeters } | null
 
-    const fetchWarnings = async () => {
-      if (!AUTH_TOKEN) {
-        // Fail fast in console if token is not configured
-        console.error('Missing REACT_APP_X_AUTH environment variable');
-        return;
-      }
+  const sourceContext = useMemo(
+    () => ({ bounds: mapBounds, zoom: mapZoom, wazeEnvMode, watchZones: watchZones.zones, route: routeQuery }),
+    [mapBounds, mapZoom, routeQuery, wazeEnvMode, watchZones.zones]
+  );
+  const sources = useSources(sourceRegistry.list(), sourceContext);
 
-      try {
-        const res = await fetch(API_URL, {
-          headers: {
-            'X-Auth': AUTH_TOKEN,
-          },
-        });
-
-        if (!res.ok) {
-          console.error('Failed to fetch warning messages:', res.status, res.statusText);
-          return;
-        }
-
-        const data = await res.json();
-        if (!isMounted || !Array.isArray(data)) return;
-
-        // Keep a "session" of current markers and only add/remove changed ones
-        setWarnings((prev) => {
-          const prevById = new Map(prev.map((w) => [w.id, w]));
-          const next = [];
-
-          for (const item of data) {
-            if (!item || !item.point || item.point.length !== 2) continue;
-
-            const id = `${item.userId}-${item.url}-${item.created}`;
-            const existing = prevById.get(id);
-
-            const warning = existing || {
-              id,
-              userId: item.userId,
-              url: item.url,
-              point: item.point,
-              created: item.created,
-            };
-
-            next.push(warning);
-          }
+  const zoneAlertsSource = sources.get(BUILT_IN_SOURCE_IDS.watchZones);
+  const zonesPolledRef = useRef(false);
+  useEffect(() => {
+    // The zone poll runs on a fixed interval; a new or changed zone shouldn't wait for it.
+    if (zonesPolledRef.current) sources.refresh(BUILT_IN_SOURCE_IDS.watchZones);
+    zonesPolledRef.current = true;
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [watchZones.zones]);
 
-          // Any items that disappeared from the API response will be dropped here,
-          // so they are removed from the map automatically.
-          return next;
-        });
-      } catch (err) {
-        console.error('Error fetching warning messages:', err);
-      }
-    };
+  const routeAlertsSource = sources.get(BUILT_IN_SOURCE_IDS.route);
+  const routePolledRef = useRef(false);
+  useEffect(() => {
+    // Likewise for a newly planned (or cleared) route.
+    if (routePolledRef.current) sources.refresh(BUILT_IN_SOURCE_IDS.route);
+    routePolledRef.current = true;
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [routeQuery]);
+
+  const warningsSource = sources.get(BUILT_IN_SOURCE_IDS.warnings);
+  const moderation = useModeration();
+  // Everything downstream (markers, lists, routes, zones) only sees what moderators left up;
+  // the replay history records the feed itself and is moderated when displayed.
+  const warnings = useMemo(
+    () => applyModeration(warningsSource.items, moderation.decisions, moderation.checkedAt),
+    [moderation.checkedAt, moderation.decisions, warningsSource.items]
+  );
+  const warningReports = useWarningReports({
+    warnings,
+    token: moderation.moderator ? moderation.token : '',
+    // Picks up the new warning even when the push channel is down.
+    onSent: () => sources.refresh(BUILT_IN_SOURCE_IDS.warnings),
+  });
+
+  const wazeSource = sources.get(BUILT_IN_SOURCE_IDS.waze);
+  const wazeAlerts = wazeSource.items;
+  const wazeLoading = wazeSource.loading;
+  const wazeError = wazeSource.error;
+  const wazeLastUpdatedAt = wazeSource.lastUpdatedAt;
+  const [hiddenWazeCategories, setHiddenWazeCategories] = useState(initialView.hiddenWazeCategories);
+  const [hiddenWazeSubtypes, setHiddenWazeSubtypes] = useState(initialView.hiddenWazeSubtypes); // 'category:SUBTYPE'
+  const policeHistory = usePoliceHistory(wazeSource);
+  const alertLifecycle = useAlertLifecycle(wazeSource, mapBounds);
+  const wazeAutoRefresh = useAutoRefresh({
+    intervalMs: wazeRefreshSeconds * 1000,
+    lastUpdatedAt: wazeLastUpdatedAt,
+    backoffUntil: wazeSource.backoffUntil,
+    live: wazeSource.push === 'live',
+    onRefresh: () => sources.refresh(BUILT_IN_SOURCE_IDS.waze),
+  });
 
-    // Initial load
-    fetchWarnings();
-    // Poll every 60 seconds
-    const intervalId = setInterval(fetchWarnings, 60_000);
+  const speedRadarsProvider = sourceRegistry.get(BUILT_IN_SOURCE_IDS.speedCameras);
+  const speedRadarsSource = sources.get(BUILT_IN_SOURCE_IDS.speedCameras);
+  const speedRadarsWorld = speedRadarsSource.items;
+  const speedRadarsWorldError = speedRadarsSource.error;
+  const speedRadarsWorldName = speedRadarsProvider.fileName;
+  // Treat "not fetched yet" as loading so progress shows from the first render.
+  const speedRadarsWorldLoading =
+    speedRadarsSource.loading || (!speedRadarsSource.lastUpdatedAt && !speedRadarsSource.error);
+  const speedRadarsWorldProgress = speedRadarsSource.progress;
+  const speedRadarsCacheNote =
+    speedRadarsWorldProgress?.cache === 'stale'
+      ? ` • offline copy from ${formatStaleSince(speedRadarsWorldProgress.cachedAt)}`
+      : speedRadarsWorldProgress?.cache === 'hit'
+        ? ' • unchanged, from cache'
+        : '';
+  const [hiddenSpeedCameraTypes, setHiddenSpeedCameraTypes] = useState(initialView.hiddenSpeedCameraTypes);
+  const visibleSpeedRadars = useMemo(
+    () => speedRadarsWorld.filter((c) => !hiddenSpeedCameraTypes.includes(c.cameraType)),
+    [hiddenSpeedCameraTypes, speedRadarsWorld]
+  );
 
-    return () => {
-      isMounted = false;
-      clearInterval(intervalId);
-    };
+  const extraSources = useMemo(() => {
+    const builtIn = new Set(Object.values(BUILT_IN_SOURCE_IDS));
+    return sourceRegistry.list().filter((p) => !builtIn.has(p.id));
   }, []);
 
   useEffect(() => {
-    // Load worldwide radars by default from public/SCDB_Speed.csv
-    let isMounted = true;
-    const controller = new AbortController();
-
-    const run = async () => {
-      setSpeedRadarsWorldError('');
-      setSpeedRadarsWorldLoading(true);
-      try {
-        const res = await fetch(SPEED_RADARS_WORLD_CSV_URL, { signal: controller.signal });
-        if (!res.ok) throw new Error(`Failed to load speed radars CSV (world) (${res.status})`);
-        const text = await res.text();
-        const parsed = parseSpeedRadarCsv(text);
-        if (isMounted) {
-          setSpeedRadarsWorld(parsed);
-          setSpeedRadarsWorldName('SCDB_Speed.csv');
-        }
-      } catch (err) {
-        if (!controller.signal.aborted && isMounted) {
-          setSpeedRadarsWorldError(err?.message || 'Failed to load speed radars (world)');
-        }
-      } finally {
-        if (!controller.signal.aborted && isMounted) setSpeedRadarsWorldLoading(false);
-      }
-    };
-
-    run();
-
-    return () => {
-      isMounted = false;
-      controller.abort();
-    };
-  }, []);
+    // Remember every warning we've seen so it can be replayed later. The feed as
+    // received, not the moderated list: hiding a warning is not the feed dropping it.
+    if (!warningsSource.lastUpdatedAt) return;
+    const now = warningsSource.lastUpdatedAt;
+    setWarningHistory((prev) =>
+      pruneByLastSeen(mergeWarningsIntoHistory(prev, warningsSource.items, now), now, WARNING_HISTORY_RETENTION)
+    );
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [warningsSource.lastUpdatedAt]);
 
   useEffect(() => {
-    if (!mapBounds) return;
-
-    const controller = new AbortController();
-    const debounceMs = 650;
-    let timeoutId = null;
-
-    const run = async () => {
-      const now = Date.now();
-      if (now < policeBackoffUntilRef.current) {
-        const waitSec = Math.ceil((policeBackoffUntilRef.current - now) / 1000);
-        setPoliceError(`Rate limited by Waze (429). Retrying in ~${waitSec}s…`);
-        setPoliceLoading(false);
-        return;
-      }
+    saveWarningHistory(warningHistory);
+  }, [warningHistory]);
 
-      if (now - policeLastFetchAtRef.current < MIN_WAZE_FETCH_INTERVAL_MS) {
-        // Too soon since last successful attempt; skip to avoid 429.
-        return;
-      }
+  const displayedWarnings = useMemo(() => {
+    return replayAt === null
+      ? mergeReportedWarnings(warnings, warningReports.reports)
+      : applyModeration(getWarningsAt(warningHistory, replayAt), moderation.decisions, moderation.checkedAt);
+  }, [moderation.checkedAt, moderation.decisions, replayAt, warningHistory, warningReports.reports, warnings]);
 
-      setPoliceLoading(true);
-      setPoliceError('');
-
-      try {
-        const env = wazeEnvMode === 'auto' ? inferWazeEnvFromBounds(mapBounds) : wazeEnvMode;
-        const { requestBoxes } = buildWazeTileSnappedQuery(mapBounds, mapZoom);
-        const queryKey = JSON.stringify(requestBoxes.map((b) => ({
-          top: Number(b.top.toFixed(5)),
-          bottom: Number(b.bottom.toFixed(5)),
-          left: Number(b.left.toFixed(5)),
-          right: Number(b.right.toFixed(5)),
-        }))).concat(`|env=${env}`);
-
-        if (queryKey === policeLastQueryKeyRef.current) {
-          // No meaningful change in snapped bbox; avoid hammering.
-          setPoliceLoading(false);
-          return;
-        }
-
-        policeLastQueryKeyRef.current = queryKey;
-
-        const urls = buildWazeAlertsUrlsFromBoxes(requestBoxes, env);
-        const responses = await Promise.all(
-          urls.map((url) =>
-            fetch(url, {
-              signal: controller.signal,
-              headers: {
-                Accept: 'application/json',
-              },
-            })
-          )
-        );
-
-        for (const res of responses) {
-          if (!res.ok) {
-            if (res.status === 429) {
-              const retryAfter = res.headers.get('retry-after');
-              const backoffMs = parseRetryAfterToMs(retryAfter);
-              policeBackoffUntilRef.current = Date.now() + backoffMs;
-              throw new Error('Waze rate limit hit (429)');
-            }
-            throw new Error(`Waze request failed (${res.status})`);
-          }
-        }
-
-        const payloads = await Promise.all(responses.map((r) => r.json()));
-        const alerts = payloads.flatMap((data) => (Array.isArray(data?.alerts) ? data.alerts : []));
-
-        const police = alerts
-          .filter(isPoliceAlert)
-          .map((a) => {
-            const lat = a?.location?.y;
-            const lng = a?.location?.x;
-            if (typeof lat !== 'number' || typeof lng !== 'number') return null;
-
-            return {
-              id:
-                a?.uuid ||
-                a?.id ||
-                `${a?.type || 'unknown'}-${lng}-${lat}-${a?.pubMillis || ''}`,
-              uuid: a?.uuid || null,
-              type: a?.type || '',
-              subtype: a?.subtype || '',
-              street: a?.street || '',
-              city: a?.city || '',
-              pubMillis: a?.pubMillis || null,
-              location: { lat, lng },
-              raw: a,
-            };
-          })
-          .filter(Boolean);
-
-        if (!controller.signal.aborted) {
-          // Dedupe by id/uuid in case we had to split requests over dateline
-          const byId = new Map(police.map((p) => [p.id, p]));
-          setPoliceAlerts(Array.from(byId.values()));
-          setPoliceLastUpdatedAt(Date.now());
-          policeLastFetchAtRef.current = Date.now();
-        }
-      } catch (err) {
-        if (controller.signal.aborted) return;
-        if (String(err?.message || '').includes('429')) {
-          const now = Date.now();
-          const waitSec = Math.ceil((policeBackoffUntilRef.current - now) / 1000);
-          setPoliceError(`Rate limited by Waze (429). Retrying in ~${Math.max(waitSec, 1)}s…`);
-        } else {
-          setPoliceError(err?.message || 'Failed to load police alerts');
-        }
-      } finally {
-        if (!controller.signal.aborted) setPoliceLoading(false);
-      }
-    };
+  const warningsInView = useMemo(() => {
+    if (!mapBounds) return [];
+    return displayedWarnings.filter((w) => mapBounds.contains([w.location.lat, w.location.lng]));
+  }, [displayedWarnings, mapBounds]);
 
-    timeoutId = setTimeout(run, debounceMs);
+  const audioPlayer = useAudioPlayer(warningsInView);
 
-    return () => {
-      controller.abort();
-      if (timeoutId) clearTimeout(timeoutId);
+  // Default view: the saved/shared one; otherwise Europe-wide, or the first warning if we have one
+  const hasWarnings = warnings.length > 0;
+  const center = initialView.center || (hasWarnings ? [warnings[0].point[0], warnings[0].point[1]] : [54.0, 15.0]);
+  const zoom = initialView.zoom ?? (hasWarnings ? 8 : 4);
+
+  const viewState = useMemo(() => {
+    const c = mapInstance && mapBounds ? mapInstance.getCenter() : null;
+    return {
+      center: c ? [c.lat, normalizeLng(c.lng)] : null,
+      zoom: mapZoom,
+      mapStyle,
+      wazeEnvMode,
+      showWazeBoxes,
+      showSpeedRadars,
+      hiddenWazeCategories,
+      hiddenWazeSubtypes,
+      hiddenSpeedCameraTypes,
+      showHazardList,
+      showPoliceHeatmap,
+      minWazeConfidence,
+      maxWazeAgeMinutes,
+      wazeRefreshSeconds,
     };
-  }, [mapBounds, mapZoom, wazeEnvMode]);
+  }, [
+    hiddenSpeedCameraTypes,
+    hiddenWazeCategories,
+    hiddenWazeSubtypes,
+    mapBounds,
+    mapInstance,
+    mapStyle,
+    mapZoom,
+    maxWazeAgeMinutes,
+    minWazeConfidence,
+    showHazardList,
+    showPoliceHeatmap,
+    showSpeedRadars,
+    showWazeBoxes,
+    wazeEnvMode,
+    wazeRefreshSeconds,
+  ]);
+
+  const applyViewState = useCallback(
+    (next) => {
+      if (next.mapStyle !== undefined) setMapStyle(next.mapStyle);
+      if (next.wazeEnvMode !== undefined) setWazeEnvMode(next.wazeEnvMode);
+      if (next.showWazeBoxes !== undefined) setShowWazeBoxes(next.showWazeBoxes);
+      if (next.showSpeedRadars !== undefined) setShowSpeedRadars(next.showSpeedRadars);
+      if (next.showPoliceHeatmap !== undefined) setShowPoliceHeatmap(next.showPoliceHeatmap);
+      if (next.hiddenWazeCategories !== undefined) setHiddenWazeCategories(next.hiddenWazeCategories);
+      if (next.center && mapInstance) {
+        mapInstance.setView(next.center, next.zoom ?? mapInstance.getZoom(), { animate: false });
+      }
+    },
+    [mapInstance]
+  );
 
-  // Default view: Europe-wide; if we have warnings, center & zoom in on the first one
-  const hasWarnings = warnings.length > 0;
-  const center = hasWarnings ? [warnings[0].point[0], warnings[0].point[1]] : [54.0, 15.0];
-  const zoom = hasWarnings ? 8 : 4;
-
-  const policeSubtitle = useMemo(() => {
-    const ts = policeLastUpdatedAt ? new Date(policeLastUpdatedAt).toLocaleTimeString() : '';
-    if (policeLoading) return 'Loading…';
-    if (policeError) return policeError;
-    if (!policeLastUpdatedAt) return 'Waiting for map…';
-    if (policeAlerts.length === 0) return ts ? `No police in this view (updated ${ts})` : 'No police in this view';
+  useViewStateSync(viewState, applyViewState);
+
+  const wazeSubtitle = useMemo(() => {
+    const ts = wazeLastUpdatedAt ? new Date(wazeLastUpdatedAt).toLocaleTimeString() : '';
+    if (wazeLoading) return 'Loading…';
+    if (wazeError) return wazeError;
+    if (!wazeLastUpdatedAt) return 'Waiting for map…';
+    if (wazeAlerts.length === 0) return ts ? `No alerts in this view (updated ${ts})` : 'No alerts in this view';
     return ts ? `Updated ${ts}` : 'Updated';
-  }, [policeAlerts.length, policeError, policeLastUpdatedAt, policeLoading]);
+  }, [wazeAlerts.length, wazeError, wazeLastUpdatedAt, wazeLoading]);
+
+  const visibleWazeAlerts = useMemo(() => {
+    const thresholds = { minConfidence: minWazeConfidence, maxAgeMinutes: maxWazeAgeMinutes };
+    const now = Date.now();
+    return wazeAlerts.filter(
+      (a) =>
+        !hiddenWazeCategories.includes(a.kind) &&
+        !hiddenWazeSubtypes.includes(getWazeSubtypeFilterKey(a)) &&
+        passesAlertThresholds(a, alertLifecycle[a.id], thresholds, now)
+    );
+  }, [alertLifecycle, hiddenWazeCategories, hiddenWazeSubtypes, maxWazeAgeMinutes, minWazeConfidence, wazeAlerts]);
 
-  const policeClusters = useMemo(() => {
-    return clusterPoliceAlerts(policeAlerts, POLICE_CLUSTER_RADIUS_METERS);
-  }, [policeAlerts]);
+  const recentlyVanishedCount = useMemo(
+    () => countRecentlyVanished(alertLifecycle, Date.now(), RECENTLY_VANISHED_MS),
+    [alertLifecycle]
+  );
+
+  const wazeClusterIndexes = useMemo(() => {
+    // Cluster each category separately so a crash next to a police car keeps both markers.
+    return WAZE_ALERT_CATEGORIES.map((category) => ({
+      category: category.id,
+      index: createClusterIndex(
+        visibleWazeAlerts.filter((a) => a.kind === category.id),
+        { pickPrimary: pickLatestReport }
+      ),
+    }));
+  }, [visibleWazeAlerts]);
+
+  const wazeClusters = useMemo(() => {
+    return wazeClusterIndexes.flatMap(({ category, index }) =>
+      index.getClusters(null, mapZoom).map((c) => ({ ...c, category }))
+    );
+  }, [mapZoom, wazeClusterIndexes]);
+
+  const speedRadarIndex = useMemo(() => createGridIndex(visibleSpeedRadars), [visibleSpeedRadars]);
+  const speedRadarClusterIndex = useMemo(
+    () => createClusterIndex(visibleSpeedRadars, { minZoom: MIN_SPEED_RADAR_RENDER_ZOOM }),
+    [visibleSpeedRadars]
+  );
 
   const speedRadarsInView = useMemo(() => {
-    const active = speedRadarsWorld;
-    if (!showSpeedRadars) return { clusters: [], inViewCount: 0, tooMany: false };
-    if (!mapBounds) return { clusters: [], inViewCount: 0, tooMany: false };
-    if (mapZoom < MIN_SPEED_RADAR_RENDER_ZOOM) return { clusters: [], inViewCount: 0, tooMany: false };
-    if (speedRadarsWorldLoading) return { clusters: [], inViewCount: 0, tooMany: false };
-
-    // Only render points in current viewport (performance for worldwide CSV)
-    const visible = [];
-    let inViewCount = 0;
-    for (const p of active) {
-      if (isPointInBoundsPadded(p, mapBounds, SPEED_RADAR_VIEW_PADDING_METERS)) {
-        inViewCount += 1;
-        if (visible.length <= MAX_VISIBLE_SPEED_RADARS) visible.push(p);
-        if (inViewCount > MAX_VISIBLE_SPEED_RADARS) {
-          // Don't render partial results; force the user to zoom in for a smaller viewport.
-          return { clusters: [], inViewCount, tooMany: true };
-        }
-      }
+    const empty = { clusters: [], density: [], inViewCount: 0 };
+    if (!showSpeedRadars) return empty;
+    if (!mapBounds) return empty;
+
+    // While the CSV is still loading this works on the partial list published so far.
+    const box = getPaddedBox(mapBounds, SPEED_RADAR_VIEW_PADDING_METERS);
+    if (mapZoom < MIN_SPEED_RADAR_RENDER_ZOOM) {
+      // Zoomed out: show how many cameras each area has instead of individual markers.
+      const density = speedRadarIndex.density(box, mapZoom);
+      return { clusters: [], density, inViewCount: density.reduce((sum, d) => sum + d.count, 0) };
     }
+
+    // Only render clusters in current viewport (performance for worldwide CSV)
+    const clusters = speedRadarClusterIndex.getClusters(box, mapZoom);
     return {
-      clusters: clusterPoints(visible, SPEED_RADAR_CLUSTER_RADIUS_METERS),
-      inViewCount,
-      tooMany: false,
+      clusters,
+      density: [],
+      inViewCount: clusters.reduce((sum, c) => sum + c.count, 0),
     };
-  }, [mapBounds, mapZoom, showSpeedRadars, speedRadarsWorld, speedRadarsWorldLoading]);
+  }, [mapBounds, mapZoom, showSpeedRadars, speedRadarClusterIndex, speedRadarIndex]);
+
+  const userLayers = useUserLayers();
+
+  const userLayerClusterIndexes = useMemo(
+    () =>
+      userLayers.layers
+        .filter((layer) => layer.visible)
+        .map((layer) => ({ layer, index: createClusterIndex(layer.items) })),
+    [userLayers.layers]
+  );
+
+  const userLayerClusters = useMemo(() => {
+    if (!mapBounds) return [];
+    const box = getPaddedBox(mapBounds, USER_LAYER_VIEW_PADDING_METERS);
+    return userLayerClusterIndexes.flatMap(({ layer, index }) =>
+      index.getClusters(box, mapZoom).map((c) => ({ ...c, layer }))
+    );
+  }, [mapBounds, mapZoom, userLayerClusterIndexes]);
+
+  const driveHazards = useMemo(() => {
+    // Individual reports rather than clusters: cluster ids change with the zoom level.
+    // Everything is already in the common hazard shape.
+    const police = visibleWazeAlerts.filter((a) => a.kind === 'police');
+    const extra = extraSources.flatMap((p) => sources.get(p.id).items);
+    return [
+      ...police,
+      ...(showSpeedRadars ? visibleSpeedRadars : []),
+      ...warnings,
+      ...extra,
+      ...userLayers.visibleItems,
+    ];
+  }, [
+    extraSources,
+    showSpeedRadars,
+    sources,
+    userLayers.visibleItems,
+    visibleSpeedRadars,
+    visibleWazeAlerts,
+    warnings,
+  ]);
+
+  const drive = useDriveMode(driveHazards);
+
+  const routeHazards = useMemo(() => {
+    // Speed cameras count even with their layer hidden: a trip plan shouldn't depend on it.
+    // Police from the view and from along the route, once each: both carry the same Waze ids.
+    const police = new Map();
+    for (const a of [...visibleWazeAlerts, ...routeAlertsSource.items]) {
+      if (a.kind === 'police' && !police.has(a.id)) police.set(a.id, a);
+    }
+    return [...police.values(), ...visibleSpeedRadars, ...warnings, ...userLayers.visibleItems];
+  }, [routeAlertsSource.items, userLayers.visibleItems, visibleSpeedRadars, visibleWazeAlerts, warnings]);
+
+  const routePlanner = useRoutePlanner(routeHazards);
+  useEffect(() => {
+    setRouteQuery(
+      routePlanner.route ? { points: routePlanner.route.points, bufferMeters: routePlanner.bufferMeters } : null
+    );
+  }, [routePlanner.bufferMeters, routePlanner.route]);
+
+  const zoneHazards = useMemo(
+    // Everything Waze returned for the view or the zones (not only the categories shown), plus live warnings.
+    () => [...wazeAlerts, ...zoneAlertsSource.items, ...warnings],
+    [wazeAlerts, warnings, zoneAlertsSource.items]
+  );
+
+  const showZoneEvent = useCallback(
+    ({ hazard }) => mapInstance?.flyTo([hazard.location.lat, hazard.location.lng], Math.max(mapInstance.getZoom(), 15)),
+    [mapInstance]
+  );
+
+  const zoneNotifications = useZoneNotifications(watchZones.zones, zoneHazards, showZoneEvent);
+
+  const hazardListRows = useMemo(() => {
+    if (!mapBounds) return [];
+    const inView = (loc) => mapBounds.contains([loc.lat, loc.lng]);
+    return buildHazardListRows({
+      warnings: warningsInView,
+      wazeClusters: wazeClusters.filter((c) => inView(c.center)),
+      speedCameraClusters: speedRadarsInView.clusters.filter((c) => inView(c.center)),
+    });
+  }, [mapBounds, speedRadarsInView.clusters, warningsInView, wazeClusters]);
+
+  const exportScope = useMemo(() => {
+    // Individual hazards as filtered on the map, limited to the current view.
+    if (!mapBounds) return { count: 0, getItems: () => [] };
+    const inView = (loc) => mapBounds.contains([loc.lat, loc.lng]);
+    const box = {
+      south: mapBounds.getSouth(),
+      west: mapBounds.getWest(),
+      north: mapBounds.getNorth(),
+      east: mapBounds.getEast(),
+    };
+    const waze = visibleWazeAlerts.filter((a) => inView(a.location));
+    const cameraCount = showSpeedRadars ? speedRadarIndex.query(box, 0).count : 0;
+    const layerItems = userLayers.visibleItems.filter((item) => inView(item.location));
+    return {
+      count: waze.length + warningsInView.length + cameraCount + layerItems.length,
+      getItems: () => [
+        ...waze,
+        ...(showSpeedRadars ? speedRadarIndex.query(box).items : []),
+        ...warningsInView,
+        ...layerItems,
+      ],
+    };
+  }, [mapBounds, showSpeedRadars, speedRadarIndex, userLayers.visibleItems, visibleWazeAlerts, warningsInView]);
+
+  const mapCenter = useMemo(
+    () => (mapInstance && mapBounds ? mapInstance.getCenter() : null),
+    [mapBounds, mapInstance]
+  );
+
+  const focusHazardRow = useCallback(
+    (row) => {
+      if (!mapInstance) return;
+      // Same as clicking the marker: clusters that split further zoom in instead of opening a popup.
+      if (row.cluster && canExpandCluster(row.cluster, mapInstance)) {
+        zoomToCluster(row.cluster, mapInstance);
+        return;
+      }
+      mapInstance.once('moveend', () => markerRefs.current.get(row.key)?.openPopup());
+      mapInstance.flyTo([row.location.lat, row.location.lng], mapInstance.getZoom());
+    },
+    [mapInstance]
+  );
 
   const boundsSubtitle = useMemo(() => {
     const b = getNormalizedBoundsForDisplay(mapBounds);
@@ -781,24 +646,51 @@ function App() {
     return wazeEnvMode === 'auto' ? inferWazeEnvFromBounds(mapBounds) : wazeEnvMode;
   }, [mapBounds, wazeEnvMode]);
 
+  // Reference time for alert ages; every map move or source update re-renders, which is often enough.
+  const renderedAt = Date.now();
+
   return (
     <div className="App">
-      <div className="Map-wrapper">
-        {speedRadarsWorldLoading ? (
-          <div className="Map-preload">
-            <div className="Map-preload-card">
-              <div className="Map-preload-title">Loading speed radars…</div>
-              <div className="Map-preload-subtitle">
-                Parsing worldwide CSV ({speedRadarsWorldName || 'SCDB_Speed.csv'}). This can take a few seconds.
-              </div>
-            </div>
-          </div>
+      <div className="Map-wrapper" {...userLayers.dropProps}>
+        {userLayers.dragging ? (
+          <div className="Map-dropzone">Drop GPX, KML, GeoJSON or CSV files to add layers</div>
         ) : null}
         <div className="Map-overlay">
-          <div className="Map-overlay-title">Waze police alerts</div>
+          <div className="Map-overlay-title">Driver warnings</div>
           <div className="Map-overlay-row">
             <span className="Map-overlay-label">Markers</span>
-            <span className="Map-overlay-value">{policeClusters.length}</span>
+            <span className="Map-overlay-value">{displayedWarnings.length}</span>
+          </div>
+          <div className="Map-overlay-row">
+            <span className="Map-overlay-label">Updates</span>
+            <span className="Map-overlay-value">{formatPushStatus(warningsSource.push)}</span>
+          </div>
+          <AudioQueueControls player={audioPlayer} inViewCount={warningsInView.length} />
+          <div className="Map-overlay-actions">
+            <button
+              type="button"
+              className="Map-overlay-button"
+              aria-pressed={showModeration}
+              onClick={() => setShowModeration((v) => !v)}
+            >
+              <i className="mdi mdi-shield-account-outline" /> Moderate
+            </button>
+          </div>
+          {warningsSource.error ? (
+            <div className="Map-overlay-subtitle is-error">{warningsSource.error}</div>
+          ) : null}
+          {warningsSource.stale ? (
+            <div className="Map-overlay-subtitle is-stale">
+              Offline: showing warnings from {formatStaleSince(warningsSource.staleSince)}
+            </div>
+          ) : null}
+          <div className="Map-overlay-divider" />
+          <WarningReportPanel reports={warningReports} />
+          <div className="Map-overlay-divider" />
+          <div className="Map-overlay-title">Waze alerts</div>
+          <div className="Map-overlay-row">
+            <span className="Map-overlay-label">Markers</span>
+            <span className="Map-overlay-value">{wazeClusters.length}</span>
           </div>
           <div className="Map-overlay-row">
             <label className="Map-overlay-label" htmlFor="waze-env">
@@ -860,9 +752,86 @@ function App() {
               onChange={(e) => setShowWazeBoxes(e.target.checked)}
             />
           </div>
-          <div className={`Map-overlay-subtitle ${policeError ? 'is-error' : ''}`}>
-            {policeSubtitle}
+          <div className="Map-overlay-row">
+            <label className="Map-overlay-label" htmlFor="waze-refresh">
+              Auto-refresh
+            </label>
+            <select
+              id="waze-refresh"
+              value={wazeRefreshSeconds}
+              onChange={(e) => setWazeRefreshSeconds(Number(e.target.value))}
+            >
+              {WAZE_REFRESH_INTERVALS_SEC.map((seconds) => (
+                <option key={seconds} value={seconds}>
+                  {formatRefreshInterval(seconds)}
+                </option>
+              ))}
+            </select>
           </div>
+          <div className="Map-overlay-row">
+            <span className="Map-overlay-subtitle">{formatAutoRefresh(wazeAutoRefresh, wazeLoading)}</span>
+            <button
+              type="button"
+              className="Map-overlay-button"
+              onClick={wazeAutoRefresh.refreshNow}
+              disabled={wazeLoading || !mapBounds}
+            >
+              <i className="mdi mdi-refresh" /> Refresh now
+            </button>
+          </div>
+          <WazeAlertFilters
+            alerts={wazeAlerts}
+            hiddenCategories={hiddenWazeCategories}
+            hiddenSubtypes={hiddenWazeSubtypes}
+            onHiddenCategoriesChange={setHiddenWazeCategories}
+            onHiddenSubtypesChange={setHiddenWazeSubtypes}
+          />
+          <div className="Map-overlay-row">
+            <label className="Map-overlay-label" htmlFor="waze-min-confidence">
+              Min. confidence
+            </label>
+            <select
+              id="waze-min-confidence"
+              value={minWazeConfidence}
+              onChange={(e) => setMinWazeConfidence(Number(e.target.value))}
+            >
+              {WAZE_CONFIDENCE_THRESHOLDS.map((o) => (
+                <option key={o.value} value={o.value}>
+                  {o.label}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div className="Map-overlay-row">
+            <label className="Map-overlay-label" htmlFor="waze-max-age">
+              Max. age
+            </label>
+            <select
+              id="waze-max-age"
+              value={maxWazeAgeMinutes}
+              onChange={(e) => setMaxWazeAgeMinutes(Number(e.target.value))}
+            >
+              {WAZE_MAX_AGE_OPTIONS.map((o) => (
+                <option key={o.value} value={o.value}>
+                  {o.label}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div className={`Map-overlay-subtitle ${wazeError ? 'is-error' : ''}`}>
+            {wazeSubtitle}
+            {wazeSource.push ? ` · ${formatPushStatus(wazeSource.push)}` : ''}
+          </div>
+          {wazeSource.stale ? (
+            <div className="Map-overlay-subtitle is-stale">
+              Offline: showing last known alerts from {formatStaleSince(wazeSource.staleSince)}
+            </div>
+          ) : null}
+          {recentlyVanishedCount ? (
+            <div className="Map-overlay-subtitle">
+              {recentlyVanishedCount} {recentlyVanishedCount === 1 ? 'alert' : 'alerts'} vanished in the last 30 min
+            </div>
+          ) : null}
           <div className="Map-overlay-divider" />
           <div className="Map-overlay-title">Speed radars (world)</div>
           <div className="Map-overlay-row">
@@ -874,27 +843,48 @@ function App() {
               type="checkbox"
               checked={showSpeedRadars}
               onChange={(e) => setShowSpeedRadars(e.target.checked)}
-              disabled={speedRadarsWorldLoading}
             />
           </div>
+          <SpeedCameraFilters
+            cameras={speedRadarsWorld}
+            hiddenTypes={hiddenSpeedCameraTypes}
+            onHiddenTypesChange={setHiddenSpeedCameraTypes}
+            disabled={!showSpeedRadars}
+          />
           <div className="Map-overlay-row">
             <span className="Map-overlay-label">Markers</span>
             <span className="Map-overlay-value">
-              {showSpeedRadars ? speedRadarsInView.clusters.length : 0}
+              {showSpeedRadars ? speedRadarsInView.clusters.length + speedRadarsInView.density.length : 0}
             </span>
           </div>
           {speedRadarsWorldError ? (
             <div className="Map-overlay-subtitle is-error">{speedRadarsWorldError}</div>
           ) : speedRadarsWorldLoading ? (
-            <div className="Map-overlay-subtitle">Loading speed radars…</div>
+            <div className="Map-overlay-subtitle">
+              {speedRadarsWorldProgress ? (
+                <>
+                  {/* Without a Content-Length the bar stays indeterminate. */}
+                  <progress
+                    className="Map-overlay-progress"
+                    value={speedRadarsWorldProgress.totalBytes ? speedRadarsWorldProgress.loadedBytes : undefined}
+                    max={speedRadarsWorldProgress.totalBytes || undefined}
+                  />
+                  Parsing {speedRadarsWorldName || 'SCDB_Speed.csv'}:{' '}
+                  {formatBytes(speedRadarsWorldProgress.loadedBytes)}
+                  {speedRadarsWorldProgress.totalBytes ? ` of ${formatBytes(speedRadarsWorldProgress.totalBytes)}` : ''}
+                  {' • '}
+                  {speedRadarsWorldProgress.rows.toLocaleString()} rows, {speedRadarsWorld.length.toLocaleString()}{' '}
+                  radars so far
+                </>
+              ) : (
+                'Loading speed radars…'
+              )}
+            </div>
           ) : speedRadarsWorld.length > 0 && showSpeedRadars ? (
-            mapZoom < MIN_SPEED_RADAR_RENDER_ZOOM ? (
+            speedRadarsInView.density.length ? (
               <div className="Map-overlay-subtitle">
-                loaded {speedRadarsWorld.length} radars ({speedRadarsWorldName || 'SCDB_Speed.csv'}) • zoom in to ≥{MIN_SPEED_RADAR_RENDER_ZOOM} to render
-              </div>
-            ) : speedRadarsInView.tooMany ? (
-              <div className="Map-overlay-subtitle is-error">
-                too many radars in view ({speedRadarsInView.inViewCount}). Zoom in or reduce the area.
+                loaded {speedRadarsWorld.length} radars ({speedRadarsWorldName || 'SCDB_Speed.csv'})
+                {speedRadarsCacheNote} • {speedRadarsInView.inViewCount} in view, shown as density • zoom in to see individual radars
               </div>
             ) : speedRadarsInView.inViewCount === 0 ? (
               <div className="Map-overlay-subtitle">
@@ -902,11 +892,65 @@ function App() {
               </div>
             ) : (
               <div className="Map-overlay-subtitle">
-                loaded {speedRadarsWorld.length} radars ({speedRadarsWorldName || 'SCDB_Speed.csv'}) • showing
-                {speedRadarsInView.clusters.length} markers (≤{SPEED_RADAR_CLUSTER_RADIUS_METERS}m)
+                loaded {speedRadarsWorld.length} radars ({speedRadarsWorldName || 'SCDB_Speed.csv'})
+                {speedRadarsCacheNote} • showing {speedRadarsInView.clusters.length} markers for {speedRadarsInView.inViewCount} radars
               </div>
             )
           ) : null}
+          <div className="Map-overlay-divider" />
+          <PoliceHeatmapPanel history={policeHistory} show={showPoliceHeatmap} onShowChange={setShowPoliceHeatmap} />
+          {extraSources.map((p) => {
+            const state = sources.get(p.id);
+            return (
+              <div key={p.id}>
+                <div className="Map-overlay-divider" />
+                <div className="Map-overlay-title">{p.label}</div>
+                <div className="Map-overlay-row">
+                  <span className="Map-overlay-label">Markers</span>
+                  <span className="Map-overlay-value">{state.items.length}</span>
+                </div>
+                {state.error ? <div className="Map-overlay-subtitle is-error">{state.error}</div> : null}
+              </div>
+            );
+          })}
+          <div className="Map-overlay-divider" />
+          <UserLayersPanel userLayers={userLayers} />
+          <div className="Map-overlay-divider" />
+          <ExportMenu count={exportScope.count} getItems={exportScope.getItems} />
+          <div className="Map-overlay-divider" />
+          <DriveModePanel drive={drive} />
+          <div className="Map-overlay-divider" />
+          <RoutePlannerPanel
+            planner={routePlanner}
+            policeSource={routeAlertsSource}
+            onStopClick={(stop) => {
+              const { lat, lng } = stop.primary.location;
+              mapInstance?.flyTo([lat, lng], Math.max(mapZoom, 15));
+            }}
+          />
+          <div className="Map-overlay-divider" />
+          <WatchZonesPanel
+            watchZones={watchZones}
+            notifications={zoneNotifications}
+            onShowZone={(zone) => {
+              const b = getZoneBounds(zone);
+              mapInstance?.fitBounds(
+                [
+                  [b.south, b.west],
+                  [b.north, b.east],
+                ],
+                { padding: [40, 40] }
+              );
+            }}
+            onShowEvent={showZoneEvent}
+          />
+          {zoneAlertsSource.error ? (
+            <div className="Map-overlay-subtitle is-error">{zoneAlertsSource.error}</div>
+          ) : null}
+          <div className="Map-overlay-divider" />
+          <RequestDiagnosticsPanel
+            sources={sourceRegistry.list().map((p) => ({ id: p.id, label: p.label, state: sources.get(p.id) }))}
+          />
           {boundsSubtitle ? <div className="Map-overlay-subtitle">{boundsSubtitle}</div> : null}
           {showWazeBoxes ? (
             <div className="Map-overlay-subtitle">
@@ -915,6 +959,30 @@ function App() {
           ) : null}
         </div>
 
+        <DriveModeBanner drive={drive} />
+        <DriveModeRecenter drive={drive} />
+
+        <HazardListPanel
+          rows={hazardListRows}
+          center={mapCenter}
+          open={showHazardList}
+          onOpenChange={setShowHazardList}
+          onSelect={focusHazardRow}
+          note={
+            showSpeedRadars && speedRadarsInView.density.length ? 'Zoom in to list individual speed cameras' : ''
+          }
+        />
+
+        {showModeration ? (
+          <ModerationConsole
+            moderation={moderation}
+            warnings={warningsSource.items}
+            player={audioPlayer}
+            onShow={(w) => mapInstance?.flyTo([w.location.lat, w.location.lng], Math.max(mapZoom, 15))}
+            onClose={() => setShowModeration(false)}
+          />
+        ) : null}
+
         <MapContainer
           center={center}
           zoom={zoom}
@@ -923,6 +991,8 @@ function App() {
           zoomSnap={1}
           zoomDelta={1}
           zoomControl={false}
+          // Long-press opens the report pin on iOS too, not only where browsers fire contextmenu themselves.
+          tapHold
           whenCreated={setMapInstance}
         >
           <MapInstanceBridge onMap={setMapInstance} />
@@ -968,111 +1038,217 @@ function App() {
               ))
             : null}
 
+          {showPoliceHeatmap ? <PoliceHeatmapLayer points={policeHistory.filtered} /> : null}
+
           {showSpeedRadars
-            ? speedRadarsInView.clusters.map((c) => (
+            ? speedRadarsInView.density.map((d) => (
                 <Marker
-                  key={`speed-${c.id}`}
-                  position={[c.center.lat, c.center.lng]}
-                  icon={speedCamMarkerIcon}
-                >
+                  key={`speed-density-${d.id}`}
+                  position={[d.center.lat, d.center.lng]}
+                  icon={buildDensityIcon(d.count)}
+                  title={`${d.count} speed radars`}
+                  eventHandlers={{
+                    click: () =>
+                      mapInstance?.fitBounds([
+                        [d.bounds.south, d.bounds.west],
+                        [d.bounds.north, d.bounds.east],
+                      ]),
+                  }}
+                />
+              ))
+            : null}
+
+          {showSpeedRadars
+            ? speedRadarsInView.clusters.map((c) => {
+                const expandable = canExpandCluster(c, mapInstance);
+                return (
+                  <Marker
+                    key={`speed-${c.id}`}
+                    ref={registerMarker(`speed:${c.id}`)}
+                    position={[c.center.lat, c.center.lng]}
+                    icon={getSpeedCamMarkerIcon(c.count, c.primary)}
+                    title={expandable ? `${c.count} speed radars — click to zoom in` : undefined}
+                    eventHandlers={expandable ? { click: () => zoomToCluster(c, mapInstance) } : undefined}
+                  >
+                    {expandable ? null : (
+                      <Popup>
+                        <div>
+                          <div>
+                            <strong>Speed radars:</strong> {c.count}
+                          </div>
+                          {c.getItems(8).map((p) => (
+                            <SpeedCameraDetails key={p.id} camera={p} />
+                          ))}
+                          {c.count > 8 ? <div>…and {c.count - 8} more</div> : null}
+                        </div>
+                      </Popup>
+                    )}
+                  </Marker>
+                );
+              })
+            : null}
+
+          {wazeClusters.map((c) => {
+            const expandable = canExpandCluster(c, mapInstance);
+            const entry = c.primary ? alertLifecycle[c.primary.id] : undefined;
+            // Fade by the age of the newest report at the spot.
+            const ageOpacity = c.primary ? getAgeOpacity(getAlertAgeMs(c.primary, entry, renderedAt)) : 1;
+            return (
+              <Marker
+                key={c.id}
+                ref={registerMarker(`waze:${c.id}`)}
+                position={[c.center.lat, c.center.lng]}
+                icon={getWazeAlertIcon(c.category, c.count)}
+                opacity={Math.min(ageOpacity, wazeSource.stale ? STALE_MARKER_OPACITY : 1)}
+                title={
+                  expandable ? `${c.count} ${WAZE_ALERT_CATEGORY_LABELS[c.category]} — click to zoom in` : undefined
+                }
+                eventHandlers={expandable ? { click: () => zoomToCluster(c, mapInstance) } : undefined}
+              >
+                {expandable ? null : (
                   <Popup>
                     <div>
                       <div>
-                        <strong>Speed radars:</strong> {c.count} within ~{SPEED_RADAR_CLUSTER_RADIUS_METERS}m
+                        <strong>{WAZE_ALERT_CATEGORY_LABELS[c.category]}:</strong> {c.primary?.type}
+                        {c.primary?.subtype ? ` (${c.primary.subtype})` : ''}
                       </div>
-                      {c.items.slice(0, 8).map((p) => (
-                        <div key={p.id}>
-                          <strong>{p.id}</strong> {p.desc ? `— ${p.desc}` : ''}
+                      {c.count > 1 ? (
+                        <div>
+                          <strong>Cluster size:</strong> {c.count} alerts at this spot
                         </div>
-                      ))}
-                      {c.items.length > 8 ? <div>…and {c.items.length - 8} more</div> : null}
+                      ) : null}
+                      {c.primary?.city ? (
+                        <div>
+                          <strong>City:</strong> {c.primary.city}
+                        </div>
+                      ) : null}
+                      {c.primary?.street ? (
+                        <div>
+                          <strong>Street:</strong> {c.primary.street}
+                        </div>
+                      ) : null}
+                      {c.primary?.pubMillis ? (
+                        <div>
+                          <strong>Reported:</strong> {new Date(c.primary.pubMillis).toLocaleString()} (
+                          {formatAlertAge(renderedAt - c.primary.pubMillis)})
+                        </div>
+                      ) : null}
+                      {c.primary ? (
+                        <WazeAlertLifecycleDetails alert={c.primary} entry={entry} now={renderedAt} />
+                      ) : null}
                     </div>
                   </Popup>
-                </Marker>
-              ))
-            : null}
+                )}
+              </Marker>
+            );
+          })}
 
-          {policeClusters.map((c) => (
+          {displayedWarnings.map((w) => (
             <Marker
-              key={c.id}
-              position={[c.center.lat, c.center.lng]}
-              icon={policeMarkerIcon}
+              key={w.id}
+              ref={registerMarker(`warning:${w.id}`)}
+              position={[w.point[0], w.point[1]]}
+              icon={
+                w.pending
+                  ? pendingWarningMarkerIcon
+                  : audioPlayer.isPlaying(w.id)
+                    ? playingWarningMarkerIcon
+                    : warningMarkerIcon
+              }
+              opacity={warningsSource.stale && replayAt === null ? STALE_MARKER_OPACITY : 1}
             >
               <Popup>
                 <div>
                   <div>
-                    <strong>Type:</strong> {c.primary?.type}
-                    {c.primary?.subtype ? ` (${c.primary.subtype})` : ''}
+                    <strong>User:</strong> {w.userId}
                   </div>
-                  {c.count > 1 ? (
-                    <div>
-                      <strong>Cluster size:</strong> {c.count} alerts within ~{POLICE_CLUSTER_RADIUS_METERS}m
-                    </div>
-                  ) : null}
-                  {c.primary?.city ? (
+                  <div>
+                    <strong>Created:</strong>{' '}
+                    {w.created ? new Date(w.created).toLocaleString() : ''}
+                  </div>
+                  {w.verified ? (
                     <div>
-                      <strong>City:</strong> {c.primary.city}
+                      <i className="mdi mdi-check-decagram" /> Verified by a moderator
                     </div>
                   ) : null}
-                  {c.primary?.street ? (
+                  {w.category ? (
                     <div>
-                      <strong>Street:</strong> {c.primary.street}
+                      <strong>Category:</strong> {WAZE_ALERT_CATEGORY_LABELS[w.category] || w.category}
                     </div>
                   ) : null}
-                  {c.primary?.pubMillis ? (
-                    <div>
-                      <strong>Reported:</strong> {new Date(c.primary.pubMillis).toLocaleString()}
+                  {w.pending ? (
+                    <div className="Audio-status">
+                      Sending{w.hasAudio ? ' with voice note' : ''}…
+                      {w.transcript ? <div className="Audio-transcript">“{w.transcript}”</div> : null}
                     </div>
-                  ) : null}
+                  ) : (
+                    <WarningAudioPlayer player={audioPlayer} warning={w} />
+                  )}
                 </div>
               </Popup>
             </Marker>
           ))}
 
-          {warnings.map((w) => (
-            <Marker
-              key={w.id}
-              position={[w.point[0], w.point[1]]}
-              icon={warningMarkerIcon}
-            >
-              <Popup>
-                <div>
-                  <div>
-                    <strong>User:</strong> {w.userId}
-                  </div>
+          {extraSources.flatMap((p) =>
+            sources.get(p.id).items.map((item) => (
+              <Marker
+                key={`${p.id}-${item.id}`}
+                position={[item.location.lat, item.location.lng]}
+                icon={poiMarkerIcon}
+              >
+                <Popup>
                   <div>
-                    <strong>Created:</strong>{' '}
-                    {w.created ? new Date(w.created).toLocaleString() : ''}
-                  </div>
-                  <div className="Audio-controls">
-                    <button
-                      type="button"
-                      className="Audio-play-button"
-                      onClick={() => {
-                        try {
-                          if (audioRef.current) {
-                            audioRef.current.pause();
-                          }
-                          const audio = new Audio(w.url);
-                          audioRef.current = audio;
-                          audio.play().catch((err) => {
-                            // eslint-disable-next-line no-console
-                            console.error('Audio play error:', err);
-                          });
-                        } catch (err) {
-                          // eslint-disable-next-line no-console
-                          console.error('Audio setup error:', err);
-                        }
-                      }}
-                    >
-                      <i className="mdi mdi-play-circle-outline" />
-                    </button>
+                    <div>
+                      <strong>{p.label}</strong>
+                    </div>
+                    {item.label ? <div>{item.label}</div> : null}
+                    {item.reportedAt ? (
+                      <div>
+                        <strong>Reported:</strong> {new Date(item.reportedAt).toLocaleString()}
+                      </div>
+                    ) : null}
                   </div>
-                </div>
-              </Popup>
-            </Marker>
-          ))}
+                </Popup>
+              </Marker>
+            ))
+          )}
+
+          {userLayerClusters.map((c) => {
+            const { layer } = c;
+            const expandable = canExpandCluster(c, mapInstance);
+            return (
+              <Marker
+                key={`${layer.id}-${c.id}`}
+                position={[c.center.lat, c.center.lng]}
+                icon={getUserLayerIcon(USER_LAYER_GLYPHS[layer.icon] || USER_LAYER_GLYPHS.marker, layer.color, c.count)}
+                title={expandable ? `${c.count} × ${layer.name} — click to zoom in` : undefined}
+                eventHandlers={expandable ? { click: () => zoomToCluster(c, mapInstance) } : undefined}
+              >
+                {expandable ? null : (
+                  <Popup>
+                    <div>
+                      <div>
+                        <strong>{layer.name}</strong>
+                        {c.count > 1 ? ` (${c.count} at this spot)` : ''}
+                      </div>
+                      {c.getItems(8).map((item) => (
+                        <UserLayerItemDetails key={item.id} item={item} />
+                      ))}
+                      {c.count > 8 ? <div>…and {c.count - 8} more</div> : null}
+                    </div>
+                  </Popup>
+                )}
+              </Marker>
+            );
+          })}
+
+          <DriveModeLayer drive={drive} />
+          <RoutePlannerLayer planner={routePlanner} />
+          <WatchZonesLayer watchZones={watchZones} />
+          <WarningReportLayer reports={warningReports} />
         </MapContainer>
+
+        <ReplayTimeline history={warningHistory} replayAt={replayAt} onReplayAtChange={setReplayAt} />
       </div>
     </div>
   );
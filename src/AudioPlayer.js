@@ -0,0 +1,92 @@
+import { formatPlaybackTime } from './audioQueue';
+
+const STATUS_LABELS = {
+  loading: 'Loading…',
+  playing: 'Playing',
+  paused: 'Paused',
+  ended: 'Played',
+};
+
+// Play/pause, a seekable progress bar and the elapsed/total time for one warning's message.
+function WarningAudioPlayer({ player, warning }) {
+  const isCurrent = player.current?.id === warning.id;
+  const playing = player.isPlaying(warning.id);
+  const duration = isCurrent ? player.duration : NaN;
+  const currentTime = isCurrent ? player.currentTime : 0;
+  const error = player.error?.id === warning.id ? player.error.message : '';
+
+  return (
+    <div className="Audio-player">
+      <div className="Audio-controls">
+        <button
+          type="button"
+          className="Audio-play-button"
+          aria-label={playing ? 'Pause message' : 'Play message'}
+          onClick={() => player.toggle(warning)}
+        >
+          <i className={`mdi ${playing ? 'mdi-pause-circle-outline' : 'mdi-play-circle-outline'}`} />
+        </button>
+        <input
+          type="range"
+          className="Audio-progress"
+          aria-label="Playback position"
+          min={0}
+          max={Number.isFinite(duration) ? duration : 0}
+          step={0.1}
+          value={Number.isFinite(duration) ? currentTime : 0}
+          disabled={!Number.isFinite(duration)}
+          onChange={(e) => player.seek(Number(e.target.value))}
+        />
+        <span className="Audio-time">
+          {formatPlaybackTime(currentTime)} / {formatPlaybackTime(duration)}
+        </span>
+      </div>
+      {error ? (
+        <div className="Audio-status is-error">{error}</div>
+      ) : isCurrent && STATUS_LABELS[player.status] ? (
+        <div className="Audio-status">{STATUS_LABELS[player.status]}</div>
+      ) : null}
+      {warning.transcript ? <div className="Audio-transcript">“{warning.transcript}”</div> : null}
+    </div>
+  );
+}
+
+// Overlay controls for listening to every warning in view, oldest first.
+export function AudioQueueControls({ player, inViewCount }) {
+  const { current, queue } = player;
+  const waiting = queue.filter((w) => w.id !== current?.id).length;
+
+  return (
+    <>
+      <div className="Map-overlay-row">
+        <span className="Map-overlay-label">Auto-play</span>
+        {player.autoplay ? (
+          <button type="button" className="Map-overlay-button" onClick={player.stopAutoplay}>
+            Stop
+          </button>
+        ) : (
+          <button
+            type="button"
+            className="Map-overlay-button"
+            onClick={player.startAutoplay}
+            disabled={!inViewCount}
+            title="Play every warning in view, oldest first, then new ones as they arrive"
+          >
+            Play all in view ({inViewCount})
+          </button>
+        )}
+      </div>
+      {player.autoplay ? (
+        <div className="Map-overlay-subtitle">
+          {current && player.isPlaying(current.id)
+            ? `Now playing: ${current.label || `User ${current.userId}`} • ${waiting} waiting`
+            : player.status === 'paused'
+              ? `Paused • ${waiting} waiting`
+              : 'Waiting for new warnings in view…'}
+        </div>
+      ) : null}
+    </>
+  );
+}
+
+export default WarningAudioPlayer;
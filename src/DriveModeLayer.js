@@ -0,0 +1,58 @@
+import { useEffect, useMemo } from 'react';
+import { Marker, Polygon, useMap, useMapEvents } from 'react-leaflet';
+import L from 'leaflet';
+import { buildCorridorPolygon } from './proximity';
+import { DRIVE_CORRIDOR_DEGREES } from './useDriveMode';
+
+function buildPositionIcon(heading) {
+  const hasHeading = Number.isFinite(heading);
+  return L.divIcon({
+    className: 'drive-position-icon',
+    html: hasHeading
+      ? `<i class="mdi mdi-navigation" style="transform: rotate(${heading}deg)"></i>`
+      : '<i class="mdi mdi-crosshairs-gps"></i>',
+    iconSize: [32, 32],
+    iconAnchor: [16, 16],
+  });
+}
+
+function DriveModeLayer({ drive }) {
+  const map = useMap();
+  const { position, alertDistanceMeters, following, stopFollowing } = drive;
+
+  // Only a user's drag fires dragstart (panTo doesn't), so this is them looking elsewhere.
+  useMapEvents({ dragstart: stopFollowing });
+
+  useEffect(() => {
+    // Keep the driver in view
+    if (position && following) map.panTo([position.lat, position.lng], { animate: true });
+  }, [following, map, position]);
+
+  const icon = useMemo(() => buildPositionIcon(position?.heading), [position?.heading]);
+
+  const corridor = useMemo(() => {
+    if (!position) return null;
+    return buildCorridorPolygon(position, alertDistanceMeters, DRIVE_CORRIDOR_DEGREES);
+  }, [alertDistanceMeters, position]);
+
+  if (!drive.enabled || !position) return null;
+
+  return (
+    <>
+      {corridor ? (
+        <Polygon
+          positions={corridor}
+          pathOptions={{
+            color: drive.ahead.length ? '#ff5252' : '#43a047',
+            weight: 1,
+            fillOpacity: 0.12,
+          }}
+          interactive={false}
+        />
+      ) : null}
+      <Marker position={[position.lat, position.lng]} icon={icon} interactive={false} />
+    </>
+  );
+}
+
+export default DriveModeLayer;
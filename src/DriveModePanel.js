@@ -0,0 +1,131 @@
+import { DRIVE_CORRIDOR_DEGREES } from './useDriveMode';
+import { parseTrackFile } from './positionSources';
+
+export const HAZARD_KIND_LABELS = {
+  police: 'Police',
+  speedCamera: 'Speed camera',
+  warning: 'Driver warning',
+  poi: 'Point of interest',
+};
+
+export function formatDistance(meters) {
+  if (meters >= 1000) return `${(meters / 1000).toFixed(1)} km`;
+  return `${Math.round(meters / 10) * 10} m`;
+}
+
+export function DriveModeBanner({ drive }) {
+  const alert = drive.activeAlert;
+  if (!alert) return null;
+  const { hazard, extra } = alert;
+
+  return (
+    <div className="Drive-banner" role="alert" onClick={drive.dismissAlert}>
+      <i className="mdi mdi-alert" />
+      <div>
+        <div className="Drive-banner-title">
+          {HAZARD_KIND_LABELS[hazard.kind] || 'Hazard'} ahead in {formatDistance(hazard.distance)}
+        </div>
+        {hazard.label || extra > 0 ? (
+          <div className="Drive-banner-subtitle">
+            {hazard.label}
+            {extra > 0 ? ` (+${extra} more)` : ''}
+          </div>
+        ) : null}
+      </div>
+    </div>
+  );
+}
+
+// Shown once the map has been dragged away from the driver.
+export function DriveModeRecenter({ drive }) {
+  if (!drive.enabled || !drive.position || drive.following) return null;
+
+  return (
+    <button type="button" className="Map-overlay-button Drive-recenter" onClick={drive.recenter}>
+      <i className="mdi mdi-crosshairs-gps" /> Recenter
+    </button>
+  );
+}
+
+function DriveModePanel({ drive }) {
+  const onTrackFile = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    try {
+      const points = parseTrackFile(await file.text(), file.name);
+      drive.setTrack({ name: file.name, points });
+    } catch (err) {
+      drive.setTrack(null);
+      // eslint-disable-next-line no-console
+      console.error('Track import error:', err);
+      window.alert(err?.message || 'Could not read track file');
+    }
+  };
+
+  const nearest = drive.ahead[0];
+
+  return (
+    <>
+      <div className="Map-overlay-title">Drive mode</div>
+      <div className="Map-overlay-row">
+        <label className="Map-overlay-label" htmlFor="toggle-drive-mode">
+          Alert me about hazards ahead
+        </label>
+        <input id="toggle-drive-mode" type="checkbox" checked={drive.enabled} onChange={drive.toggle} />
+      </div>
+      <div className="Map-overlay-row">
+        <label className="Map-overlay-label" htmlFor="drive-source">
+          position
+        </label>
+        <select id="drive-source" value={drive.sourceKind} onChange={(e) => drive.setSourceKind(e.target.value)}>
+          <option value="gps">GPS (browser)</option>
+          <option value="track">Simulated track</option>
+        </select>
+      </div>
+      {drive.sourceKind === 'track' ? (
+        <div className="Map-overlay-row">
+          <span className="Map-overlay-label">{drive.track ? drive.track.name : 'GPX / GeoJSON'}</span>
+          <input
+            type="file"
+            aria-label="Track file"
+            accept=".gpx,.geojson,.json,application/gpx+xml,application/geo+json"
+            onChange={onTrackFile}
+          />
+        </div>
+      ) : null}
+      <div className="Map-overlay-row">
+        <label className="Map-overlay-label" htmlFor="drive-distance">
+          alert distance (m)
+        </label>
+        <input
+          id="drive-distance"
+          className="Map-overlay-number"
+          type="number"
+          min={100}
+          max={5000}
+          step={100}
+          value={drive.alertDistanceMeters}
+          onChange={(e) => {
+            const value = Number(e.target.value);
+            if (Number.isFinite(value) && value > 0) drive.setAlertDistanceMeters(value);
+          }}
+        />
+      </div>
+      {drive.error ? (
+        <div className="Map-overlay-subtitle is-error">{drive.error}</div>
+      ) : drive.enabled ? (
+        <div className="Map-overlay-subtitle">
+          {!drive.position
+            ? 'Waiting for position…'
+            : nearest
+              ? `${drive.ahead.length} ahead • nearest ${HAZARD_KIND_LABELS[nearest.kind]} in ${formatDistance(
+                  nearest.distance
+                )}`
+              : `Clear ahead (±${DRIVE_CORRIDOR_DEGREES / 2}°, ${formatDistance(drive.alertDistanceMeters)})`}
+        </div>
+      ) : null}
+    </>
+  );
+}
+
+export default DriveModePanel;
@@ -0,0 +1,51 @@
+import { EXPORT_FORMATS } from './exportHazards';
+
+function downloadText(fileName, mimeType, text) {
+  const url = URL.createObjectURL(new Blob([text], { type: mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Revoking right away can cancel the download in some browsers.
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function exportFileName(extension) {
+  const stamp = new Date().toISOString().slice(0, 16).replace(/[-:]/g, '').replace('T', '-');
+  return `hazards-${stamp}.${extension}`;
+}
+
+// getItems() returns the individual hazards shown in the view, with the map's filters
+// applied; it is only called on export since the camera list can be large.
+function ExportMenu({ count, getItems }) {
+  const onExport = (format) => {
+    downloadText(exportFileName(format.extension), format.mimeType, format.serialize(getItems()));
+  };
+
+  return (
+    <>
+      <div className="Map-overlay-title">Export</div>
+      <div className="Map-overlay-row">
+        <span className="Map-overlay-label">Hazards in view</span>
+        <span className="Map-overlay-value">{count}</span>
+      </div>
+      <div className="Map-overlay-actions">
+        {EXPORT_FORMATS.map((format) => (
+          <button
+            key={format.id}
+            type="button"
+            className="Map-overlay-button"
+            disabled={!count}
+            onClick={() => onExport(format)}
+          >
+            {format.label}
+          </button>
+        ))}
+      </div>
+    </>
+  );
+}
+
+export default ExportMenu;
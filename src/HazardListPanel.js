@@ -0,0 +1,85 @@
+import { useMemo, useState } from 'react';
+import { formatDistance } from './DriveModePanel';
+import { filterAndSortHazardRows } from './hazardList';
+
+const KIND_ICONS = {
+  warning: 'mdi-account-voice',
+  speedCamera: 'mdi-cctv',
+  police: 'mdi-police-badge',
+  accident: 'mdi-car-emergency',
+  roadClosed: 'mdi-road-variant',
+  hazard: 'mdi-alert',
+  weather: 'mdi-weather-pouring',
+  jam: 'mdi-car-multiple',
+};
+
+function HazardListPanel({ rows, center, open, onOpenChange, onSelect, note }) {
+  const [query, setQuery] = useState('');
+  const [sortBy, setSortBy] = useState('distance');
+
+  const visibleRows = useMemo(
+    () => (open ? filterAndSortHazardRows(rows, { query, sortBy, center }) : []),
+    [center, open, query, rows, sortBy]
+  );
+
+  if (!open) {
+    return (
+      <button type="button" className="Hazard-list-toggle" onClick={() => onOpenChange(true)}>
+        <i className="mdi mdi-format-list-bulleted" /> Hazards in view ({rows.length})
+      </button>
+    );
+  }
+
+  return (
+    <aside className="Hazard-list" aria-label="Hazards in view">
+      <div className="Hazard-list-header">
+        <span className="Map-overlay-title">Hazards in view ({visibleRows.length})</span>
+        <button
+          type="button"
+          className="Map-overlay-icon-button"
+          aria-label="Close list"
+          onClick={() => onOpenChange(false)}
+        >
+          <i className="mdi mdi-close" />
+        </button>
+      </div>
+      <div className="Hazard-list-controls">
+        <input
+          className="Map-overlay-text"
+          type="search"
+          placeholder="City or street"
+          aria-label="Search by city or street"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+        />
+        <select aria-label="Sort by" value={sortBy} onChange={(e) => setSortBy(e.target.value)}>
+          <option value="distance">Nearest</option>
+          <option value="time">Newest</option>
+        </select>
+      </div>
+      {note ? <div className="Map-overlay-subtitle">{note}</div> : null}
+      <ul className="Hazard-list-rows">
+        {visibleRows.map((row) => (
+          <li key={row.key}>
+            <button type="button" className="Hazard-list-row" onClick={() => onSelect(row)}>
+              <i className={`mdi ${KIND_ICONS[row.kind] || 'mdi-map-marker'}`} />
+              <span className="Hazard-list-row-text">
+                <span className="Hazard-list-row-title">{row.title}</span>
+                {row.detail ? <span className="Hazard-list-row-detail">{row.detail}</span> : null}
+              </span>
+              <span className="Hazard-list-row-meta">
+                {row.distance !== null ? <span>{formatDistance(row.distance)}</span> : null}
+                {row.reportedAt ? <span>{new Date(row.reportedAt).toLocaleTimeString()}</span> : null}
+              </span>
+            </button>
+          </li>
+        ))}
+      </ul>
+      {!visibleRows.length ? (
+        <div className="Map-overlay-subtitle">{query ? 'Nothing matches' : 'Nothing in view'}</div>
+      ) : null}
+    </aside>
+  );
+}
+
+export default HazardListPanel;
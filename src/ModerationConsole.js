@@ -0,0 +1,229 @@
+import { useMemo, useState } from 'react';
+import {
+  MODERATION_EXPIRE_MINUTES,
+  MODERATION_STATUS_FILTERS,
+  buildModerationRows,
+  describeDecision,
+  isShownOnMap,
+  listWarningUsers,
+} from './moderation';
+
+function SignInForm({ moderation }) {
+  const [token, setToken] = useState('');
+  const submit = (e) => {
+    e.preventDefault();
+    if (token.trim()) moderation.signIn(token);
+    setToken('');
+  };
+
+  return (
+    <form className="Hazard-list-controls" onSubmit={submit}>
+      <input
+        className="Map-overlay-text"
+        type="password"
+        placeholder="Moderator token"
+        aria-label="Moderator token"
+        autoComplete="current-password"
+        value={token}
+        onChange={(e) => setToken(e.target.value)}
+      />
+      <button type="submit" className="Map-overlay-button">
+        Sign in
+      </button>
+    </form>
+  );
+}
+
+// Every live warning, hidden ones included, with user and status filters, audio
+// preview and bulk actions. Decisions apply to every map once saved.
+function ModerationConsole({ moderation, warnings, player, onShow, onClose }) {
+  const [userId, setUserId] = useState('');
+  const [status, setStatus] = useState('all');
+  const [selected, setSelected] = useState(() => new Set());
+  const [expireMinutes, setExpireMinutes] = useState(MODERATION_EXPIRE_MINUTES[2]);
+  const { decisions, checkedAt, moderator, busy } = moderation;
+
+  const users = useMemo(() => listWarningUsers(warnings), [warnings]);
+  const rows = useMemo(
+    () => buildModerationRows(warnings, decisions, { userId, status }, checkedAt),
+    [checkedAt, decisions, status, userId, warnings]
+  );
+  // Only rows still listed count, so a filter change never acts on warnings out of sight.
+  const selectedIds = rows.filter((r) => selected.has(r.warning.id)).map((r) => r.warning.id);
+  const allSelected = rows.length > 0 && selectedIds.length === rows.length;
+
+  const toggle = (id) =>
+    setSelected((prev) => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+
+  const run = async (action, minutes) => {
+    await moderation.apply(selectedIds, action, minutes);
+    setSelected(new Set());
+  };
+
+  return (
+    <aside className="Hazard-list Moderation" aria-label="Moderation">
+      <div className="Hazard-list-header">
+        <span className="Map-overlay-title">Moderation</span>
+        <button type="button" className="Map-overlay-icon-button" aria-label="Close moderation" onClick={onClose}>
+          <i className="mdi mdi-close" />
+        </button>
+      </div>
+      {moderation.error ? <div className="Map-overlay-subtitle is-error">{moderation.error}</div> : null}
+      {!moderator ? (
+        <>
+          <div className="Map-overlay-subtitle">Sign in with your moderator token to review warnings.</div>
+          <SignInForm moderation={moderation} />
+        </>
+      ) : (
+        <>
+          <div className="Hazard-list-controls">
+            <span className="Map-overlay-subtitle">Signed in as {moderator}</span>
+            <button type="button" className="Map-overlay-button" onClick={moderation.signOut}>
+              Sign out
+            </button>
+          </div>
+          <div className="Hazard-list-controls">
+            <select aria-label="User" value={userId} onChange={(e) => setUserId(e.target.value)}>
+              <option value="">All users ({warnings.length})</option>
+              {users.map((u) => (
+                <option key={u.userId} value={u.userId}>
+                  User {u.userId} ({u.count})
+                </option>
+              ))}
+            </select>
+            <select aria-label="Status" value={status} onChange={(e) => setStatus(e.target.value)}>
+              {MODERATION_STATUS_FILTERS.map((f) => (
+                <option key={f.id} value={f.id}>
+                  {f.label}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div className="Map-overlay-actions">
+            <span className="Map-overlay-subtitle">{selectedIds.length} selected</span>
+            <button
+              type="button"
+              className="Map-overlay-button"
+              disabled={busy || !selectedIds.length}
+              onClick={() => run('hide')}
+            >
+              <i className="mdi mdi-eye-off-outline" /> Hide
+            </button>
+            <button
+              type="button"
+              className="Map-overlay-button"
+              disabled={busy || !selectedIds.length}
+              onClick={() => run('unhide')}
+            >
+              <i className="mdi mdi-eye-outline" /> Unhide
+            </button>
+            <button
+              type="button"
+              className="Map-overlay-button"
+              disabled={busy || !selectedIds.length}
+              onClick={() => run('verify')}
+            >
+              <i className="mdi mdi-check-decagram" /> Verify
+            </button>
+            <button
+              type="button"
+              className="Map-overlay-button"
+              disabled={busy || !selectedIds.length}
+              onClick={() => run('expire', expireMinutes)}
+            >
+              <i className="mdi mdi-timer-sand" /> Expire in
+            </button>
+            <select
+              aria-label="Expire after"
+              value={expireMinutes}
+              onChange={(e) => setExpireMinutes(Number(e.target.value))}
+            >
+              {MODERATION_EXPIRE_MINUTES.map((m) => (
+                <option key={m} value={m}>
+                  {m} min
+                </option>
+              ))}
+            </select>
+            <button
+              type="button"
+              className="Map-overlay-button"
+              disabled={busy || !selectedIds.length}
+              title="Forget every decision about the selected warnings"
+              onClick={() => run('clear')}
+            >
+              Reset
+            </button>
+          </div>
+          <div className="Moderation-rows">
+            <table className="Diagnostics-table Moderation-table">
+              <thead>
+                <tr>
+                  <th>
+                    <input
+                      type="checkbox"
+                      aria-label="Select all listed warnings"
+                      checked={allSelected}
+                      onChange={() => setSelected(allSelected ? new Set() : new Set(rows.map((r) => r.warning.id)))}
+                    />
+                  </th>
+                  <th>User</th>
+                  <th>Created</th>
+                  <th>Status</th>
+                  <th>Audio</th>
+                  <th />
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map(({ warning: w, decision }) => (
+                  <tr key={w.id} className={isShownOnMap(decision, checkedAt) ? '' : 'is-off-map'}>
+                    <td>
+                      <input
+                        type="checkbox"
+                        aria-label={`Select warning from user ${w.userId}`}
+                        checked={selected.has(w.id)}
+                        onChange={() => toggle(w.id)}
+                      />
+                    </td>
+                    <td>{w.userId}</td>
+                    <td>{w.created ? new Date(w.created).toLocaleString() : ''}</td>
+                    <td>{describeDecision(decision, checkedAt)}</td>
+                    <td>
+                      <button
+                        type="button"
+                        className="Map-overlay-icon-button"
+                        aria-label={player.isPlaying(w.id) ? 'Pause message' : 'Play message'}
+                        disabled={!w.url}
+                        onClick={() => player.toggle(w)}
+                      >
+                        <i className={`mdi ${player.isPlaying(w.id) ? 'mdi-pause' : 'mdi-play'}`} />
+                      </button>
+                    </td>
+                    <td>
+                      <button
+                        type="button"
+                        className="Map-overlay-icon-button"
+                        aria-label="Show on map"
+                        title="Show on map"
+                        onClick={() => onShow(w)}
+                      >
+                        <i className="mdi mdi-crosshairs-gps" />
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {!rows.length ? <div className="Map-overlay-subtitle">No warnings match these filters.</div> : null}
+          </div>
+        </>
+      )}
+    </aside>
+  );
+}
+
+export default ModerationConsole;
@@ -0,0 +1,119 @@
+import { useEffect, useState } from 'react';
+import L from 'leaflet';
+import { useMap } from 'react-leaflet';
+
+const RADIUS_PX = 16;
+const BLUR_PX = 14;
+// Reports closer than this on screen are drawn as one, weighted by their count.
+const CELL_PX = 6;
+// Below this many reports a spot never reaches the hottest colour, so a single
+// sighting doesn't look like a permanent checkpoint.
+const MIN_PEAK_WEIGHT = 4;
+const GRADIENT_STOPS = [
+  [0.3, '#1e88e5'],
+  [0.55, '#00c853'],
+  [0.7, '#ffeb3b'],
+  [0.85, '#fb8c00'],
+  [1, '#e53935'],
+];
+
+let stamp = null;
+let palette = null;
+
+function getStamp() {
+  // A blurred dot, drawn in greyscale alpha and coloured afterwards (the simpleheat approach).
+  if (stamp) return stamp;
+  const size = (RADIUS_PX + BLUR_PX) * 2;
+  stamp = document.createElement('canvas');
+  stamp.width = size;
+  stamp.height = size;
+  const ctx = stamp.getContext('2d');
+  // Draw the circle off-canvas so only its blurred shadow lands on the stamp.
+  ctx.shadowOffsetX = size;
+  ctx.shadowBlur = BLUR_PX;
+  ctx.shadowColor = 'black';
+  ctx.beginPath();
+  ctx.arc(size / 2 - size, size / 2, RADIUS_PX, 0, Math.PI * 2);
+  ctx.fill();
+  return stamp;
+}
+
+function getPalette() {
+  if (palette) return palette;
+  const canvas = document.createElement('canvas');
+  canvas.width = 1;
+  canvas.height = 256;
+  const ctx = canvas.getContext('2d');
+  const gradient = ctx.createLinearGradient(0, 0, 0, 256);
+  GRADIENT_STOPS.forEach(([offset, color]) => gradient.addColorStop(offset, color));
+  ctx.fillStyle = gradient;
+  ctx.fillRect(0, 0, 1, 256);
+  palette = ctx.getImageData(0, 0, 1, 256).data;
+  return palette;
+}
+
+function drawHeatmap(canvas, map, points) {
+  const size = map.getSize();
+  canvas.width = size.x;
+  canvas.height = size.y;
+  L.DomUtil.setPosition(canvas, map.containerPointToLayerPoint([0, 0]));
+
+  const margin = RADIUS_PX + BLUR_PX;
+  const cells = new Map();
+  for (const p of points) {
+    const { x, y } = map.latLngToContainerPoint([p.lat, p.lng]);
+    if (x < -margin || y < -margin || x > size.x + margin || y > size.y + margin) continue;
+    const key = `${Math.round(x / CELL_PX)}:${Math.round(y / CELL_PX)}`;
+    const cell = cells.get(key);
+    if (cell) cell.weight += 1;
+    else cells.set(key, { x, y, weight: 1 });
+  }
+  if (!cells.size) return;
+
+  const ctx = canvas.getContext('2d');
+  let peak = MIN_PEAK_WEIGHT;
+  for (const cell of cells.values()) peak = Math.max(peak, cell.weight);
+  const dot = getStamp();
+  for (const { x, y, weight } of cells.values()) {
+    ctx.globalAlpha = Math.min(1, Math.max(0.1, weight / peak));
+    ctx.drawImage(dot, x - dot.width / 2, y - dot.height / 2);
+  }
+
+  // Map each pixel's accumulated alpha onto the colour gradient.
+  const image = ctx.getImageData(0, 0, size.x, size.y);
+  const data = image.data;
+  const colors = getPalette();
+  for (let i = 3; i < data.length; i += 4) {
+    const alpha = data[i];
+    if (!alpha) continue;
+    data[i - 3] = colors[alpha * 4];
+    data[i - 2] = colors[alpha * 4 + 1];
+    data[i - 1] = colors[alpha * 4 + 2];
+  }
+  ctx.putImageData(image, 0, 0);
+}
+
+// Canvas heatmap of police reports ({ lat, lng }) on the overlay pane, redrawn
+// after every pan or zoom; Leaflet hides it while a zoom animation runs.
+function PoliceHeatmapLayer({ points }) {
+  const map = useMap();
+  const [canvas, setCanvas] = useState(null);
+
+  useEffect(() => {
+    const el = L.DomUtil.create('canvas', 'Police-heatmap leaflet-zoom-hide', map.getPanes().overlayPane);
+    setCanvas(el);
+    return () => el.remove();
+  }, [map]);
+
+  useEffect(() => {
+    if (!canvas) return undefined;
+    const redraw = () => drawHeatmap(canvas, map, points);
+    redraw();
+    map.on('moveend resize', redraw);
+    return () => map.off('moveend resize', redraw);
+  }, [canvas, map, points]);
+
+  return null;
+}
+
+export default PoliceHeatmapLayer;
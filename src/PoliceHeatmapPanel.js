@@ -0,0 +1,97 @@
+import { WEEKDAYS } from './policeHistory';
+
+const HOURS = Array.from({ length: 25 }, (_, hour) => hour);
+const formatHour = (hour) => `${String(hour).padStart(2, '0')}:00`;
+
+function PoliceHeatmapPanel({ history, show, onShowChange }) {
+  const { timeFilter, setTimeFilter } = history;
+
+  const toggleDay = (day) => {
+    const days = timeFilter.days.includes(day) ? timeFilter.days.filter((d) => d !== day) : [...timeFilter.days, day];
+    setTimeFilter({ ...timeFilter, days });
+  };
+
+  return (
+    <>
+      <div className="Map-overlay-title">Police history</div>
+      <div className="Map-overlay-row">
+        <label className="Map-overlay-label" htmlFor="toggle-police-heatmap">
+          Show heatmap
+        </label>
+        <input
+          id="toggle-police-heatmap"
+          type="checkbox"
+          checked={show}
+          onChange={(e) => onShowChange(e.target.checked)}
+        />
+      </div>
+      <div className="Map-overlay-row">
+        <label className="Map-overlay-label" htmlFor="police-heatmap-from">
+          hours
+        </label>
+        <span className="Route-input">
+          <select
+            id="police-heatmap-from"
+            value={timeFilter.fromHour}
+            onChange={(e) => setTimeFilter({ ...timeFilter, fromHour: Number(e.target.value) })}
+          >
+            {HOURS.slice(0, 24).map((hour) => (
+              <option key={hour} value={hour}>
+                {formatHour(hour)}
+              </option>
+            ))}
+          </select>
+          <select
+            aria-label="Until hour"
+            value={timeFilter.toHour}
+            onChange={(e) => setTimeFilter({ ...timeFilter, toHour: Number(e.target.value) })}
+          >
+            {HOURS.slice(1).map((hour) => (
+              <option key={hour} value={hour}>
+                {formatHour(hour)}
+              </option>
+            ))}
+          </select>
+        </span>
+      </div>
+      <div className="Map-overlay-row">
+        <span className="Map-overlay-label">days</span>
+        <span className="Weekday-toggles">
+          {WEEKDAYS.map(({ day, label }) => (
+            <button
+              key={day}
+              type="button"
+              className={`Map-overlay-icon-button ${timeFilter.days.includes(day) ? 'is-active' : ''}`}
+              aria-pressed={timeFilter.days.includes(day)}
+              onClick={() => toggleDay(day)}
+            >
+              {label}
+            </button>
+          ))}
+        </span>
+      </div>
+      <div className="Map-overlay-subtitle">
+        {history.count
+          ? `${history.filtered.length} of ${history.count} reports match • recorded since ${new Date(
+              history.since
+            ).toLocaleDateString()}`
+          : 'No police reports recorded yet; they are collected as you browse the map.'}
+      </div>
+      {history.count ? (
+        <div className="Map-overlay-actions">
+          <button
+            type="button"
+            className="Map-overlay-button"
+            onClick={() => {
+              if (window.confirm('Delete all recorded police reports?')) history.clear();
+            }}
+          >
+            Clear history
+          </button>
+        </div>
+      ) : null}
+    </>
+  );
+}
+
+export default PoliceHeatmapPanel;
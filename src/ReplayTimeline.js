@@ -0,0 +1,159 @@
+import { useEffect, useMemo, useRef, useState } from 'react';
+import {
+  WARNING_HISTORY_MAX_AGE_DAYS,
+  WARNING_HISTORY_MAX_ENTRIES,
+  getWarningAppearedAt,
+  getWarningsAt,
+} from './warningHistory';
+
+const REPLAY_WINDOWS = [
+  { value: 60 * 60 * 1000, label: 'last 1h' },
+  { value: 6 * 60 * 60 * 1000, label: 'last 6h' },
+  { value: 24 * 60 * 60 * 1000, label: 'last 24h' },
+  { value: 7 * 24 * 60 * 60 * 1000, label: 'last 7d' },
+];
+const DEFAULT_REPLAY_WINDOW_MS = 24 * 60 * 60 * 1000;
+// At 1x the whole window plays back in this long, regardless of its size.
+const REPLAY_DURATION_MS = 60_000;
+const REPLAY_TICK_MS = 200;
+const REPLAY_SPEEDS = [1, 4, 16];
+// The history is not an archive; say what it has already forgotten.
+const HISTORY_RETENTION =
+  `Warnings last seen over ${WARNING_HISTORY_MAX_AGE_DAYS} days ago are dropped, ` +
+  `as are the least recently seen beyond ${WARNING_HISTORY_MAX_ENTRIES}.`;
+
+function ReplayTimeline({ history, replayAt, onReplayAtChange }) {
+  const [windowMs, setWindowMs] = useState(DEFAULT_REPLAY_WINDOW_MS);
+  const [windowEnd, setWindowEnd] = useState(() => Date.now());
+  const [playing, setPlaying] = useState(false);
+  const [speed, setSpeed] = useState(1);
+  const replayAtRef = useRef(replayAt);
+  replayAtRef.current = replayAt;
+
+  const isReplaying = replayAt !== null;
+  const windowStart = windowEnd - windowMs;
+
+  useEffect(() => {
+    if (!playing) return undefined;
+
+    const stepMs = (windowMs / (REPLAY_DURATION_MS / REPLAY_TICK_MS)) * speed;
+    const intervalId = setInterval(() => {
+      const current = replayAtRef.current ?? windowStart;
+      const next = Math.min(current + stepMs, windowEnd);
+      onReplayAtChange(next);
+      if (next >= windowEnd) setPlaying(false);
+    }, REPLAY_TICK_MS);
+
+    return () => clearInterval(intervalId);
+  }, [onReplayAtChange, playing, speed, windowEnd, windowMs, windowStart]);
+
+  const entries = useMemo(() => Object.values(history), [history]);
+
+  const inWindowCount = useMemo(() => {
+    return entries.filter((entry) => {
+      const appearedAt = getWarningAppearedAt(entry);
+      if (appearedAt === null || appearedAt > windowEnd) return false;
+      return !entry.removedAt || entry.removedAt >= windowStart;
+    }).length;
+  }, [entries, windowEnd, windowStart]);
+
+  const visibleCount = useMemo(() => {
+    return isReplaying ? getWarningsAt(history, replayAt).length : 0;
+  }, [history, isReplaying, replayAt]);
+
+  const startReplay = () => {
+    const end = Date.now();
+    setWindowEnd(end);
+    onReplayAtChange(end - windowMs);
+    setPlaying(true);
+  };
+
+  const goLive = () => {
+    setPlaying(false);
+    onReplayAtChange(null);
+  };
+
+  const togglePlaying = () => {
+    if (!isReplaying) {
+      startReplay();
+      return;
+    }
+    if (!playing && replayAt >= windowEnd) {
+      // Restart from the beginning once we've reached the end.
+      onReplayAtChange(windowStart);
+    }
+    setPlaying((p) => !p);
+  };
+
+  return (
+    <div className={`Map-timeline ${isReplaying ? 'is-replaying' : ''}`}>
+      <div className="Map-timeline-row">
+        <button
+          type="button"
+          className="Map-timeline-button"
+          aria-label={playing ? 'Pause replay' : 'Play replay'}
+          onClick={togglePlaying}
+        >
+          <i className={`mdi ${playing ? 'mdi-pause' : 'mdi-play'}`} />
+        </button>
+        <input
+          className="Map-timeline-slider"
+          type="range"
+          aria-label="Replay time"
+          min={windowStart}
+          max={windowEnd}
+          step={1000}
+          value={isReplaying ? replayAt : windowEnd}
+          onChange={(e) => {
+            setPlaying(false);
+            onReplayAtChange(Number(e.target.value));
+          }}
+        />
+        <button
+          type="button"
+          className="Map-timeline-button"
+          aria-label="Back to live"
+          onClick={goLive}
+          disabled={!isReplaying}
+        >
+          LIVE
+        </button>
+      </div>
+      <div className="Map-timeline-row">
+        <span className="Map-timeline-label" title={HISTORY_RETENTION}>
+          {isReplaying
+            ? `${new Date(replayAt).toLocaleString()} • ${visibleCount} warnings on map`
+            : `Live • ${inWindowCount} warnings in window (${entries.length} in history, last ${WARNING_HISTORY_MAX_AGE_DAYS} days only)`}
+        </span>
+        <span className="Map-timeline-controls">
+          <select
+            aria-label="Replay window"
+            value={windowMs}
+            onChange={(e) => {
+              const nextWindow = Number(e.target.value);
+              const end = Date.now();
+              setWindowMs(nextWindow);
+              setWindowEnd(end);
+              if (isReplaying) onReplayAtChange(Math.max(replayAt, end - nextWindow));
+            }}
+          >
+            {REPLAY_WINDOWS.map((w) => (
+              <option key={w.value} value={w.value}>
+                {w.label}
+              </option>
+            ))}
+          </select>
+          <select aria-label="Replay speed" value={speed} onChange={(e) => setSpeed(Number(e.target.value))}>
+            {REPLAY_SPEEDS.map((s) => (
+              <option key={s} value={s}>
+                {s}x
+              </option>
+            ))}
+          </select>
+        </span>
+      </div>
+    </div>
+  );
+}
+
+export default ReplayTimeline;
@@ -0,0 +1,71 @@
+import { useEffect, useState } from 'react';
+import { requestScheduler } from './sources/http';
+
+const formatWait = (ms) => (ms > 0 ? `${Math.ceil(ms / 1000)} s` : 'now');
+const formatLatency = (ms) => (ms === null ? '—' : `${ms} ms`);
+
+// Per-source latency, error rate and time until the next request may go out, from
+// the request scheduler plus each source's own backoff. Refreshes every second
+// while open.
+function RequestDiagnosticsPanel({ sources }) {
+  const [open, setOpen] = useState(false);
+  const [diagnostics, setDiagnostics] = useState(() => requestScheduler.getDiagnostics());
+
+  useEffect(() => {
+    if (!open) return undefined;
+    const update = () => setDiagnostics(requestScheduler.getDiagnostics());
+    update();
+    const timer = setInterval(update, 1000);
+    const unsubscribe = requestScheduler.subscribe(update);
+    return () => {
+      clearInterval(timer);
+      unsubscribe();
+    };
+  }, [open]);
+
+  const now = Date.now();
+  const hostsByName = new Map(diagnostics.hosts.map((h) => [h.host, h]));
+  const statsById = new Map(diagnostics.sources.map((s) => [s.sourceId, s]));
+
+  return (
+    <details className="Diagnostics" onToggle={(e) => setOpen(e.currentTarget.open)}>
+      <summary className="Map-overlay-title">Request diagnostics</summary>
+      <table className="Diagnostics-table">
+        <thead>
+          <tr>
+            <th>Source</th>
+            <th>Latency</th>
+            <th title="Share of the last 20 requests that failed">Errors</th>
+            <th>Next</th>
+          </tr>
+        </thead>
+        <tbody>
+          {sources.map(({ id, label, state }) => {
+            const stats = statsById.get(id);
+            const host = stats ? hostsByName.get(stats.host) : null;
+            const waitMs = Math.max(host?.nextAllowedInMs || 0, (state.backoffUntil || 0) - now);
+            return (
+              <tr key={id} title={stats?.lastError || undefined}>
+                <td>{label}</td>
+                <td>{formatLatency(stats ? stats.avgLatencyMs : null)}</td>
+                <td className={stats?.errorRate ? 'is-error' : ''}>
+                  {stats ? `${Math.round(stats.errorRate * 100)}%` : '—'}
+                </td>
+                <td>{formatWait(waitMs)}</td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+      {diagnostics.hosts.map((h) => (
+        <div key={h.host} className="Map-overlay-subtitle">
+          {h.host}: {h.tokens}/{h.limit.burst} requests available
+          {h.queued ? `, ${h.queued} queued` : ''}
+          {h.backoffUntil ? `, backing off for ${formatWait(h.backoffUntil - now)}` : ''}
+        </div>
+      ))}
+    </details>
+  );
+}
+
+export default RequestDiagnosticsPanel;
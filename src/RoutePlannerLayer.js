@@ -0,0 +1,68 @@
+import { useEffect } from 'react';
+import { CircleMarker, Polyline, useMap, useMapEvents } from 'react-leaflet';
+
+const STOP_COLORS = {
+  police: '#1565c0',
+  speedCamera: '#f57c00',
+  warning: '#d32f2f',
+};
+
+function RoutePlannerLayer({ planner }) {
+  const map = useMap();
+  const { picking, pickPoint, route, stops } = planner;
+
+  useMapEvents({
+    click(e) {
+      if (picking) pickPoint(e.latlng);
+    },
+  });
+
+  useEffect(() => {
+    map.getContainer().classList.toggle('is-picking', Boolean(picking));
+  }, [map, picking]);
+
+  useEffect(() => {
+    // Show the whole route; this also makes the map load Waze alerts along it.
+    if (!route?.points.length) return;
+    const bounds = route.points.map((p) => [p.lat, p.lng]);
+    map.fitBounds(bounds, { padding: [40, 40] });
+  }, [map, route]);
+
+  if (!route) return null;
+
+  const start = route.points[0];
+  const end = route.points[route.points.length - 1];
+
+  return (
+    <>
+      <Polyline
+        positions={route.points.map((p) => [p.lat, p.lng])}
+        pathOptions={{ color: '#3949ab', weight: 5, opacity: 0.75 }}
+        interactive={false}
+      />
+      {stops.map((stop) => (
+        <CircleMarker
+          key={stop.id}
+          center={[stop.primary.location.lat, stop.primary.location.lng]}
+          radius={14}
+          pathOptions={{ color: STOP_COLORS[stop.kind] || '#616161', weight: 3, fillOpacity: 0 }}
+          interactive={false}
+        />
+      ))}
+      <CircleMarker
+        center={[start.lat, start.lng]}
+        radius={7}
+        pathOptions={{ color: '#fff', weight: 2, fillColor: '#43a047', fillOpacity: 1 }}
+        interactive={false}
+      />
+      <CircleMarker
+        center={[end.lat, end.lng]}
+        radius={7}
+        pathOptions={{ color: '#fff', weight: 2, fillColor: '#e53935', fillOpacity: 1 }}
+        interactive={false}
+      />
+    </>
+  );
+}
+
+export default RoutePlannerLayer;
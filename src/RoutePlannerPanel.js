@@ -0,0 +1,172 @@
+import { formatDistance, HAZARD_KIND_LABELS } from './DriveModePanel';
+import { parseTrackFile } from './positionSources';
+import { MAX_ROUTE_QUERY_METERS } from './sources/routeAlerts';
+
+// Longer lists stay usable in the overlay; the map still highlights every stop.
+const MAX_LISTED_STOPS = 40;
+
+function formatDuration(seconds) {
+  const minutes = Math.round(seconds / 60);
+  if (minutes < 60) return `${minutes} min`;
+  return `${Math.floor(minutes / 60)} h ${String(minutes % 60).padStart(2, '0')} min`;
+}
+
+function formatSummary(summary) {
+  const parts = Object.entries(summary).map(([kind, { stops, hazards }]) => {
+    const label = HAZARD_KIND_LABELS[kind] || kind;
+    return stops === hazards ? `${hazards} × ${label}` : `${hazards} × ${label} (${stops} spots)`;
+  });
+  return parts.length ? parts.join(', ') : 'No hazards within the buffer';
+}
+
+function RoutePlannerPanel({ planner, policeSource, onStopClick }) {
+  const onRouteFile = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    try {
+      planner.setImportedRoute(file.name, parseTrackFile(await file.text(), file.name));
+    } catch (err) {
+      // eslint-disable-next-line no-console
+      console.error('Route import error:', err);
+      window.alert(err?.message || 'Could not read route file');
+    }
+  };
+
+  const pickButton = (target) => (
+    <button
+      type="button"
+      className={`Map-overlay-icon-button ${planner.picking === target ? 'is-active' : ''}`}
+      title="Pick on the map"
+      aria-label={`Pick ${target} on the map`}
+      onClick={() => planner.setPicking(planner.picking === target ? null : target)}
+    >
+      <i className="mdi mdi-crosshairs" />
+    </button>
+  );
+
+  const { route, stops } = planner;
+
+  return (
+    <>
+      <div className="Map-overlay-title">Route planner</div>
+      <div className="Map-overlay-row">
+        <label className="Map-overlay-label" htmlFor="route-origin">
+          from
+        </label>
+        <span className="Route-input">
+          <input
+            id="route-origin"
+            className="Map-overlay-text"
+            placeholder="lat, lng"
+            value={planner.originText}
+            onChange={(e) => planner.setOriginText(e.target.value)}
+          />
+          {pickButton('origin')}
+        </span>
+      </div>
+      <div className="Map-overlay-row">
+        <label className="Map-overlay-label" htmlFor="route-destination">
+          to
+        </label>
+        <span className="Route-input">
+          <input
+            id="route-destination"
+            className="Map-overlay-text"
+            placeholder="lat, lng"
+            value={planner.destinationText}
+            onChange={(e) => planner.setDestinationText(e.target.value)}
+          />
+          {pickButton('destination')}
+        </span>
+      </div>
+      <div className="Map-overlay-row">
+        <label className="Map-overlay-label" htmlFor="route-router">
+          router
+        </label>
+        <select id="route-router" value={planner.routerId} onChange={(e) => planner.setRouterId(e.target.value)}>
+          {planner.routers.map((r) => (
+            <option key={r.id} value={r.id}>
+              {r.label}
+            </option>
+          ))}
+        </select>
+      </div>
+      <div className="Map-overlay-row">
+        <span className="Map-overlay-label">or import GPX / GeoJSON</span>
+        <input
+          type="file"
+          aria-label="Route file"
+          accept=".gpx,.geojson,.json,application/gpx+xml,application/geo+json"
+          onChange={onRouteFile}
+        />
+      </div>
+      <div className="Map-overlay-row">
+        <label className="Map-overlay-label" htmlFor="route-buffer">
+          buffer (m)
+        </label>
+        <input
+          id="route-buffer"
+          className="Map-overlay-number"
+          type="number"
+          min={10}
+          max={5000}
+          step={10}
+          value={planner.bufferMeters}
+          onChange={(e) => {
+            const value = Number(e.target.value);
+            if (Number.isFinite(value) && value > 0) planner.setBufferMeters(value);
+          }}
+        />
+      </div>
+      <div className="Map-overlay-actions">
+        <button type="button" className="Map-overlay-button" onClick={planner.plan} disabled={planner.loading}>
+          {planner.loading ? 'Planning…' : 'Plan route'}
+        </button>
+        {route ? (
+          <button type="button" className="Map-overlay-button" onClick={planner.clear}>
+            Clear
+          </button>
+        ) : null}
+      </div>
+      {planner.picking ? <div className="Map-overlay-subtitle">Click the map to set the {planner.picking}</div> : null}
+      {planner.error ? <div className="Map-overlay-subtitle is-error">{planner.error}</div> : null}
+      {route ? (
+        <>
+          <div className="Map-overlay-subtitle">
+            {route.name}: {formatDistance(route.distanceMeters)}
+            {Number.isFinite(route.durationSeconds) ? ` • ${formatDuration(route.durationSeconds)}` : ''}
+          </div>
+          <div className="Map-overlay-subtitle">{formatSummary(planner.summary)}</div>
+          {policeSource.error ? <div className="Map-overlay-subtitle is-error">{policeSource.error}</div> : null}
+          {route.distanceMeters > MAX_ROUTE_QUERY_METERS ? (
+            <div className="Map-overlay-subtitle">
+              Police past the first {formatDistance(MAX_ROUTE_QUERY_METERS)} only come from the map view.
+            </div>
+          ) : null}
+          {stops.length ? (
+            <ol className="Route-stops">
+              {stops.slice(0, MAX_LISTED_STOPS).map((stop) => (
+                <li key={stop.id}>
+                  <button type="button" className="Route-stop" onClick={() => onStopClick(stop)}>
+                    <span className="Route-stop-distance">{formatDistance(stop.alongMeters)}</span>
+                    <span>
+                      {HAZARD_KIND_LABELS[stop.kind] || stop.kind}
+                      {stop.hazards.length > 1 ? ` ×${stop.hazards.length}` : ''}
+                      {stop.primary.speedLimit ? ` (${stop.primary.speedLimit})` : ''}
+                      {stop.primary.label ? ` • ${stop.primary.label}` : ''}
+                    </span>
+                  </button>
+                </li>
+              ))}
+            </ol>
+          ) : null}
+          {stops.length > MAX_LISTED_STOPS ? (
+            <div className="Map-overlay-subtitle">…and {stops.length - MAX_LISTED_STOPS} more along the route</div>
+          ) : null}
+        </>
+      ) : null}
+    </>
+  );
+}
+
+export default RoutePlannerPanel;
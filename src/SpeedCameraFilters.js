@@ -0,0 +1,37 @@
+import { useMemo } from 'react';
+import { SPEED_CAMERA_TYPES } from './speedCameraTypes';
+
+// Per-type visibility toggles for SCDB cameras, with counts over the whole loaded file.
+function SpeedCameraFilters({ cameras, hiddenTypes, onHiddenTypesChange, disabled }) {
+  const counts = useMemo(() => {
+    const byType = {};
+    for (const c of cameras) byType[c.cameraType] = (byType[c.cameraType] || 0) + 1;
+    return byType;
+  }, [cameras]);
+
+  return (
+    <div className="Speedcam-filters">
+      {SPEED_CAMERA_TYPES.map((type) => (
+        <div key={type.id} className="Map-overlay-row">
+          <label className="Map-overlay-label">
+            <input
+              type="checkbox"
+              checked={!hiddenTypes.includes(type.id)}
+              disabled={disabled}
+              onChange={(e) =>
+                onHiddenTypesChange(
+                  e.target.checked ? hiddenTypes.filter((t) => t !== type.id) : [...hiddenTypes, type.id]
+                )
+              }
+            />{' '}
+            <span className="Speedcam-filters-swatch" style={{ background: type.color }} />
+            {type.label}
+          </label>
+          <span className="Waze-filters-count">{counts[type.id] || 0}</span>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default SpeedCameraFilters;
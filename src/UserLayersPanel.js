@@ -0,0 +1,178 @@
+import { BUNDLED_LAYER_FILE } from './useUserLayers';
+import { CSV_DELIMITERS, USER_LAYER_ICONS } from './userLayers';
+
+const LAYER_FILE_TYPES = '.gpx,.kml,.geojson,.json,.csv,.txt,application/gpx+xml,application/vnd.google-earth.kml+xml';
+
+function ColumnSelect({ id, label, header, value, onChange, optional = false }) {
+  return (
+    <div className="Map-overlay-row">
+      <label className="Map-overlay-label" htmlFor={id}>
+        {label}
+      </label>
+      <select id={id} value={value} onChange={(e) => onChange(e.target.value)}>
+        <option value="">{optional ? '(none)' : 'choose…'}</option>
+        {header.map((column) => (
+          <option key={column} value={column}>
+            {column}
+          </option>
+        ))}
+      </select>
+    </div>
+  );
+}
+
+function CsvMappingForm({ userLayers }) {
+  const { pendingImport: pending, updatePendingImport: update } = userLayers;
+  const setColumn = (name) => (value) => update({ mapping: { [name]: value } });
+
+  return (
+    <div className="User-layer-mapping">
+      <div className="Map-overlay-subtitle">Columns of {pending.fileName}</div>
+      <div className="Map-overlay-row">
+        <label className="Map-overlay-label" htmlFor="layer-csv-delimiter">
+          delimiter
+        </label>
+        <select
+          id="layer-csv-delimiter"
+          value={pending.delimiter}
+          onChange={(e) => update({ delimiter: e.target.value })}
+        >
+          {CSV_DELIMITERS.map((d) => (
+            <option key={d.label} value={d.id}>
+              {d.label}
+            </option>
+          ))}
+        </select>
+      </div>
+      <ColumnSelect
+        id="layer-csv-lat"
+        label="latitude"
+        header={pending.header}
+        value={pending.mapping.latColumn}
+        onChange={setColumn('latColumn')}
+      />
+      <ColumnSelect
+        id="layer-csv-lng"
+        label="longitude"
+        header={pending.header}
+        value={pending.mapping.lngColumn}
+        onChange={setColumn('lngColumn')}
+      />
+      <ColumnSelect
+        id="layer-csv-name"
+        label="name"
+        header={pending.header}
+        value={pending.mapping.nameColumn}
+        onChange={setColumn('nameColumn')}
+        optional
+      />
+      <div className="Map-overlay-row">
+        <label className="Map-overlay-label" htmlFor="layer-csv-cameras">
+          speed cameras
+        </label>
+        <input
+          id="layer-csv-cameras"
+          type="checkbox"
+          checked={pending.asCameras}
+          onChange={(e) => update({ asCameras: e.target.checked })}
+        />
+      </div>
+      <div className="Map-overlay-actions">
+        <button
+          type="button"
+          className="Map-overlay-button"
+          onClick={userLayers.confirmPendingImport}
+          disabled={!pending.mapping.latColumn || !pending.mapping.lngColumn}
+        >
+          Add layer
+        </button>
+        <button type="button" className="Map-overlay-button" onClick={userLayers.cancelPendingImport}>
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+}
+
+function UserLayerRow({ layer, onChange, onRemove }) {
+  return (
+    <li className="User-layer">
+      <input
+        type="checkbox"
+        aria-label={`Show ${layer.name}`}
+        checked={layer.visible}
+        onChange={(e) => onChange({ visible: e.target.checked })}
+      />
+      <span className="User-layer-name" title={layer.fileName}>
+        {layer.name} <span className="User-layer-count">({layer.items.length})</span>
+      </span>
+      <input
+        type="color"
+        className="User-layer-color"
+        aria-label={`${layer.name} colour`}
+        value={layer.color}
+        onChange={(e) => onChange({ color: e.target.value })}
+      />
+      <select aria-label={`${layer.name} icon`} value={layer.icon} onChange={(e) => onChange({ icon: e.target.value })}>
+        {USER_LAYER_ICONS.map((icon) => (
+          <option key={icon.id} value={icon.id}>
+            {icon.label}
+          </option>
+        ))}
+      </select>
+      <select aria-label={`${layer.name} kind`} value={layer.kind} onChange={(e) => onChange({ kind: e.target.value })}>
+        <option value="poi">POI</option>
+        <option value="speedCamera">Cameras</option>
+      </select>
+      <button
+        type="button"
+        className="Map-overlay-icon-button"
+        aria-label={`Remove ${layer.name}`}
+        title="Remove layer"
+        onClick={onRemove}
+      >
+        <i className="mdi mdi-delete-outline" />
+      </button>
+    </li>
+  );
+}
+
+function UserLayersPanel({ userLayers }) {
+  const onFiles = (e) => {
+    userLayers.importFiles(e.target.files);
+    // Picking the same file again should import it again.
+    e.target.value = '';
+  };
+
+  return (
+    <>
+      <div className="Map-overlay-title">My layers</div>
+      <div className="Map-overlay-row">
+        <span className="Map-overlay-label">GPX / KML / GeoJSON / CSV</span>
+        <input type="file" aria-label="Layer files" accept={LAYER_FILE_TYPES} multiple onChange={onFiles} />
+      </div>
+      <div className="Map-overlay-actions">
+        <button type="button" className="Map-overlay-button" onClick={userLayers.importBundled}>
+          Load {BUNDLED_LAYER_FILE}
+        </button>
+      </div>
+      <div className="Map-overlay-subtitle">…or drop files on the map.</div>
+      {userLayers.pendingImport ? <CsvMappingForm userLayers={userLayers} /> : null}
+      {userLayers.error ? <div className="Map-overlay-subtitle is-error">{userLayers.error}</div> : null}
+      {userLayers.layers.length ? (
+        <ul className="User-layers">
+          {userLayers.layers.map((layer) => (
+            <UserLayerRow
+              key={layer.id}
+              layer={layer}
+              onChange={(patch) => userLayers.updateLayer(layer.id, patch)}
+              onRemove={() => userLayers.removeLayer(layer.id)}
+            />
+          ))}
+        </ul>
+      ) : null}
+    </>
+  );
+}
+
+export default UserLayersPanel;
@@ -0,0 +1,30 @@
+import { Marker, Tooltip, useMapEvents } from 'react-leaflet';
+import { reportPinIcon } from './markerIcons';
+
+// Right-click (long-press on touch screens) drops the pin for a new warning
+// report; the pin can be dragged to fine-tune the spot.
+function WarningReportLayer({ reports }) {
+  const { pin, dropPin } = reports;
+
+  useMapEvents({
+    contextmenu(e) {
+      dropPin(e.latlng);
+    },
+  });
+
+  if (!pin) return null;
+  return (
+    <Marker
+      position={[pin.lat, pin.lng]}
+      icon={reportPinIcon}
+      draggable
+      eventHandlers={{ dragend: (e) => dropPin(e.target.getLatLng()) }}
+    >
+      <Tooltip direction="top" offset={[0, -32]}>
+        New report
+      </Tooltip>
+    </Marker>
+  );
+}
+
+export default WarningReportLayer;
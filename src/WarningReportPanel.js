@@ -0,0 +1,124 @@
+import { MAX_RECORDING_MS, MAX_REPORT_TEXT, WARNING_CATEGORIES } from './warningReports';
+
+function VoiceNoteControls({ reports }) {
+  const { draft, recording, recordingSupported } = reports;
+
+  if (recording) {
+    return (
+      <div className="Map-overlay-actions">
+        <span className="Map-overlay-subtitle is-error">
+          <i className="mdi mdi-record-circle" /> Recording (up to {MAX_RECORDING_MS / 1000} s)
+        </span>
+        <button type="button" className="Map-overlay-button" onClick={reports.stopRecording}>
+          <i className="mdi mdi-stop" /> Stop
+        </button>
+      </div>
+    );
+  }
+
+  if (draft.audioUrl) {
+    return (
+      <div className="Map-overlay-actions">
+        <audio className="Report-audio" controls src={draft.audioUrl} />
+        <button
+          type="button"
+          className="Map-overlay-icon-button"
+          aria-label="Discard voice note"
+          title="Discard voice note"
+          onClick={reports.discardRecording}
+        >
+          <i className="mdi mdi-delete-outline" />
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="Map-overlay-actions">
+      <button
+        type="button"
+        className="Map-overlay-button"
+        onClick={reports.startRecording}
+        disabled={!recordingSupported}
+        title={recordingSupported ? undefined : 'This browser cannot record audio'}
+      >
+        <i className="mdi mdi-microphone" /> Record voice note
+      </button>
+    </div>
+  );
+}
+
+function WarningReportPanel({ reports }) {
+  const { pin, draft, recording, error } = reports;
+  const sending = reports.reports.filter((r) => r.status === 'sending').length;
+
+  return (
+    <>
+      <div className="Map-overlay-title">Report a warning</div>
+      {pin ? (
+        <>
+          <div className="Map-overlay-row">
+            <span className="Map-overlay-label">at</span>
+            <span className="Map-overlay-value">
+              {pin.lat.toFixed(5)}, {pin.lng.toFixed(5)}
+            </span>
+          </div>
+          <div className="Map-overlay-row">
+            <label className="Map-overlay-label" htmlFor="report-category">
+              category
+            </label>
+            <select
+              id="report-category"
+              value={draft.category}
+              onChange={(e) => reports.updateDraft({ category: e.target.value })}
+            >
+              {WARNING_CATEGORIES.map((c) => (
+                <option key={c.id} value={c.id}>
+                  {c.label}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div className="Map-overlay-row">
+            <label className="Map-overlay-label" htmlFor="report-text">
+              text
+            </label>
+            <input
+              id="report-text"
+              className="Map-overlay-text"
+              placeholder="e.g. Radar after the bridge"
+              maxLength={MAX_REPORT_TEXT}
+              value={draft.text}
+              onChange={(e) => reports.updateDraft({ text: e.target.value })}
+            />
+          </div>
+          <VoiceNoteControls reports={reports} />
+          {!reports.signedIn ? (
+            <div className="Map-overlay-subtitle">Only staff can send reports: sign in under Moderate first.</div>
+          ) : null}
+          <div className="Map-overlay-actions">
+            <button
+              type="button"
+              className="Map-overlay-button"
+              onClick={reports.submit}
+              disabled={!reports.signedIn || recording || (!draft.text.trim() && !draft.audio)}
+            >
+              <i className="mdi mdi-send" /> Send
+            </button>
+            <button type="button" className="Map-overlay-button" onClick={reports.cancel}>
+              Cancel
+            </button>
+          </div>
+        </>
+      ) : (
+        <div className="Map-overlay-subtitle">Right-click or long-press the map to report a hazard there.</div>
+      )}
+      {sending ? (
+        <div className="Map-overlay-subtitle">Sending {sending === 1 ? 'a report' : `${sending} reports`}…</div>
+      ) : null}
+      {error ? <div className="Map-overlay-subtitle is-error">{error}</div> : null}
+    </>
+  );
+}
+
+export default WarningReportPanel;
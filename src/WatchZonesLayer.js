@@ -0,0 +1,91 @@
+import { useEffect } from 'react';
+import { Circle, CircleMarker, Polygon, Polyline, Tooltip, useMap, useMapEvents } from 'react-leaflet';
+import { haversineMeters } from './geo';
+
+const ZONE_STYLE = { color: '#7b1fa2', weight: 2, fillOpacity: 0.06 };
+const DISABLED_ZONE_STYLE = { ...ZONE_STYLE, color: '#9e9e9e', dashArray: '4 6' };
+const DRAFT_STYLE = { color: '#7b1fa2', weight: 2, dashArray: '6 6', fillOpacity: 0.1 };
+
+const toLatLng = (p) => [p.lat, p.lng];
+
+function ZoneShape({ zone, pathOptions, children }) {
+  if (zone.shape === 'circle') {
+    return (
+      <Circle center={toLatLng(zone.center)} radius={zone.radiusMeters} pathOptions={pathOptions} interactive={false}>
+        {children}
+      </Circle>
+    );
+  }
+  return (
+    <Polygon positions={zone.points.map(toLatLng)} pathOptions={pathOptions} interactive={false}>
+      {children}
+    </Polygon>
+  );
+}
+
+function DrawingPreview({ drawing }) {
+  const { shape, points, cursor } = drawing;
+  if (!points.length) return null;
+  if (shape === 'circle') {
+    const radius = cursor ? haversineMeters(points[0], cursor) : 0;
+    return <Circle center={toLatLng(points[0])} radius={radius} pathOptions={DRAFT_STYLE} interactive={false} />;
+  }
+  return (
+    <>
+      <Polyline
+        positions={[...points, ...(cursor ? [cursor] : [])].map(toLatLng)}
+        pathOptions={DRAFT_STYLE}
+        interactive={false}
+      />
+      {points.map((p, i) => (
+        <CircleMarker
+          key={i}
+          center={toLatLng(p)}
+          radius={4}
+          pathOptions={{ color: '#7b1fa2', fillColor: '#fff', fillOpacity: 1, weight: 2 }}
+          interactive={false}
+        />
+      ))}
+    </>
+  );
+}
+
+function WatchZonesLayer({ watchZones }) {
+  const map = useMap();
+  const { zones, drawing, draft, addPoint, moveCursor, finishPolygon } = watchZones;
+
+  useMapEvents({
+    click(e) {
+      if (drawing) addPoint(e.latlng);
+    },
+    mousemove(e) {
+      if (drawing) moveCursor(e.latlng);
+    },
+    dblclick() {
+      if (drawing?.shape === 'polygon') finishPolygon();
+    },
+  });
+
+  useEffect(() => {
+    // Double clicks finish polygons while drawing instead of zooming.
+    map.getContainer().classList.toggle('is-drawing', Boolean(drawing));
+    if (drawing) map.doubleClickZoom.disable();
+    else map.doubleClickZoom.enable();
+  }, [drawing, map]);
+
+  return (
+    <>
+      {zones.map((zone) => (
+        <ZoneShape key={zone.id} zone={zone} pathOptions={zone.enabled ? ZONE_STYLE : DISABLED_ZONE_STYLE}>
+          <Tooltip direction="center" permanent className="Watch-zone-label">
+            {zone.name}
+          </Tooltip>
+        </ZoneShape>
+      ))}
+      {drawing ? <DrawingPreview drawing={drawing} /> : null}
+      {draft ? <ZoneShape zone={draft} pathOptions={DRAFT_STYLE} /> : null}
+    </>
+  );
+}
+
+export default WatchZonesLayer;
@@ -0,0 +1,196 @@
+import { useState } from 'react';
+import { formatDistance } from './DriveModePanel';
+import { ZONE_KINDS } from './watchZones';
+import { MAX_POLLED_WATCH_ZONES } from './sources/watchZoneAlerts';
+
+const PERMISSION_NOTES = {
+  denied: 'Notifications are blocked for this site; new hazards are only listed below.',
+  unsupported: 'This browser has no notifications; new hazards are only listed below.',
+};
+
+function describeZone(zone) {
+  return zone.shape === 'circle'
+    ? `circle, ${formatDistance(zone.radiusMeters)} radius`
+    : `polygon, ${zone.points.length} corners`;
+}
+
+function DrawingControls({ watchZones }) {
+  const [name, setName] = useState('');
+  const { drawing, draft } = watchZones;
+
+  if (draft) {
+    const save = () => {
+      watchZones.saveDraft(name);
+      setName('');
+    };
+    return (
+      <>
+        <div className="Map-overlay-row">
+          <label className="Map-overlay-label" htmlFor="watch-zone-name">
+            name
+          </label>
+          <input
+            id="watch-zone-name"
+            className="Map-overlay-text"
+            placeholder="e.g. Depot"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter') save();
+            }}
+          />
+        </div>
+        <div className="Map-overlay-actions">
+          <button type="button" className="Map-overlay-button" onClick={save}>
+            Save zone
+          </button>
+          <button type="button" className="Map-overlay-button" onClick={watchZones.cancelDrawing}>
+            Discard
+          </button>
+        </div>
+      </>
+    );
+  }
+
+  if (drawing) {
+    const hint =
+      drawing.shape === 'circle'
+        ? drawing.points.length
+          ? 'Click the edge of the circle'
+          : 'Click the center of the circle'
+        : 'Click each corner; double-click or press Finish to close the shape';
+    return (
+      <>
+        <div className="Map-overlay-subtitle">{hint}</div>
+        <div className="Map-overlay-actions">
+          {drawing.shape === 'polygon' ? (
+            <button
+              type="button"
+              className="Map-overlay-button"
+              onClick={watchZones.finishPolygon}
+              disabled={drawing.points.length < 3}
+            >
+              Finish
+            </button>
+          ) : null}
+          <button type="button" className="Map-overlay-button" onClick={watchZones.cancelDrawing}>
+            Cancel
+          </button>
+        </div>
+      </>
+    );
+  }
+
+  return (
+    <div className="Map-overlay-actions">
+      <button type="button" className="Map-overlay-button" onClick={() => watchZones.startDrawing('circle')}>
+        <i className="mdi mdi-circle-outline" /> Circle
+      </button>
+      <button type="button" className="Map-overlay-button" onClick={() => watchZones.startDrawing('polygon')}>
+        <i className="mdi mdi-vector-polygon" /> Polygon
+      </button>
+    </div>
+  );
+}
+
+function ZoneRow({ zone, onChange, onRemove, onShow }) {
+  const toggleKind = (kind) => {
+    const kinds = zone.kinds.includes(kind) ? zone.kinds.filter((k) => k !== kind) : [...zone.kinds, kind];
+    onChange({ kinds });
+  };
+
+  return (
+    <li className="Watch-zone">
+      <div className="User-layer">
+        <input
+          type="checkbox"
+          aria-label={`Watch ${zone.name}`}
+          checked={zone.enabled}
+          onChange={(e) => onChange({ enabled: e.target.checked })}
+        />
+        <button type="button" className="Watch-zone-name" title={describeZone(zone)} onClick={onShow}>
+          {zone.name}
+        </button>
+        <button
+          type="button"
+          className="Map-overlay-icon-button"
+          aria-label={`Remove ${zone.name}`}
+          title="Remove zone"
+          onClick={onRemove}
+        >
+          <i className="mdi mdi-delete-outline" />
+        </button>
+      </div>
+      <div className="Weekday-toggles">
+        {ZONE_KINDS.map((kind) => (
+          <button
+            key={kind.id}
+            type="button"
+            className={`Map-overlay-icon-button ${zone.kinds.includes(kind.id) ? 'is-active' : ''}`}
+            aria-pressed={zone.kinds.includes(kind.id)}
+            onClick={() => toggleKind(kind.id)}
+          >
+            {kind.label}
+          </button>
+        ))}
+      </div>
+    </li>
+  );
+}
+
+function WatchZonesPanel({ watchZones, notifications, onShowZone, onShowEvent }) {
+  const { zones } = watchZones;
+  const enabledCount = zones.filter((z) => z.enabled).length;
+
+  return (
+    <>
+      <div className="Map-overlay-title">Watch zones</div>
+      <DrawingControls watchZones={watchZones} />
+      {zones.length ? (
+        <ul className="User-layers">
+          {zones.map((zone) => (
+            <ZoneRow
+              key={zone.id}
+              zone={zone}
+              onChange={(patch) => watchZones.updateZone(zone.id, patch)}
+              onRemove={() => watchZones.removeZone(zone.id)}
+              onShow={() => onShowZone(zone)}
+            />
+          ))}
+        </ul>
+      ) : null}
+      {enabledCount > MAX_POLLED_WATCH_ZONES ? (
+        <div className="Map-overlay-subtitle is-stale">
+          Only the first {MAX_POLLED_WATCH_ZONES} zones are polled in the background; the others only when on screen.
+        </div>
+      ) : null}
+      {zones.length && notifications.permission === 'default' ? (
+        <div className="Map-overlay-actions">
+          <button type="button" className="Map-overlay-button" onClick={notifications.requestPermission}>
+            Enable notifications
+          </button>
+        </div>
+      ) : null}
+      {zones.length && PERMISSION_NOTES[notifications.permission] ? (
+        <div className="Map-overlay-subtitle">{PERMISSION_NOTES[notifications.permission]}</div>
+      ) : null}
+      {notifications.recent.length ? (
+        <ol className="Route-stops">
+          {notifications.recent.map((event) => (
+            <li key={event.key}>
+              <button type="button" className="Route-stop" onClick={() => onShowEvent(event)}>
+                <span className="Route-stop-distance">{new Date(event.at).toLocaleTimeString()}</span>
+                <span>
+                  {event.title}
+                  {event.body ? ` • ${event.body}` : ''}
+                </span>
+              </button>
+            </li>
+          ))}
+        </ol>
+      ) : null}
+    </>
+  );
+}
+
+export default WatchZonesPanel;
@@ -0,0 +1,72 @@
+import { useMemo } from 'react';
+import { WAZE_ALERT_CATEGORIES, formatWazeSubtype } from './wazeAlertTypes';
+
+function toggleInList(list, value, visible) {
+  const without = list.filter((v) => v !== value);
+  return visible ? without : [...without, value];
+}
+
+// Per-category and per-subtype visibility toggles for Waze alerts, with counts
+// for everything currently returned for the viewport (including hidden ones).
+function WazeAlertFilters({ alerts, hiddenCategories, hiddenSubtypes, onHiddenCategoriesChange, onHiddenSubtypesChange }) {
+  const counts = useMemo(() => {
+    const byCategory = {};
+    for (const a of alerts) {
+      const entry = byCategory[a.kind] || (byCategory[a.kind] = { total: 0, subtypes: {} });
+      entry.total += 1;
+      entry.subtypes[a.subtype || ''] = (entry.subtypes[a.subtype || ''] || 0) + 1;
+    }
+    return byCategory;
+  }, [alerts]);
+
+  return (
+    <div className="Waze-filters">
+      {WAZE_ALERT_CATEGORIES.map((category) => {
+        const entry = counts[category.id];
+        const categoryVisible = !hiddenCategories.includes(category.id);
+        const subtypes = entry ? Object.keys(entry.subtypes).sort() : [];
+
+        return (
+          <details key={category.id} className="Waze-filters-category">
+            <summary className="Map-overlay-row">
+              <label className="Map-overlay-label" onClick={(e) => e.stopPropagation()}>
+                <input
+                  type="checkbox"
+                  checked={categoryVisible}
+                  onChange={(e) =>
+                    onHiddenCategoriesChange(toggleInList(hiddenCategories, category.id, e.target.checked))
+                  }
+                />{' '}
+                {category.label}
+              </label>
+              <span className="Waze-filters-count">{entry ? entry.total : 0}</span>
+            </summary>
+            {subtypes.length ? (
+              subtypes.map((subtype) => {
+                const key = `${category.id}:${subtype}`;
+                return (
+                  <div key={key} className="Map-overlay-row Waze-filters-subtype">
+                    <label className="Map-overlay-label">
+                      <input
+                        type="checkbox"
+                        checked={!hiddenSubtypes.includes(key)}
+                        disabled={!categoryVisible}
+                        onChange={(e) => onHiddenSubtypesChange(toggleInList(hiddenSubtypes, key, e.target.checked))}
+                      />{' '}
+                      {formatWazeSubtype(subtype) || '(unspecified)'}
+                    </label>
+                    <span className="Waze-filters-count">{entry.subtypes[subtype]}</span>
+                  </div>
+                );
+              })
+            ) : (
+              <div className="Map-overlay-subtitle Waze-filters-subtype">none in this view</div>
+            )}
+          </details>
+        );
+      })}
+    </div>
+  );
+}
+
+export default WazeAlertFilters;
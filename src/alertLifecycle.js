@@ -0,0 +1,110 @@
+// Lifecycle of each Waze alert across refreshes: when we first and last saw it,
+// how many updates it persisted through and when it disappeared from an area we
+// were still looking at. Waze only gives the report time; this is what tells a
+// checkpoint that has been confirmed for an hour from one that vanished after a poll.
+//
+// Entry shape: { id, location, firstSeenAt, lastSeenAt, polls, vanishedAt }
+
+const HOUR_MS = 60 * 60 * 1000;
+export const ALERT_LIFECYCLE_MAX_AGE_MS = 6 * HOUR_MS;
+export const ALERT_LIFECYCLE_MAX_ENTRIES = 5000;
+export const ALERT_LIFECYCLE_RETENTION = {
+  maxAgeMs: ALERT_LIFECYCLE_MAX_AGE_MS,
+  maxEntries: ALERT_LIFECYCLE_MAX_ENTRIES,
+};
+
+// Markers stay fully opaque while fresh, then fade linearly down to the floor.
+const FADE_START_MS = 15 * 60 * 1000;
+const FADE_END_MS = 3 * HOUR_MS;
+const MIN_AGE_OPACITY = 0.35;
+
+// Waze scores: confidence 0–5 (rises as other drivers confirm), reliability 0–10.
+export const MAX_WAZE_CONFIDENCE = 5;
+export const MAX_WAZE_RELIABILITY = 10;
+
+export const WAZE_CONFIDENCE_THRESHOLDS = [
+  { value: 0, label: 'any' },
+  { value: 1, label: '1+ of 5' },
+  { value: 2, label: '2+ of 5' },
+  { value: 3, label: '3+ of 5' },
+  { value: 4, label: '4+ of 5' },
+];
+
+export const WAZE_MAX_AGE_OPTIONS = [
+  { value: 0, label: 'any age' },
+  { value: 15, label: '15 min' },
+  { value: 30, label: '30 min' },
+  { value: 60, label: '1 hour' },
+  { value: 120, label: '2 hours' },
+  { value: 240, label: '4 hours' },
+];
+
+// `isCovered(location)` says whether the update covered where an alert was; alerts
+// missing from an update that didn't cover them (the map moved away) haven't vanished.
+export function updateAlertLifecycle(lifecycle, alerts, now, isCovered = () => true) {
+  const next = { ...lifecycle };
+  const present = new Set();
+  for (const alert of alerts) {
+    present.add(alert.id);
+    const existing = next[alert.id];
+    if (existing) {
+      // Waze sometimes leaves an alert out of one response; coming back clears the vanish.
+      next[alert.id] = {
+        ...existing,
+        location: alert.location,
+        lastSeenAt: now,
+        polls: existing.polls + 1,
+        vanishedAt: null,
+      };
+    } else {
+      next[alert.id] = {
+        id: alert.id,
+        location: alert.location,
+        firstSeenAt: now,
+        lastSeenAt: now,
+        polls: 1,
+        vanishedAt: null,
+      };
+    }
+  }
+  for (const entry of Object.values(lifecycle)) {
+    if (entry.vanishedAt || present.has(entry.id) || !isCovered(entry.location)) continue;
+    next[entry.id] = { ...entry, vanishedAt: now };
+  }
+  return next;
+}
+
+export function getAlertAgeMs(alert, entry, now) {
+  // Report time when Waze gives one; otherwise the first time we saw it is the best we know.
+  const since = alert.reportedAt || entry?.firstSeenAt;
+  return since ? Math.max(0, now - since) : null;
+}
+
+export function getAgeOpacity(ageMs) {
+  if (ageMs === null || ageMs <= FADE_START_MS) return 1;
+  if (ageMs >= FADE_END_MS) return MIN_AGE_OPACITY;
+  return 1 - ((1 - MIN_AGE_OPACITY) * (ageMs - FADE_START_MS)) / (FADE_END_MS - FADE_START_MS);
+}
+
+// Alerts without a confidence score (older snapshots, other feeds) aren't hidden by the threshold.
+export function passesAlertThresholds(alert, entry, { minConfidence, maxAgeMinutes }, now) {
+  if (minConfidence > 0 && Number.isFinite(alert.confidence) && alert.confidence < minConfidence) return false;
+  if (maxAgeMinutes > 0) {
+    const ageMs = getAlertAgeMs(alert, entry, now);
+    if (ageMs !== null && ageMs > maxAgeMinutes * 60 * 1000) return false;
+  }
+  return true;
+}
+
+export function countRecentlyVanished(lifecycle, now, withinMs) {
+  return Object.values(lifecycle).filter((entry) => entry.vanishedAt && now - entry.vanishedAt <= withinMs).length;
+}
+
+export function formatAlertAge(ageMs) {
+  if (ageMs === null) return '';
+  const minutes = Math.round(ageMs / 60000);
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes} min ago`;
+  const hours = Math.floor(minutes / 60);
+  return minutes % 60 ? `${hours} h ${minutes % 60} min ago` : `${hours} h ago`;
+}
@@ -0,0 +1,41 @@
+import { getAgeOpacity, getAlertAgeMs, passesAlertThresholds, updateAlertLifecycle } from './alertLifecycle';
+
+const alert = (id, lat = 45, extra = {}) => ({ id, location: { lat, lng: 25 }, ...extra });
+
+test('tracks first/last seen and poll counts, and marks alerts gone from a covered area as vanished', () => {
+  const first = updateAlertLifecycle({}, [alert('a'), alert('b'), alert('far', 50)], 1000);
+  const isCovered = (location) => location.lat < 48;
+  const second = updateAlertLifecycle(first, [alert('a')], 2000, isCovered);
+
+  expect(second.a).toMatchObject({ firstSeenAt: 1000, lastSeenAt: 2000, polls: 2, vanishedAt: null });
+  expect(second.b).toMatchObject({ lastSeenAt: 1000, polls: 1, vanishedAt: 2000 });
+  expect(second.far.vanishedAt).toBeNull();
+
+  const third = updateAlertLifecycle(second, [alert('a'), alert('b')], 3000, isCovered);
+  expect(third.b).toMatchObject({ firstSeenAt: 1000, polls: 2, vanishedAt: null });
+});
+
+test('ages alerts by report time, falling back to first seen, and fades them', () => {
+  const min = 60 * 1000;
+  expect(getAlertAgeMs({ reportedAt: 2 * min }, { firstSeenAt: 5 * min }, 10 * min)).toBe(8 * min);
+  expect(getAlertAgeMs({ reportedAt: null }, { firstSeenAt: 5 * min }, 10 * min)).toBe(5 * min);
+  expect(getAlertAgeMs({ reportedAt: null }, undefined, 10 * min)).toBeNull();
+
+  expect(getAgeOpacity(null)).toBe(1);
+  expect(getAgeOpacity(10 * min)).toBe(1);
+  expect(getAgeOpacity(60 * min)).toBeLessThan(1);
+  expect(getAgeOpacity(600 * min)).toBe(0.35);
+});
+
+test('hides alerts below the confidence threshold or older than the age limit', () => {
+  const now = 2 * 60 * 60 * 1000;
+  const thresholds = { minConfidence: 2, maxAgeMinutes: 30 };
+
+  expect(passesAlertThresholds(alert('a', 45, { confidence: 3, reportedAt: now }), null, thresholds, now)).toBe(true);
+  expect(passesAlertThresholds(alert('a', 45, { confidence: 1, reportedAt: now }), null, thresholds, now)).toBe(false);
+  expect(
+    passesAlertThresholds(alert('a', 45, { confidence: 3, reportedAt: now - 31 * 60 * 1000 }), null, thresholds, now)
+  ).toBe(false);
+  expect(passesAlertThresholds(alert('a', 45, { reportedAt: now }), null, thresholds, now)).toBe(true);
+  expect(passesAlertThresholds(alert('a', 45, { confidence: 0, reportedAt: 1 }), null, {}, now)).toBe(true);
+});
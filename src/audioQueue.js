@@ -0,0 +1,16 @@
+// Ordering for the warning audio auto-play queue (src/useAudioPlayer.js).
+
+const getWarningTime = (w) => w.reportedAt ?? Infinity;
+
+export function buildPlaybackQueue(warnings, playedIds) {
+  // Oldest first, so a queue started on a busy view plays the reports in the order they came in.
+  return warnings
+    .filter((w) => w.url && !playedIds.has(w.id))
+    .sort((a, b) => getWarningTime(a) - getWarningTime(b) || String(a.id).localeCompare(String(b.id)));
+}
+
+export function formatPlaybackTime(seconds) {
+  if (!Number.isFinite(seconds) || seconds < 0) return '0:00';
+  const s = Math.floor(seconds);
+  return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, '0')}`;
+}
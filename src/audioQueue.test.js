@@ -0,0 +1,20 @@
+import { buildPlaybackQueue, formatPlaybackTime } from './audioQueue';
+
+test('queues unplayed warnings with audio, oldest first', () => {
+  const warnings = [
+    { id: 'c', url: 'https://x/c.mp3', reportedAt: 3000 },
+    { id: 'a', url: 'https://x/a.mp3', reportedAt: 1000 },
+    { id: 'undated', url: 'https://x/u.mp3', reportedAt: null },
+    { id: 'no-audio', url: '', reportedAt: 500 },
+    { id: 'b', url: 'https://x/b.mp3', reportedAt: 2000 },
+    { id: 'played', url: 'https://x/p.mp3', reportedAt: 1500 },
+  ];
+
+  expect(buildPlaybackQueue(warnings, new Set(['played'])).map((w) => w.id)).toEqual(['a', 'b', 'c', 'undated']);
+});
+
+test('formats playback times as m:ss', () => {
+  expect(formatPlaybackTime(0)).toBe('0:00');
+  expect(formatPlaybackTime(75.9)).toBe('1:15');
+  expect(formatPlaybackTime(NaN)).toBe('0:00');
+});
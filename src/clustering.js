@@ -0,0 +1,197 @@
+// Zoom-aware hierarchical point clustering (same idea as supercluster): points are
+// projected to Web Mercator, merged greedily level by level from maxZoom down to
+// minZoom using a pixel radius, and each level is kept so any zoom can be queried
+// without re-clustering. Replaces the per-render O(n²) single-linkage loops.
+
+import { createGridIndex } from './spatialIndex';
+
+const TILE_SIZE = 256;
+const DEFAULT_RADIUS_PX = 48;
+const DEFAULT_MIN_ZOOM = 0;
+// Deeper than the map's max zoom, so points at (nearly) the same spot stay grouped.
+const DEFAULT_MAX_ZOOM = 20;
+const WORLD_BOX = { south: -90, north: 90, west: -180, east: 180 };
+
+function lngToX(lng) {
+  return lng / 360 + 0.5;
+}
+
+function latToY(lat) {
+  const sin = Math.sin((lat * Math.PI) / 180);
+  const y = 0.5 - (0.25 * Math.log((1 + sin) / (1 - sin))) / Math.PI;
+  return Math.min(Math.max(y, 0), 1);
+}
+
+function xToLng(x) {
+  return (x - 0.5) * 360;
+}
+
+function yToLat(y) {
+  const y2 = ((180 - y * 360) * Math.PI) / 180;
+  return (360 * Math.atan(Math.exp(y2))) / Math.PI - 90;
+}
+
+export function pickLatestReport(a, b) {
+  // Primary (for popup details): latest pubMillis
+  return (b?.pubMillis || 0) >= (a?.pubMillis || 0) ? b : a;
+}
+
+function createLeaf(item, loc) {
+  return {
+    id: String(item.id),
+    x: lngToX(loc.lng),
+    y: latToY(loc.lat),
+    count: 1,
+    item,
+    children: null,
+    primary: item,
+    zoom: Infinity,
+    bounds: { south: loc.lat, north: loc.lat, west: loc.lng, east: loc.lng },
+  };
+}
+
+function mergeNodes(seed, neighbors, zoom, pickPrimary) {
+  let wx = seed.x * seed.count;
+  let wy = seed.y * seed.count;
+  let count = seed.count;
+  let primary = seed.primary;
+  const bounds = { ...seed.bounds };
+
+  for (const n of neighbors) {
+    wx += n.x * n.count;
+    wy += n.y * n.count;
+    count += n.count;
+    primary = pickPrimary(primary, n.primary);
+    bounds.south = Math.min(bounds.south, n.bounds.south);
+    bounds.north = Math.max(bounds.north, n.bounds.north);
+    bounds.west = Math.min(bounds.west, n.bounds.west);
+    bounds.east = Math.max(bounds.east, n.bounds.east);
+  }
+
+  return {
+    id: `${seed.id}@${zoom}`,
+    x: wx / count,
+    y: wy / count,
+    count,
+    item: null,
+    children: [seed, ...neighbors],
+    primary,
+    zoom,
+    bounds,
+  };
+}
+
+function clusterLevel(nodes, zoom, radiusPx, pickPrimary) {
+  const r = radiusPx / (TILE_SIZE * 2 ** zoom);
+  // Numeric cell keys; cell coordinates stay well below 1e7 even at the deepest level.
+  const key = (cx, cy) => cx * 1e7 + cy;
+  const grid = new Map();
+
+  nodes.forEach((node, i) => {
+    const k = key(Math.floor(node.x / r), Math.floor(node.y / r));
+    const bucket = grid.get(k);
+    if (bucket) bucket.push(i);
+    else grid.set(k, [i]);
+  });
+
+  const visited = new Uint8Array(nodes.length);
+  const next = [];
+  const r2 = r * r;
+
+  for (let i = 0; i < nodes.length; i += 1) {
+    if (visited[i]) continue;
+    visited[i] = 1;
+    const node = nodes[i];
+
+    const cx = Math.floor(node.x / r);
+    const cy = Math.floor(node.y / r);
+    const neighbors = [];
+    for (let dx = -1; dx <= 1; dx += 1) {
+      for (let dy = -1; dy <= 1; dy += 1) {
+        const bucket = grid.get(key(cx + dx, cy + dy));
+        if (!bucket) continue;
+        for (const j of bucket) {
+          if (visited[j]) continue;
+          const other = nodes[j];
+          const ddx = other.x - node.x;
+          const ddy = other.y - node.y;
+          if (ddx * ddx + ddy * ddy <= r2) {
+            visited[j] = 1;
+            neighbors.push(other);
+          }
+        }
+      }
+    }
+
+    next.push(neighbors.length ? mergeNodes(node, neighbors, zoom, pickPrimary) : node);
+  }
+
+  return next;
+}
+
+function collectLeaves(node, limit, out) {
+  if (out.length >= limit) return out;
+  if (!node.children) {
+    out.push(node.item);
+    return out;
+  }
+  for (const child of node.children) {
+    collectLeaves(child, limit, out);
+    if (out.length >= limit) break;
+  }
+  return out;
+}
+
+function toCluster(node) {
+  return {
+    id: node.id,
+    center: { lat: yToLat(node.y), lng: xToLng(node.x) },
+    count: node.count,
+    primary: node.primary,
+    bounds: node.bounds,
+    // Zoom at which this cluster breaks apart into its children.
+    expansionZoom: node.children ? node.zoom + 1 : null,
+    getItems: (limit = Infinity) => collectLeaves(node, limit, []),
+  };
+}
+
+export function createClusterIndex(
+  items,
+  {
+    radiusPx = DEFAULT_RADIUS_PX,
+    minZoom = DEFAULT_MIN_ZOOM,
+    maxZoom = DEFAULT_MAX_ZOOM,
+    getLocation = (item) => item.location,
+    pickPrimary = (a) => a,
+  } = {}
+) {
+  const leaves = [];
+  for (const item of items) {
+    const loc = getLocation(item);
+    if (loc && Number.isFinite(loc.lat) && Number.isFinite(loc.lng)) leaves.push(createLeaf(item, loc));
+  }
+
+  // levels[z] = nodes visible at zoom z; levels[maxZoom + 1] are the raw points.
+  const levels = [];
+  levels[maxZoom + 1] = leaves;
+  for (let z = maxZoom; z >= minZoom; z -= 1) {
+    levels[z] = clusterLevel(levels[z + 1], z, radiusPx, pickPrimary);
+  }
+
+  const levelIndexes = new Map();
+  const getLevelIndex = (z) => {
+    if (!levelIndexes.has(z)) {
+      const clusters = levels[z].map(toCluster);
+      levelIndexes.set(z, createGridIndex(clusters, { getLocation: (c) => c.center }));
+    }
+    return levelIndexes.get(z);
+  };
+
+  return {
+    size: leaves.length,
+    getClusters(bbox, zoom) {
+      const z = Math.max(minZoom, Math.min(maxZoom + 1, Math.floor(zoom)));
+      return getLevelIndex(z).query(bbox || WORLD_BOX).items;
+    },
+  };
+}
@@ -0,0 +1,38 @@
+import { createClusterIndex, pickLatestReport } from './clustering';
+
+const at = (id, lat, lng, pubMillis = 0) => ({ id, location: { lat, lng }, pubMillis });
+
+describe('createClusterIndex', () => {
+  const items = [
+    at('a', 45.0, 25.0, 1),
+    at('b', 45.0005, 25.0005, 3),
+    at('c', 45.001, 25.0, 2),
+    at('far', 48.0, 2.0),
+  ];
+
+  test('merges nearby points when zoomed out and splits them when zoomed in', () => {
+    const index = createClusterIndex(items, { pickPrimary: pickLatestReport });
+
+    const out = index.getClusters(null, 5);
+    expect(out).toHaveLength(2);
+    const group = out.find((c) => c.count === 3);
+    expect(group.primary.id).toBe('b');
+    expect(group.getItems().map((i) => i.id).sort()).toEqual(['a', 'b', 'c']);
+    expect(group.expansionZoom).toBeGreaterThan(5);
+
+    const inside = index.getClusters(null, 21);
+    expect(inside).toHaveLength(4);
+    expect(inside.every((c) => c.count === 1 && c.expansionZoom === null)).toBe(true);
+  });
+
+  test('only returns clusters inside the query box', () => {
+    const index = createClusterIndex(items);
+    const out = index.getClusters({ south: 47, north: 49, west: 1, east: 3 }, 10);
+    expect(out.map((c) => c.primary.id)).toEqual(['far']);
+  });
+
+  test('skips items without a usable location', () => {
+    const index = createClusterIndex([at('ok', 1, 1), { id: 'bad', location: null }]);
+    expect(index.size).toBe(1);
+  });
+});
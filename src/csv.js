@@ -0,0 +1,100 @@
+// Minimal RFC 4180-style CSV reader: quoted fields may contain the delimiter,
+// line breaks and doubled quotes (""). Unquoted fields are kept verbatim.
+// `createCsvRowReader` accepts the text in arbitrary chunks (e.g. from a
+// streamed response), so a quoted field may span chunk boundaries.
+
+export function createCsvRowReader({ delimiter = ',', onRow }) {
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  // A quote at the end of a chunk may be the first half of an escaped "".
+  let pendingQuote = false;
+  let pendingCr = false;
+
+  const endField = () => {
+    row.push(field);
+    field = '';
+  };
+  const endRow = () => {
+    endField();
+    // Skip blank lines entirely.
+    if (row.length > 1 || row[0].trim() !== '') onRow(row);
+    row = [];
+  };
+
+  function push(chunk) {
+    const input = String(chunk || '');
+    let i = 0;
+
+    if (pendingCr) {
+      pendingCr = false;
+      if (input[0] === '\n') i = 1;
+    }
+
+    while (i < input.length) {
+      const ch = input[i];
+
+      if (pendingQuote) {
+        pendingQuote = false;
+        if (ch === '"') {
+          field += '"';
+          i += 1;
+          continue;
+        }
+        inQuotes = false;
+      }
+
+      if (inQuotes) {
+        if (ch === '"') {
+          if (i + 1 >= input.length) {
+            pendingQuote = true;
+          } else if (input[i + 1] === '"') {
+            field += '"';
+            i += 1;
+          } else {
+            inQuotes = false;
+          }
+        } else {
+          field += ch;
+        }
+        i += 1;
+        continue;
+      }
+
+      if (ch === '"' && field.trim() === '') {
+        // Opening quote (leading whitespace before it is dropped).
+        field = '';
+        inQuotes = true;
+      } else if (ch === delimiter) {
+        endField();
+      } else if (ch === '\n' || ch === '\r') {
+        endRow();
+        if (ch === '\r') {
+          if (i + 1 >= input.length) pendingCr = true;
+          else if (input[i + 1] === '\n') i += 1;
+        }
+      } else {
+        field += ch;
+      }
+      i += 1;
+    }
+  }
+
+  function end() {
+    if (pendingQuote) {
+      pendingQuote = false;
+      inQuotes = false;
+    }
+    if (field !== '' || row.length) endRow();
+  }
+
+  return { push, end };
+}
+
+export function parseCsvRows(text, { delimiter = ',' } = {}) {
+  const rows = [];
+  const reader = createCsvRowReader({ delimiter, onRow: (row) => rows.push(row) });
+  reader.push(text);
+  reader.end();
+  return rows;
+}
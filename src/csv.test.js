@@ -0,0 +1,30 @@
+import { createCsvRowReader, parseCsvRows } from './csv';
+
+describe('parseCsvRows', () => {
+  test('handles quoted delimiters, doubled quotes and line breaks', () => {
+    const text = 'a,"b, c","say ""hi"""\r\n1,"two\nlines",3\n\n';
+    expect(parseCsvRows(text)).toEqual([
+      ['a', 'b, c', 'say "hi"'],
+      ['1', 'two\nlines', '3'],
+    ]);
+  });
+
+  test('supports other delimiters and keeps empty fields', () => {
+    expect(parseCsvRows('x;;z', { delimiter: ';' })).toEqual([['x', '', 'z']]);
+  });
+});
+
+describe('createCsvRowReader', () => {
+  test('gives the same rows however the text is split into chunks', () => {
+    const text = 'a,"b, c","say ""hi"""\r\n1,"two\nlines",3\r\n';
+    const expected = parseCsvRows(text);
+
+    for (let size = 1; size <= text.length; size += 1) {
+      const rows = [];
+      const reader = createCsvRowReader({ onRow: (row) => rows.push(row) });
+      for (let i = 0; i < text.length; i += size) reader.push(text.slice(i, i + size));
+      reader.end();
+      expect(rows).toEqual(expected);
+    }
+  });
+});
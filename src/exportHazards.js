@@ -0,0 +1,145 @@
+// Serializers for exporting hazards to other tools: GeoJSON (QGIS), GPX waypoints
+// and KML placemarks (navigation devices, Google Earth) and CSV (spreadsheets).
+// All of them take hazards in the common shape and write the same flat record.
+
+const CSV_COLUMNS = [
+  'sourceId',
+  'kind',
+  'id',
+  'lat',
+  'lng',
+  'reportedAt',
+  'type',
+  'subtype',
+  'street',
+  'city',
+  'pubMillis',
+  'scdbId',
+  'desc',
+  'cameraType',
+  'speedLimit',
+  'userId',
+  'created',
+  'url',
+];
+
+export function toExportRecord(item) {
+  // Flat, source-agnostic record; fields a source doesn't have are left out.
+  const record = {
+    sourceId: item.sourceId,
+    kind: item.kind,
+    id: item.id,
+    lat: item.location.lat,
+    lng: item.location.lng,
+    reportedAt: item.reportedAt ? new Date(item.reportedAt).toISOString() : null,
+    type: item.type,
+    subtype: item.subtype,
+    street: item.street,
+    city: item.city,
+    pubMillis: item.pubMillis,
+    scdbId: item.kind === 'speedCamera' ? item.id : undefined,
+    desc: item.desc,
+    cameraType: item.cameraType,
+    speedLimit: item.speedLimit,
+    userId: item.userId,
+    created: item.created,
+    url: item.url,
+  };
+  return Object.fromEntries(Object.entries(record).filter(([, v]) => v !== undefined && v !== null && v !== ''));
+}
+
+function describe(record) {
+  const title = [record.kind, record.subtype || record.cameraType].filter(Boolean).join(' – ');
+  return {
+    name: record.speedLimit ? `${title} (${record.speedLimit})` : title,
+    description: [record.street, record.city].filter(Boolean).join(', ') || record.desc || '',
+  };
+}
+
+function escapeXml(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+export function toGeoJson(items) {
+  const features = items.map((item) => {
+    const { lat, lng, ...properties } = toExportRecord(item);
+    return { type: 'Feature', geometry: { type: 'Point', coordinates: [lng, lat] }, properties };
+  });
+  return JSON.stringify({ type: 'FeatureCollection', features }, null, 2);
+}
+
+export function toGpx(items) {
+  const waypoints = items.map((item) => {
+    const record = toExportRecord(item);
+    const { name, description } = describe(record);
+    return [
+      `  <wpt lat="${record.lat}" lon="${record.lng}">`,
+      record.reportedAt ? `    <time>${record.reportedAt}</time>` : null,
+      `    <name>${escapeXml(name)}</name>`,
+      description ? `    <desc>${escapeXml(description)}</desc>` : null,
+      `    <type>${escapeXml(record.kind)}</type>`,
+      '  </wpt>',
+    ]
+      .filter(Boolean)
+      .join('\n');
+  });
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gpx version="1.1" creator="warning-map" xmlns="http://www.topografix.com/GPX/1/1">',
+    ...waypoints,
+    '</gpx>',
+    '',
+  ].join('\n');
+}
+
+export function toKml(items) {
+  const placemarks = items.map((item) => {
+    const record = toExportRecord(item);
+    const { name, description } = describe(record);
+    const data = Object.entries(record)
+      .filter(([key]) => key !== 'lat' && key !== 'lng')
+      .map(([key, value]) => `        <Data name="${key}"><value>${escapeXml(value)}</value></Data>`);
+    return [
+      '    <Placemark>',
+      `      <name>${escapeXml(name)}</name>`,
+      description ? `      <description>${escapeXml(description)}</description>` : null,
+      '      <ExtendedData>',
+      ...data,
+      '      </ExtendedData>',
+      `      <Point><coordinates>${record.lng},${record.lat}</coordinates></Point>`,
+      '    </Placemark>',
+    ]
+      .filter(Boolean)
+      .join('\n');
+  });
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2">',
+    '  <Document>',
+    ...placemarks,
+    '  </Document>',
+    '</kml>',
+    '',
+  ].join('\n');
+}
+
+function escapeCsv(value) {
+  if (value === undefined || value === null) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function toCsv(items) {
+  const rows = items.map((item) => {
+    const record = toExportRecord(item);
+    return CSV_COLUMNS.map((column) => escapeCsv(record[column])).join(',');
+  });
+  return [CSV_COLUMNS.join(','), ...rows, ''].join('\r\n');
+}
+
+export const EXPORT_FORMATS = [
+  { id: 'geojson', label: 'GeoJSON', extension: 'geojson', mimeType: 'application/geo+json', serialize: toGeoJson },
+  { id: 'gpx', label: 'GPX', extension: 'gpx', mimeType: 'application/gpx+xml', serialize: toGpx },
+  { id: 'kml', label: 'KML', extension: 'kml', mimeType: 'application/vnd.google-earth.kml+xml', serialize: toKml },
+  { id: 'csv', label: 'CSV', extension: 'csv', mimeType: 'text/csv', serialize: toCsv },
+];
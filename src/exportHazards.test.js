@@ -0,0 +1,49 @@
+import { toCsv, toGeoJson, toGpx, toKml } from './exportHazards';
+
+const police = {
+  id: 'abc',
+  sourceId: 'waze',
+  kind: 'police',
+  location: { lat: 44.4, lng: 26.1 },
+  reportedAt: Date.UTC(2024, 0, 2, 3, 4, 5),
+  type: 'POLICE',
+  subtype: 'POLICE_HIDING',
+  street: 'Calea "Victoriei"',
+  city: 'Bucharest, RO',
+  pubMillis: Date.UTC(2024, 0, 2, 3, 4, 5),
+};
+const camera = {
+  id: '123',
+  sourceId: 'scdb',
+  kind: 'speedCamera',
+  location: { lat: 45.1, lng: 25.2 },
+  reportedAt: null,
+  desc: 'DN1 <km 12>',
+  cameraType: 'fixed',
+  speedLimit: 50,
+};
+
+test('writes GeoJSON points with the metadata as properties', () => {
+  const data = JSON.parse(toGeoJson([police, camera]));
+  expect(data.features).toHaveLength(2);
+  expect(data.features[0].geometry.coordinates).toEqual([26.1, 44.4]);
+  expect(data.features[0].properties).toMatchObject({ subtype: 'POLICE_HIDING', pubMillis: police.pubMillis });
+  expect(data.features[1].properties).toMatchObject({ scdbId: '123', desc: 'DN1 <km 12>', speedLimit: 50 });
+});
+
+test('escapes XML in GPX waypoints and KML placemarks', () => {
+  const gpx = toGpx([camera]);
+  expect(gpx).toContain('<wpt lat="45.1" lon="25.2">');
+  expect(gpx).toContain('<desc>DN1 &lt;km 12&gt;</desc>');
+
+  const kml = toKml([police]);
+  expect(kml).toContain('<coordinates>26.1,44.4</coordinates>');
+  expect(kml).toContain('<Data name="street"><value>Calea &quot;Victoriei&quot;</value></Data>');
+  expect(kml).toContain('<Data name="reportedAt"><value>2024-01-02T03:04:05.000Z</value></Data>');
+});
+
+test('quotes CSV fields with commas and quotes', () => {
+  const [header, row] = toCsv([police]).split('\r\n');
+  expect(header.startsWith('sourceId,kind,id,lat,lng,reportedAt,type,subtype,street,city,pubMillis')).toBe(true);
+  expect(row).toContain('"Calea ""Victoriei""","Bucharest, RO"');
+});
@@ -0,0 +1,63 @@
+// Small spherical-geometry helpers shared by the map layers and drive mode.
+
+const EARTH_RADIUS_METERS = 6371000;
+
+const toRad = (deg) => (deg * Math.PI) / 180;
+const toDeg = (rad) => (rad * 180) / Math.PI;
+
+export function normalizeLng(lng) {
+  // Leaflet can return longitudes outside [-180, 180] when the map wraps.
+  // Normalize for upstream APIs that expect standard lon range.
+  const n = ((lng + 180) % 360 + 360) % 360 - 180;
+  // Avoid returning -180 when 180 is more intuitive at the boundary.
+  return n === -180 ? 180 : n;
+}
+
+export function clampLat(lat) {
+  // WebMercator practical max latitude
+  return Math.max(Math.min(lat, 85.05112878), -85.05112878);
+}
+
+export function haversineMeters(a, b) {
+  const dLat = toRad(b.lat - a.lat);
+  const dLng = toRad(b.lng - a.lng);
+  const lat1 = toRad(a.lat);
+  const lat2 = toRad(b.lat);
+  const sinDLat = Math.sin(dLat / 2);
+  const sinDLng = Math.sin(dLng / 2);
+  const h = sinDLat * sinDLat + Math.cos(lat1) * Math.cos(lat2) * sinDLng * sinDLng;
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+export function bearingDegrees(a, b) {
+  // Initial great-circle bearing from a to b, 0 = north, clockwise.
+  const lat1 = toRad(a.lat);
+  const lat2 = toRad(b.lat);
+  const dLng = toRad(b.lng - a.lng);
+  const y = Math.sin(dLng) * Math.cos(lat2);
+  const x = Math.cos(lat1) * Math.sin(lat2) - Math.sin(lat1) * Math.cos(lat2) * Math.cos(dLng);
+  return (toDeg(Math.atan2(y, x)) + 360) % 360;
+}
+
+export function angleDifferenceDegrees(a, b) {
+  // Smallest absolute difference between two headings, in [0, 180].
+  const d = Math.abs(((a - b) % 360 + 360) % 360);
+  return d > 180 ? 360 - d : d;
+}
+
+export function destinationPoint(origin, bearingDeg, distanceMeters) {
+  const angular = distanceMeters / EARTH_RADIUS_METERS;
+  const bearing = toRad(bearingDeg);
+  const lat1 = toRad(origin.lat);
+  const lng1 = toRad(origin.lng);
+  const lat2 = Math.asin(
+    Math.sin(lat1) * Math.cos(angular) + Math.cos(lat1) * Math.sin(angular) * Math.cos(bearing)
+  );
+  const lng2 =
+    lng1 +
+    Math.atan2(
+      Math.sin(bearing) * Math.sin(angular) * Math.cos(lat1),
+      Math.cos(angular) - Math.sin(lat1) * Math.sin(lat2)
+    );
+  return { lat: toDeg(lat2), lng: normalizeLng(toDeg(lng2)) };
+}
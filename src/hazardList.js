@@ -0,0 +1,65 @@
+// Rows for the side list of hazards in view: one per driver warning, Waze cluster
+// and speed camera cluster, searchable by city/street and sortable by distance from
+// the map center or by report time.
+
+import { haversineMeters } from './geo';
+import { WAZE_ALERT_CATEGORY_LABELS } from './wazeAlertTypes';
+
+export const HAZARD_LIST_SORTS = ['distance', 'time'];
+// Clusters are searched through this many of their reports.
+const SEARCH_ITEMS_PER_CLUSTER = 20;
+
+const joinText = (values) => values.filter(Boolean).join(' ').toLowerCase();
+
+function clusterRow(prefix, cluster, kind, title) {
+  const { primary } = cluster;
+  return {
+    key: `${prefix}:${cluster.id}`,
+    kind,
+    title: cluster.count > 1 ? `${title} ×${cluster.count}` : title,
+    detail: [primary?.street, primary?.city].filter(Boolean).join(', ') || primary?.desc || '',
+    reportedAt: primary?.reportedAt ?? null,
+    location: cluster.center,
+    cluster,
+    searchText: joinText(cluster.getItems(SEARCH_ITEMS_PER_CLUSTER).flatMap((i) => [i.city, i.street, i.desc])),
+  };
+}
+
+export function buildHazardListRows({ warnings = [], wazeClusters = [], speedCameraClusters = [] }) {
+  return [
+    ...warnings.map((w) => ({
+      key: `warning:${w.id}`,
+      kind: 'warning',
+      title: 'Driver warning',
+      detail: w.label,
+      reportedAt: w.reportedAt ?? null,
+      location: w.location,
+      cluster: null,
+      searchText: joinText([w.city, w.street, w.label]),
+    })),
+    ...wazeClusters.map((c) => clusterRow('waze', c, c.category, WAZE_ALERT_CATEGORY_LABELS[c.category] || 'Alert')),
+    ...speedCameraClusters.map((c) =>
+      clusterRow(
+        'speed',
+        c,
+        'speedCamera',
+        c.primary?.speedLimit ? `Speed camera (${c.primary.speedLimit})` : 'Speed camera'
+      )
+    ),
+  ];
+}
+
+export function filterAndSortHazardRows(rows, { query = '', sortBy = 'distance', center = null }) {
+  const needle = query.trim().toLowerCase();
+  const matching = needle ? rows.filter((row) => row.searchText.includes(needle)) : rows;
+  const withDistance = matching.map((row) => ({
+    ...row,
+    distance: center ? haversineMeters(center, row.location) : null,
+  }));
+
+  if (sortBy === 'time') {
+    // Newest first; cameras have no report time and go last.
+    return withDistance.sort((a, b) => (b.reportedAt ?? -Infinity) - (a.reportedAt ?? -Infinity));
+  }
+  return withDistance.sort((a, b) => (a.distance ?? 0) - (b.distance ?? 0));
+}
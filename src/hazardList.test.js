@@ -0,0 +1,40 @@
+import { buildHazardListRows, filterAndSortHazardRows } from './hazardList';
+
+const center = { lat: 45.0, lng: 25.0 };
+
+function cluster(id, category, lat, primary) {
+  return {
+    id,
+    category,
+    count: 1,
+    center: { lat, lng: 25.0 },
+    primary,
+    getItems: () => [primary],
+  };
+}
+
+const rows = buildHazardListRows({
+  warnings: [{ id: 'w1', label: 'User 7', reportedAt: 3000, location: { lat: 45.02, lng: 25.0 } }],
+  wazeClusters: [
+    cluster('p', 'police', 45.01, { city: 'Brasov', street: 'Strada Lunga', reportedAt: 1000 }),
+    cluster('a', 'accident', 45.05, { city: 'Sibiu', street: 'Calea Dumbravii', reportedAt: 2000 }),
+  ],
+  speedCameraClusters: [cluster('s', undefined, 45.001, { desc: 'Brasov DN1', speedLimit: 50 })],
+});
+
+test('sorts rows by distance from the map center', () => {
+  const sorted = filterAndSortHazardRows(rows, { sortBy: 'distance', center });
+  expect(sorted.map((r) => r.key)).toEqual(['speed:s', 'waze:p', 'warning:w1', 'waze:a']);
+  expect(sorted[0].title).toBe('Speed camera (50)');
+  expect(sorted[1].detail).toBe('Strada Lunga, Brasov');
+});
+
+test('sorts by report time, newest first, cameras last', () => {
+  const sorted = filterAndSortHazardRows(rows, { sortBy: 'time', center });
+  expect(sorted.map((r) => r.key)).toEqual(['warning:w1', 'waze:a', 'waze:p', 'speed:s']);
+});
+
+test('searches city and street, ignoring case', () => {
+  expect(filterAndSortHazardRows(rows, { query: 'brasov', center }).map((r) => r.key)).toEqual(['speed:s', 'waze:p']);
+  expect(filterAndSortHazardRows(rows, { query: 'dumbrav', center }).map((r) => r.key)).toEqual(['waze:a']);
+});
@@ -0,0 +1,301 @@
+import L from 'leaflet';
+import { SPEED_CAMERA_TYPES } from './speedCameraTypes';
+
+const SPEED_CAMERA_LENS_COLORS = Object.fromEntries(SPEED_CAMERA_TYPES.map((t) => [t.id, t.color]));
+
+export const warningMarkerIcon = L.divIcon({
+  className: 'custom-marker-icon',
+  html: '<i class="mdi mdi-map-marker-alert"></i>',
+  iconSize: [32, 32],
+  iconAnchor: [16, 32],
+});
+
+// Stands in for the warning marker while its voice message plays.
+export const playingWarningMarkerIcon = L.divIcon({
+  className: 'custom-marker-icon custom-marker-icon--playing',
+  html: '<i class="mdi mdi-volume-high"></i>',
+  iconSize: [32, 32],
+  iconAnchor: [16, 32],
+});
+
+// A reported warning that is still uploading.
+export const pendingWarningMarkerIcon = L.divIcon({
+  className: 'custom-marker-icon custom-marker-icon--pending',
+  html: '<i class="mdi mdi-map-marker-up"></i>',
+  iconSize: [32, 32],
+  iconAnchor: [16, 32],
+});
+
+// Where a new warning report goes.
+export const reportPinIcon = L.divIcon({
+  className: 'custom-marker-icon custom-marker-icon--report',
+  html: '<i class="mdi mdi-map-marker-plus"></i>',
+  iconSize: [32, 32],
+  iconAnchor: [16, 32],
+});
+
+export const poiMarkerIcon = L.divIcon({
+  className: 'custom-marker-icon custom-marker-icon--poi',
+  html: '<i class="mdi mdi-map-marker"></i>',
+  iconSize: [32, 32],
+  iconAnchor: [16, 32],
+});
+
+const POLICE_BADGE_SVG = `
+  <svg
+    class="police-marker-icon__svg"
+    width="44"
+    height="44"
+    viewBox="0 0 64 64"
+    role="img"
+    aria-hidden="true"
+  >
+    <path
+      d="M32 6c8 6 16 7 22 8v18c0 15-9 23-22 28C19 55 10 47 10 32V14c6-1 14-2 22-8z"
+      fill="#1565c0"
+      stroke="#ffffff"
+      stroke-width="3"
+      stroke-linejoin="round"
+    />
+    <path
+      d="M32 13c6 4 12 5 16 6v13c0 10-6 15-16 20-10-5-16-10-16-20V19c4-1 10-2 16-6z"
+      fill="#1e88e5"
+      opacity="0.95"
+    />
+    <path
+      d="M32 22l2.9 6.3 6.8.6-5.2 4.5 1.6 6.7-6.1-3.5-6.1 3.5 1.6-6.7-5.2-4.5 6.8-.6L32 22z"
+      fill="#ffeb3b"
+      stroke="#0d47a1"
+      stroke-width="1.4"
+      stroke-linejoin="round"
+    />
+  </svg>
+`;
+
+function formatCount(count) {
+  if (count >= 10_000) return `${Math.round(count / 1000)}k`;
+  if (count >= 1000) return `${(count / 1000).toFixed(1)}k`;
+  return String(count);
+}
+
+function buildCountBadgeHtml(count) {
+  return count > 1 ? `<span class="marker-count-badge">${formatCount(count)}</span>` : '';
+}
+
+// divIcons are immutable, so cache one per (kind, count) instead of rebuilding on every render.
+const iconCache = new Map();
+
+function getCachedIcon(key, build) {
+  if (!iconCache.has(key)) iconCache.set(key, build());
+  return iconCache.get(key);
+}
+
+export function buildPoliceMarkerHtml(count) {
+  return `
+    <div class="police-marker-icon__wrap" aria-label="Police">
+      ${POLICE_BADGE_SVG}
+      ${buildCountBadgeHtml(count)}
+    </div>
+  `;
+}
+
+function getPoliceMarkerIcon(count = 1) {
+  return getCachedIcon(`police:${count}`, () =>
+    L.divIcon({
+      className: 'police-marker-icon',
+      // Inline SVG so it always renders (no reliance on icon-font glyph names)
+      html: buildPoliceMarkerHtml(count),
+      iconSize: [44, 44],
+      iconAnchor: [22, 44],
+    })
+  );
+}
+
+function buildSpeedCameraSvg(lensColor) {
+  return `
+    <svg
+      class="speedcam-marker-icon__svg"
+      width="34"
+      height="34"
+      viewBox="0 0 64 64"
+      role="img"
+      aria-hidden="true"
+    >
+      <path
+        d="M10 22c0-4 3-7 7-7h30c4 0 7 3 7 7v20c0 4-3 7-7 7H17c-4 0-7-3-7-7V22z"
+        fill="#0b0b0b"
+        stroke="#ffffff"
+        stroke-width="3"
+        stroke-linejoin="round"
+      />
+      <circle cx="32" cy="32" r="10" fill="${lensColor}" stroke="#ffffff" stroke-width="3" />
+      <circle cx="32" cy="32" r="4" fill="#0b0b0b" />
+      <path
+        d="M20 15l6-7h12l6 7"
+        fill="#ffeb3b"
+        stroke="#0b0b0b"
+        stroke-width="3"
+        stroke-linejoin="round"
+      />
+    </svg>
+  `;
+}
+
+function buildHeadingArrowHtml(heading) {
+  // Arrow sits on a ring around the icon and points the way monitored traffic travels.
+  return `
+    <span class="speedcam-marker-icon__heading" style="transform: rotate(${Math.round(heading)}deg)">
+      <svg width="12" height="10" viewBox="0 0 12 10" aria-hidden="true">
+        <path d="M6 0l6 10H0z" fill="#0b0b0b" stroke="#ffffff" stroke-width="1.2" stroke-linejoin="round" />
+      </svg>
+    </span>
+  `;
+}
+
+function buildSpeedLimitHtml(speedLimit) {
+  return `<span class="speedcam-marker-icon__limit">${speedLimit}</span>`;
+}
+
+// `camera` is a single SCDB camera (clusters pass only a count): its type picks
+// the lens colour, and the speed limit / heading are drawn around the icon.
+export function getSpeedCamMarkerIcon(count = 1, camera = null) {
+  const single = count === 1 && camera ? camera : null;
+  const cameraType = single?.cameraType || 'fixed';
+  const speedLimit = single?.speedLimit || null;
+  const heading = Number.isFinite(single?.heading) ? Math.round(single.heading) : null;
+  const bidirectional = Boolean(single?.bidirectional && heading !== null);
+  const inactive = single ? single.status !== 'active' : false;
+  const key = `speedcam:${count}:${cameraType}:${speedLimit}:${heading}:${bidirectional}:${inactive}`;
+
+  return getCachedIcon(key, () =>
+    L.divIcon({
+      className: 'speedcam-marker-icon',
+      html: `
+        <div
+          class="speedcam-marker-icon__wrap${inactive ? ' speedcam-marker-icon__wrap--inactive' : ''}"
+          aria-label="Speed camera"
+        >
+          ${heading !== null ? buildHeadingArrowHtml(heading) : ''}
+          ${bidirectional ? buildHeadingArrowHtml(heading + 180) : ''}
+          ${buildSpeedCameraSvg(SPEED_CAMERA_LENS_COLORS[cameraType] || SPEED_CAMERA_LENS_COLORS.fixed)}
+          ${speedLimit ? buildSpeedLimitHtml(speedLimit) : ''}
+          ${buildCountBadgeHtml(count)}
+        </div>
+      `,
+      iconSize: [34, 34],
+      iconAnchor: [17, 34],
+    })
+  );
+}
+
+// Waze alert categories other than police share one badge shape (a rounded
+// sign) with their own colour and glyph.
+const WAZE_ALERT_SIGNS = {
+  accident: {
+    fill: '#d32f2f',
+    glyph: `
+      <path d="M32 17v18" stroke="#ffffff" stroke-width="6" stroke-linecap="round" />
+      <circle cx="32" cy="45" r="3.5" fill="#ffffff" />
+    `,
+  },
+  roadClosed: {
+    fill: '#b71c1c',
+    glyph: '<rect x="17" y="28" width="30" height="8" rx="2" fill="#ffffff" />',
+  },
+  hazard: {
+    fill: '#f57c00',
+    glyph: `
+      <path d="M32 16l15 27H17l15-27z" fill="#ffeb3b" stroke="#0b0b0b" stroke-width="2.5" stroke-linejoin="round" />
+      <path d="M32 25v9" stroke="#0b0b0b" stroke-width="3.5" stroke-linecap="round" />
+      <circle cx="32" cy="39" r="2" fill="#0b0b0b" />
+    `,
+  },
+  weather: {
+    fill: '#0288d1',
+    glyph: `
+      <path
+        d="M22 40h21a7 7 0 0 0 0-14 10 10 0 0 0-19-2 7 7 0 0 0-2 16z"
+        fill="#ffffff"
+      />
+      <path d="M26 45l-2 4M33 45l-2 4M40 45l-2 4" stroke="#ffffff" stroke-width="2.5" stroke-linecap="round" />
+    `,
+  },
+  jam: {
+    fill: '#6a1b9a',
+    glyph: `
+      <rect x="27" y="14" width="10" height="36" rx="4" fill="#0b0b0b" />
+      <circle cx="32" cy="21" r="3" fill="#ef5350" />
+      <circle cx="32" cy="32" r="3" fill="#ffeb3b" />
+      <circle cx="32" cy="43" r="3" fill="#66bb6a" />
+    `,
+  },
+  other: {
+    fill: '#546e7a',
+    glyph: `
+      <circle cx="32" cy="20" r="3.5" fill="#ffffff" />
+      <path d="M32 28v17" stroke="#ffffff" stroke-width="6" stroke-linecap="round" />
+    `,
+  },
+};
+
+function buildWazeAlertSvg({ fill, glyph }) {
+  return `
+    <svg
+      class="waze-alert-marker-icon__svg"
+      width="34"
+      height="34"
+      viewBox="0 0 64 64"
+      role="img"
+      aria-hidden="true"
+    >
+      <rect x="6" y="6" width="52" height="52" rx="14" fill="${fill}" stroke="#ffffff" stroke-width="3" />
+      ${glyph}
+    </svg>
+  `;
+}
+
+export function getWazeAlertIcon(category, count = 1) {
+  if (category === 'police') return getPoliceMarkerIcon(count);
+  const signCategory = WAZE_ALERT_SIGNS[category] ? category : 'other';
+  return getCachedIcon(`waze:${signCategory}:${count}`, () =>
+    L.divIcon({
+      className: 'waze-alert-marker-icon',
+      html: `
+        <div class="waze-alert-marker-icon__wrap" aria-label="${signCategory}">
+          ${buildWazeAlertSvg(WAZE_ALERT_SIGNS[signCategory])}
+          ${buildCountBadgeHtml(count)}
+        </div>
+      `,
+      iconSize: [34, 34],
+      iconAnchor: [17, 34],
+    })
+  );
+}
+
+// Imported user layers pick their own glyph and colour (src/userLayers.js).
+export function getUserLayerIcon(glyph, color, count = 1) {
+  return getCachedIcon(`user:${glyph}:${color}:${count}`, () =>
+    L.divIcon({
+      className: 'custom-marker-icon user-layer-marker-icon',
+      html: `
+        <div class="user-layer-marker-icon__wrap" style="color: ${color}">
+          <i class="mdi ${glyph}"></i>
+          ${buildCountBadgeHtml(count)}
+        </div>
+      `,
+      iconSize: [32, 32],
+      iconAnchor: [16, 32],
+    })
+  );
+}
+
+export function buildDensityIcon(count) {
+  // Bubble grows with log(count) so a country-level aggregate doesn't cover the map.
+  const size = Math.round(Math.min(64, 24 + Math.log10(Math.max(1, count)) * 12));
+  return L.divIcon({
+    className: 'density-marker-icon',
+    html: `<div class="density-marker-icon__bubble" style="width:${size}px;height:${size}px">${formatCount(count)}</div>`,
+    iconSize: [size, size],
+    iconAnchor: [size / 2, size / 2],
+  });
+}
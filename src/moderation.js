@@ -0,0 +1,116 @@
+// Moderation decisions for driver warnings, as kept by the hazards backend
+// (server/moderation.js) and shared by every moderator:
+// { [warningId]: { hidden, verified, expiresAt, updatedBy, updatedAt } }.
+// The map leaves out hidden and expired warnings and marks verified ones.
+
+const DECISIONS_KEY = 'moderation.v1';
+// Per tab, so a moderator's token is gone once the tab is closed.
+const TOKEN_KEY = 'moderation.token';
+
+export const MODERATION_EXPIRE_MINUTES = [15, 30, 60, 120, 240, 1440];
+
+export const MODERATION_STATUS_FILTERS = [
+  { id: 'all', label: 'All' },
+  { id: 'shown', label: 'Shown on the map' },
+  { id: 'hidden', label: 'Hidden' },
+  { id: 'expired', label: 'Expired' },
+  { id: 'verified', label: 'Verified' },
+  { id: 'unreviewed', label: 'Not reviewed' },
+];
+
+export const isExpired = (decision, now) => Boolean(decision?.expiresAt) && decision.expiresAt <= now;
+
+export function isShownOnMap(decision, now) {
+  return !decision || (!decision.hidden && !isExpired(decision, now));
+}
+
+export function applyModeration(warnings, decisions, now) {
+  if (!Object.keys(decisions).length) return warnings;
+  return warnings
+    .filter((w) => isShownOnMap(decisions[w.id], now))
+    .map((w) => (decisions[w.id]?.verified ? { ...w, verified: true } : w));
+}
+
+function matchesStatus(decision, status, now) {
+  switch (status) {
+    case 'shown':
+      return isShownOnMap(decision, now);
+    case 'hidden':
+      return Boolean(decision?.hidden);
+    case 'expired':
+      return isExpired(decision, now);
+    case 'verified':
+      return Boolean(decision?.verified);
+    case 'unreviewed':
+      return !decision;
+    default:
+      return true;
+  }
+}
+
+// Rows for the moderation table, newest first: { warning, decision }.
+export function buildModerationRows(warnings, decisions, { userId = '', status = 'all' }, now) {
+  return warnings
+    .filter((w) => !userId || String(w.userId) === userId)
+    .map((warning) => ({ warning, decision: decisions[warning.id] || null }))
+    .filter((row) => matchesStatus(row.decision, status, now))
+    .sort((a, b) => (b.warning.reportedAt || 0) - (a.warning.reportedAt || 0));
+}
+
+// Distinct users with their warning counts, most active first.
+export function listWarningUsers(warnings) {
+  const counts = new Map();
+  warnings.forEach((w) => counts.set(String(w.userId), (counts.get(String(w.userId)) || 0) + 1));
+  return Array.from(counts, ([userId, count]) => ({ userId, count })).sort(
+    (a, b) => b.count - a.count || a.userId.localeCompare(b.userId)
+  );
+}
+
+export function describeDecision(decision, now) {
+  if (!decision) return 'Not reviewed';
+  const parts = [];
+  if (decision.hidden) parts.push('Hidden');
+  if (decision.verified) parts.push('Verified');
+  if (decision.expiresAt) {
+    const minutes = Math.ceil((decision.expiresAt - now) / 60_000);
+    parts.push(minutes > 0 ? `expires in ${minutes} min` : 'Expired');
+  }
+  return `${parts.join(', ') || 'Reviewed'} (${decision.updatedBy})`;
+}
+
+// Last known decisions, so warnings stay moderated while the backend is unreachable.
+export function loadCachedDecisions() {
+  try {
+    const raw = window.localStorage.getItem(DECISIONS_KEY);
+    const parsed = raw ? JSON.parse(raw) : {};
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+  } catch (err) {
+    console.error('Failed to read moderation decisions:', err);
+    return {};
+  }
+}
+
+export function saveCachedDecisions(decisions) {
+  try {
+    window.localStorage.setItem(DECISIONS_KEY, JSON.stringify(decisions));
+  } catch (err) {
+    console.error('Failed to save moderation decisions:', err);
+  }
+}
+
+export function loadModeratorToken() {
+  try {
+    return window.sessionStorage.getItem(TOKEN_KEY) || '';
+  } catch {
+    return '';
+  }
+}
+
+export function saveModeratorToken(token) {
+  try {
+    if (token) window.sessionStorage.setItem(TOKEN_KEY, token);
+    else window.sessionStorage.removeItem(TOKEN_KEY);
+  } catch (err) {
+    console.error('Failed to save the moderator session:', err);
+  }
+}
@@ -0,0 +1,43 @@
+import { applyModeration, buildModerationRows, describeDecision, listWarningUsers } from './moderation';
+
+const warnings = [
+  { id: 'a', userId: 1001, reportedAt: 1_000 },
+  { id: 'b', userId: 1002, reportedAt: 3_000 },
+  { id: 'c', userId: 1001, reportedAt: 2_000 },
+  { id: 'd', userId: 1001, reportedAt: 4_000 },
+];
+
+const decisions = {
+  a: { hidden: true, verified: false, expiresAt: null, updatedBy: 'alice', updatedAt: 500 },
+  b: { hidden: false, verified: true, expiresAt: 10_000, updatedBy: 'bob', updatedAt: 500 },
+  c: { hidden: false, verified: false, expiresAt: 5_000, updatedBy: 'bob', updatedAt: 500 },
+};
+
+test('leaves hidden and expired warnings off the map and marks verified ones', () => {
+  expect(applyModeration(warnings, decisions, 6_000)).toEqual([
+    { id: 'b', userId: 1002, reportedAt: 3_000, verified: true },
+    { id: 'd', userId: 1001, reportedAt: 4_000 },
+  ]);
+  expect(applyModeration(warnings, decisions, 4_000).map((w) => w.id)).toEqual(['b', 'c', 'd']);
+  expect(applyModeration(warnings, {}, 6_000)).toBe(warnings);
+});
+
+test('filters the moderation table by user and status, newest first', () => {
+  const ids = (filters, now = 6_000) => buildModerationRows(warnings, decisions, filters, now).map((r) => r.warning.id);
+  expect(ids({})).toEqual(['d', 'b', 'c', 'a']);
+  expect(ids({ userId: '1001' })).toEqual(['d', 'c', 'a']);
+  expect(ids({ status: 'shown' })).toEqual(['d', 'b']);
+  expect(ids({ status: 'expired' })).toEqual(['c']);
+  expect(ids({ status: 'expired' }, 4_000)).toEqual([]);
+  expect(ids({ userId: '1001', status: 'unreviewed' })).toEqual(['d']);
+});
+
+test('lists users by warning count and describes decisions', () => {
+  expect(listWarningUsers(warnings)).toEqual([
+    { userId: '1001', count: 3 },
+    { userId: '1002', count: 1 },
+  ]);
+  expect(describeDecision(decisions.b, 9_000)).toBe('Verified, expires in 1 min (bob)');
+  expect(describeDecision(decisions.c, 6_000)).toBe('Expired (bob)');
+  expect(describeDecision(null, 0)).toBe('Not reviewed');
+});
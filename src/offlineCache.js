@@ -0,0 +1,65 @@
+// Small key/value store on IndexedDB for data that should survive a reload
+// without a connection (parsed camera dataset, last Waze/warnings snapshots).
+// Works in the page and in workers; without IndexedDB every read misses and
+// writes are dropped.
+
+const DB_NAME = 'offlineCache';
+const DB_VERSION = 1;
+const STORE_NAME = 'entries';
+
+let dbPromise = null;
+
+function openDb() {
+  if (typeof indexedDB === 'undefined') return Promise.resolve(null);
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE_NAME, { keyPath: 'key' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }).catch((err) => {
+      // Private browsing and similar modes can refuse IndexedDB; don't retry every call.
+      // eslint-disable-next-line no-console
+      console.error('Offline cache unavailable:', err);
+      return null;
+    });
+  }
+  return dbPromise;
+}
+
+function runRequest(db, mode, makeRequest) {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE_NAME, mode);
+    const request = makeRequest(tx.objectStore(STORE_NAME));
+    tx.oncomplete = () => resolve(request.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+export async function readCacheEntry(key) {
+  // Resolves { value, savedAt } or null.
+  try {
+    const db = await openDb();
+    if (!db) return null;
+    const entry = await runRequest(db, 'readonly', (store) => store.get(key));
+    return entry ? { value: entry.value, savedAt: entry.savedAt } : null;
+  } catch (err) {
+    // eslint-disable-next-line no-console
+    console.error(`Failed to read offline cache entry "${key}":`, err);
+    return null;
+  }
+}
+
+export async function writeCacheEntry(key, value) {
+  try {
+    const db = await openDb();
+    if (!db) return;
+    await runRequest(db, 'readwrite', (store) => store.put({ key, value, savedAt: Date.now() }));
+  } catch (err) {
+    // eslint-disable-next-line no-console
+    console.error(`Failed to write offline cache entry "${key}":`, err);
+  }
+}
@@ -0,0 +1,50 @@
+// Local history of every Waze police alert we've seen, keyed by alert id (the
+// Waze uuid) with its location and report time. Live alerts only say where
+// police are right now; this is what lets the heatmap show where they usually are.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+export const POLICE_HISTORY_MAX_AGE_MS = 180 * DAY_MS;
+export const POLICE_HISTORY_MAX_ENTRIES = 50_000;
+export const POLICE_HISTORY_RETENTION = { maxAgeMs: POLICE_HISTORY_MAX_AGE_MS, maxEntries: POLICE_HISTORY_MAX_ENTRIES };
+
+// Monday first, as drivers read a week; values are Date#getDay() numbers.
+export const WEEKDAYS = [
+  { day: 1, label: 'Mo' },
+  { day: 2, label: 'Tu' },
+  { day: 3, label: 'We' },
+  { day: 4, label: 'Th' },
+  { day: 5, label: 'Fr' },
+  { day: 6, label: 'Sa' },
+  { day: 0, label: 'Su' },
+];
+
+export const DEFAULT_POLICE_TIME_FILTER = { fromHour: 0, toHour: 24, days: [0, 1, 2, 3, 4, 5, 6] };
+
+export function mergePoliceSightings(history, alerts, now) {
+  const next = { ...history };
+  for (const alert of alerts) {
+    if (alert.kind !== 'police') continue;
+    const existing = next[alert.id];
+    if (existing) {
+      next[alert.id] = { ...existing, lastSeenAt: now };
+    } else {
+      next[alert.id] = {
+        id: alert.id,
+        lat: alert.location.lat,
+        lng: alert.location.lng,
+        reportedAt: alert.reportedAt ?? now,
+        firstSeenAt: now,
+        lastSeenAt: now,
+      };
+    }
+  }
+  return next;
+}
+
+export function matchesTimeFilter(entry, { fromHour, toHour, days }) {
+  // Hours are local time; a range like 22 → 6 wraps past midnight.
+  const date = new Date(entry.reportedAt);
+  if (!days.includes(date.getDay())) return false;
+  const hour = date.getHours();
+  return fromHour <= toHour ? hour >= fromHour && hour < toHour : hour >= fromHour || hour < toHour;
+}
@@ -0,0 +1,25 @@
+import { matchesTimeFilter, mergePoliceSightings } from './policeHistory';
+
+const police = (id, reportedAt) => ({ id, kind: 'police', location: { lat: 45, lng: 25 }, reportedAt });
+
+test('records police alerts once per id and keeps the last time each was seen', () => {
+  const alerts = [police('p1', 500), { id: 'a1', kind: 'accident', location: { lat: 45, lng: 25 } }];
+  const first = mergePoliceSightings({}, alerts, 1000);
+  const second = mergePoliceSightings(first, [police('p1', 500), police('p2', null)], 2000);
+
+  expect(Object.keys(second)).toEqual(['p1', 'p2']);
+  expect(second.p1).toMatchObject({ reportedAt: 500, firstSeenAt: 1000, lastSeenAt: 2000 });
+  expect(second.p2.reportedAt).toBe(2000);
+});
+
+test('filters by local hour-of-day ranges, wrapping past midnight, and by weekday', () => {
+  // 2024-01-01 was a Monday.
+  const mondayNight = { reportedAt: new Date(2024, 0, 1, 23, 30).getTime() };
+  const tuesdayNoon = { reportedAt: new Date(2024, 0, 2, 12, 0).getTime() };
+  const everyDay = [0, 1, 2, 3, 4, 5, 6];
+
+  expect(matchesTimeFilter(mondayNight, { fromHour: 22, toHour: 6, days: everyDay })).toBe(true);
+  expect(matchesTimeFilter(tuesdayNoon, { fromHour: 22, toHour: 6, days: everyDay })).toBe(false);
+  expect(matchesTimeFilter(tuesdayNoon, { fromHour: 0, toHour: 24, days: [2] })).toBe(true);
+  expect(matchesTimeFilter(mondayNight, { fromHour: 0, toHour: 24, days: [2] })).toBe(false);
+});
@@ -0,0 +1,139 @@
+// Position sources for drive mode. Each source is `{ start(onPosition, onError) => stop }`
+// and emits positions shaped like { lat, lng, heading, speed, accuracy, timestamp }.
+// The simulated track source lets a GPX/GeoJSON file stand in for the real GPS.
+
+import { bearingDegrees, haversineMeters } from './geo';
+
+const TRACK_STEP_MS = 1000;
+// Below this much movement the computed heading is mostly GPS noise.
+const MIN_HEADING_MOVE_METERS = 5;
+
+function withDerivedHeading(prev, next) {
+  if (Number.isFinite(next.heading)) return next;
+  if (prev && haversineMeters(prev, next) >= MIN_HEADING_MOVE_METERS) {
+    return { ...next, heading: bearingDegrees(prev, next) };
+  }
+  return { ...next, heading: prev?.heading ?? null };
+}
+
+export function createGeolocationSource() {
+  return {
+    name: 'GPS',
+    start(onPosition, onError) {
+      if (!navigator.geolocation) {
+        onError(new Error('Geolocation is not available in this browser'));
+        return () => {};
+      }
+
+      let prev = null;
+      const watchId = navigator.geolocation.watchPosition(
+        (pos) => {
+          const { latitude, longitude, heading, speed, accuracy } = pos.coords;
+          prev = withDerivedHeading(prev, {
+            lat: latitude,
+            lng: longitude,
+            // Browsers report NaN/null heading while stationary.
+            heading: Number.isFinite(heading) ? heading : null,
+            speed: Number.isFinite(speed) ? speed : null,
+            accuracy: Number.isFinite(accuracy) ? accuracy : null,
+            timestamp: pos.timestamp,
+          });
+          onPosition(prev);
+        },
+        (err) => onError(new Error(err?.message || 'Failed to get position')),
+        { enableHighAccuracy: true, maximumAge: 1000, timeout: 15_000 }
+      );
+
+      return () => navigator.geolocation.clearWatch(watchId);
+    },
+  };
+}
+
+export function createTrackSource(points, name = 'Track') {
+  return {
+    name,
+    start(onPosition, onError) {
+      if (!points.length) {
+        onError(new Error('Track has no points'));
+        return () => {};
+      }
+
+      let index = 0;
+      let prev = null;
+      const step = () => {
+        const point = points[index];
+        const speed =
+          prev && point.time && prev.time && point.time > prev.time
+            ? haversineMeters(prev, point) / ((point.time - prev.time) / 1000)
+            : null;
+        prev = withDerivedHeading(prev, {
+          lat: point.lat,
+          lng: point.lng,
+          heading: null,
+          speed,
+          accuracy: null,
+          timestamp: Date.now(),
+          time: point.time,
+        });
+        onPosition(prev);
+        // Loop so a short file can drive a long test session.
+        index = (index + 1) % points.length;
+        if (index === 0) prev = null;
+      };
+
+      step();
+      const intervalId = setInterval(step, TRACK_STEP_MS);
+      return () => clearInterval(intervalId);
+    },
+  };
+}
+
+function parseGpxTrack(text) {
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length) throw new Error('Invalid GPX file');
+
+  // Prefer track points, then route points, then plain waypoints.
+  for (const tag of ['trkpt', 'rtept', 'wpt']) {
+    const nodes = Array.from(doc.getElementsByTagName(tag));
+    if (!nodes.length) continue;
+    return nodes
+      .map((node) => {
+        const lat = Number(node.getAttribute('lat'));
+        const lng = Number(node.getAttribute('lon'));
+        const timeText = node.getElementsByTagName('time')[0]?.textContent;
+        const time = timeText ? Date.parse(timeText) : NaN;
+        return { lat, lng, time: Number.isNaN(time) ? null : time };
+      })
+      .filter((p) => Number.isFinite(p.lat) && Number.isFinite(p.lng));
+  }
+  return [];
+}
+
+function parseGeoJsonTrack(text) {
+  const data = JSON.parse(text);
+  const coords = [];
+
+  const visitGeometry = (geometry) => {
+    if (!geometry) return;
+    if (geometry.type === 'Point') coords.push(geometry.coordinates);
+    else if (geometry.type === 'LineString' || geometry.type === 'MultiPoint') coords.push(...geometry.coordinates);
+    else if (geometry.type === 'MultiLineString') geometry.coordinates.forEach((line) => coords.push(...line));
+    else if (geometry.type === 'GeometryCollection') geometry.geometries.forEach(visitGeometry);
+  };
+
+  if (data?.type === 'FeatureCollection') data.features.forEach((f) => visitGeometry(f?.geometry));
+  else if (data?.type === 'Feature') visitGeometry(data.geometry);
+  else visitGeometry(data);
+
+  return coords
+    .map(([lng, lat]) => ({ lat: Number(lat), lng: Number(lng), time: null }))
+    .filter((p) => Number.isFinite(p.lat) && Number.isFinite(p.lng));
+}
+
+export function parseTrackFile(text, filename = '') {
+  const trimmed = String(text || '').trim();
+  const isGpx = /\.gpx$/i.test(filename) || trimmed.startsWith('<');
+  const points = isGpx ? parseGpxTrack(trimmed) : parseGeoJsonTrack(trimmed);
+  if (!points.length) throw new Error(`No track points found in ${filename || 'file'}`);
+  return points;
+}
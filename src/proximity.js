@@ -0,0 +1,57 @@
+// "Approaching hazard" geometry for drive mode: which hazards sit inside the
+// corridor ahead of the driver, given their position and heading.
+
+import { angleDifferenceDegrees, bearingDegrees, destinationPoint, haversineMeters } from './geo';
+
+// Anything this close counts as ahead even when the heading is off (e.g. at junctions).
+const ALWAYS_ALERT_WITHIN_METERS = 60;
+
+function isRoughlyWithin(origin, point, distanceMeters) {
+  // Cheap degree-box prefilter so we don't run haversine over the whole camera dataset.
+  const latPad = distanceMeters / 111320;
+  const lngPad = distanceMeters / (111320 * Math.max(0.15, Math.cos((origin.lat * Math.PI) / 180)));
+  return Math.abs(point.lat - origin.lat) <= latPad && Math.abs(point.lng - origin.lng) <= lngPad;
+}
+
+export function findHazardsAhead(position, hazards, { distanceMeters, corridorDegrees }) {
+  const ahead = [];
+
+  for (const hazard of hazards) {
+    if (!isRoughlyWithin(position, hazard.location, distanceMeters)) continue;
+    const distance = haversineMeters(position, hazard.location);
+    if (distance > distanceMeters) continue;
+
+    const bearing = bearingDegrees(position, hazard.location);
+    const hasHeading = Number.isFinite(position.heading);
+    const inCorridor =
+      !hasHeading ||
+      distance <= ALWAYS_ALERT_WITHIN_METERS ||
+      angleDifferenceDegrees(bearing, position.heading) <= corridorDegrees / 2;
+    if (!inCorridor) continue;
+
+    ahead.push({ ...hazard, distance, bearing });
+  }
+
+  return ahead.sort((a, b) => a.distance - b.distance);
+}
+
+export function findHazardIdsWithin(position, hazards, distanceMeters) {
+  const ids = new Set();
+  for (const hazard of hazards) {
+    if (!isRoughlyWithin(position, hazard.location, distanceMeters)) continue;
+    if (haversineMeters(position, hazard.location) <= distanceMeters) ids.add(hazard.id);
+  }
+  return ids;
+}
+
+export function buildCorridorPolygon(position, distanceMeters, corridorDegrees, steps = 12) {
+  // Returns [[lat, lng], ...] for a circular sector in front of the driver.
+  if (!Number.isFinite(position.heading)) return null;
+  const start = position.heading - corridorDegrees / 2;
+  const points = [[position.lat, position.lng]];
+  for (let i = 0; i <= steps; i += 1) {
+    const p = destinationPoint(position, start + (corridorDegrees * i) / steps, distanceMeters);
+    points.push([p.lat, p.lng]);
+  }
+  return points;
+}
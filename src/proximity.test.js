@@ -0,0 +1,21 @@
+import { findHazardsAhead } from './proximity';
+
+const origin = { lat: 45.0, lng: 25.0 };
+// ~500 m north and ~500 m south of the origin
+const north = { id: 'n', kind: 'police', location: { lat: 45.0045, lng: 25.0 } };
+const south = { id: 's', kind: 'speedCamera', location: { lat: 44.9955, lng: 25.0 } };
+const far = { id: 'f', kind: 'warning', location: { lat: 45.05, lng: 25.0 } };
+
+const options = { distanceMeters: 800, corridorDegrees: 60 };
+
+test('only reports hazards inside the corridor in front of the driver', () => {
+  const ahead = findHazardsAhead({ ...origin, heading: 0 }, [north, south, far], options);
+  expect(ahead.map((h) => h.id)).toEqual(['n']);
+  expect(ahead[0].distance).toBeGreaterThan(450);
+  expect(ahead[0].distance).toBeLessThan(550);
+});
+
+test('falls back to a plain radius when the heading is unknown', () => {
+  const ahead = findHazardsAhead({ ...origin, heading: null }, [north, south, far], options);
+  expect(ahead.map((h) => h.id).sort()).toEqual(['n', 's']);
+});
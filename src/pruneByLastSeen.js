@@ -0,0 +1,13 @@
+// Size limit shared by the local stores keyed by id whose entries carry `lastSeenAt`
+// (police history, warning history, alert lifecycle): drops entries not seen for
+// longer than `maxAgeMs`, then keeps the `maxEntries` most recently seen. Returns
+// the same object when nothing was dropped, so state setters can skip a re-render.
+export function pruneByLastSeen(map, now, { maxAgeMs, maxEntries }) {
+  let entries = Object.values(map).filter((entry) => now - entry.lastSeenAt <= maxAgeMs);
+  if (entries.length > maxEntries) {
+    entries = entries.sort((a, b) => b.lastSeenAt - a.lastSeenAt).slice(0, maxEntries);
+  }
+  return entries.length === Object.keys(map).length
+    ? map
+    : Object.fromEntries(entries.map((entry) => [entry.id, entry]));
+}
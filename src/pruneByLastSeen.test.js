@@ -0,0 +1,13 @@
+import { pruneByLastSeen } from './pruneByLastSeen';
+
+const store = {
+  old: { id: 'old', lastSeenAt: 0 },
+  mid: { id: 'mid', lastSeenAt: 4000 },
+  new: { id: 'new', lastSeenAt: 5000 },
+};
+
+test('drops entries not seen for too long, then the least recently seen over the cap', () => {
+  expect(Object.keys(pruneByLastSeen(store, 6000, { maxAgeMs: 3000, maxEntries: 10 }))).toEqual(['mid', 'new']);
+  expect(Object.keys(pruneByLastSeen(store, 6000, { maxAgeMs: 10_000, maxEntries: 1 }))).toEqual(['new']);
+  expect(pruneByLastSeen(store, 6000, { maxAgeMs: 10_000, maxEntries: 10 })).toBe(store);
+});
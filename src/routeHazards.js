@@ -0,0 +1,149 @@
+// Hazards along a planned route: everything within a buffer of the polyline,
+// ordered by how far along the route it is.
+
+import { haversineMeters } from './geo';
+import { createGridIndex } from './spatialIndex';
+
+// Long straight legs (e.g. the straight-line router) are split so each box query stays small.
+const MAX_SEGMENT_METERS = 2000;
+// Waze often has several reports for the same patrol; reports this close along the route are one stop.
+const POLICE_GROUP_METERS = 300;
+const METERS_PER_DEGREE = 111320;
+
+export function routeLengthMeters(points) {
+  let total = 0;
+  for (let i = 1; i < points.length; i += 1) total += haversineMeters(points[i - 1], points[i]);
+  return total;
+}
+
+function densify(points) {
+  // Route points with their distance from the start, no two more than MAX_SEGMENT_METERS apart.
+  const out = [{ lat: points[0].lat, lng: points[0].lng, along: 0 }];
+  for (let i = 1; i < points.length; i += 1) {
+    const a = points[i - 1];
+    const b = points[i];
+    const start = out[out.length - 1].along;
+    const length = haversineMeters(a, b);
+    const steps = Math.max(1, Math.ceil(length / MAX_SEGMENT_METERS));
+    for (let s = 1; s <= steps; s += 1) {
+      const f = s / steps;
+      out.push({ lat: a.lat + (b.lat - a.lat) * f, lng: a.lng + (b.lng - a.lng) * f, along: start + length * f });
+    }
+  }
+  return out;
+}
+
+function projectOntoSegment(p, a, b) {
+  // Local equirectangular projection around `a`; plenty accurate for segments of a few km.
+  const kx = METERS_PER_DEGREE * Math.cos((a.lat * Math.PI) / 180);
+  const bx = (b.lng - a.lng) * kx;
+  const by = (b.lat - a.lat) * METERS_PER_DEGREE;
+  const px = (p.lng - a.lng) * kx;
+  const py = (p.lat - a.lat) * METERS_PER_DEGREE;
+  const len2 = bx * bx + by * by;
+  const t = len2 ? Math.max(0, Math.min(1, (px * bx + py * by) / len2)) : 0;
+  return { t, offset: Math.hypot(px - t * bx, py - t * by) };
+}
+
+function segmentBox(a, b, bufferMeters) {
+  const latPad = bufferMeters / METERS_PER_DEGREE;
+  const lngPad = bufferMeters / (METERS_PER_DEGREE * Math.max(0.15, Math.cos((a.lat * Math.PI) / 180)));
+  return {
+    south: Math.min(a.lat, b.lat) - latPad,
+    north: Math.max(a.lat, b.lat) + latPad,
+    west: Math.min(a.lng, b.lng) - lngPad,
+    east: Math.max(a.lng, b.lng) + lngPad,
+  };
+}
+
+// Boxes covering the route in pieces of about `chunkMeters`, padded by the buffer, for
+// fetching what lies along it: one box around a long or diagonal route would take in far
+// more ground than the route itself.
+export function routeQueryBoxes(points, bufferMeters, chunkMeters) {
+  if (!points?.length) return [];
+  const path = densify(points.length === 1 ? [points[0], points[0]] : points);
+  const latPad = bufferMeters / METERS_PER_DEGREE;
+  const boxes = [];
+  let start = 0;
+  for (let i = 1; i < path.length; i += 1) {
+    if (i < path.length - 1 && path[i + 1].along - path[start].along <= chunkMeters) continue;
+    const chunk = path.slice(start, i + 1);
+    const south = Math.min(...chunk.map((p) => p.lat)) - latPad;
+    const north = Math.max(...chunk.map((p) => p.lat)) + latPad;
+    // Padded for the edge nearer the pole, where a degree of longitude is shortest.
+    const cosLat = Math.cos((Math.min(89, Math.max(Math.abs(south), Math.abs(north))) * Math.PI) / 180);
+    const lngPad = bufferMeters / (METERS_PER_DEGREE * Math.max(0.15, cosLat));
+    boxes.push({
+      south,
+      west: Math.min(...chunk.map((p) => p.lng)) - lngPad,
+      north,
+      east: Math.max(...chunk.map((p) => p.lng)) + lngPad,
+    });
+    start = i;
+  }
+  return boxes;
+}
+
+// Returns [{ hazard, alongMeters, offsetMeters }] sorted by alongMeters. A hazard the
+// route passes more than once is reported where the route comes closest to it.
+export function findHazardsAlongRoute(points, hazards, bufferMeters) {
+  if (!points?.length || !hazards.length) return [];
+  const path = densify(points.length === 1 ? [points[0], points[0]] : points);
+  const index = createGridIndex(hazards);
+  const best = new Map();
+
+  for (let i = 1; i < path.length; i += 1) {
+    const a = path[i - 1];
+    const b = path[i];
+    for (const hazard of index.query(segmentBox(a, b, bufferMeters)).items) {
+      const { t, offset } = projectOntoSegment(hazard.location, a, b);
+      if (offset > bufferMeters) continue;
+      const key = `${hazard.sourceId}:${hazard.id}`;
+      const prev = best.get(key);
+      if (!prev || offset < prev.offsetMeters) {
+        best.set(key, { hazard, alongMeters: a.along + t * (b.along - a.along), offsetMeters: offset });
+      }
+    }
+  }
+
+  return Array.from(best.values()).sort((x, y) => x.alongMeters - y.alongMeters);
+}
+
+// Route hits -> list entries: police reports close together along the route become one
+// stop with a count, everything else is one entry per hazard.
+export function groupRouteHits(hits, { policeGroupMeters = POLICE_GROUP_METERS } = {}) {
+  const stops = [];
+  let police = null;
+  for (const hit of hits) {
+    const { hazard } = hit;
+    if (hazard.kind === 'police' && police && hit.alongMeters - police.lastAlongMeters <= policeGroupMeters) {
+      police.hazards.push(hazard);
+      police.lastAlongMeters = hit.alongMeters;
+      police.offsetMeters = Math.min(police.offsetMeters, hit.offsetMeters);
+      continue;
+    }
+    const stop = {
+      id: `${hazard.sourceId}:${hazard.id}`,
+      kind: hazard.kind,
+      primary: hazard,
+      hazards: [hazard],
+      alongMeters: hit.alongMeters,
+      lastAlongMeters: hit.alongMeters,
+      offsetMeters: hit.offsetMeters,
+    };
+    stops.push(stop);
+    if (hazard.kind === 'police') police = stop;
+  }
+  return stops;
+}
+
+export function summarizeRouteStops(stops) {
+  // { [kind]: { stops, hazards } }
+  const summary = {};
+  for (const stop of stops) {
+    const entry = summary[stop.kind] || (summary[stop.kind] = { stops: 0, hazards: 0 });
+    entry.stops += 1;
+    entry.hazards += stop.hazards.length;
+  }
+  return summary;
+}
@@ -0,0 +1,66 @@
+import {
+  findHazardsAlongRoute,
+  groupRouteHits,
+  routeLengthMeters,
+  routeQueryBoxes,
+  summarizeRouteStops,
+} from './routeHazards';
+
+// A ~22 km route due north.
+const route = [
+  { lat: 45.0, lng: 25.0 },
+  { lat: 45.2, lng: 25.0 },
+];
+const hazard = (id, kind, lat, lng) => ({ id, sourceId: 'test', kind, location: { lat, lng } });
+
+test('finds hazards inside the buffer, ordered by distance along the route', () => {
+  const hazards = [
+    hazard('late', 'speedCamera', 45.15, 25.0005), // ~40 m east, ~16.7 km in
+    hazard('early', 'warning', 45.01, 24.9995), // ~40 m west, ~1.1 km in
+    hazard('wide', 'speedCamera', 45.1, 25.01), // ~790 m off
+    hazard('beyond', 'police', 45.25, 25.0), // past the destination
+  ];
+  const hits = findHazardsAlongRoute(route, hazards, 150);
+  expect(hits.map((h) => h.hazard.id)).toEqual(['early', 'late']);
+  expect(hits[0].alongMeters).toBeGreaterThan(1000);
+  expect(hits[0].alongMeters).toBeLessThan(1200);
+  expect(hits[0].offsetMeters).toBeLessThan(50);
+  expect(hits[1].alongMeters).toBeLessThan(routeLengthMeters(route));
+});
+
+test('groups police reports close together along the route into one stop', () => {
+  const hazards = [
+    hazard('p1', 'police', 45.05, 25.0),
+    hazard('p2', 'police', 45.051, 25.0), // ~110 m further
+    hazard('cam', 'speedCamera', 45.0505, 25.0),
+    hazard('p3', 'police', 45.1, 25.0), // far from the others
+  ];
+  const stops = groupRouteHits(findHazardsAlongRoute(route, hazards, 100));
+  expect(stops.map((s) => [s.kind, s.hazards.length])).toEqual([
+    ['police', 2],
+    ['speedCamera', 1],
+    ['police', 1],
+  ]);
+  expect(summarizeRouteStops(stops)).toEqual({
+    police: { stops: 2, hazards: 3 },
+    speedCamera: { stops: 1, hazards: 1 },
+  });
+});
+
+test('covers the route with padded boxes of about the chunk length', () => {
+  const boxes = routeQueryBoxes(route, 1000, 10_000);
+  expect(boxes).toHaveLength(3);
+  const pad = 1000 / 111320;
+  expect(boxes[0].south).toBeCloseTo(45.0 - pad, 6);
+  expect(boxes[2].north).toBeCloseTo(45.2 + pad, 6);
+  for (const box of boxes) {
+    // At most 10 km of route plus 1 km either side, not the whole route's box.
+    expect(box.north - box.south).toBeLessThan(0.11);
+    expect(box.west).toBeLessThan(25.0 - pad);
+    expect(box.east).toBeGreaterThan(25.0 + pad);
+    expect(box.east - box.west).toBeLessThan(0.03);
+  }
+  // Consecutive boxes meet, so nothing along the route falls between them.
+  expect(boxes[1].south).toBeLessThan(boxes[0].north);
+  expect(boxes[2].south).toBeLessThan(boxes[1].north);
+});
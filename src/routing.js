@@ -0,0 +1,112 @@
+// Routing adapters for the route planner. Each one turns an origin and a destination
+// into { points: [{ lat, lng }], distanceMeters, durationSeconds }. Which routers are
+// offered is a build-time setting:
+//
+//   REACT_APP_ROUTERS='[{"type":"osrm","url":"http://localhost:5000"},{"type":"graphhopper","url":"http://localhost:8989"}]'
+//
+// Without it the public OSRM demo server is used. The straight-line router needs no
+// server and is always available, for offline planning or as a stand-in.
+
+import { haversineMeters } from './geo';
+import { fetchOk } from './sources/http';
+
+const DEFAULT_OSRM_URL = 'https://router.project-osrm.org';
+
+const toPoints = (coordinates) => coordinates.map(([lng, lat]) => ({ lat, lng }));
+
+export function createOsrmRouter({ id = 'osrm', label = 'OSRM', url = DEFAULT_OSRM_URL, profile = 'driving' } = {}) {
+  return {
+    id,
+    label,
+    async route(origin, destination, { signal } = {}) {
+      const coords = `${origin.lng},${origin.lat};${destination.lng},${destination.lat}`;
+      const res = await fetchOk(`${url}/route/v1/${profile}/${coords}?overview=full&geometries=geojson`, {
+        label: `${label} route request`,
+        signal,
+      });
+      const data = await res.json();
+      const best = data?.routes?.[0];
+      if (data?.code !== 'Ok' || !best) throw new Error(data?.message || `${label} found no route`);
+      return {
+        points: toPoints(best.geometry.coordinates),
+        distanceMeters: best.distance,
+        durationSeconds: best.duration,
+      };
+    },
+  };
+}
+
+export function createGraphHopperRouter({ id = 'graphhopper', label = 'GraphHopper', url, profile = 'car', key } = {}) {
+  return {
+    id,
+    label,
+    async route(origin, destination, { signal } = {}) {
+      const params = new URLSearchParams({ profile, points_encoded: 'false' });
+      params.append('point', `${origin.lat},${origin.lng}`);
+      params.append('point', `${destination.lat},${destination.lng}`);
+      if (key) params.set('key', key);
+      const res = await fetchOk(`${url}/route?${params}`, { label: `${label} route request`, signal });
+      const data = await res.json();
+      const best = data?.paths?.[0];
+      if (!best) throw new Error(data?.message || `${label} found no route`);
+      return {
+        points: toPoints(best.points.coordinates),
+        distanceMeters: best.distance,
+        durationSeconds: best.time / 1000,
+      };
+    },
+  };
+}
+
+export const straightLineRouter = {
+  id: 'straightLine',
+  label: 'Straight line',
+  async route(origin, destination) {
+    return {
+      points: [origin, destination],
+      distanceMeters: haversineMeters(origin, destination),
+      durationSeconds: null,
+    };
+  },
+};
+
+const ROUTER_FACTORIES = {
+  osrm: createOsrmRouter,
+  graphhopper: createGraphHopperRouter,
+};
+
+export function parseRoutersConfig(raw) {
+  if (!raw) return [createOsrmRouter()];
+  try {
+    const configs = JSON.parse(raw);
+    if (!Array.isArray(configs)) throw new Error('Expected a JSON array');
+    return configs
+      .map((config, i) => {
+        const factory = ROUTER_FACTORIES[config?.type];
+        if (!factory || !config.url) {
+          // eslint-disable-next-line no-console
+          console.error(`Skipping router #${i}: needs a known "type" and a "url"`, config);
+          return null;
+        }
+        return factory({ id: `${config.type}-${i}`, ...config });
+      })
+      .filter(Boolean);
+  } catch (err) {
+    // eslint-disable-next-line no-console
+    console.error('Invalid REACT_APP_ROUTERS:', err);
+    return [];
+  }
+}
+
+export const routers = [...parseRoutersConfig(process.env.REACT_APP_ROUTERS), straightLineRouter];
+
+export function parseLatLng(text) {
+  // "44.43, 26.10" (or separated by a space / semicolon) -> { lat, lng }, otherwise null.
+  const parts = String(text || '')
+    .trim()
+    .split(/[\s,;]+/)
+    .map(Number);
+  if (parts.length !== 2 || !parts.every(Number.isFinite)) return null;
+  const [lat, lng] = parts;
+  return Math.abs(lat) <= 90 && Math.abs(lng) <= 180 ? { lat, lng } : null;
+}
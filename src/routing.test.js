@@ -0,0 +1,45 @@
+import { createOsrmRouter, parseLatLng, parseRoutersConfig } from './routing';
+
+test('parses "lat, lng" input and rejects anything else', () => {
+  expect(parseLatLng(' 44.43, 26.1 ')).toEqual({ lat: 44.43, lng: 26.1 });
+  expect(parseLatLng('44.43 26.1')).toEqual({ lat: 44.43, lng: 26.1 });
+  expect(parseLatLng('Bucharest')).toBeNull();
+  expect(parseLatLng('95, 26')).toBeNull();
+});
+
+test('builds routers from config and skips incomplete entries', () => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  const config = [{ type: 'graphhopper', url: 'http://gh' }, { type: 'osrm' }, { type: 'nope', url: 'x' }];
+  const list = parseRoutersConfig(JSON.stringify(config));
+  expect(list.map((r) => r.label)).toEqual(['GraphHopper']);
+  expect(parseRoutersConfig('').map((r) => r.id)).toEqual(['osrm']);
+  console.error.mockRestore();
+});
+
+test('reads the OSRM route geometry as lat/lng points', async () => {
+  const coordinates = [
+    [26.1, 44.4],
+    [26.11, 44.41],
+  ];
+  const fetchMock = jest.spyOn(global, 'fetch').mockResolvedValue({
+    ok: true,
+    json: async () => ({
+      code: 'Ok',
+      routes: [{ distance: 1200, duration: 90, geometry: { coordinates } }],
+    }),
+  });
+  const router = createOsrmRouter({ url: 'http://osrm' });
+  const route = await router.route({ lat: 44.4, lng: 26.1 }, { lat: 44.41, lng: 26.11 });
+  expect(fetchMock.mock.calls[0][0]).toBe(
+    'http://osrm/route/v1/driving/26.1,44.4;26.11,44.41?overview=full&geometries=geojson'
+  );
+  expect(route).toEqual({
+    points: [
+      { lat: 44.4, lng: 26.1 },
+      { lat: 44.41, lng: 26.11 },
+    ],
+    distanceMeters: 1200,
+    durationSeconds: 90,
+  });
+  fetchMock.mockRestore();
+});
@@ -1,39 +1,14 @@
 const { createProxyMiddleware } = require('http-proxy-middleware');
 
 module.exports = function setupProxy(app) {
-  // Existing upstream (warning messages)
+  // Hazards backend (server/index.js, `npm run server`). It is the only upstream the
+  // browser talks to: it polls DriversChat and Waze itself and keeps the X-Auth token.
+  // pathFilter (rather than app.use('/hazards', …)) keeps the /hazards prefix on the proxied path.
   app.use(
-    '/api',
     createProxyMiddleware({
-      target: 'https://app.driverschat.com',
+      pathFilter: '/hazards',
+      target: process.env.HAZARDS_BACKEND_URL || 'http://localhost:8787',
       changeOrigin: true,
-      secure: true,
-      logLevel: 'warn',
-    })
-  );
-
-  // Waze upstream (alerts)
-  app.use(
-    '/waze',
-    createProxyMiddleware({
-      target: 'https://www.waze.com',
-      changeOrigin: true,
-      secure: true,
-      logLevel: 'warn',
-      pathRewrite: {
-        '^/waze': '',
-      },
-      onProxyReq: (proxyReq, req) => {
-        // Waze may return 500 if User-Agent is missing/empty (common for some programmatic clients).
-        if (!req.headers['user-agent']) {
-          proxyReq.setHeader('user-agent', 'Mozilla/5.0');
-        }
-        if (!req.headers.accept) {
-          proxyReq.setHeader('accept', 'application/json');
-        }
-      },
     })
   );
 };
-
-
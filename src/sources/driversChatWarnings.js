@@ -0,0 +1,52 @@
+// Driver voice warnings from the DriversChat API, polled centrally by the
+// hazards backend (which holds the X-Auth token). New and removed warnings are
+// pushed over the backend's event stream; the poll only runs while it is down.
+
+import { subscribeToHazardEvents } from './hazardEvents';
+import { fetchOk, hazardsApiUrl } from './http';
+
+const driversChatWarningsSource = {
+  id: 'driversChat',
+  label: 'Driver warnings',
+  viewportDependent: false,
+  pollIntervalMs: 60_000,
+  backoff: { initialMs: 5_000, maxMs: 5 * 60_000 },
+  // Drivers lose signal on rural roads; keep showing the last good snapshot.
+  offlineSnapshot: true,
+
+  async fetch(context, { signal }) {
+    const res = await fetchOk(hazardsApiUrl('/warnings'), {
+      label: 'Warning messages request',
+      sourceId: 'driversChat',
+      signal,
+    });
+    const data = await res.json();
+    // The backend answers 200 with its last good snapshot; with none yet, surface its error.
+    if (data?.error && !data.updatedAt) throw new Error(data.error);
+    return data;
+  },
+
+  subscribe(context, handlers) {
+    return subscribeToHazardEvents('driversChat', {}, handlers);
+  },
+
+  parse(data) {
+    return Array.isArray(data?.items) ? data.items : [];
+  },
+
+  normalize(item) {
+    // Already in the common hazard shape (see server/normalize.js).
+    return Array.isArray(item?.point) && item.point.length === 2 ? item : null;
+  },
+
+  merge(prev, next) {
+    // Keep a "session" of current markers and only add/remove changed ones.
+    // Any items that disappeared from the API response are dropped here,
+    // so they are removed from the map automatically. Pushed deltas land here
+    // too, already applied to the previous list.
+    const prevById = new Map(prev.map((w) => [w.id, w]));
+    return next.map((w) => prevById.get(w.id) || w);
+  },
+};
+
+export default driversChatWarningsSource;
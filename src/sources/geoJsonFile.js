@@ -0,0 +1,39 @@
+// Point features from a static (or periodically refreshed) GeoJSON file.
+
+import { fetchOk } from './http';
+
+export function createGeoJsonSource({ id, label, url, kind = 'poi', pollIntervalMs = null }) {
+  return {
+    id,
+    label: label || id,
+    viewportDependent: false,
+    pollIntervalMs,
+
+    async fetch(context, { signal }) {
+      const res = await fetchOk(url, { label: `Loading ${label || url}`, sourceId: id, signal });
+      return res.json();
+    },
+
+    parse(data) {
+      if (data?.type === 'FeatureCollection') return data.features || [];
+      if (data?.type === 'Feature') return [data];
+      return [];
+    },
+
+    normalize(feature, context, index) {
+      if (feature?.geometry?.type !== 'Point') return null;
+      const [lng, lat] = feature.geometry.coordinates || [];
+      if (typeof lat !== 'number' || typeof lng !== 'number') return null;
+      const props = feature.properties || {};
+
+      return {
+        id: String(feature.id ?? props.id ?? `${lng}-${lat}-${index}`),
+        kind: props.kind || kind,
+        location: { lat, lng },
+        reportedAt: Number.isFinite(Date.parse(props.time)) ? Date.parse(props.time) : null,
+        label: props.name || props.title || props.description || '',
+        properties: props,
+      };
+    },
+  };
+}
@@ -0,0 +1,55 @@
+// Push channel from the hazards backend (/hazards/events, server-sent events).
+// EventSource reconnects on its own and resends the last event id, so the backend
+// replays the deltas we missed. When the browser gives up instead (the stream is
+// CLOSED, e.g. after an HTTP error) we reopen it with a growing delay, passing the
+// id in the URL because EventSource can't set headers.
+
+import { hazardsApiUrl } from './http';
+
+const REOPEN_DELAYS_MS = [2_000, 5_000, 15_000, 30_000, 60_000];
+
+// Returns { close() }, or null when the browser has no EventSource (callers keep polling).
+export function subscribeToHazardEvents(sourceId, params, { onOpen, onSnapshot, onDelta, onError }) {
+  if (typeof EventSource === 'undefined') return null;
+
+  let source = null;
+  let lastEventId = '';
+  let attempt = 0;
+  let reopenTimer = null;
+
+  const connect = () => {
+    const query = { ...params, sources: sourceId };
+    if (lastEventId) query.lastEventId = lastEventId;
+    source = new EventSource(hazardsApiUrl('/events', query));
+
+    source.onopen = () => {
+      attempt = 0;
+      onOpen();
+    };
+    source.addEventListener('snapshot', (event) => {
+      lastEventId = event.lastEventId;
+      const snapshot = JSON.parse(event.data).sources?.[sourceId];
+      if (snapshot) onSnapshot(snapshot);
+    });
+    source.addEventListener('delta', (event) => {
+      lastEventId = event.lastEventId;
+      const { added = [], removed = [] } = JSON.parse(event.data);
+      onDelta({ added, removed });
+    });
+    source.onerror = () => {
+      onError();
+      if (source.readyState !== EventSource.CLOSED) return;
+      const delay = REOPEN_DELAYS_MS[Math.min(attempt, REOPEN_DELAYS_MS.length - 1)];
+      attempt += 1;
+      reopenTimer = setTimeout(connect, delay);
+    };
+  };
+
+  connect();
+  return {
+    close() {
+      clearTimeout(reopenTimer);
+      source.close();
+    },
+  };
+}
@@ -0,0 +1,66 @@
+// Fetch helpers shared by source providers. Every request is queued through the
+// shared request scheduler (requestScheduler.js), and non-2xx responses become a
+// SourceHttpError so the runner can tell rate limits apart from other failures.
+
+import { createRequestScheduler } from './requestScheduler';
+
+// Live data comes from our hazards backend (server/), never from upstream directly.
+// Same origin by default: CRA's dev proxy and nginx forward /hazards to it.
+const HAZARDS_API_BASE = process.env.REACT_APP_HAZARDS_API || '/hazards';
+
+export function hazardsApiUrl(path = '', params = null) {
+  const query = params ? `?${new URLSearchParams(params).toString()}` : '';
+  return `${HAZARDS_API_BASE}${path}${query}`;
+}
+
+export class SourceHttpError extends Error {
+  constructor(message, { status, retryAfterMs = null } = {}) {
+    super(message);
+    this.name = 'SourceHttpError';
+    this.status = status;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+export function parseRetryAfterToMs(retryAfterValue) {
+  // Returns null when the header is missing/unparseable so callers can apply their own default.
+  if (!retryAfterValue) return null;
+  const asNumber = Number(retryAfterValue);
+  if (Number.isFinite(asNumber) && asNumber > 0) return asNumber * 1000;
+  const asDate = Date.parse(retryAfterValue);
+  if (!Number.isNaN(asDate)) return Math.max(0, asDate - Date.now());
+  return null;
+}
+
+function parseHostLimits(value) {
+  // e.g. REACT_APP_REQUEST_LIMITS='{"router.project-osrm.org":{"requestsPerMinute":10,"burst":2}}'
+  if (!value) return {};
+  try {
+    const limits = JSON.parse(value);
+    if (!limits || typeof limits !== 'object' || Array.isArray(limits)) throw new Error('expected a JSON object');
+    return limits;
+  } catch (err) {
+    // eslint-disable-next-line no-console
+    console.error('Invalid REACT_APP_REQUEST_LIMITS:', err);
+    return {};
+  }
+}
+
+export const requestScheduler = createRequestScheduler({
+  limits: parseHostLimits(process.env.REACT_APP_REQUEST_LIMITS),
+});
+
+// `sourceId` files the request under that source in the diagnostics (the host otherwise).
+export async function fetchOk(url, { label, sourceId, ...init } = {}) {
+  const request = async () => {
+    const res = await fetch(url, init);
+    if (!res.ok) {
+      throw new SourceHttpError(`${label || 'Request'} failed (${res.status})`, {
+        status: res.status,
+        retryAfterMs: res.status === 429 ? parseRetryAfterToMs(res.headers.get('retry-after')) : null,
+      });
+    }
+    return res;
+  };
+  return requestScheduler.run(url, request, { signal: init.signal, sourceId, method: init.method });
+}
@@ -0,0 +1,82 @@
+// Source provider registry. The map renders whatever these providers return;
+// adding a feed means registering a provider here (or via REACT_APP_EXTRA_SOURCES),
+// not editing App.js.
+
+import driversChatWarningsSource from './driversChatWarnings';
+import wazeAlertsSource from './wazeAlerts';
+import watchZoneAlertsSource from './watchZoneAlerts';
+import routeAlertsSource from './routeAlerts';
+import scdbSpeedCamerasSource from './scdbSpeedCameras';
+import { createGeoJsonSource } from './geoJsonFile';
+import { createRestFeedSource } from './restFeed';
+
+export const BUILT_IN_SOURCE_IDS = {
+  warnings: driversChatWarningsSource.id,
+  waze: wazeAlertsSource.id,
+  speedCameras: scdbSpeedCamerasSource.id,
+  watchZones: watchZoneAlertsSource.id,
+  route: routeAlertsSource.id,
+};
+
+const SOURCE_FACTORIES = {
+  geojson: createGeoJsonSource,
+  rest: createRestFeedSource,
+};
+
+function validateProvider(provider) {
+  if (!provider || !provider.id) throw new Error('Source provider needs an id');
+  for (const fn of ['fetch', 'parse', 'normalize']) {
+    if (typeof provider[fn] !== 'function') {
+      throw new Error(`Source provider "${provider.id}" is missing ${fn}()`);
+    }
+  }
+}
+
+export function createSourceRegistry(providers) {
+  const byId = new Map();
+  for (const provider of providers) {
+    validateProvider(provider);
+    if (byId.has(provider.id)) throw new Error(`Duplicate source provider id "${provider.id}"`);
+    byId.set(provider.id, provider);
+  }
+  const list = Object.freeze(Array.from(byId.values()));
+
+  return {
+    list: () => list,
+    get: (id) => byId.get(id) || null,
+    register: (provider) => createSourceRegistry([...list, provider]),
+  };
+}
+
+export function parseExtraSourcesConfig(value) {
+  // e.g. REACT_APP_EXTRA_SOURCES='[{"type":"geojson","id":"depots","url":"/depots.geojson"}]'
+  if (!value) return [];
+  try {
+    const configs = JSON.parse(value);
+    if (!Array.isArray(configs)) throw new Error('expected a JSON array');
+    return configs
+      .map((config) => {
+        const factory = SOURCE_FACTORIES[config?.type];
+        if (!factory) {
+          // eslint-disable-next-line no-console
+          console.error(`Unknown extra source type "${config?.type}"`);
+          return null;
+        }
+        return factory(config);
+      })
+      .filter(Boolean);
+  } catch (err) {
+    // eslint-disable-next-line no-console
+    console.error('Invalid REACT_APP_EXTRA_SOURCES:', err);
+    return [];
+  }
+}
+
+export const sourceRegistry = createSourceRegistry([
+  driversChatWarningsSource,
+  wazeAlertsSource,
+  scdbSpeedCamerasSource,
+  watchZoneAlertsSource,
+  routeAlertsSource,
+  ...parseExtraSourcesConfig(process.env.REACT_APP_EXTRA_SOURCES),
+]);
@@ -0,0 +1,188 @@
+// One place every outgoing request goes through (see fetchOk in http.js): a
+// token bucket per host, so sources sharing a backend share its budget; a
+// host-wide backoff after failed reads (429s and errors), exponential with jitter; a queue
+// that holds requests until they're allowed instead of dropping them; and
+// latency / error telemetry per source for the diagnostics panel.
+
+const MINUTE_MS = 60_000;
+export const DEFAULT_HOST_LIMIT = { requestsPerMinute: 60, burst: 10 };
+const DEFAULT_BACKOFF = { initialMs: 2_000, maxMs: 5 * MINUTE_MS };
+// Telemetry covers this many of each source's latest requests.
+const TELEMETRY_WINDOW = 20;
+
+// Exponential, with "equal jitter" (half fixed, half random) so clients that
+// failed together don't all come back at the same moment.
+export function computeBackoffMs({ initialMs, maxMs = Infinity } = {}, failures, random = Math.random) {
+  if (!initialMs || failures < 1) return 0;
+  const ceiling = Math.min(initialMs * 2 ** (failures - 1), maxMs);
+  return Math.round(ceiling / 2 + (ceiling / 2) * random());
+}
+
+function abortError() {
+  return new DOMException('Aborted', 'AbortError');
+}
+
+export function getRequestHost(url) {
+  try {
+    return new URL(url, window.location.href).host;
+  } catch {
+    return String(url);
+  }
+}
+
+export function createRequestScheduler({
+  limits = {},
+  defaultLimit = DEFAULT_HOST_LIMIT,
+  backoff = DEFAULT_BACKOFF,
+  now = () => Date.now(),
+  random = Math.random,
+} = {}) {
+  const hosts = new Map();
+  const telemetry = new Map();
+  const listeners = new Set();
+
+  const notify = () => listeners.forEach((listener) => listener());
+
+  function getHost(name) {
+    let host = hosts.get(name);
+    if (!host) {
+      const limit = { ...defaultLimit, ...limits[name] };
+      host = {
+        name,
+        limit,
+        tokens: limit.burst,
+        refilledAt: now(),
+        backoffUntil: 0,
+        failures: 0,
+        queue: [],
+        timer: null,
+      };
+      hosts.set(name, host);
+    }
+    return host;
+  }
+
+  function refill(host) {
+    const t = now();
+    const perMs = host.limit.requestsPerMinute / MINUTE_MS;
+    host.tokens = Math.min(host.limit.burst, host.tokens + (t - host.refilledAt) * perMs);
+    host.refilledAt = t;
+  }
+
+  function nextAllowedAt(host) {
+    refill(host);
+    const t = now();
+    const forToken = host.tokens >= 1 ? t : t + (1 - host.tokens) / (host.limit.requestsPerMinute / MINUTE_MS);
+    return Math.max(forToken, host.backoffUntil);
+  }
+
+  function drain(host) {
+    clearTimeout(host.timer);
+    host.timer = null;
+    while (host.queue.length) {
+      const at = nextAllowedAt(host);
+      if (at > now()) {
+        host.timer = setTimeout(() => drain(host), at - now());
+        return;
+      }
+      host.tokens -= 1;
+      host.queue.shift().start();
+    }
+  }
+
+  function record(sourceId, hostName, entry) {
+    const stats = telemetry.get(sourceId) || { sourceId, host: hostName, total: 0, recent: [], lastError: '' };
+    stats.host = hostName;
+    stats.total += 1;
+    stats.recent = [...stats.recent, entry].slice(-TELEMETRY_WINDOW);
+    if (!entry.ok) stats.lastError = entry.error;
+    telemetry.set(sourceId, stats);
+  }
+
+  function onFailure(host, err) {
+    host.failures += 1;
+    const waitMs =
+      err?.status === 429 && err.retryAfterMs ? err.retryAfterMs : computeBackoffMs(backoff, host.failures, random);
+    host.backoffUntil = Math.max(host.backoffUntil, now() + waitMs);
+  }
+
+  return {
+    // Runs `task` (which makes the request) once the host's budget allows it.
+    // Aborting `signal` while queued drops the request without it ever going out.
+    // Writes (any `method` but GET) still spend the budget, but a failed write
+    // says nothing about the host's reads, so it never holds them back.
+    run(url, task, { signal, sourceId, method = 'GET' } = {}) {
+      const host = getHost(getRequestHost(url));
+      const key = sourceId || host.name;
+      const isRead = method.toUpperCase() === 'GET';
+      return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+          reject(abortError());
+          return;
+        }
+        const entry = {
+          async start() {
+            signal?.removeEventListener('abort', onAbort);
+            const startedAt = now();
+            try {
+              const result = await task();
+              if (isRead) host.failures = 0;
+              record(key, host.name, { ok: true, latencyMs: now() - startedAt, at: startedAt });
+              resolve(result);
+            } catch (err) {
+              if (err?.name !== 'AbortError') {
+                // Client errors are the request's fault, not a sign the host needs a break.
+                if (isRead && (!err?.status || err.status === 429 || err.status >= 500)) onFailure(host, err);
+                record(key, host.name, { ok: false, latencyMs: now() - startedAt, at: startedAt, error: err?.message });
+              }
+              reject(err);
+            } finally {
+              notify();
+            }
+          },
+        };
+        const onAbort = () => {
+          host.queue = host.queue.filter((queued) => queued !== entry);
+          reject(abortError());
+          notify();
+        };
+        signal?.addEventListener('abort', onAbort, { once: true });
+        host.queue.push(entry);
+        drain(host);
+        notify();
+      });
+    },
+
+    getDiagnostics() {
+      const t = now();
+      return {
+        hosts: Array.from(hosts.values()).map((host) => ({
+          host: host.name,
+          queued: host.queue.length,
+          tokens: Math.floor(host.tokens),
+          limit: host.limit,
+          backoffUntil: host.backoffUntil > t ? host.backoffUntil : 0,
+          nextAllowedInMs: Math.max(0, nextAllowedAt(host) - t),
+        })),
+        sources: Array.from(telemetry.values()).map((stats) => {
+          const errors = stats.recent.filter((e) => !e.ok).length;
+          const latencies = stats.recent.map((e) => e.latencyMs);
+          return {
+            sourceId: stats.sourceId,
+            host: stats.host,
+            total: stats.total,
+            errorRate: stats.recent.length ? errors / stats.recent.length : 0,
+            avgLatencyMs: latencies.length ? Math.round(latencies.reduce((a, b) => a + b, 0) / latencies.length) : null,
+            lastLatencyMs: latencies.length ? latencies[latencies.length - 1] : null,
+            lastError: stats.lastError,
+          };
+        }),
+      };
+    },
+
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+  };
+}
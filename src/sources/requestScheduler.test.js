@@ -0,0 +1,94 @@
+import { computeBackoffMs, createRequestScheduler } from './requestScheduler';
+import { SourceHttpError } from './http';
+
+const flush = () => new Promise((resolve) => jest.requireActual('timers').setImmediate(resolve));
+
+function createClock() {
+  let t = 0;
+  return {
+    now: () => t,
+    advance: async (ms) => {
+      t += ms;
+      jest.advanceTimersByTime(ms);
+      await flush();
+    },
+  };
+}
+
+beforeEach(() => jest.useFakeTimers());
+afterEach(() => jest.useRealTimers());
+
+test('backs off exponentially with jitter, capped', () => {
+  const backoff = { initialMs: 1000, maxMs: 5000 };
+  expect(computeBackoffMs(backoff, 1, () => 0)).toBe(500);
+  expect(computeBackoffMs(backoff, 3, () => 1)).toBe(4000);
+  expect(computeBackoffMs(backoff, 10, () => 1)).toBe(5000);
+  expect(computeBackoffMs({}, 3)).toBe(0);
+});
+
+test('queues requests past the host budget and runs them as tokens refill', async () => {
+  const clock = createClock();
+  const scheduler = createRequestScheduler({ defaultLimit: { requestsPerMinute: 60, burst: 2 }, now: clock.now });
+  const task = jest.fn(async () => 'ok');
+
+  const results = [1, 2, 3].map(() => scheduler.run('https://a.test/x', task));
+  await flush();
+  expect(task).toHaveBeenCalledTimes(2);
+  expect(scheduler.getDiagnostics().hosts[0]).toMatchObject({ host: 'a.test', queued: 1, nextAllowedInMs: 1000 });
+
+  // Other hosts have their own budget.
+  await scheduler.run('https://b.test/x', task);
+  expect(task).toHaveBeenCalledTimes(3);
+
+  await clock.advance(1000);
+  expect(task).toHaveBeenCalledTimes(4);
+  await expect(Promise.all(results)).resolves.toEqual(['ok', 'ok', 'ok']);
+});
+
+test('holds the whole host after a 429 and records per-source telemetry', async () => {
+  const clock = createClock();
+  const scheduler = createRequestScheduler({ now: clock.now });
+  const limited = jest.fn(async () => {
+    throw new SourceHttpError('Too many', { status: 429, retryAfterMs: 5000 });
+  });
+  const ok = jest.fn(async () => 'ok');
+
+  await expect(scheduler.run('https://a.test/waze', limited, { sourceId: 'waze' })).rejects.toThrow('Too many');
+  const pending = scheduler.run('https://a.test/warnings', ok, { sourceId: 'warnings' });
+  await flush();
+  expect(ok).not.toHaveBeenCalled();
+  expect(scheduler.getDiagnostics().hosts[0].nextAllowedInMs).toBe(5000);
+
+  await clock.advance(5000);
+  await expect(pending).resolves.toBe('ok');
+  const sources = scheduler.getDiagnostics().sources;
+  expect(sources.find((s) => s.sourceId === 'waze')).toMatchObject({ total: 1, errorRate: 1, lastError: 'Too many' });
+  expect(sources.find((s) => s.sourceId === 'warnings')).toMatchObject({ total: 1, errorRate: 0 });
+});
+
+test('leaves reads alone when a write to the same host fails', async () => {
+  const clock = createClock();
+  const scheduler = createRequestScheduler({ now: clock.now });
+  const failed = jest.fn(async () => {
+    throw new SourceHttpError('Unavailable', { status: 503 });
+  });
+  const ok = jest.fn(async () => 'ok');
+
+  await expect(scheduler.run('https://a.test/warnings', failed, { method: 'POST' })).rejects.toThrow('Unavailable');
+  await expect(scheduler.run('https://a.test/waze', ok)).resolves.toBe('ok');
+  expect(scheduler.getDiagnostics().hosts[0].backoffUntil).toBe(0);
+});
+
+test('drops queued requests when they are aborted', async () => {
+  const scheduler = createRequestScheduler({ defaultLimit: { requestsPerMinute: 1, burst: 1 }, now: () => 0 });
+  const task = jest.fn(async () => 'ok');
+  await scheduler.run('/x', task);
+
+  const controller = new AbortController();
+  const queued = scheduler.run('/x', task, { signal: controller.signal });
+  controller.abort();
+
+  await expect(queued).rejects.toThrow('Aborted');
+  expect(scheduler.getDiagnostics().hosts[0].queued).toBe(0);
+  expect(task).toHaveBeenCalledTimes(1);
+});
@@ -0,0 +1,59 @@
+// Generic JSON REST feed: an array of records (optionally nested under
+// `itemsField`) with configurable field names for id, coordinates and label.
+
+import { fetchOk } from './http';
+
+function getField(record, path) {
+  if (!path) return undefined;
+  return String(path)
+    .split('.')
+    .reduce((acc, key) => (acc === null || acc === undefined ? acc : acc[key]), record);
+}
+
+export function createRestFeedSource({
+  id,
+  label,
+  url,
+  kind = 'poi',
+  pollIntervalMs = 60_000,
+  headers = {},
+  itemsField = '',
+  idField = 'id',
+  latField = 'lat',
+  lngField = 'lng',
+  labelField = 'name',
+  timeField = '',
+}) {
+  return {
+    id,
+    label: label || id,
+    viewportDependent: false,
+    pollIntervalMs,
+
+    async fetch(context, { signal }) {
+      const res = await fetchOk(url, { label: label || url, sourceId: id, signal, headers });
+      return res.json();
+    },
+
+    parse(data) {
+      const items = itemsField ? getField(data, itemsField) : data;
+      return Array.isArray(items) ? items : [];
+    },
+
+    normalize(record, context, index) {
+      const lat = Number(getField(record, latField));
+      const lng = Number(getField(record, lngField));
+      if (!Number.isFinite(lat) || !Number.isFinite(lng)) return null;
+      const time = timeField ? new Date(getField(record, timeField)).getTime() : NaN;
+
+      return {
+        id: String(getField(record, idField) ?? `${lng}-${lat}-${index}`),
+        kind: record.kind || kind,
+        location: { lat, lng },
+        reportedAt: Number.isFinite(time) ? time : null,
+        label: String(getField(record, labelField) ?? ''),
+        properties: record,
+      };
+    },
+  };
+}
@@ -0,0 +1,73 @@
+// Waze alerts along the planned route, so the trip plan lists police on the parts of
+// the route that aren't on screen. One backend request per stretch of the route (see
+// routeQueryBoxes), like the watch zones' one per zone.
+
+import { routeQueryBoxes } from '../routeHazards';
+import { fetchOk, hazardsApiUrl } from './http';
+import { inferWazeEnvFromLatLng } from './wazeAlerts';
+
+// Length of route each request covers, and how many are made: alerts past
+// MAX_ROUTE_QUERY_METERS along a longer route only come from the map view.
+const ROUTE_CHUNK_METERS = 20_000;
+const MAX_ROUTE_QUERIES = 25;
+export const MAX_ROUTE_QUERY_METERS = ROUTE_CHUNK_METERS * MAX_ROUTE_QUERIES;
+// Map zoom the backend picks tiles for, as for the watch zones.
+const ROUTE_QUERY_ZOOM = 13;
+
+const routeAlertsSource = {
+  id: 'wazeRoute',
+  label: 'Waze (route)',
+  viewportDependent: false,
+  pollIntervalMs: 60_000,
+  backoff: { defaultRetryAfterMs: 30_000, initialMs: 10_000, maxMs: 5 * 60_000 },
+
+  async fetch(context, { signal }) {
+    const route = context.route;
+    if (!route?.points?.length) return { items: [] };
+    const boxes = routeQueryBoxes(route.points, route.bufferMeters, ROUTE_CHUNK_METERS).slice(0, MAX_ROUTE_QUERIES);
+    const items = [];
+    let failed = 0;
+    let firstError = null;
+    // One at a time, like the watch zones: the route is polled in the background.
+    for (const box of boxes) {
+      const env =
+        context.wazeEnvMode && context.wazeEnvMode !== 'auto'
+          ? context.wazeEnvMode
+          : inferWazeEnvFromLatLng({ lat: (box.south + box.north) / 2, lng: (box.west + box.east) / 2 });
+      const url = hazardsApiUrl('/waze', { ...box, zoom: ROUTE_QUERY_ZOOM, env });
+      try {
+        const res = await fetchOk(url, {
+          label: 'Waze route request',
+          sourceId: routeAlertsSource.id,
+          signal,
+          headers: { Accept: 'application/json' },
+        });
+        const data = await res.json();
+        if (Array.isArray(data?.items)) items.push(...data.items);
+      } catch (err) {
+        // As for the watch zones: only a 429 gives up on the rest of the route.
+        if (signal?.aborted || err?.status === 429) throw err;
+        // eslint-disable-next-line no-console
+        console.error('Waze route request:', err);
+        failed += 1;
+        firstError = firstError || err;
+      }
+    }
+    if (failed && failed === boxes.length) throw firstError;
+    const partialError = failed
+      ? `Could not load police for ${failed} of ${boxes.length} stretches of the route: ${firstError.message}`
+      : '';
+    return { items, partialError };
+  },
+
+  parse(data) {
+    return data.items;
+  },
+
+  normalize(a) {
+    // Already in the common hazard shape (see server/normalize.js).
+    return Number.isFinite(a?.location?.lat) && Number.isFinite(a?.location?.lng) ? a : null;
+  },
+};
+
+export default routeAlertsSource;
@@ -0,0 +1,213 @@
+// Parsing for SCDB CSV exports. Two layouts are understood:
+//   - Garmin-style (no header): lng,lat,"free text description",[id]
+//     The description is where SCDB puts everything else ("N", "bs, inactive (?)",
+//     "Section Control, Route length: …"), so type/limit/heading are read from it.
+//   - iGO-style (header row): X,Y,TYPE,SPEED,DIRTYPE,DIRECTION
+// The file name can carry hints too (SCDB_Redlight.csv, SCDB_Speed_50.csv).
+//
+// Kept free of browser APIs so it runs both in the parse worker and in tests.
+
+import { parseCsvRows } from '../csv';
+
+const MIN_SPEED_LIMIT = 5;
+const MAX_SPEED_LIMIT = 150;
+
+// Compass tokens as they appear in SCDB descriptions (English and German).
+const COMPASS_HEADINGS = {
+  n: 0,
+  north: 0,
+  nord: 0,
+  ne: 45,
+  no: 45,
+  e: 90,
+  o: 90,
+  east: 90,
+  ost: 90,
+  se: 135,
+  so: 135,
+  s: 180,
+  south: 180,
+  süd: 180,
+  sud: 180,
+  sw: 225,
+  w: 270,
+  west: 270,
+  nw: 315,
+};
+
+// iGO TYPE column.
+const IGO_CAMERA_TYPES = { 1: 'fixed', 2: 'redLight', 3: 'redLight', 4: 'section', 5: 'mobile' };
+const IGO_DIRTYPE_BOTH = 2;
+
+const HEADER_ALIASES = {
+  lng: ['x', 'lng', 'lon', 'long', 'longitude'],
+  lat: ['y', 'lat', 'latitude'],
+  id: ['id', 'idx'],
+  type: ['type'],
+  speed: ['speed', 'speedlimit', 'limit'],
+  dirType: ['dirtype'],
+  direction: ['direction', 'heading', 'dir'],
+  desc: ['desc', 'description', 'name', 'comment'],
+};
+
+function toSpeedLimit(value) {
+  const n = Number(value);
+  return Number.isFinite(n) && n >= MIN_SPEED_LIMIT && n <= MAX_SPEED_LIMIT ? n : null;
+}
+
+function parseSpeedLimitFromText(text, parts) {
+  const patterns = [/(\d{2,3})\s*km\/?h\b/i, /@\s*(\d{2,3})\b/, /\b(?:v\s?max|limit|speed)\s*:?\s*(\d{2,3})\b/i];
+  for (const re of patterns) {
+    const m = text.match(re);
+    if (m && toSpeedLimit(m[1])) return toSpeedLimit(m[1]);
+  }
+  // A description part that is nothing but a number, e.g. "50".
+  const bare = parts.find((p) => /^\d{2,3}$/.test(p));
+  return bare ? toSpeedLimit(bare) : null;
+}
+
+function parseHeadingFromText(text, parts) {
+  const degrees = text.match(/(\d{1,3})\s*°/);
+  if (degrees && Number(degrees[1]) < 360) return Number(degrees[1]);
+
+  for (const part of parts) {
+    // "N", "S", "Rtg. West", "direction north"…
+    const word = part
+      .toLowerCase()
+      .replace(/^(?:rtg\.?|richtung|dir\.?|direction)\s+/, '')
+      .trim();
+    if (word in COMPASS_HEADINGS) return COMPASS_HEADINGS[word];
+  }
+  return null;
+}
+
+function parseCameraTypeFromText(text) {
+  if (/section|strecken|mindestzeit|minimum time|average speed/i.test(text)) return 'section';
+  if (/red\s?light|rotlicht|ampel|feu rouge/i.test(text)) return 'redLight';
+  if (/mobil/i.test(text)) return 'mobile';
+  return null;
+}
+
+export function parseScdbDescription(desc) {
+  const text = String(desc || '');
+  const parts = text
+    .split(',')
+    .map((p) => p.trim())
+    .filter(Boolean);
+  const lower = text.toLowerCase();
+
+  let status = 'active';
+  if (/removed|entfernt|abgebaut/.test(lower)) status = 'removed';
+  // Also catches the "inacitve" typo found in real files.
+  else if (/\bina\w*ve\b|inaktiv/.test(lower)) status = 'inactive';
+
+  return {
+    cameraType: parseCameraTypeFromText(text),
+    speedLimit: parseSpeedLimitFromText(text, parts),
+    heading: parseHeadingFromText(text, parts),
+    bidirectional: parts.some((p) => /^(?:bs|beidseitig|both(?: sides| directions)?)$/i.test(p)),
+    status,
+    uncertain: /\?|perhaps|vielleicht/.test(lower),
+  };
+}
+
+function parseFileNameHints(fileName) {
+  const name = String(fileName || '');
+  const limit = name.match(/_(\d{2,3})(?=[_.]|$)/);
+  return {
+    cameraType: parseCameraTypeFromText(name.replace(/_/g, ' ')),
+    speedLimit: limit ? toSpeedLimit(limit[1]) : null,
+  };
+}
+
+function resolveHeaderColumns(row) {
+  // Returns a column map if the first row looks like a header, otherwise null.
+  if (Number.isFinite(Number(row[0])) && row[0].trim() !== '') return null;
+  const names = row.map((h) => h.trim().toLowerCase());
+  const columns = {};
+  for (const [key, aliases] of Object.entries(HEADER_ALIASES)) {
+    const index = names.findIndex((n) => aliases.includes(n));
+    if (index >= 0) columns[key] = index;
+  }
+  return columns.lat !== undefined && columns.lng !== undefined ? columns : null;
+}
+
+function parseHeaderRow(fields, columns, rowIndex) {
+  const get = (key) => (columns[key] === undefined ? '' : String(fields[columns[key]] ?? '').trim());
+  const lng = Number(get('lng'));
+  const lat = Number(get('lat'));
+  if (!Number.isFinite(lat) || !Number.isFinite(lng)) return null;
+
+  const desc = get('desc');
+  const fromText = parseScdbDescription(desc);
+  const direction = get('direction') === '' ? NaN : Number(get('direction'));
+
+  return {
+    ...fromText,
+    id: get('id') || `${lat},${lng}#${rowIndex}`,
+    lat,
+    lng,
+    desc,
+    cameraType: IGO_CAMERA_TYPES[Number(get('type'))] || fromText.cameraType,
+    speedLimit: toSpeedLimit(get('speed')) ?? fromText.speedLimit,
+    heading: Number.isFinite(direction) && direction >= 0 && direction < 360 ? direction : fromText.heading,
+    bidirectional: Number(get('dirType')) === IGO_DIRTYPE_BOTH || fromText.bidirectional,
+  };
+}
+
+function parseGarminRow(fields) {
+  if (fields.length < 3) return null;
+  const lng = Number(fields[0]);
+  const lat = Number(fields[1]);
+  if (!Number.isFinite(lat) || !Number.isFinite(lng)) return null;
+
+  const rest = fields.slice(2).map((f) => f.trim());
+  // Some rows repeat the id ("[22990],[22990]") and have no description at all.
+  const idField = rest.find((f) => /^\[[^\]]+\]$/.test(f));
+  if (!idField) return null;
+
+  const desc = rest
+    .filter((f) => f && !/^\[[^\]]+\]$/.test(f))
+    .join(', ')
+    .replace(/[,\s]+$/, '');
+
+  return {
+    id: idField.slice(1, -1).trim(),
+    lat,
+    lng,
+    desc,
+    ...parseScdbDescription(desc),
+  };
+}
+
+export function createScdbRowParser({ fileName = '' } = {}) {
+  // Feed rows in file order; returns a camera record or null (header, junk rows).
+  const hints = parseFileNameHints(fileName);
+  let columns = null;
+  let rowIndex = -1;
+
+  return (fields) => {
+    rowIndex += 1;
+    if (rowIndex === 0) {
+      columns = resolveHeaderColumns(fields);
+      if (columns) return null;
+    }
+    const p = columns ? parseHeaderRow(fields, columns, rowIndex) : parseGarminRow(fields);
+    if (!p) return null;
+    return {
+      ...p,
+      cameraType: p.cameraType || hints.cameraType || 'fixed',
+      speedLimit: p.speedLimit ?? hints.speedLimit,
+    };
+  };
+}
+
+export function parseSpeedRadarCsv(text, { fileName = '' } = {}) {
+  const parseRow = createScdbRowParser({ fileName });
+  const points = [];
+  for (const fields of parseCsvRows(text)) {
+    const p = parseRow(fields);
+    if (p) points.push(p);
+  }
+  return points;
+}
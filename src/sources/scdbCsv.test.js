@@ -0,0 +1,49 @@
+import { parseScdbDescription, parseSpeedRadarCsv } from './scdbCsv';
+
+describe('parseSpeedRadarCsv', () => {
+  test('reads Garmin-style rows with quoted descriptions', () => {
+    const text = [
+      '25.62408,45.26836,"bs, inactive (?)",[16128]',
+      '26.05944,44.87069,N,[16133]',
+      '22.67303,46.97025,[22990],[22990]',
+      '20.1,44.2,"Section Control, Route length: 513 km, minimum time: 4 hours",[99]',
+      'not,a,row',
+    ].join('\n');
+
+    const [bs, north, bare, section] = parseSpeedRadarCsv(text);
+    expect(bs).toMatchObject({
+      id: '16128',
+      lat: 45.26836,
+      lng: 25.62408,
+      desc: 'bs, inactive (?)',
+      bidirectional: true,
+      status: 'inactive',
+      uncertain: true,
+      cameraType: 'fixed',
+    });
+    expect(north).toMatchObject({ id: '16133', heading: 0, status: 'active', uncertain: false });
+    expect(bare).toMatchObject({ id: '22990', desc: '', heading: null });
+    expect(section).toMatchObject({ cameraType: 'section', speedLimit: null });
+  });
+
+  test('reads iGO-style rows by header', () => {
+    const text = 'X,Y,TYPE,SPEED,DIRTYPE,DIRECTION\n13.4,52.5,3,50,2,270\n13.5,52.6,1,0,0,0';
+    const [redLight, fixed] = parseSpeedRadarCsv(text);
+    expect(redLight).toMatchObject({ cameraType: 'redLight', speedLimit: 50, heading: 270, bidirectional: true });
+    expect(fixed).toMatchObject({ cameraType: 'fixed', speedLimit: null, heading: 0, bidirectional: false });
+  });
+
+  test('uses file name hints when rows say nothing', () => {
+    const [p] = parseSpeedRadarCsv('1,2,,[7]', { fileName: 'SCDB_Mobile_80.csv' });
+    expect(p).toMatchObject({ cameraType: 'mobile', speedLimit: 80 });
+  });
+});
+
+describe('parseScdbDescription', () => {
+  test('extracts limits, headings and status from free text', () => {
+    expect(parseScdbDescription('Rtg. West, 70 km/h')).toMatchObject({ heading: 270, speedLimit: 70 });
+    expect(parseScdbDescription('mobil (?)')).toMatchObject({ cameraType: 'mobile', uncertain: true });
+    expect(parseScdbDescription('S, inacitve')).toMatchObject({ heading: 180, status: 'inactive' });
+    expect(parseScdbDescription('W, removed (?)')).toMatchObject({ heading: 270, status: 'removed' });
+  });
+});
@@ -0,0 +1,105 @@
+// Speed cameras from an SCDB CSV export shipped in public/ (see scdbCsv.js for
+// the formats). The worldwide file is large, so it is streamed and parsed in a
+// Web Worker that reports progress and partial results, and caches the parsed
+// dataset in IndexedDB; browsers without workers fall back to parsing on the
+// main thread on every load.
+
+import { SourceHttpError, fetchOk, requestScheduler } from './http';
+import { parseSpeedRadarCsv } from './scdbCsv';
+
+const SPEED_RADARS_WORLD_CSV_NAME = 'SCDB_Speed.csv';
+const SPEED_RADARS_WORLD_CSV_URL = `${process.env.PUBLIC_URL || ''}/${SPEED_RADARS_WORLD_CSV_NAME}`;
+
+function loadInWorker(url, fileName, { signal, reportProgress }) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(new URL('./scdbSpeedCameras.worker.js', import.meta.url));
+    const records = [];
+
+    const onAbort = () => {
+      cleanup();
+      reject(new DOMException('Aborted', 'AbortError'));
+    };
+    const cleanup = () => {
+      worker.terminate();
+      signal?.removeEventListener('abort', onAbort);
+    };
+    signal?.addEventListener('abort', onAbort);
+
+    worker.onmessage = ({ data }) => {
+      if (data.type === 'error') {
+        cleanup();
+        reject(
+          data.status
+            ? new SourceHttpError(data.message, { status: data.status, retryAfterMs: data.retryAfterMs })
+            : new Error(data.message)
+        );
+        return;
+      }
+      const { type, records: batch, ...progress } = data;
+      for (const record of batch) records.push(record);
+      if (type === 'progress') {
+        reportProgress?.({ ...progress, records: batch });
+      } else if (type === 'done') {
+        // Final counters plus where the data came from (see the worker's `cache` flag).
+        reportProgress?.({ ...progress, records: [] });
+        cleanup();
+        resolve(records);
+      }
+    };
+    worker.onerror = (event) => {
+      cleanup();
+      reject(new Error(event.message || `Failed to parse ${fileName}`));
+    };
+
+    // Workers resolve relative URLs against their own script, not the page.
+    worker.postMessage({ type: 'load', url: new URL(url, window.location.href).href, fileName });
+  });
+}
+
+export function createScdbSpeedCameraSource({
+  id = 'scdb',
+  fileName = SPEED_RADARS_WORLD_CSV_NAME,
+  url = SPEED_RADARS_WORLD_CSV_URL,
+} = {}) {
+  return {
+    id,
+    label: `Speed radars (${fileName})`,
+    fileName,
+    viewportDependent: false,
+    pollIntervalMs: null,
+
+    async fetch(context, { signal, reportProgress }) {
+      if (typeof Worker !== 'undefined') {
+        // The worker does its own fetch; it still takes its turn in the scheduler.
+        const load = () => loadInWorker(url, fileName, { signal, reportProgress });
+        return requestScheduler.run(url, load, { signal, sourceId: id });
+      }
+      const res = await fetchOk(url, { label: `Loading ${fileName}`, sourceId: id, signal });
+      return parseSpeedRadarCsv(await res.text(), { fileName });
+    },
+
+    // Both paths above already return parsed (and, in the worker, deduplicated) cameras.
+    parse: (records) => records,
+
+    normalize(p) {
+      return {
+        id: p.id,
+        kind: 'speedCamera',
+        location: { lat: p.lat, lng: p.lng },
+        reportedAt: null,
+        label: p.desc,
+        desc: p.desc,
+        cameraType: p.cameraType,
+        speedLimit: p.speedLimit,
+        heading: p.heading,
+        bidirectional: p.bidirectional,
+        status: p.status,
+        uncertain: p.uncertain,
+      };
+    },
+  };
+}
+
+const scdbSpeedCamerasSource = createScdbSpeedCameraSource();
+
+export default scdbSpeedCamerasSource;
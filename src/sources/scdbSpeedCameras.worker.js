@@ -0,0 +1,138 @@
+/* eslint-disable no-restricted-globals */
+// Streams an SCDB CSV, parses and dedupes it off the main thread, and posts
+// batches of new cameras along with byte/row progress:
+//   in:  { type: 'load', url, fileName }
+//   out: { type: 'progress', loadedBytes, totalBytes, rows, duplicates, records }
+//        { type: 'done', loadedBytes, totalBytes, rows, duplicates, cache }
+//        { type: 'error', message, status, retryAfterMs }
+//
+// The parsed dataset is kept in IndexedDB with the response's ETag/Last-Modified,
+// so later loads send a conditional request and reuse it on 304. If the request
+// fails (offline, server error) the cached copy is served instead. `cache` on the
+// done message is 'miss' (parsed from the network), 'hit' (304) or 'stale'.
+
+import { createCsvRowReader } from '../csv';
+import { readCacheEntry, writeCacheEntry } from '../offlineCache';
+import { parseRetryAfterToMs } from './http';
+import { createScdbRowParser } from './scdbCsv';
+
+// Posting (and re-indexing on the main thread) per chunk would be wasteful.
+const PROGRESS_INTERVAL_MS = 750;
+// Bump whenever the parsed record shape changes so old caches are ignored.
+const DATASET_CACHE_VERSION = 1;
+
+function postCached(entry, cache) {
+  const { records, bytes, rows, duplicates } = entry.value;
+  const progress = { loadedBytes: bytes, totalBytes: bytes, rows, duplicates, cachedAt: entry.savedAt };
+  self.postMessage({ type: 'progress', ...progress, records });
+  self.postMessage({ type: 'done', ...progress, records: [], cache });
+}
+
+async function load({ url, fileName }) {
+  const cacheKey = `scdb:${url}`;
+  const cached = await readCacheEntry(cacheKey);
+  const usable = cached?.value?.version === DATASET_CACHE_VERSION ? cached : null;
+
+  const headers = {};
+  if (usable?.value.etag) headers['If-None-Match'] = usable.value.etag;
+  else if (usable?.value.lastModified) headers['If-Modified-Since'] = usable.value.lastModified;
+
+  let res;
+  try {
+    // no-store: we do the revalidation ourselves and need to see the 304.
+    res = await fetch(url, { headers, cache: 'no-store' });
+  } catch (err) {
+    if (usable) {
+      postCached(usable, 'stale');
+      return;
+    }
+    throw err;
+  }
+
+  if (res.status === 304 && usable) {
+    postCached(usable, 'hit');
+    return;
+  }
+  if (!res.ok) {
+    if (usable) {
+      postCached(usable, 'stale');
+      return;
+    }
+    self.postMessage({
+      type: 'error',
+      message: `Loading ${fileName} failed (${res.status})`,
+      status: res.status,
+      retryAfterMs: res.status === 429 ? parseRetryAfterToMs(res.headers.get('retry-after')) : null,
+    });
+    return;
+  }
+
+  const totalBytes = Number(res.headers.get('content-length')) || null;
+  const parseRow = createScdbRowParser({ fileName });
+  const seenIds = new Set();
+  const all = [];
+  let batch = [];
+  let rows = 0;
+  let duplicates = 0;
+  let loadedBytes = 0;
+  let lastPostAt = 0;
+
+  const reader = createCsvRowReader({
+    onRow: (fields) => {
+      rows += 1;
+      const record = parseRow(fields);
+      if (!record) return;
+      if (seenIds.has(record.id)) {
+        duplicates += 1;
+        return;
+      }
+      seenIds.add(record.id);
+      batch.push(record);
+      all.push(record);
+    },
+  });
+
+  const post = (type, extra = {}) => {
+    self.postMessage({ type, loadedBytes, totalBytes, rows, duplicates, records: batch, ...extra });
+    batch = [];
+    lastPostAt = Date.now();
+  };
+
+  if (res.body?.getReader) {
+    const stream = res.body.getReader();
+    const decoder = new TextDecoder();
+    for (;;) {
+      const { done, value } = await stream.read();
+      if (done) break;
+      loadedBytes += value.byteLength;
+      reader.push(decoder.decode(value, { stream: true }));
+      if (Date.now() - lastPostAt >= PROGRESS_INTERVAL_MS) post('progress');
+    }
+    reader.push(decoder.decode());
+  } else {
+    const text = await res.text();
+    loadedBytes = text.length;
+    reader.push(text);
+  }
+  reader.end();
+
+  post('progress');
+  // Save before reporting completion: the page terminates the worker on 'done'.
+  await writeCacheEntry(cacheKey, {
+    version: DATASET_CACHE_VERSION,
+    etag: res.headers.get('etag'),
+    lastModified: res.headers.get('last-modified'),
+    bytes: loadedBytes,
+    rows,
+    duplicates,
+    records: all,
+  });
+  post('done', { cache: 'miss' });
+}
+
+self.onmessage = (event) => {
+  if (event.data?.type !== 'load') return;
+  load(event.data).catch((err) => {
+    self.postMessage({ type: 'error', message: err?.message || 'Failed to parse speed camera CSV' });
+  });
+};
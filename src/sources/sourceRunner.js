@@ -0,0 +1,345 @@
+// Drives a single source provider: scheduling (poll interval, viewport debounce),
+// request dedupe, rate-limit backoff and the loading/error/last-updated state
+// that used to live in separate useEffect blocks in App.js.
+//
+// A provider looks like:
+//   {
+//     id, label,
+//     viewportDependent,          // refetch when the map view changes
+//     pollIntervalMs,             // null = fetch once (or only on view changes)
+//     debounceMs,                 // viewport sources: wait for the map to settle
+//     minFetchIntervalMs,         // hold requests closer together than this until it has passed
+//     backoff: { defaultRetryAfterMs, initialMs, maxMs }, // after failures: exponential with jitter
+//     getRequestKey(context),     // optional; null = not ready, same key = skip
+//     fetch(context, { signal, reportProgress, refresh }), // raw payload; long loads may call
+//                                 // reportProgress({ loadedBytes, totalBytes, rows, records })
+//                                 // to publish progress and partial records before resolving;
+//                                 // `refresh` is set for refresh() calls, which want fresh data;
+//                                 // a payload with a `partialError` message keeps its items
+//                                 // and shows that message (e.g. one of several requests failed)
+//     parse(payload, context),    // array of raw records
+//     normalize(record, context, index), // common hazard shape or null
+//     merge(prevItems, nextItems),       // optional
+//     offlineSnapshot,            // keep the last good items in IndexedDB and show
+//                                 // them (marked stale) when fetching fails
+//     subscribe(context, { onOpen, onSnapshot, onDelta, onError }),
+//                                 // optional push channel, returns { close() } or null when
+//                                 // unavailable. onSnapshot(payload) takes what fetch resolves
+//                                 // with, onDelta({ added, removed }) raw records and ids.
+//                                 // Polling pauses while it is connected and takes over
+//                                 // whenever it drops.
+//     fetchWhileLive,             // the push channel only sends deltas: fetch still loads
+//                                 // each view (e.g. from a local cache) while it is connected
+//   }
+//
+// Normalized hazards share { id, sourceId, kind, location: { lat, lng }, reportedAt, label }
+// and may carry any source-specific fields next to those.
+
+import { readCacheEntry, writeCacheEntry } from '../offlineCache';
+import { computeBackoffMs } from './requestScheduler';
+
+const DEFAULT_RETRY_AFTER_MS = 30_000;
+// A push channel that hasn't opened by then is treated as down, so the first load doesn't wait on it.
+const PUSH_CONNECT_TIMEOUT_MS = 5_000;
+
+const defaultSnapshotStore = { read: readCacheEntry, write: writeCacheEntry };
+
+export function createInitialSourceState() {
+  return {
+    items: [],
+    loading: false,
+    error: '',
+    lastUpdatedAt: null,
+    backoffUntil: 0,
+    backoffReason: null, // null | 'rateLimit' (a 429) | 'error' (any other failure)
+    failures: 0,
+    progress: null, // { loadedBytes, totalBytes, rows } while a provider reports it
+    stale: false, // items are from an earlier successful fetch (or session), not the latest attempt
+    staleSince: null,
+    push: null, // null (no push channel) | 'connecting' | 'live' | 'down' (polling meanwhile)
+  };
+}
+
+export function applyDelta(items, { added = [], removed = [] }) {
+  // Upserts by id (changed items keep their place) and drops removed ids.
+  const removedIds = new Set(removed);
+  const addedById = new Map(added.map((item) => [item.id, item]));
+  const kept = items
+    .filter((item) => !removedIds.has(item.id))
+    .map((item) => {
+      const updated = addedById.get(item.id);
+      if (!updated) return item;
+      addedById.delete(item.id);
+      return updated;
+    });
+  return [...kept, ...addedById.values()];
+}
+
+function dedupeById(items) {
+  // Providers may see the same record twice (e.g. requests split over the dateline).
+  return Array.from(new Map(items.map((item) => [item.id, item])).values());
+}
+
+export function createSourceRunner(provider, onChange, { snapshotStore = defaultSnapshotStore } = {}) {
+  const snapshotKey = `source:${provider.id}`;
+  let state = createInitialSourceState();
+  let context = {};
+  let controller = null;
+  let debounceTimer = null;
+  let pollTimer = null;
+  let retryTimer = null;
+  let lastFetchAt = 0;
+  let lastRequestKey = '';
+  let stopped = false;
+  let subscription = null;
+  let subscriptionKey = '';
+  let pushConnectTimer = null;
+  // What the last failure said, repeated with a countdown while its backoff lasts.
+  let failureMessage = '';
+
+  const setState = (patch) => {
+    state = { ...state, ...patch };
+    onChange(provider.id, state);
+  };
+
+  const markStale = async () => {
+    // Keep showing what we have; after a reload with no connection, fall back to the saved snapshot.
+    if (!provider.offlineSnapshot || state.stale) return;
+    if (state.lastUpdatedAt) {
+      setState({ stale: true, staleSince: state.lastUpdatedAt });
+      return;
+    }
+    const snapshot = await snapshotStore.read(snapshotKey);
+    if (stopped || state.lastUpdatedAt || !Array.isArray(snapshot?.value)) return;
+    setState({ items: snapshot.value, stale: true, staleSince: snapshot.savedAt });
+  };
+
+  const schedulePoll = () => {
+    if (stopped || !provider.pollIntervalMs) return;
+    clearTimeout(pollTimer);
+    const untilBackoffEnds = Math.max(0, state.backoffUntil - Date.now());
+    pollTimer = setTimeout(() => run(), Math.max(provider.pollIntervalMs, untilBackoffEnds));
+  };
+
+  const scheduleRetry = (delayMs) => {
+    // Sources that don't poll would otherwise wait for the next view change after
+    // a skipped or failed request; this brings the request back once it's allowed.
+    if (stopped) return;
+    clearTimeout(retryTimer);
+    retryTimer = setTimeout(() => run(), Math.max(0, delayMs));
+  };
+
+  const normalizeInto = (out, records, offset) => {
+    records.forEach((record, index) => {
+      const item = provider.normalize(record, context, offset + index);
+      if (item) out.push({ ...item, sourceId: provider.id });
+    });
+  };
+
+  const commitItems = (items, error = '') => {
+    setState({
+      items: provider.merge ? provider.merge(state.items, items) : items,
+      loading: false,
+      error,
+      lastUpdatedAt: Date.now(),
+      failures: 0,
+      backoffReason: null,
+      stale: false,
+      staleSince: null,
+    });
+    if (provider.offlineSnapshot) snapshotStore.write(snapshotKey, state.items);
+  };
+
+  const pushDown = () => {
+    clearTimeout(pushConnectTimer);
+    if (stopped || state.push === 'down') return;
+    setState({ push: 'down' });
+    // Poll until the channel is back; it may have dropped changes we never saw.
+    lastRequestKey = '';
+    run();
+  };
+
+  const pushHandlers = {
+    onOpen() {
+      clearTimeout(pushConnectTimer);
+      clearTimeout(pollTimer);
+      setState({ push: 'live' });
+    },
+    onSnapshot(payload) {
+      // The backend answers with an error and no data until its first upstream poll succeeds.
+      if (payload?.error && !payload.updatedAt) {
+        setState({ loading: false, error: payload.error });
+        return;
+      }
+      const normalized = [];
+      normalizeInto(normalized, provider.parse(payload, context) || [], 0);
+      commitItems(dedupeById(normalized));
+    },
+    onDelta({ added, removed }) {
+      const normalized = [];
+      normalizeInto(normalized, added, state.items.length);
+      commitItems(applyDelta(state.items, { added: normalized, removed }));
+    },
+    onError: pushDown,
+  };
+
+  function subscribe() {
+    if (!provider.subscribe || stopped) return;
+    const key = provider.getRequestKey ? provider.getRequestKey(context) : '';
+    if (key === null || (subscription && key === subscriptionKey)) return;
+    if (subscription) subscription.close();
+    subscriptionKey = key;
+    subscription = provider.subscribe(context, pushHandlers);
+    if (!subscription) return;
+    setState({ push: 'connecting' });
+    clearTimeout(pushConnectTimer);
+    pushConnectTimer = setTimeout(pushDown, PUSH_CONNECT_TIMEOUT_MS);
+  }
+
+  async function run({ force = false } = {}) {
+    if (stopped) return;
+    // The push channel is (about to be) delivering this; a forced refresh still fetches.
+    if (!force && !provider.fetchWhileLive && (state.push === 'live' || state.push === 'connecting')) return;
+
+    const now = Date.now();
+    if (now < state.backoffUntil) {
+      const waitSec = Math.ceil((state.backoffUntil - now) / 1000);
+      const error =
+        state.backoffReason === 'rateLimit'
+          ? `Rate limited by ${provider.label} (429). Retrying in ~${waitSec}s…`
+          : `${failureMessage}. Retrying in ~${waitSec}s…`;
+      setState({ loading: false, error });
+      if (provider.pollIntervalMs) schedulePoll();
+      else scheduleRetry(state.backoffUntil - now);
+      return;
+    }
+
+    if (provider.minFetchIntervalMs && now - lastFetchAt < provider.minFetchIntervalMs) {
+      // Too soon since the last successful fetch; try again once the interval has passed.
+      scheduleRetry(lastFetchAt + provider.minFetchIntervalMs - now);
+      return;
+    }
+    clearTimeout(retryTimer);
+
+    const requestKey = provider.getRequestKey ? provider.getRequestKey(context) : '';
+    if (requestKey === null) return;
+    if (provider.viewportDependent && requestKey === lastRequestKey) {
+      // No meaningful change in the request; avoid hammering.
+      setState({ loading: false });
+      return;
+    }
+    lastRequestKey = requestKey;
+
+    if (controller) controller.abort();
+    const ownController = new AbortController();
+    controller = ownController;
+    setState({ loading: true, error: '' });
+
+    // Partial results: shown as they arrive, replaced by the full list once fetch resolves.
+    let partialItems = [];
+    let partialCount = 0;
+    const reportProgress = ({ records, ...progress }) => {
+      if (ownController.signal.aborted) return;
+      if (!records?.length) {
+        setState({ progress });
+        return;
+      }
+      partialItems = partialItems.slice();
+      normalizeInto(partialItems, records, partialCount);
+      partialCount += records.length;
+      setState({ progress, items: partialItems });
+    };
+
+    try {
+      const payload = await provider.fetch(context, { signal: ownController.signal, reportProgress, refresh: force });
+      const records = provider.parse(payload, context) || [];
+      const normalized = [];
+      normalizeInto(normalized, records, 0);
+      if (ownController.signal.aborted) return;
+
+      commitItems(dedupeById(normalized), payload?.partialError || '');
+      lastFetchAt = state.lastUpdatedAt;
+    } catch (err) {
+      if (ownController.signal.aborted) return;
+      // Let the same request be retried on the next trigger.
+      lastRequestKey = '';
+      const failures = state.failures + 1;
+
+      if (err?.status === 429) {
+        const backoffMs = err.retryAfterMs ?? provider.backoff?.defaultRetryAfterMs ?? DEFAULT_RETRY_AFTER_MS;
+        const waitSec = Math.max(Math.ceil(backoffMs / 1000), 1);
+        setState({
+          loading: false,
+          failures,
+          backoffUntil: Date.now() + backoffMs,
+          backoffReason: 'rateLimit',
+          error: `Rate limited by ${provider.label} (429). Retrying in ~${waitSec}s…`,
+        });
+      } else {
+        // eslint-disable-next-line no-console
+        console.error(`${provider.label}:`, err);
+        failureMessage = err?.message || `Failed to load ${provider.label}`;
+        setState({
+          loading: false,
+          failures,
+          backoffUntil: Date.now() + computeBackoffMs(provider.backoff, failures),
+          backoffReason: 'error',
+          error: failureMessage,
+        });
+      }
+      if (!provider.pollIntervalMs && state.backoffUntil > Date.now()) scheduleRetry(state.backoffUntil - Date.now());
+      await markStale();
+    } finally {
+      if (controller === ownController) controller = null;
+      if (!ownController.signal.aborted) schedulePoll();
+    }
+  }
+
+  return {
+    getState: () => state,
+
+    start(initialContext) {
+      context = initialContext || {};
+      if (provider.viewportDependent) {
+        this.setContext(context);
+        return;
+      }
+      subscribe();
+      run();
+    },
+
+    setContext(nextContext) {
+      context = nextContext || {};
+      if (!provider.viewportDependent) return;
+      // A new view supersedes whatever was in flight for the previous one.
+      if (controller) {
+        controller.abort();
+        controller = null;
+        lastRequestKey = '';
+      }
+      clearTimeout(debounceTimer);
+      debounceTimer = setTimeout(() => {
+        subscribe();
+        run();
+      }, provider.debounceMs || 0);
+    },
+
+    refresh() {
+      lastRequestKey = '';
+      lastFetchAt = 0;
+      clearTimeout(pollTimer);
+      clearTimeout(retryTimer);
+      run({ force: true });
+    },
+
+    stop() {
+      stopped = true;
+      clearTimeout(debounceTimer);
+      clearTimeout(pollTimer);
+      clearTimeout(retryTimer);
+      clearTimeout(pushConnectTimer);
+      if (subscription) subscription.close();
+      if (controller) controller.abort();
+    },
+  };
+}
@@ -0,0 +1,255 @@
+import { applyDelta, createSourceRunner } from './sourceRunner';
+import { SourceHttpError } from './http';
+
+const flush = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+function makeProvider(overrides = {}) {
+  return {
+    id: 'test',
+    label: 'Test',
+    viewportDependent: false,
+    pollIntervalMs: null,
+    fetch: jest.fn(async () => [
+      { id: 'a', lat: 1, lng: 2 },
+      { id: 'a', lat: 1, lng: 2 },
+      { id: 'b', lat: 3, lng: 4 },
+      { id: 'bad' },
+    ]),
+    parse: (payload) => payload,
+    normalize: (r) =>
+      typeof r.lat === 'number' ? { id: r.id, kind: 'poi', location: { lat: r.lat, lng: r.lng } } : null,
+    ...overrides,
+  };
+}
+
+test('normalizes, dedupes and tags items with the source id', async () => {
+  const onChange = jest.fn();
+  const runner = createSourceRunner(makeProvider(), onChange);
+  runner.start({});
+  await flush();
+
+  const state = runner.getState();
+  expect(state.loading).toBe(false);
+  expect(state.error).toBe('');
+  expect(state.items.map((i) => i.id)).toEqual(['a', 'b']);
+  expect(state.items[0].sourceId).toBe('test');
+  runner.stop();
+});
+
+test('keeps the items of a partly failed fetch and shows its error', async () => {
+  const fetch = jest.fn(async () => ({ records: [{ id: 'a', lat: 1, lng: 2 }], partialError: 'One part failed' }));
+  const runner = createSourceRunner(makeProvider({ fetch, parse: (payload) => payload.records }), jest.fn());
+  runner.start({});
+  await flush();
+
+  const state = runner.getState();
+  expect(state.items.map((i) => i.id)).toEqual(['a']);
+  expect(state.error).toBe('One part failed');
+  expect(state.backoffUntil).toBe(0);
+  runner.stop();
+});
+
+test('backs off after a 429 and reports the wait', async () => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  const provider = makeProvider({
+    fetch: jest.fn(async () => {
+      throw new SourceHttpError('Too many', { status: 429, retryAfterMs: 10_000 });
+    }),
+  });
+  const runner = createSourceRunner(provider, () => {});
+  runner.start({});
+  await flush();
+
+  const state = runner.getState();
+  expect(state.error).toMatch(/Rate limited by Test \(429\)/);
+  expect(state.backoffUntil).toBeGreaterThan(Date.now() + 9000);
+
+  runner.refresh();
+  await flush();
+  // Still inside the backoff window, so no new request goes out.
+  expect(provider.fetch).toHaveBeenCalledTimes(1);
+  runner.stop();
+  console.error.mockRestore();
+});
+
+test('keeps the real error, not a 429 message, while backing off after a failure', async () => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  const provider = makeProvider({
+    viewportDependent: true,
+    backoff: { initialMs: 10_000 },
+    getRequestKey: (context) => String(context.view),
+    fetch: jest.fn(async () => {
+      throw new SourceHttpError('Test failed (500)', { status: 500 });
+    }),
+  });
+  const runner = createSourceRunner(provider, () => {});
+  runner.start({ view: 1 });
+  await new Promise((resolve) => setTimeout(resolve, 10));
+  expect(runner.getState().error).toBe('Test failed (500)');
+
+  runner.setContext({ view: 2 });
+  await new Promise((resolve) => setTimeout(resolve, 10));
+  expect(provider.fetch).toHaveBeenCalledTimes(1);
+  expect(runner.getState().error).toMatch(/^Test failed \(500\)\. Retrying in ~\d+s…$/);
+  runner.stop();
+  console.error.mockRestore();
+});
+
+test('publishes partial records and progress before the fetch resolves', async () => {
+  let finish;
+  const snapshots = [];
+  const provider = makeProvider({
+    fetch: jest.fn((context, { reportProgress }) => {
+      reportProgress({ loadedBytes: 10, totalBytes: 20, rows: 1, records: [{ id: 'a', lat: 1, lng: 2 }] });
+      return new Promise((resolve) => {
+        finish = resolve;
+      });
+    }),
+  });
+  const runner = createSourceRunner(provider, (id, state) => snapshots.push(state));
+  runner.start({});
+
+  const partial = runner.getState();
+  expect(partial.loading).toBe(true);
+  expect(partial.progress).toEqual({ loadedBytes: 10, totalBytes: 20, rows: 1 });
+  expect(partial.items.map((i) => i.id)).toEqual(['a']);
+
+  finish([
+    { id: 'a', lat: 1, lng: 2 },
+    { id: 'b', lat: 3, lng: 4 },
+  ]);
+  await flush();
+  expect(runner.getState().loading).toBe(false);
+  expect(runner.getState().items.map((i) => i.id)).toEqual(['a', 'b']);
+  expect(snapshots.length).toBeGreaterThan(2);
+  runner.stop();
+});
+
+function createMemoryStore(initial = {}) {
+  const entries = new Map(Object.entries(initial));
+  return {
+    entries,
+    read: async (key) => entries.get(key) || null,
+    write: async (key, value) => {
+      entries.set(key, { value, savedAt: 1234 });
+    },
+  };
+}
+
+test('saves snapshots and falls back to them, marked stale, when fetching fails', async () => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  const store = createMemoryStore();
+  const ok = createSourceRunner(makeProvider({ offlineSnapshot: true }), () => {}, { snapshotStore: store });
+  ok.start({});
+  await flush();
+  ok.stop();
+  expect(store.entries.get('source:test').value.map((i) => i.id)).toEqual(['a', 'b']);
+
+  // Next session, no connection.
+  const failing = makeProvider({
+    offlineSnapshot: true,
+    fetch: jest.fn(async () => {
+      throw new TypeError('Failed to fetch');
+    }),
+  });
+  const runner = createSourceRunner(failing, () => {}, { snapshotStore: store });
+  runner.start({});
+  await flush();
+
+  const state = runner.getState();
+  expect(state.error).toBe('Failed to fetch');
+  expect(state.stale).toBe(true);
+  expect(state.staleSince).toBe(1234);
+  expect(state.items.map((i) => i.id)).toEqual(['a', 'b']);
+  runner.stop();
+  console.error.mockRestore();
+});
+
+test('applyDelta upserts in place, appends new items and drops removed ids', () => {
+  const items = [
+    { id: 'a', v: 1 },
+    { id: 'b', v: 1 },
+  ];
+  const next = applyDelta(items, { added: [{ id: 'c' }, { id: 'b', v: 2 }], removed: ['a'] });
+  expect(next).toEqual([{ id: 'b', v: 2 }, { id: 'c' }]);
+});
+
+test('applies pushed snapshots and deltas and polls only while the channel is down', async () => {
+  let handlers;
+  const close = jest.fn();
+  const provider = makeProvider({
+    pollIntervalMs: 60_000,
+    subscribe: jest.fn((context, h) => {
+      handlers = h;
+      return { close };
+    }),
+  });
+  const runner = createSourceRunner(provider, () => {});
+  runner.start({});
+  await flush();
+  expect(runner.getState().push).toBe('connecting');
+  expect(provider.fetch).not.toHaveBeenCalled();
+
+  handlers.onOpen();
+  handlers.onSnapshot([{ id: 'a', lat: 1, lng: 2 }]);
+  handlers.onDelta({ added: [{ id: 'b', lat: 3, lng: 4 }], removed: ['a'] });
+  expect(runner.getState().push).toBe('live');
+  expect(runner.getState().items.map((i) => i.id)).toEqual(['b']);
+  expect(runner.getState().items[0].sourceId).toBe('test');
+
+  handlers.onError();
+  await flush();
+  expect(runner.getState().push).toBe('down');
+  expect(provider.fetch).toHaveBeenCalledTimes(1);
+
+  runner.stop();
+  expect(close).toHaveBeenCalled();
+});
+
+test('keeps fetching views while a deltas-only channel is live', async () => {
+  let handlers;
+  const provider = makeProvider({
+    viewportDependent: true,
+    fetchWhileLive: true,
+    getRequestKey: (context) => String(context.view),
+    subscribe: jest.fn((context, h) => {
+      handlers = h;
+      return { close: jest.fn() };
+    }),
+  });
+  const runner = createSourceRunner(provider, () => {});
+  runner.start({ view: 1 });
+  await flush();
+  handlers.onOpen();
+  expect(provider.fetch).toHaveBeenCalledTimes(1);
+
+  handlers.onDelta({ added: [{ id: 'b', lat: 3, lng: 4 }], removed: [] });
+  expect(runner.getState().items.map((i) => i.id)).toEqual(['a', 'b']);
+
+  runner.setContext({ view: 2 });
+  await flush();
+  expect(provider.fetch).toHaveBeenCalledTimes(2);
+  expect(runner.getState().push).toBe('connecting');
+  runner.stop();
+});
+
+test('holds requests that come too soon and sends them once the interval has passed', async () => {
+  const provider = makeProvider({
+    viewportDependent: true,
+    minFetchIntervalMs: 50,
+    getRequestKey: (context) => String(context.view),
+  });
+  const runner = createSourceRunner(provider, () => {});
+  runner.start({ view: 1 });
+  await new Promise((resolve) => setTimeout(resolve, 10));
+  expect(provider.fetch).toHaveBeenCalledTimes(1);
+
+  runner.setContext({ view: 2 });
+  await new Promise((resolve) => setTimeout(resolve, 10));
+  expect(provider.fetch).toHaveBeenCalledTimes(1);
+
+  await new Promise((resolve) => setTimeout(resolve, 60));
+  expect(provider.fetch).toHaveBeenCalledTimes(2);
+  expect(provider.fetch.mock.calls[1][0]).toEqual({ view: 2 });
+  runner.stop();
+});
@@ -0,0 +1,60 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { createInitialSourceState, createSourceRunner } from './sourceRunner';
+
+// Runs every provider in the list and returns { [providerId]: state }.
+// `context` is shared by all providers ({ bounds, zoom, wazeEnvMode, ... }) and
+// should be memoized by the caller so viewport sources only refetch on real changes.
+function useSources(providers, context) {
+  const [states, setStates] = useState(() =>
+    Object.fromEntries(providers.map((p) => [p.id, createInitialSourceState()]))
+  );
+  const runnersRef = useRef(new Map());
+  const contextRef = useRef(context);
+  contextRef.current = context;
+
+  const onChange = useCallback((id, state) => {
+    setStates((prev) => ({ ...prev, [id]: state }));
+  }, []);
+
+  useEffect(() => {
+    const runners = runnersRef.current;
+    const ids = new Set(providers.map((p) => p.id));
+
+    for (const [id, runner] of runners) {
+      if (!ids.has(id)) {
+        runner.stop();
+        runners.delete(id);
+        setStates(({ [id]: _removed, ...rest }) => rest);
+      }
+    }
+
+    for (const provider of providers) {
+      if (runners.has(provider.id)) continue;
+      const runner = createSourceRunner(provider, onChange);
+      runners.set(provider.id, runner);
+      runner.start(contextRef.current);
+    }
+  }, [onChange, providers]);
+
+  useEffect(() => {
+    const runners = runnersRef.current;
+    return () => {
+      runners.forEach((runner) => runner.stop());
+      runners.clear();
+    };
+  }, []);
+
+  useEffect(() => {
+    runnersRef.current.forEach((runner) => runner.setContext(context));
+  }, [context]);
+
+  const refresh = useCallback((id) => {
+    runnersRef.current.get(id)?.refresh();
+  }, []);
+
+  const get = useCallback((id) => states[id] || createInitialSourceState(), [states]);
+
+  return { states, get, refresh };
+}
+
+export default useSources;
@@ -0,0 +1,71 @@
+// Waze alerts inside the saved watch zones, polled whether or not a zone is on
+// screen so zone notifications don't depend on where the map is looking. One
+// backend request per enabled zone's bounding box; the backend's tile cache
+// shares the upstream requests with everyone viewing the same area.
+
+import { getZoneBounds, getZoneCenter, isInZone } from '../watchZones';
+import { fetchOk, hazardsApiUrl } from './http';
+import { inferWazeEnvFromLatLng } from './wazeAlerts';
+
+// Zones beyond this many aren't polled (their on-screen alerts still count).
+export const MAX_POLLED_WATCH_ZONES = 10;
+// Map zoom the backend picks tiles for; it coarsens them itself for large zones.
+const ZONE_QUERY_ZOOM = 13;
+
+const watchZoneAlertsSource = {
+  id: 'wazeWatchZones',
+  label: 'Waze (watch zones)',
+  viewportDependent: false,
+  pollIntervalMs: 60_000,
+  backoff: { defaultRetryAfterMs: 30_000, initialMs: 10_000, maxMs: 5 * 60_000 },
+
+  async fetch(context, { signal }) {
+    const zones = (context.watchZones || []).filter((z) => z.enabled).slice(0, MAX_POLLED_WATCH_ZONES);
+    const items = [];
+    const failed = [];
+    let firstError = null;
+    // One at a time: zones are polled in the background and shouldn't compete with the view.
+    for (const zone of zones) {
+      const env =
+        context.wazeEnvMode && context.wazeEnvMode !== 'auto'
+          ? context.wazeEnvMode
+          : inferWazeEnvFromLatLng(getZoneCenter(zone));
+      const url = hazardsApiUrl('/waze', { ...getZoneBounds(zone), zoom: ZONE_QUERY_ZOOM, env });
+      try {
+        const res = await fetchOk(url, {
+          label: 'Waze watch zone request',
+          sourceId: watchZoneAlertsSource.id,
+          signal,
+          headers: { Accept: 'application/json' },
+        });
+        const data = await res.json();
+        const alerts = Array.isArray(data?.items) ? data.items : [];
+        items.push(...alerts.filter((a) => a?.location && isInZone(a.location, zone)));
+      } catch (err) {
+        // A 429 backs off the whole source; any other failure only costs this zone.
+        if (signal?.aborted || err?.status === 429) throw err;
+        // eslint-disable-next-line no-console
+        console.error(`Waze watch zone "${zone.name}":`, err);
+        failed.push(`"${zone.name}"`);
+        firstError = firstError || err;
+      }
+    }
+    // Nothing loaded at all: fail like any other request, keeping the last good items.
+    if (failed.length && failed.length === zones.length) throw firstError;
+    const partialError = failed.length
+      ? `Could not load watch zone${failed.length > 1 ? 's' : ''} ${failed.join(', ')}: ${firstError.message}`
+      : '';
+    return { items, partialError };
+  },
+
+  parse(data) {
+    return data.items;
+  },
+
+  normalize(a) {
+    // Already in the common hazard shape (see server/normalize.js).
+    return Number.isFinite(a?.location?.lat) && Number.isFinite(a?.location?.lng) ? a : null;
+  },
+};
+
+export default watchZoneAlertsSource;
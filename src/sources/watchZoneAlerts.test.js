@@ -0,0 +1,50 @@
+import watchZoneAlertsSource from './watchZoneAlerts';
+
+const zone = (id, name, lat) => ({
+  id,
+  name,
+  shape: 'circle',
+  center: { lat, lng: 25.0 },
+  radiusMeters: 1000,
+  kinds: ['police'],
+  enabled: true,
+  createdAt: 1000,
+});
+const alert = (id, lat) => ({ id, kind: 'police', location: { lat, lng: 25.0 } });
+
+function mockBackend(statusByLat) {
+  // Answers each zone's request by the latitude of its box, with one alert at the zone's center.
+  return jest.spyOn(global, 'fetch').mockImplementation(async (url) => {
+    const params = new URL(url, 'http://localhost').searchParams;
+    const lat = Math.round(((Number(params.get('south')) + Number(params.get('north'))) / 2) * 10) / 10;
+    const status = statusByLat[lat] || 200;
+    return {
+      ok: status === 200,
+      status,
+      headers: { get: () => null },
+      json: async () => ({ items: [alert(`at-${lat}`, lat)] }),
+    };
+  });
+}
+
+test('keeps the zones that loaded when another zone fails', async () => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  // The failing zone is polled last, so the host's backoff after it holds up no other request.
+  const fetchMock = mockBackend({ 45.2: 500 });
+  const context = { watchZones: [zone('a', 'Depot', 45.0), zone('b', 'Bridge', 45.2)] };
+  const payload = await watchZoneAlertsSource.fetch(context, { signal: new AbortController().signal });
+  expect(payload.items.map((a) => a.id)).toEqual(['at-45']);
+  expect(payload.partialError).toBe('Could not load watch zone "Bridge": Waze watch zone request failed (500)');
+  fetchMock.mockRestore();
+  console.error.mockRestore();
+});
+
+test('gives up on every zone after a 429', async () => {
+  const fetchMock = mockBackend({ 45.4: 429 });
+  const context = { watchZones: [zone('c', 'Ring road', 45.4), zone('d', 'Bypass', 45.6)] };
+  await expect(watchZoneAlertsSource.fetch(context, { signal: new AbortController().signal })).rejects.toMatchObject({
+    status: 429,
+  });
+  expect(fetchMock).toHaveBeenCalledTimes(1);
+  fetchMock.mockRestore();
+});
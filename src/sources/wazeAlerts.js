@@ -0,0 +1,336 @@
+// Waze Live Map alerts for the current viewport. The hazards backend polls Waze,
+// caches alerts per tile and normalizes them; this asks it for the view's tiles
+// that aren't cached here yet (see wazeTilePlanner.js), prefetches the next ones
+// along the pan direction, and listens for changes on the backend's event stream.
+// The stream carries deltas only (no snapshot per pan), so views load through the
+// tile cache whether it is connected or not.
+
+import { clampLat, normalizeLng } from '../geo';
+import { subscribeToHazardEvents } from './hazardEvents';
+import { fetchOk, hazardsApiUrl } from './http';
+import { createWazeTilePlanner, groupTilesForRequest } from './wazeTilePlanner';
+
+const MAX_WAZE_TILE_BOXES_PER_REQUEST = 24;
+// Shared by view fetches and prefetches: at most one backend request this often.
+const MIN_WAZE_FETCH_INTERVAL_MS = 2500;
+const DEFAULT_WAZE_RETRY_AFTER_SEC = 30;
+const MAX_PREFETCH_TILES = 8;
+// A pan shorter than this share of the view doesn't say where the user is heading.
+const MIN_PAN_FRACTION = 0.1;
+
+export function inferWazeEnvFromLatLng({ lat, lng }) {
+  const x = normalizeLng(lng);
+  // Heuristic: North America longitudes roughly [-170, -30]
+  if (x <= -30 && x >= -170 && lat >= 5 && lat <= 85) return 'na';
+  return 'row';
+}
+
+export function inferWazeEnvFromBounds(bounds) {
+  if (!bounds) return 'na';
+  return inferWazeEnvFromLatLng(bounds.getCenter());
+}
+
+// WebMercator tile math (slippy map)
+function lng2tileX(lng, z) {
+  const n = 2 ** z;
+  return Math.floor(((lng + 180) / 360) * n);
+}
+function lat2tileY(lat, z) {
+  const n = 2 ** z;
+  const latRad = (clampLat(lat) * Math.PI) / 180;
+  return Math.floor(((1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2) * n);
+}
+function tileX2lng(x, z) {
+  const n = 2 ** z;
+  return (x / n) * 360 - 180;
+}
+function tileY2lat(y, z) {
+  const n = 2 ** z;
+  const rad = Math.atan(Math.sinh(Math.PI * (1 - (2 * y) / n)));
+  return (rad * 180) / Math.PI;
+}
+function getTile(z, x, y) {
+  return {
+    z,
+    x,
+    y,
+    south: tileY2lat(y + 1, z),
+    west: tileX2lng(x, z),
+    north: tileY2lat(y, z),
+    east: tileX2lng(x + 1, z),
+  };
+}
+
+// The row and/or column of tiles just past `tiles` in the pan direction
+// (dx: +1 east, dy: +1 south, in tile order), wrapping around the antimeridian.
+export function getWazeNeighborTiles(tiles, dx, dy) {
+  const keyOf = (t) => `${t.z}/${t.x}/${t.y}`;
+  const have = new Set(tiles.map(keyOf));
+  const byKey = new Map();
+  for (const tile of tiles) {
+    const n = 2 ** tile.z;
+    const steps = [dx ? [dx, 0] : null, dy ? [0, dy] : null, dx && dy ? [dx, dy] : null].filter(Boolean);
+    for (const [sx, sy] of steps) {
+      const y = tile.y + sy;
+      if (y < 0 || y >= n) continue;
+      const next = getTile(tile.z, (tile.x + sx + n) % n, y);
+      if (!have.has(keyOf(next))) byKey.set(keyOf(next), next);
+    }
+  }
+  return Array.from(byKey.values());
+}
+
+export function buildWazeTileSnappedQuery(bounds, zoom) {
+  // Tile-aligned boxes for the view: the union boxes key requests (so small pans
+  // inside the same tiles don't refetch) and the per-tile boxes are the debug overlay.
+  // If too many tiles would be covered, we lower the zoom used for the query.
+  if (!bounds) return { requestBoxes: [], debugBoxes: [], tiles: [], usedZoom: zoom };
+
+  const north = clampLat(bounds.getNorth());
+  const south = clampLat(bounds.getSouth());
+  const west = normalizeLng(bounds.getWest());
+  const east = normalizeLng(bounds.getEast());
+
+  // Handle dateline crossing by splitting into two longitudinal spans.
+  const spans =
+    west > east
+      ? [
+          { west, east: 180 },
+          { west: -180, east },
+        ]
+      : [{ west, east }];
+
+  let z = Math.max(0, Math.min(22, Math.round(zoom)));
+
+  const computeAtZoom = (zz) => {
+    const debugBoxes = [];
+    const requestBoxes = [];
+    const tiles = [];
+
+    for (const span of spans) {
+      // Avoid edge-case where east=180 maps to x=n (one past last tile).
+      const safeEast = span.east >= 180 ? 179.999999 : span.east;
+      // Avoid edge-case where south hits the WebMercator extreme and maps outside the last tile row.
+      const safeSouth = south <= -85.05112878 ? -85.05112877 : south;
+
+      // For tile ranges, we treat "top" as north and "bottom" as south.
+      const xMin = lng2tileX(span.west, zz);
+      const xMax = lng2tileX(safeEast, zz);
+      const yMin = lat2tileY(north, zz);
+      const yMax = lat2tileY(safeSouth, zz);
+
+      // Union box aligned to tile edges (one request per span)
+      const unionLeft = tileX2lng(xMin, zz);
+      const unionRight = tileX2lng(xMax + 1, zz);
+      const unionTop = tileY2lat(yMin, zz);
+      const unionBottom = tileY2lat(yMax + 1, zz);
+      requestBoxes.push({ top: unionTop, bottom: unionBottom, left: unionLeft, right: unionRight });
+
+      for (let x = xMin; x <= xMax; x += 1) {
+        // Keep X in [0..n-1] (for dateline split spans, xMin..xMax is already in-range)
+        const left = tileX2lng(x, zz);
+        const right = tileX2lng(x + 1, zz);
+
+        for (let y = yMin; y <= yMax; y += 1) {
+          const top = tileY2lat(y, zz);
+          const bottom = tileY2lat(y + 1, zz);
+          debugBoxes.push({ top, bottom, left, right });
+          tiles.push({ z: zz, x, y, south: bottom, west: left, north: top, east: right });
+        }
+      }
+    }
+
+    return { requestBoxes, debugBoxes, tiles, tileCount: debugBoxes.length };
+  };
+
+  let computed = computeAtZoom(z);
+  while (computed.tileCount > MAX_WAZE_TILE_BOXES_PER_REQUEST && z > 0) {
+    z -= 1;
+    computed = computeAtZoom(z);
+  }
+
+  return { ...computed, usedZoom: z };
+}
+
+function resolveEnv(context) {
+  return context.wazeEnvMode && context.wazeEnvMode !== 'auto'
+    ? context.wazeEnvMode
+    : inferWazeEnvFromBounds(context.bounds);
+}
+
+const withTileKey = (tile, env) => ({ ...tile, key: `${env}:${tile.z}/${tile.x}/${tile.y}` });
+
+function getViewTiles(context) {
+  const env = resolveEnv(context);
+  return buildWazeTileSnappedQuery(context.bounds, context.zoom).tiles.map((tile) => withTileKey(tile, env));
+}
+
+function getPanDirection(previous, bounds) {
+  // In tile order: x grows east, y grows south.
+  if (!previous) return { dx: 0, dy: 0 };
+  const center = bounds.getCenter();
+  const dLng = normalizeLng(center.lng - previous.lng);
+  const dLat = center.lat - previous.lat;
+  const width = Math.abs(bounds.getEast() - bounds.getWest());
+  const height = Math.abs(bounds.getNorth() - bounds.getSouth());
+  return {
+    dx: Math.abs(dLng) > width * MIN_PAN_FRACTION ? Math.sign(dLng) : 0,
+    dy: Math.abs(dLat) > height * MIN_PAN_FRACTION ? -Math.sign(dLat) : 0,
+  };
+}
+
+const sleep = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener(
+      'abort',
+      () => {
+        clearTimeout(timer);
+        reject(new DOMException('Aborted', 'AbortError'));
+      },
+      { once: true }
+    );
+  });
+
+export function createWazeAlertsSource({ planner = createWazeTilePlanner() } = {}) {
+  let lastNetworkAt = 0;
+  let lastCenter = null;
+  let prefetchTimer = null;
+  let prefetching = null;
+  let prefetchBlockedUntil = 0;
+
+  function storeResponse(tiles, data) {
+    if (!Array.isArray(data?.items)) return;
+    // Tiles the backend hasn't fetched yet, or couldn't, are asked for again next time.
+    const complete = !data.tiles?.missing && !data.errors?.length;
+    planner.store(tiles, data.items, complete ? Date.now() : null, Date.now());
+  }
+
+  async function fetchTiles(tiles, context, signal) {
+    // Missing tiles come back in one request per box rather than one per tile.
+    const env = resolveEnv(context);
+    for (const group of groupTilesForRequest(tiles)) {
+      lastNetworkAt = Date.now();
+      const url = hazardsApiUrl('/waze', {
+        south: group.south,
+        west: group.west,
+        north: group.north,
+        east: group.east,
+        zoom: context.zoom,
+        env,
+      });
+      const res = await fetchOk(url, {
+        label: 'Waze request',
+        sourceId: 'waze',
+        signal,
+        headers: { Accept: 'application/json' },
+      });
+      storeResponse(group.tiles, await res.json());
+    }
+  }
+
+  function schedulePrefetch(context, tiles) {
+    clearTimeout(prefetchTimer);
+    const { dx, dy } = getPanDirection(lastCenter, context.bounds);
+    lastCenter = context.bounds.getCenter();
+    if (!dx && !dy) return;
+
+    const env = resolveEnv(context);
+    prefetchTimer = setTimeout(() => {
+      // Only into an idle budget: a view fetch since then, or a recent 429, skips it.
+      const now = Date.now();
+      if (prefetching || now - lastNetworkAt < MIN_WAZE_FETCH_INTERVAL_MS || now < prefetchBlockedUntil) return;
+      const neighbors = getWazeNeighborTiles(tiles, dx, dy).map((tile) => withTileKey(tile, env));
+      const wanted = planner.missing(neighbors, now).slice(0, MAX_PREFETCH_TILES);
+      if (!wanted.length) return;
+      prefetching = fetchTiles(wanted, context)
+        .catch((err) => {
+          // Best effort: the view fetch reports errors; a 429 only pauses prefetching.
+          if (err?.status !== 429) return;
+          prefetchBlockedUntil = Date.now() + (err.retryAfterMs ?? DEFAULT_WAZE_RETRY_AFTER_SEC * 1000);
+        })
+        .finally(() => {
+          prefetching = null;
+        });
+    }, MIN_WAZE_FETCH_INTERVAL_MS);
+  }
+
+  return {
+    id: 'waze',
+    label: 'Waze',
+    viewportDependent: true,
+    pollIntervalMs: null,
+    debounceMs: 650,
+    backoff: { defaultRetryAfterMs: DEFAULT_WAZE_RETRY_AFTER_SEC * 1000, initialMs: 2_500, maxMs: 60_000 },
+    offlineSnapshot: true,
+    fetchWhileLive: true,
+
+    getRequestKey(context) {
+      if (!context.bounds) return null;
+      const { requestBoxes } = buildWazeTileSnappedQuery(context.bounds, context.zoom);
+      return JSON.stringify(
+        requestBoxes.map((b) => ({
+          top: Number(b.top.toFixed(5)),
+          bottom: Number(b.bottom.toFixed(5)),
+          left: Number(b.left.toFixed(5)),
+          right: Number(b.right.toFixed(5)),
+        }))
+      ).concat(`|env=${resolveEnv(context)}`);
+    },
+
+    async fetch(context, { signal, refresh }) {
+      const tiles = getViewTiles(context);
+      clearTimeout(prefetchTimer);
+      // A prefetch in flight may be bringing some of these tiles.
+      if (prefetching) await prefetching;
+
+      // A refresh asks for every tile of the view, however fresh the cached ones are.
+      const missing = refresh ? tiles : planner.missing(tiles, Date.now());
+      if (missing.length) {
+        const wait = lastNetworkAt + MIN_WAZE_FETCH_INTERVAL_MS - Date.now();
+        if (wait > 0) await sleep(wait, signal);
+        await fetchTiles(missing, context, signal);
+      }
+      schedulePrefetch(context, tiles);
+      return { items: planner.itemsFor(tiles, Date.now()) };
+    },
+
+    subscribe(context, handlers) {
+      // Subscribe to the tile-aligned area (what the request key is built from), so pans
+      // that keep the same key keep receiving alerts for the whole area.
+      const { requestBoxes } = buildWazeTileSnappedQuery(context.bounds, context.zoom);
+      if (!requestBoxes.length) return null;
+      const view = {
+        south: Math.min(...requestBoxes.map((b) => b.bottom)),
+        west: requestBoxes[0].left,
+        north: Math.max(...requestBoxes.map((b) => b.top)),
+        east: requestBoxes[requestBoxes.length - 1].right,
+        zoom: context.zoom,
+        env: resolveEnv(context),
+        snapshot: 0,
+      };
+      // Pushed changes go into the tile cache too, so cached tiles stay current.
+      return subscribeToHazardEvents('waze', view, {
+        ...handlers,
+        onDelta(delta) {
+          planner.applyDelta(delta);
+          handlers.onDelta(delta);
+        },
+      });
+    },
+
+    parse(data) {
+      // Every alert type is kept; the map filters by category/subtype.
+      return Array.isArray(data?.items) ? data.items : [];
+    },
+
+    normalize(a) {
+      // Already in the common hazard shape (see server/normalize.js).
+      return Number.isFinite(a?.location?.lat) && Number.isFinite(a?.location?.lng) ? a : null;
+    },
+  };
+}
+
+const wazeAlertsSource = createWazeAlertsSource();
+
+export default wazeAlertsSource;
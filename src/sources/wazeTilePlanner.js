@@ -0,0 +1,91 @@
+// Browser-side cache of Waze alerts per map tile. A new view only asks the
+// backend for the tiles we don't have yet (or have had for longer than the TTL),
+// answers with cached and fresh tiles together, and so keeps the alerts at the
+// edges on screen while panning instead of dropping everything for a refetch.
+//
+// Tile shape: { key, z, x, y, south, west, north, east }; keys include the Waze env.
+
+// Same as the backend's tile TTL: fetching sooner would only return its cached copy.
+export const WAZE_TILE_TTL_MS = 60_000;
+const MAX_CACHED_TILES = 400;
+
+function isInTile({ lat, lng }, tile) {
+  // Half-open, so an alert on a shared edge lands in exactly one tile.
+  return lat >= tile.south && lat < tile.north && lng >= tile.west && lng < tile.east;
+}
+
+// One bounding box per request. Tiles on both sides of the antimeridian are split
+// into two boxes, as the backend doesn't take boxes that wrap around.
+export function groupTilesForRequest(tiles) {
+  if (!tiles.length) return [];
+  const west = Math.min(...tiles.map((t) => t.west));
+  const east = Math.max(...tiles.map((t) => t.east));
+  const groups = east - west > 180 ? [tiles.filter((t) => t.west < 0), tiles.filter((t) => t.west >= 0)] : [tiles];
+  return groups
+    .filter((group) => group.length)
+    .map((group) => ({
+      tiles: group,
+      south: Math.min(...group.map((t) => t.south)),
+      west: Math.min(...group.map((t) => t.west)),
+      north: Math.max(...group.map((t) => t.north)),
+      east: Math.max(...group.map((t) => t.east)),
+    }));
+}
+
+export function createWazeTilePlanner({ ttlMs = WAZE_TILE_TTL_MS, maxTiles = MAX_CACHED_TILES } = {}) {
+  const cache = new Map(); // key -> { tile, items, fetchedAt, usedAt }
+
+  const isFresh = (entry, now) => Boolean(entry) && now - entry.fetchedAt < ttlMs;
+
+  function evict() {
+    if (cache.size <= maxTiles) return;
+    const oldest = Array.from(cache.entries()).sort((a, b) => a[1].usedAt - b[1].usedAt);
+    oldest.slice(0, cache.size - maxTiles).forEach(([key]) => cache.delete(key));
+  }
+
+  return {
+    // Tiles of `wanted` that need fetching: never fetched, or older than the TTL.
+    missing(wanted, now) {
+      return wanted.filter((tile) => !isFresh(cache.get(tile.key), now));
+    },
+
+    // Files a response for `tiles` under the tile containing each alert; tiles that
+    // came back empty are cached as empty. A null `fetchedAt` keeps the alerts for
+    // display but leaves the tiles due for another fetch (e.g. a partial answer).
+    store(tiles, items, fetchedAt, now) {
+      const buckets = new Map(tiles.map((tile) => [tile.key, []]));
+      for (const item of items) {
+        const tile = tiles.find((t) => isInTile(item.location, t));
+        if (tile) buckets.get(tile.key).push(item);
+      }
+      for (const tile of tiles) {
+        cache.set(tile.key, { tile, items: buckets.get(tile.key), fetchedAt: fetchedAt ?? -Infinity, usedAt: now });
+      }
+      evict();
+    },
+
+    // Push updates for alerts in cached tiles, so a later pan doesn't bring back removed ones.
+    applyDelta({ added = [], removed = [] }) {
+      const gone = new Set([...removed, ...added.map((item) => item.id)]);
+      for (const entry of cache.values()) {
+        if (entry.items.some((item) => gone.has(item.id))) {
+          entry.items = entry.items.filter((item) => !gone.has(item.id));
+        }
+        const arrived = added.filter((item) => isInTile(item.location, entry.tile));
+        if (arrived.length) entry.items = [...entry.items, ...arrived];
+      }
+    },
+
+    // Everything cached for `wanted`, fresh or not.
+    itemsFor(wanted, now) {
+      const byId = new Map();
+      for (const tile of wanted) {
+        const entry = cache.get(tile.key);
+        if (!entry) continue;
+        entry.usedAt = now;
+        entry.items.forEach((item) => byId.set(item.id, item));
+      }
+      return Array.from(byId.values());
+    },
+  };
+}
@@ -0,0 +1,70 @@
+import { createWazeTilePlanner, groupTilesForRequest } from './wazeTilePlanner';
+import { getWazeNeighborTiles } from './wazeAlerts';
+
+const tile = (key, west, south) => ({ key, south, west, north: south + 1, east: west + 1 });
+const alert = (id, lat, lng) => ({ id, location: { lat, lng } });
+
+test('fetches only tiles never fetched or past the TTL, and merges cached ones', () => {
+  const planner = createWazeTilePlanner({ ttlMs: 1000 });
+  const a = tile('a', 0, 0);
+  const b = tile('b', 1, 0);
+
+  planner.store([a], [alert('x', 0.5, 0.5), alert('outside', 5, 5)], 0, 0);
+  expect(planner.missing([a, b], 500)).toEqual([b]);
+  expect(planner.missing([a, b], 1500)).toEqual([a, b]);
+
+  planner.store([b], [alert('y', 0.5, 1.5)], 1500, 1500);
+  expect(planner.itemsFor([a, b], 1500).map((i) => i.id)).toEqual(['x', 'y']);
+});
+
+test('keeps partial answers for display but fetches those tiles again', () => {
+  const planner = createWazeTilePlanner();
+  const a = tile('a', 0, 0);
+  planner.store([a], [alert('x', 0.5, 0.5)], null, 10);
+
+  expect(planner.missing([a], 10)).toEqual([a]);
+  expect(planner.itemsFor([a], 10)).toHaveLength(1);
+});
+
+test('applies pushed deltas to cached tiles', () => {
+  const planner = createWazeTilePlanner();
+  const a = tile('a', 0, 0);
+  planner.store([a], [alert('x', 0.5, 0.5), alert('y', 0.2, 0.2)], 0, 0);
+  planner.applyDelta({ added: [alert('z', 0.7, 0.7), alert('far', 9, 9)], removed: ['x'] });
+
+  expect(planner.itemsFor([a], 0).map((i) => i.id)).toEqual(['y', 'z']);
+});
+
+test('evicts the least recently used tiles', () => {
+  const planner = createWazeTilePlanner({ maxTiles: 1 });
+  planner.store([tile('a', 0, 0)], [], 0, 0);
+  planner.store([tile('b', 1, 0)], [], 0, 1);
+
+  expect(planner.missing([tile('a', 0, 0), tile('b', 1, 0)], 2).map((t) => t.key)).toEqual(['a']);
+});
+
+test('splits request boxes at the antimeridian', () => {
+  expect(groupTilesForRequest([tile('a', 0, 0), tile('b', 1, 1)])).toEqual([
+    expect.objectContaining({ south: 0, west: 0, north: 2, east: 2 }),
+  ]);
+  const groups = groupTilesForRequest([tile('w', 179, 0), tile('e', -180, 0)]);
+  expect(groups.map((g) => [g.west, g.east])).toEqual([
+    [-180, -179],
+    [179, 180],
+  ]);
+});
+
+test('lists the neighbouring tiles along the pan direction, wrapping around the antimeridian', () => {
+  const tiles = [
+    { z: 2, x: 3, y: 1 },
+    { z: 2, x: 3, y: 2 },
+  ];
+
+  expect(getWazeNeighborTiles(tiles, 1, 0).map((t) => [t.x, t.y])).toEqual([
+    [0, 1],
+    [0, 2],
+  ]);
+  expect(getWazeNeighborTiles(tiles, 0, 1).map((t) => [t.x, t.y])).toEqual([[3, 3]]);
+  expect(getWazeNeighborTiles([{ z: 2, x: 1, y: 3 }], 0, 1)).toEqual([]);
+  expect(getWazeNeighborTiles(tiles, 0, 0)).toEqual([]);
+});
@@ -0,0 +1,171 @@
+// Uniform lat/lng grid index for large, static point sets (the worldwide SCDB
+// camera file). Viewport queries only touch the cells that overlap the box, and
+// per-zoom density aggregates are built lazily and cached.
+
+import { normalizeLng } from './geo';
+
+const DEFAULT_CELL_SIZE_DEG = 0.25;
+// Density cells are roughly this fraction of a map tile's width at the given zoom.
+const DENSITY_CELLS_PER_TILE = 3;
+
+const defaultGetLocation = (item) => item.location;
+
+function cellKey(cx, cy) {
+  return `${cx}:${cy}`;
+}
+
+export function toQueryBoxes({ south, west, north, east }) {
+  // Split dateline-crossing boxes in two; anything wider than the world is the world.
+  if (east - west >= 360) return [{ south, north, west: -180, east: 180 }];
+  const w = normalizeLng(west);
+  const e = normalizeLng(east);
+  if (w > e) {
+    return [
+      { south, north, west: w, east: 180 },
+      { south, north, west: -180, east: e },
+    ];
+  }
+  return [{ south, north, west: w, east: e }];
+}
+
+export function getPaddedBox(bounds, padMeters) {
+  const c = bounds.getCenter();
+  const latPad = padMeters / 111320; // ~ meters per degree latitude
+  const lngPad =
+    padMeters / (111320 * Math.max(0.15, Math.cos((c.lat * Math.PI) / 180))); // avoid blowups near poles
+  return {
+    south: Math.max(-90, bounds.getSouth() - latPad),
+    north: Math.min(90, bounds.getNorth() + latPad),
+    west: bounds.getWest() - lngPad,
+    east: bounds.getEast() + lngPad,
+  };
+}
+
+function isInBox(loc, box) {
+  return loc.lat >= box.south && loc.lat <= box.north && loc.lng >= box.west && loc.lng <= box.east;
+}
+
+function buildCells(items, cellSize, getLocation) {
+  const cells = new Map();
+  for (const item of items) {
+    const loc = getLocation(item);
+    if (!loc) continue;
+    const cx = Math.floor((normalizeLng(loc.lng) + 180) / cellSize);
+    const cy = Math.floor((loc.lat + 90) / cellSize);
+    const key = cellKey(cx, cy);
+    let cell = cells.get(key);
+    if (!cell) {
+      cell = { cx, cy, items: [] };
+      cells.set(key, cell);
+    }
+    cell.items.push(item);
+  }
+  return cells;
+}
+
+export function createGridIndex(items, { cellSize = DEFAULT_CELL_SIZE_DEG, getLocation = defaultGetLocation } = {}) {
+  const cells = buildCells(items, cellSize, getLocation);
+  const densityLevels = new Map();
+
+  const cellBox = (cell, size) => ({
+    south: cell.cy * size - 90,
+    north: (cell.cy + 1) * size - 90,
+    west: cell.cx * size - 180,
+    east: (cell.cx + 1) * size - 180,
+  });
+
+  const forEachCellIn = (gridCells, size, box, fn) => {
+    const cxMin = Math.floor((box.west + 180) / size);
+    const cxMax = Math.floor((box.east + 180) / size);
+    const cyMin = Math.floor((box.south + 90) / size);
+    const cyMax = Math.floor((box.north + 90) / size);
+    const rangeCount = (cxMax - cxMin + 1) * (cyMax - cyMin + 1);
+
+    if (rangeCount > gridCells.size) {
+      // Large boxes: walking the occupied cells is cheaper than walking the range.
+      for (const cell of gridCells.values()) {
+        if (cell.cx >= cxMin && cell.cx <= cxMax && cell.cy >= cyMin && cell.cy <= cyMax) fn(cell);
+      }
+      return;
+    }
+    for (let cx = cxMin; cx <= cxMax; cx += 1) {
+      for (let cy = cyMin; cy <= cyMax; cy += 1) {
+        const cell = gridCells.get(cellKey(cx, cy));
+        if (cell) fn(cell);
+      }
+    }
+  };
+
+  const isCellInside = (cell, size, box) => {
+    const b = cellBox(cell, size);
+    return b.south >= box.south && b.north <= box.north && b.west >= box.west && b.east <= box.east;
+  };
+
+  function query(bbox, limit = Infinity) {
+    // Returns { items, count, truncated }; stops collecting (but keeps counting) past `limit`.
+    const acc = { items: [], count: 0 };
+    const collect = (cell, box) => {
+      if (isCellInside(cell, cellSize, box)) {
+        acc.count += cell.items.length;
+        if (acc.items.length < limit) acc.items.push(...cell.items.slice(0, limit - acc.items.length));
+        return;
+      }
+      for (const item of cell.items) {
+        if (!isInBox(getLocation(item), box)) continue;
+        acc.count += 1;
+        if (acc.items.length < limit) acc.items.push(item);
+      }
+    };
+    for (const box of toQueryBoxes(bbox)) {
+      forEachCellIn(cells, cellSize, box, (cell) => collect(cell, box));
+    }
+    return { items: acc.items, count: acc.count, truncated: acc.count > acc.items.length };
+  }
+
+  function getDensityLevel(zoom) {
+    const z = Math.max(0, Math.min(22, Math.round(zoom)));
+    if (densityLevels.has(z)) return densityLevels.get(z);
+
+    const size = 360 / 2 ** z / DENSITY_CELLS_PER_TILE;
+    const aggregated = new Map();
+    for (const cell of cells.values()) {
+      for (const item of cell.items) {
+        const loc = getLocation(item);
+        const lng = normalizeLng(loc.lng);
+        const cx = Math.floor((lng + 180) / size);
+        const cy = Math.floor((loc.lat + 90) / size);
+        const key = cellKey(cx, cy);
+        let agg = aggregated.get(key);
+        if (!agg) {
+          agg = { cx, cy, count: 0, latSum: 0, lngSum: 0 };
+          aggregated.set(key, agg);
+        }
+        agg.count += 1;
+        agg.latSum += loc.lat;
+        agg.lngSum += lng;
+      }
+    }
+    const level = { size, cells: aggregated };
+    densityLevels.set(z, level);
+    return level;
+  }
+
+  function density(bbox, zoom) {
+    // One bucket per occupied density cell overlapping the box, centered on its points.
+    const { size, cells: levelCells } = getDensityLevel(zoom);
+    const buckets = [];
+    for (const box of toQueryBoxes(bbox)) {
+      forEachCellIn(levelCells, size, box, (agg) => {
+        buckets.push({
+          id: `${zoom}:${agg.cx}:${agg.cy}`,
+          count: agg.count,
+          center: { lat: agg.latSum / agg.count, lng: agg.lngSum / agg.count },
+          bounds: cellBox(agg, size),
+        });
+      });
+    }
+    return buckets;
+  }
+
+  return { size: items.length, query, density };
+}
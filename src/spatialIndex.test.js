@@ -0,0 +1,38 @@
+import { createGridIndex } from './spatialIndex';
+
+const point = (id, lat, lng) => ({ id, location: { lat, lng } });
+
+const items = [
+  point('buc', 44.43, 26.1),
+  point('cluj', 46.77, 23.6),
+  point('fiji-east', -17.7, 179.9),
+  point('fiji-west', -17.7, -179.9),
+  point('paris', 48.85, 2.35),
+];
+
+test('returns only points inside the box', () => {
+  const index = createGridIndex(items);
+  const { items: found, count } = index.query({ south: 43, north: 48, west: 20, east: 30 });
+  expect(found.map((p) => p.id).sort()).toEqual(['buc', 'cluj']);
+  expect(count).toBe(2);
+});
+
+test('handles boxes that cross the dateline', () => {
+  const index = createGridIndex(items);
+  const { items: found } = index.query({ south: -20, north: -15, west: 179, east: 181 });
+  expect(found.map((p) => p.id).sort()).toEqual(['fiji-east', 'fiji-west']);
+});
+
+test('counts past the limit without collecting everything', () => {
+  const index = createGridIndex(items);
+  const result = index.query({ south: -90, north: 90, west: -180, east: 180 }, 2);
+  expect(result.items).toHaveLength(2);
+  expect(result.count).toBe(5);
+  expect(result.truncated).toBe(true);
+});
+
+test('aggregates into density buckets at low zoom', () => {
+  const index = createGridIndex(items);
+  const buckets = index.density({ south: 40, north: 50, west: 20, east: 30 }, 6);
+  expect(buckets.reduce((sum, b) => sum + b.count, 0)).toBe(2);
+});
@@ -0,0 +1,25 @@
+// Camera kinds we recognise in SCDB exports. SCDB's Garmin-style files only carry a
+// free-text description, so most rows end up as "fixed" unless the text says otherwise.
+
+export const SPEED_CAMERA_TYPES = [
+  { id: 'fixed', label: 'Fixed', color: '#1e88e5' },
+  { id: 'mobile', label: 'Mobile', color: '#f57c00' },
+  { id: 'redLight', label: 'Red light', color: '#d32f2f' },
+  { id: 'section', label: 'Section control', color: '#6a1b9a' },
+];
+
+export const SPEED_CAMERA_TYPE_LABELS = Object.fromEntries(SPEED_CAMERA_TYPES.map((t) => [t.id, t.label]));
+
+export const SPEED_CAMERA_STATUS_LABELS = {
+  active: 'Active',
+  inactive: 'Inactive',
+  removed: 'Removed',
+};
+
+const COMPASS_POINTS = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
+
+export function formatHeading(heading) {
+  if (!Number.isFinite(heading)) return '';
+  const point = COMPASS_POINTS[Math.round(heading / 45) % COMPASS_POINTS.length];
+  return `${point} (${Math.round(heading)}°)`;
+}
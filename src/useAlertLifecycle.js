@@ -0,0 +1,49 @@
+import { useEffect, useRef, useState } from 'react';
+import { readCacheEntry, writeCacheEntry } from './offlineCache';
+import { ALERT_LIFECYCLE_RETENTION, updateAlertLifecycle } from './alertLifecycle';
+import { pruneByLastSeen } from './pruneByLastSeen';
+
+const CACHE_KEY = 'alertLifecycle';
+
+// Follows every fresh Waze update and keeps first/last seen, poll counts and
+// vanish times per alert in IndexedDB, so a reload doesn't make every alert "new".
+function useAlertLifecycle(wazeSource, mapBounds) {
+  const [lifecycle, setLifecycle] = useState({});
+  const [loaded, setLoaded] = useState(false);
+  const boundsRef = useRef(mapBounds);
+  boundsRef.current = mapBounds;
+
+  useEffect(() => {
+    let cancelled = false;
+    readCacheEntry(CACHE_KEY).then((entry) => {
+      if (cancelled) return;
+      // Entries updated while this was loading win over the stored copies.
+      if (entry?.value && typeof entry.value === 'object') setLifecycle((prev) => ({ ...entry.value, ...prev }));
+      setLoaded(true);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  useEffect(() => {
+    // Offline snapshots aren't a new look at anything.
+    if (!wazeSource.lastUpdatedAt || wazeSource.stale) return;
+    const now = wazeSource.lastUpdatedAt;
+    // The request covered tiles around the view, so anything missing from inside the view is gone.
+    const bounds = boundsRef.current;
+    const isCovered = (location) => Boolean(bounds?.contains([location.lat, location.lng]));
+    setLifecycle((prev) =>
+      pruneByLastSeen(updateAlertLifecycle(prev, wazeSource.items, now, isCovered), now, ALERT_LIFECYCLE_RETENTION)
+    );
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [wazeSource.lastUpdatedAt]);
+
+  useEffect(() => {
+    if (loaded) writeCacheEntry(CACHE_KEY, lifecycle);
+  }, [lifecycle, loaded]);
+
+  return lifecycle;
+}
+
+export default useAlertLifecycle;
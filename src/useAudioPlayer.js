@@ -0,0 +1,147 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { buildPlaybackQueue } from './audioQueue';
+
+// One shared <audio> element for every warning popup, so starting a message
+// stops the previous one. With auto-play on, each finished message moves on
+// to the oldest unplayed warning among `candidates` (the ones in view), and
+// new warnings arriving later are picked up as they come in.
+function useAudioPlayer(candidates) {
+  const audioRef = useRef(null);
+  const currentRef = useRef(null);
+  const [current, setCurrent] = useState(null); // the warning loaded in the player
+  const [status, setStatus] = useState('idle'); // 'idle' | 'loading' | 'playing' | 'paused' | 'ended' | 'error'
+  const [position, setPosition] = useState({ currentTime: 0, duration: NaN });
+  const [error, setError] = useState(null); // { id, message }
+  const [autoplay, setAutoplay] = useState(false);
+  const [playedIds, setPlayedIds] = useState(() => new Set());
+
+  const markPlayed = useCallback((id) => {
+    setPlayedIds((prev) => new Set(prev).add(id));
+  }, []);
+
+  const getAudio = useCallback(() => {
+    if (audioRef.current) return audioRef.current;
+    const audio = new Audio();
+    audio.preload = 'metadata';
+    const syncPosition = () => setPosition({ currentTime: audio.currentTime, duration: audio.duration });
+    audio.addEventListener('timeupdate', syncPosition);
+    audio.addEventListener('durationchange', syncPosition);
+    audio.addEventListener('waiting', () => setStatus('loading'));
+    audio.addEventListener('playing', () => setStatus('playing'));
+    audio.addEventListener('pause', () => setStatus((prev) => (prev === 'playing' ? 'paused' : prev)));
+    audio.addEventListener('ended', () => {
+      setStatus('ended');
+      if (currentRef.current) markPlayed(currentRef.current.id);
+    });
+    audio.addEventListener('error', () => {
+      // Fires for a src that can't be loaded or decoded; play() rejects too, but without a useful message.
+      if (!currentRef.current) return;
+      setStatus('error');
+      setError({ id: currentRef.current.id, message: 'Could not load this message' });
+      markPlayed(currentRef.current.id);
+    });
+    audioRef.current = audio;
+    return audio;
+  }, [markPlayed]);
+
+  useEffect(
+    () => () => {
+      if (!audioRef.current) return;
+      audioRef.current.pause();
+      audioRef.current.removeAttribute('src');
+    },
+    []
+  );
+
+  const play = useCallback(
+    (warning) => {
+      const audio = getAudio();
+      if (currentRef.current?.id !== warning.id) {
+        currentRef.current = warning;
+        setCurrent(warning);
+        setPosition({ currentTime: 0, duration: NaN });
+        audio.src = warning.url;
+      } else if (audio.ended) {
+        audio.currentTime = 0;
+      }
+      setStatus('loading');
+      setError((prev) => (prev?.id === warning.id ? null : prev));
+      audio.play().catch((err) => {
+        // A newer play() or pause() interrupted this one; nothing went wrong.
+        if (err?.name === 'AbortError') return;
+        // eslint-disable-next-line no-console
+        console.error('Audio play error:', err);
+        const blocked = err?.name === 'NotAllowedError';
+        setStatus('error');
+        setError({
+          id: warning.id,
+          message: blocked ? 'The browser blocked playback; press play' : 'Could not play this message',
+        });
+        // A blocked auto-play would fail for every later message too.
+        if (blocked) setAutoplay(false);
+        else markPlayed(warning.id);
+      });
+    },
+    [getAudio, markPlayed]
+  );
+
+  const pause = useCallback(() => {
+    audioRef.current?.pause();
+  }, []);
+
+  const toggle = useCallback(
+    (warning) => {
+      const isCurrent = currentRef.current?.id === warning.id;
+      if (isCurrent && (status === 'playing' || status === 'loading')) pause();
+      else play(warning);
+    },
+    [pause, play, status]
+  );
+
+  const seek = useCallback((seconds) => {
+    const audio = audioRef.current;
+    if (audio && Number.isFinite(audio.duration)) audio.currentTime = Math.max(0, Math.min(audio.duration, seconds));
+  }, []);
+
+  const queue = useMemo(() => buildPlaybackQueue(candidates, playedIds), [candidates, playedIds]);
+
+  const startAutoplay = useCallback(() => {
+    // Everything in view again, from the oldest; play the first one from the click itself
+    // so browsers that require a user gesture allow it.
+    setPlayedIds(new Set());
+    setAutoplay(true);
+    const [first] = buildPlaybackQueue(candidates, new Set());
+    if (first) play(first);
+  }, [candidates, play]);
+
+  const stopAutoplay = useCallback(() => {
+    setAutoplay(false);
+    pause();
+  }, [pause]);
+
+  useEffect(() => {
+    if (!autoplay || !['idle', 'ended', 'error'].includes(status)) return;
+    // The current message is only in the queue if it didn't finish (a blocked play); don't loop on it.
+    const next = queue.find((w) => w.id !== currentRef.current?.id || status === 'idle');
+    if (next) play(next);
+  }, [autoplay, play, queue, status]);
+
+  return {
+    current,
+    status,
+    isPlaying: (id) => current?.id === id && (status === 'playing' || status === 'loading'),
+    currentTime: position.currentTime,
+    duration: position.duration,
+    error,
+    play,
+    pause,
+    toggle,
+    seek,
+    autoplay,
+    queue,
+    startAutoplay,
+    stopAutoplay,
+  };
+}
+
+export default useAudioPlayer;
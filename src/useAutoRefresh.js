@@ -0,0 +1,56 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+
+const isPageHidden = () => typeof document !== 'undefined' && document.visibilityState === 'hidden';
+
+// Refreshes a source every `intervalMs` after its last update while the map sits
+// idle (any pan or zoom updates it and restarts the countdown). Waits out the
+// source's backoff, pauses while the tab is hidden or while the push channel is
+// live (it's current anyway), and catches up as soon as the tab is shown again.
+//
+// Returns { status: 'off' | 'paused' | 'live' | 'waiting', secondsLeft, refreshNow }.
+function useAutoRefresh({ intervalMs, lastUpdatedAt, backoffUntil = 0, live = false, onRefresh }) {
+  const [hidden, setHidden] = useState(isPageHidden);
+  const [now, setNow] = useState(() => Date.now());
+  const [triggeredAt, setTriggeredAt] = useState(0);
+  const onRefreshRef = useRef(onRefresh);
+  onRefreshRef.current = onRefresh;
+
+  useEffect(() => {
+    const onVisibilityChange = () => setHidden(isPageHidden());
+    document.addEventListener('visibilitychange', onVisibilityChange);
+    return () => document.removeEventListener('visibilitychange', onVisibilityChange);
+  }, []);
+
+  const refreshNow = useCallback(() => {
+    setTriggeredAt(Date.now());
+    onRefreshRef.current();
+  }, []);
+
+  // A refresh that fails without backing off still counts, so the next one waits a full interval.
+  const active = intervalMs > 0 && Boolean(lastUpdatedAt) && !hidden && !live;
+  const dueAt = active ? Math.max(Math.max(lastUpdatedAt, triggeredAt) + intervalMs, backoffUntil) : null;
+
+  useEffect(() => {
+    if (dueAt === null) return undefined;
+    const refreshTimer = setTimeout(refreshNow, Math.max(0, dueAt - Date.now()));
+    const tickTimer = setInterval(() => setNow(Date.now()), 1000);
+    setNow(Date.now());
+    return () => {
+      clearTimeout(refreshTimer);
+      clearInterval(tickTimer);
+    };
+  }, [dueAt, refreshNow]);
+
+  let status = 'waiting';
+  if (!(intervalMs > 0)) status = 'off';
+  else if (live) status = 'live';
+  else if (hidden) status = 'paused';
+
+  return {
+    status,
+    secondsLeft: dueAt === null ? null : Math.max(0, Math.ceil((dueAt - now) / 1000)),
+    refreshNow,
+  };
+}
+
+export default useAutoRefresh;
@@ -0,0 +1,140 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { createGeolocationSource, createTrackSource } from './positionSources';
+import { findHazardIdsWithin, findHazardsAhead } from './proximity';
+
+export const DEFAULT_ALERT_DISTANCE_METERS = 800;
+export const DRIVE_CORRIDOR_DEGREES = 60;
+// A hazard can alert again only after we've moved this much further away from it,
+// so GPS jitter around the threshold doesn't beep repeatedly.
+const ALERT_REARM_FACTOR = 1.5;
+const ALERT_BANNER_MS = 8000;
+
+function playAlertSound(ctx) {
+  if (!ctx) return;
+  try {
+    if (ctx.state === 'suspended') ctx.resume();
+    // Two short beeps
+    [0, 0.3].forEach((offset) => {
+      const osc = ctx.createOscillator();
+      const gain = ctx.createGain();
+      osc.type = 'square';
+      osc.frequency.value = 880;
+      gain.gain.value = 0.12;
+      osc.connect(gain).connect(ctx.destination);
+      osc.start(ctx.currentTime + offset);
+      osc.stop(ctx.currentTime + offset + 0.18);
+    });
+  } catch (err) {
+    // eslint-disable-next-line no-console
+    console.error('Alert sound error:', err);
+  }
+}
+
+function useDriveMode(hazards) {
+  const [enabled, setEnabled] = useState(false);
+  const [sourceKind, setSourceKind] = useState('gps'); // 'gps' | 'track'
+  const [track, setTrack] = useState(null); // { name, points }
+  const [alertDistanceMeters, setAlertDistanceMeters] = useState(DEFAULT_ALERT_DISTANCE_METERS);
+  const [position, setPosition] = useState(null);
+  const [error, setError] = useState('');
+  const [activeAlert, setActiveAlert] = useState(null);
+  // The map follows the position until the user drags it away; recenter() resumes.
+  const [following, setFollowing] = useState(true);
+  const alertedIdsRef = useRef(new Set());
+  const audioContextRef = useRef(null);
+
+  const toggle = useCallback(() => {
+    // The AudioContext has to be created from a user gesture, so do it here.
+    if (!audioContextRef.current && (window.AudioContext || window.webkitAudioContext)) {
+      const Ctx = window.AudioContext || window.webkitAudioContext;
+      audioContextRef.current = new Ctx();
+    }
+    setEnabled((e) => !e);
+  }, []);
+
+  useEffect(() => {
+    if (!enabled) {
+      setPosition(null);
+      setError('');
+      setActiveAlert(null);
+      alertedIdsRef.current = new Set();
+      return undefined;
+    }
+
+    let source = null;
+    if (sourceKind === 'track') {
+      if (!track) {
+        setError('Load a GPX/GeoJSON track to simulate driving');
+        return undefined;
+      }
+      source = createTrackSource(track.points, track.name);
+    } else {
+      source = createGeolocationSource();
+    }
+
+    setError('');
+    setFollowing(true);
+    const stop = source.start(
+      (pos) => {
+        setError('');
+        setPosition(pos);
+      },
+      (err) => setError(err?.message || 'Position unavailable')
+    );
+    return stop;
+  }, [enabled, sourceKind, track]);
+
+  const ahead = useMemo(() => {
+    if (!enabled || !position) return [];
+    return findHazardsAhead(position, hazards, {
+      distanceMeters: alertDistanceMeters,
+      corridorDegrees: DRIVE_CORRIDOR_DEGREES,
+    });
+  }, [alertDistanceMeters, enabled, hazards, position]);
+
+  useEffect(() => {
+    if (!enabled || !position) return;
+
+    const stillNear = findHazardIdsWithin(position, hazards, alertDistanceMeters * ALERT_REARM_FACTOR);
+    for (const id of alertedIdsRef.current) {
+      if (!stillNear.has(id)) alertedIdsRef.current.delete(id);
+    }
+
+    const fresh = ahead.filter((h) => !alertedIdsRef.current.has(h.id));
+    if (!fresh.length) return;
+
+    fresh.forEach((h) => alertedIdsRef.current.add(h.id));
+    setActiveAlert({ hazard: fresh[0], extra: fresh.length - 1, at: Date.now() });
+    playAlertSound(audioContextRef.current);
+  }, [ahead, alertDistanceMeters, enabled, hazards, position]);
+
+  useEffect(() => {
+    if (!activeAlert) return undefined;
+    const timeoutId = setTimeout(() => setActiveAlert(null), ALERT_BANNER_MS);
+    return () => clearTimeout(timeoutId);
+  }, [activeAlert]);
+
+  const stopFollowing = useCallback(() => setFollowing(false), []);
+  const recenter = useCallback(() => setFollowing(true), []);
+
+  return {
+    enabled,
+    toggle,
+    sourceKind,
+    setSourceKind,
+    track,
+    setTrack,
+    alertDistanceMeters,
+    setAlertDistanceMeters,
+    position,
+    following,
+    stopFollowing,
+    recenter,
+    error,
+    ahead,
+    activeAlert,
+    dismissAlert: () => setActiveAlert(null),
+  };
+}
+
+export default useDriveMode;
@@ -0,0 +1,112 @@
+import { useCallback, useEffect, useState } from 'react';
+import { fetchOk, hazardsApiUrl } from './sources/http';
+import { loadCachedDecisions, loadModeratorToken, saveCachedDecisions, saveModeratorToken } from './moderation';
+
+// Other moderators' decisions reach this map within one poll.
+const POLL_MS = 30_000;
+
+// Moderation decisions from the hazards backend (every map needs them), plus the
+// moderator session: sign in with a personal token, then apply bulk actions.
+// `checkedAt` moves with every poll, so expiry times are re-checked as time passes.
+function useModeration() {
+  const [decisions, setDecisions] = useState(loadCachedDecisions);
+  const [checkedAt, setCheckedAt] = useState(() => Date.now());
+  const [error, setError] = useState('');
+  const [token, setToken] = useState(loadModeratorToken);
+  const [moderator, setModerator] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const load = useCallback(async () => {
+    try {
+      const res = await fetchOk(hazardsApiUrl('/moderation'), {
+        label: 'Moderation decisions',
+        sourceId: 'moderation',
+      });
+      setDecisions((await res.json()).decisions || {});
+      setError('');
+    } catch (err) {
+      // Keep applying the last known decisions.
+      setError(err.message);
+    } finally {
+      setCheckedAt(Date.now());
+    }
+  }, []);
+
+  useEffect(() => {
+    load();
+    const timer = setInterval(load, POLL_MS);
+    return () => clearInterval(timer);
+  }, [load]);
+
+  useEffect(() => {
+    saveCachedDecisions(decisions);
+  }, [decisions]);
+
+  useEffect(() => {
+    saveModeratorToken(token);
+    if (!token) {
+      setModerator(null);
+      return undefined;
+    }
+    let cancelled = false;
+    fetchOk(hazardsApiUrl('/moderation/session'), {
+      label: 'Moderator sign-in',
+      sourceId: 'moderation',
+      headers: { Authorization: `Bearer ${token}` },
+    })
+      .then((res) => res.json())
+      .then((session) => {
+        if (cancelled) return;
+        setModerator(session.moderator);
+        setError('');
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        setModerator(null);
+        if (err.status === 401) setToken('');
+        setError(err.status === 401 ? 'Unknown moderator token' : err.message);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [token]);
+
+  const apply = useCallback(
+    async (ids, action, minutes = null) => {
+      if (!ids.length) return;
+      setBusy(true);
+      try {
+        const res = await fetchOk(hazardsApiUrl('/moderation'), {
+          label: 'Moderation',
+          sourceId: 'moderation',
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+          body: JSON.stringify({ ids, action, minutes }),
+        });
+        setDecisions((await res.json()).decisions || {});
+        setCheckedAt(Date.now());
+        setError('');
+      } catch (err) {
+        if (err.status === 401) setToken('');
+        setError(err.status === 401 ? 'Signed out: the moderator token is no longer valid' : err.message);
+      } finally {
+        setBusy(false);
+      }
+    },
+    [token]
+  );
+
+  return {
+    decisions,
+    checkedAt,
+    error,
+    moderator,
+    token,
+    busy,
+    signIn: (value) => setToken(value.trim()),
+    signOut: () => setToken(''),
+    apply,
+  };
+}
+
+export default useModeration;
@@ -0,0 +1,63 @@
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import { readCacheEntry, writeCacheEntry } from './offlineCache';
+import {
+  DEFAULT_POLICE_TIME_FILTER,
+  POLICE_HISTORY_RETENTION,
+  matchesTimeFilter,
+  mergePoliceSightings,
+} from './policeHistory';
+import { pruneByLastSeen } from './pruneByLastSeen';
+
+const CACHE_KEY = 'policeHistory';
+
+// Records the police alerts of every fresh Waze update into IndexedDB and
+// returns the ones matching the hour-of-day / weekday filter for the heatmap.
+function usePoliceHistory(wazeSource) {
+  const [history, setHistory] = useState({});
+  const [loaded, setLoaded] = useState(false);
+  const [timeFilter, setTimeFilter] = useState(DEFAULT_POLICE_TIME_FILTER);
+
+  useEffect(() => {
+    let cancelled = false;
+    readCacheEntry(CACHE_KEY).then((entry) => {
+      if (cancelled) return;
+      // Sightings recorded while this was loading win over the stored copies.
+      if (entry?.value && typeof entry.value === 'object') setHistory((prev) => ({ ...entry.value, ...prev }));
+      setLoaded(true);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  useEffect(() => {
+    // Offline snapshots repeat alerts we've already recorded; they'd only stretch lastSeenAt.
+    if (!wazeSource.lastUpdatedAt || wazeSource.stale) return;
+    const now = wazeSource.lastUpdatedAt;
+    setHistory((prev) =>
+      pruneByLastSeen(mergePoliceSightings(prev, wazeSource.items, now), now, POLICE_HISTORY_RETENTION)
+    );
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [wazeSource.lastUpdatedAt]);
+
+  useEffect(() => {
+    if (loaded) writeCacheEntry(CACHE_KEY, history);
+  }, [history, loaded]);
+
+  const entries = useMemo(() => Object.values(history), [history]);
+  const filtered = useMemo(() => entries.filter((e) => matchesTimeFilter(e, timeFilter)), [entries, timeFilter]);
+  const since = useMemo(() => entries.reduce((min, e) => Math.min(min, e.firstSeenAt), Infinity), [entries]);
+
+  const clear = useCallback(() => setHistory({}), []);
+
+  return {
+    count: entries.length,
+    since: Number.isFinite(since) ? since : null,
+    filtered,
+    timeFilter,
+    setTimeFilter,
+    clear,
+  };
+}
+
+export default usePoliceHistory;
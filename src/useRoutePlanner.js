@@ -0,0 +1,106 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { findHazardsAlongRoute, groupRouteHits, routeLengthMeters, summarizeRouteStops } from './routeHazards';
+import { parseLatLng, routers } from './routing';
+
+export const DEFAULT_ROUTE_BUFFER_METERS = 150;
+
+const formatLatLng = ({ lat, lng }) => `${lat.toFixed(5)}, ${lng.toFixed(5)}`;
+
+function useRoutePlanner(hazards) {
+  const [originText, setOriginText] = useState('');
+  const [destinationText, setDestinationText] = useState('');
+  const [routerId, setRouterId] = useState(routers[0].id);
+  const [bufferMeters, setBufferMeters] = useState(DEFAULT_ROUTE_BUFFER_METERS);
+  const [route, setRoute] = useState(null); // { name, points, distanceMeters, durationSeconds, origin?, destination? }
+  const [picking, setPicking] = useState(null); // 'origin' | 'destination' | null
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const controllerRef = useRef(null);
+
+  useEffect(() => () => controllerRef.current?.abort(), []);
+
+  const plan = useCallback(async () => {
+    const origin = parseLatLng(originText);
+    const destination = parseLatLng(destinationText);
+    if (!origin || !destination) {
+      setError('Enter origin and destination as "lat, lng" or pick them on the map');
+      return;
+    }
+    const router = routers.find((r) => r.id === routerId) || routers[0];
+
+    if (controllerRef.current) controllerRef.current.abort();
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    setLoading(true);
+    setError('');
+    try {
+      const result = await router.route(origin, destination, { signal: controller.signal });
+      if (!controller.signal.aborted) setRoute({ name: `${router.label} route`, origin, destination, ...result });
+    } catch (err) {
+      if (controller.signal.aborted) return;
+      // eslint-disable-next-line no-console
+      console.error('Route planning error:', err);
+      setError(err?.message || 'Could not plan the route');
+    } finally {
+      if (controllerRef.current === controller) {
+        controllerRef.current = null;
+        setLoading(false);
+      }
+    }
+  }, [destinationText, originText, routerId]);
+
+  const setImportedRoute = useCallback((name, points) => {
+    // Imported GPX/GeoJSON tracks are used as-is, no router involved.
+    if (controllerRef.current) controllerRef.current.abort();
+    setRoute({ name, points, distanceMeters: routeLengthMeters(points), durationSeconds: null });
+    setError('');
+  }, []);
+
+  const pickPoint = useCallback(
+    (latlng) => {
+      if (picking === 'origin') setOriginText(formatLatLng(latlng));
+      if (picking === 'destination') setDestinationText(formatLatLng(latlng));
+      setPicking(null);
+    },
+    [picking]
+  );
+
+  const clear = useCallback(() => {
+    if (controllerRef.current) controllerRef.current.abort();
+    setRoute(null);
+    setError('');
+    setPicking(null);
+  }, []);
+
+  const stops = useMemo(() => {
+    if (!route) return [];
+    return groupRouteHits(findHazardsAlongRoute(route.points, hazards, bufferMeters));
+  }, [bufferMeters, hazards, route]);
+
+  const summary = useMemo(() => summarizeRouteStops(stops), [stops]);
+
+  return {
+    routers,
+    originText,
+    setOriginText,
+    destinationText,
+    setDestinationText,
+    routerId,
+    setRouterId,
+    bufferMeters,
+    setBufferMeters,
+    picking,
+    setPicking,
+    pickPoint,
+    route,
+    setImportedRoute,
+    plan,
+    clear,
+    loading,
+    error,
+    stops,
+    summary,
+  };
+}
+
+export default useRoutePlanner;
@@ -0,0 +1,176 @@
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import { readCacheEntry, writeCacheEntry } from './offlineCache';
+import {
+  createUserLayer,
+  detectLayerFormat,
+  guessCsvDelimiter,
+  guessCsvMapping,
+  parseLayerFile,
+  readCsvHeader,
+} from './userLayers';
+
+const CACHE_KEY = 'userLayers';
+export const BUNDLED_LAYER_FILE = 'SCDB_Speed_Romania.csv';
+
+function buildPendingCsv(fileName, text, delimiter = guessCsvDelimiter(text)) {
+  // Generic CSV needs the user to confirm which columns hold the coordinates.
+  const header = readCsvHeader(text, { delimiter });
+  return { fileName, text, delimiter, header, mapping: guessCsvMapping(header), asCameras: false };
+}
+
+function useUserLayers() {
+  const [layers, setLayers] = useState([]);
+  const [loaded, setLoaded] = useState(false);
+  const [pendingImport, setPendingImport] = useState(null);
+  const [error, setError] = useState('');
+  const [dragging, setDragging] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    readCacheEntry(CACHE_KEY).then((entry) => {
+      if (cancelled) return;
+      if (Array.isArray(entry?.value)) setLayers(entry.value);
+      setLoaded(true);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  useEffect(() => {
+    // Don't overwrite the saved layers with the empty list we start from.
+    if (loaded) writeCacheEntry(CACHE_KEY, layers);
+  }, [layers, loaded]);
+
+  const addLayer = useCallback((fileName, points, asCameras) => {
+    setLayers((prev) => [...prev, createUserLayer({ fileName, points, asCameras, existingLayers: prev })]);
+  }, []);
+
+  const importText = useCallback(
+    (fileName, text) => {
+      setError('');
+      try {
+        const format = detectLayerFormat(fileName, text);
+        if (format === 'csv') {
+          setPendingImport(buildPendingCsv(fileName, text));
+          return;
+        }
+        addLayer(fileName, parseLayerFile(text, fileName, { format }), format === 'scdb');
+      } catch (err) {
+        // eslint-disable-next-line no-console
+        console.error('Layer import error:', err);
+        setError(err?.message || `Could not read ${fileName}`);
+      }
+    },
+    [addLayer]
+  );
+
+  const importFiles = useCallback(
+    async (files) => {
+      for (const file of Array.from(files || [])) {
+        importText(file.name, await file.text());
+      }
+    },
+    [importText]
+  );
+
+  const importBundled = useCallback(async () => {
+    setError('');
+    try {
+      const res = await fetch(`${process.env.PUBLIC_URL || ''}/${BUNDLED_LAYER_FILE}`);
+      if (!res.ok) throw new Error(`${BUNDLED_LAYER_FILE} request failed (${res.status})`);
+      importText(BUNDLED_LAYER_FILE, await res.text());
+    } catch (err) {
+      // eslint-disable-next-line no-console
+      console.error('Bundled layer error:', err);
+      setError(err?.message || `Could not load ${BUNDLED_LAYER_FILE}`);
+    }
+  }, [importText]);
+
+  const updatePendingImport = useCallback((patch) => {
+    setPendingImport((prev) => {
+      if (!prev) return prev;
+      // A new delimiter changes the header, so the column guesses start over.
+      if (patch.delimiter !== undefined && patch.delimiter !== prev.delimiter) {
+        return { ...buildPendingCsv(prev.fileName, prev.text, patch.delimiter), asCameras: prev.asCameras };
+      }
+      return { ...prev, ...patch, mapping: { ...prev.mapping, ...patch.mapping } };
+    });
+  }, []);
+
+  const confirmPendingImport = useCallback(() => {
+    if (!pendingImport) return;
+    const { fileName, text, delimiter, mapping, asCameras } = pendingImport;
+    try {
+      addLayer(fileName, parseLayerFile(text, fileName, { format: 'csv', csv: { delimiter, ...mapping } }), asCameras);
+      setPendingImport(null);
+      setError('');
+    } catch (err) {
+      setError(err?.message || `Could not read ${fileName}`);
+    }
+  }, [addLayer, pendingImport]);
+
+  const cancelPendingImport = useCallback(() => {
+    setPendingImport(null);
+    setError('');
+  }, []);
+
+  const updateLayer = useCallback((id, patch) => {
+    setLayers((prev) =>
+      prev.map((layer) => {
+        if (layer.id !== id) return layer;
+        const next = { ...layer, ...patch };
+        // Items carry the kind too, since drive mode and the route planner read it from them.
+        if (patch.kind && patch.kind !== layer.kind) {
+          next.items = layer.items.map((item) => ({ ...item, kind: patch.kind }));
+        }
+        return next;
+      })
+    );
+  }, []);
+
+  const removeLayer = useCallback((id) => {
+    setLayers((prev) => prev.filter((layer) => layer.id !== id));
+  }, []);
+
+  const dropProps = useMemo(
+    () => ({
+      onDragOver: (e) => {
+        if (!Array.from(e.dataTransfer?.types || []).includes('Files')) return;
+        e.preventDefault();
+        setDragging(true);
+      },
+      onDragLeave: (e) => {
+        // Leaving for a child element still fires dragleave on the wrapper.
+        if (!e.currentTarget.contains(e.relatedTarget)) setDragging(false);
+      },
+      onDrop: (e) => {
+        if (!e.dataTransfer?.files?.length) return;
+        e.preventDefault();
+        setDragging(false);
+        importFiles(e.dataTransfer.files);
+      },
+    }),
+    [importFiles]
+  );
+
+  const visibleItems = useMemo(() => layers.filter((l) => l.visible).flatMap((l) => l.items), [layers]);
+
+  return {
+    layers,
+    visibleItems,
+    importFiles,
+    importBundled,
+    pendingImport,
+    updatePendingImport,
+    confirmPendingImport,
+    cancelPendingImport,
+    updateLayer,
+    removeLayer,
+    error,
+    dragging,
+    dropProps,
+  };
+}
+
+export default useUserLayers;
@@ -0,0 +1,49 @@
+import { useEffect, useRef } from 'react';
+import { buildViewHash, parseViewHash, saveStoredViewState } from './viewState';
+
+// Panning produces a burst of moveend events; fold those into one history entry.
+const HISTORY_COALESCE_MS = 1500;
+
+// Mirrors the view state into localStorage and the URL hash, and applies the
+// hash back to the app on back/forward navigation or manual hash edits.
+function useViewStateSync(viewState, applyViewState) {
+  const lastPushAtRef = useRef(0);
+  const initializedRef = useRef(false);
+  const applyRef = useRef(applyViewState);
+  applyRef.current = applyViewState;
+
+  useEffect(() => {
+    // Wait until the map has reported its view; otherwise we'd overwrite a shared link.
+    if (!viewState.center) return;
+
+    saveStoredViewState(viewState);
+
+    const hash = buildViewHash(viewState);
+    if (hash === window.location.hash) return;
+
+    const url = `${window.location.pathname}${window.location.search}${hash}`;
+    const now = Date.now();
+    if (!initializedRef.current || now - lastPushAtRef.current < HISTORY_COALESCE_MS) {
+      window.history.replaceState(null, '', url);
+    } else {
+      window.history.pushState(null, '', url);
+    }
+    initializedRef.current = true;
+    lastPushAtRef.current = now;
+  }, [viewState]);
+
+  useEffect(() => {
+    const onNavigate = () => {
+      const parsed = parseViewHash(window.location.hash);
+      if (Object.keys(parsed).length) applyRef.current(parsed);
+    };
+    window.addEventListener('popstate', onNavigate);
+    window.addEventListener('hashchange', onNavigate);
+    return () => {
+      window.removeEventListener('popstate', onNavigate);
+      window.removeEventListener('hashchange', onNavigate);
+    };
+  }, []);
+}
+
+export default useViewStateSync;
@@ -0,0 +1,180 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { fetchOk, hazardsApiUrl } from './sources/http';
+import {
+  MAX_RECORDING_MS,
+  SENT_REPORT_KEEP_MS,
+  blobToBase64,
+  createPendingWarning,
+  pruneReports,
+} from './warningReports';
+
+const EMPTY_DRAFT = { category: 'police', text: '', audio: null, audioUrl: null };
+
+const canRecord = () =>
+  typeof window !== 'undefined' && Boolean(window.MediaRecorder) && Boolean(navigator.mediaDevices?.getUserMedia);
+
+// The "report here" flow: drop a pin (right-click or long-press), record a voice
+// note and/or type a text, pick a category, send. Sent reports show up as
+// pending warnings until the backend answers; a failed upload takes the pending
+// warning back off the map and reopens the form as it was. Reports are sent
+// with the staff member's moderator token (`token`); without one nothing is sent.
+function useWarningReports({ warnings, token, onSent }) {
+  const [pin, setPin] = useState(null);
+  const [draft, setDraft] = useState(EMPTY_DRAFT);
+  const [recording, setRecording] = useState(false);
+  const [reports, setReports] = useState([]);
+  const [error, setError] = useState('');
+  const recorderRef = useRef(null);
+  // A recording stopped by cancel() whose audio must not land in the next draft.
+  const discardedRef = useRef(null);
+  const pinRef = useRef(pin);
+  pinRef.current = pin;
+  const stopTimerRef = useRef(null);
+  const nextIdRef = useRef(1);
+  const onSentRef = useRef(onSent);
+  onSentRef.current = onSent;
+
+  useEffect(() => {
+    setReports((prev) => pruneReports(prev, warnings, Date.now()));
+    // Sent reports the feed never lists are dropped on a later update, or by this timer.
+    const timer = setTimeout(() => setReports((prev) => pruneReports(prev, warnings, Date.now())), SENT_REPORT_KEEP_MS);
+    return () => clearTimeout(timer);
+  }, [warnings]);
+
+  const stopRecording = useCallback(() => {
+    clearTimeout(stopTimerRef.current);
+    if (recorderRef.current?.state === 'recording') recorderRef.current.stop();
+  }, []);
+
+  // Stop the microphone if the form goes away mid-recording.
+  useEffect(() => stopRecording, [stopRecording]);
+
+  // Each recording gets its own preview URL, released when the draft lets go of it.
+  const setAudio = useCallback((audio) => {
+    const audioUrl = audio ? URL.createObjectURL(audio) : null;
+    setDraft((prev) => ({ ...prev, audio, audioUrl }));
+  }, []);
+
+  useEffect(() => {
+    const { audioUrl } = draft;
+    return () => {
+      if (audioUrl) URL.revokeObjectURL(audioUrl);
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [draft.audioUrl]);
+
+  const startRecording = useCallback(async () => {
+    setError('');
+    let stream;
+    try {
+      stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+    } catch (err) {
+      setError(`Microphone unavailable: ${err.message}`);
+      return;
+    }
+    const recorder = new MediaRecorder(stream);
+    const chunks = [];
+    recorder.ondataavailable = (e) => {
+      if (e.data.size) chunks.push(e.data);
+    };
+    recorder.onstop = () => {
+      stream.getTracks().forEach((track) => track.stop());
+      recorderRef.current = null;
+      setRecording(false);
+      if (discardedRef.current === recorder || !chunks.length) return;
+      setAudio(new Blob(chunks, { type: recorder.mimeType || chunks[0].type }));
+    };
+    recorderRef.current = recorder;
+    recorder.start();
+    setRecording(true);
+    stopTimerRef.current = setTimeout(stopRecording, MAX_RECORDING_MS);
+  }, [setAudio, stopRecording]);
+
+  const dropPin = useCallback((latlng) => {
+    setPin({ lat: latlng.lat, lng: latlng.lng });
+    setError('');
+  }, []);
+
+  const cancel = useCallback(() => {
+    discardedRef.current = recorderRef.current;
+    stopRecording();
+    setPin(null);
+    setDraft(EMPTY_DRAFT);
+    setError('');
+  }, [stopRecording]);
+
+  const updateDraft = useCallback((patch) => setDraft((prev) => ({ ...prev, ...patch })), []);
+
+  const submit = useCallback(async () => {
+    if (!pin || recording) return;
+    if (!token) {
+      setError('Sign in under Moderate to send reports');
+      return;
+    }
+    const text = draft.text.trim();
+    if (!text && !draft.audio) {
+      setError('Add a voice note or some text first');
+      return;
+    }
+    const localId = `report-${nextIdRef.current}`;
+    nextIdRef.current += 1;
+    const sentDraft = draft;
+    const sentPin = pin;
+    const item = createPendingWarning(
+      { localId, pin, category: draft.category, text, hasAudio: Boolean(draft.audio) },
+      Date.now()
+    );
+    setReports((prev) => [...prev, { localId, status: 'sending', item, sentAt: null }]);
+    setPin(null);
+    setDraft(EMPTY_DRAFT);
+    setError('');
+
+    try {
+      const audio = sentDraft.audio
+        ? { mimeType: sentDraft.audio.type || 'audio/webm', data: await blobToBase64(sentDraft.audio) }
+        : null;
+      const res = await fetchOk(hazardsApiUrl('/warnings'), {
+        label: 'Warning report',
+        sourceId: 'driversChat',
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+        body: JSON.stringify({ lat: sentPin.lat, lng: sentPin.lng, category: sentDraft.category, text, audio }),
+      });
+      const { item: created } = await res.json();
+      setReports((prev) =>
+        prev.map((r) => (r.localId === localId ? { ...r, status: 'sent', item: created, sentAt: Date.now() } : r))
+      );
+      onSentRef.current?.(created);
+    } catch (err) {
+      setReports((prev) => prev.filter((r) => r.localId !== localId));
+      // Reopen the form with what was sent, unless another report has been started meanwhile.
+      if (!pinRef.current) {
+        setPin(sentPin);
+        setDraft(sentDraft);
+        setAudio(sentDraft.audio);
+      }
+      setError(
+        err.status === 401 ? 'Report not sent: sign in under Moderate again' : `Report not sent: ${err.message}`
+      );
+    }
+  }, [draft, pin, recording, setAudio, token]);
+
+  return {
+    pin,
+    draft,
+    recording,
+    reports,
+    error,
+    recordingSupported: canRecord(),
+    signedIn: Boolean(token),
+    dropPin,
+    cancel,
+    updateDraft,
+    startRecording,
+    stopRecording,
+    discardRecording: () => setAudio(null),
+    submit,
+  };
+}
+
+export default useWarningReports;
@@ -0,0 +1,96 @@
+import { useCallback, useEffect, useState } from 'react';
+import { haversineMeters } from './geo';
+import { ZONE_KINDS, loadWatchZones, saveWatchZones } from './watchZones';
+
+const MIN_CIRCLE_RADIUS_METERS = 50;
+
+// Saved watch zones plus the drawing flow: pick 'circle' (click the center, then
+// the edge) or 'polygon' (click the corners, then finish), name it, save it.
+function useWatchZones() {
+  const [zones, setZones] = useState(loadWatchZones);
+  // { shape, points: [{ lat, lng }], cursor } while drawing; circles use points[0] as the center.
+  const [drawing, setDrawing] = useState(null);
+  // The finished shape waiting for a name: { shape, center, radiusMeters } or { shape, points }.
+  const [draft, setDraft] = useState(null);
+
+  useEffect(() => {
+    saveWatchZones(zones);
+  }, [zones]);
+
+  const startDrawing = useCallback((shape) => {
+    setDraft(null);
+    setDrawing({ shape, points: [], cursor: null });
+  }, []);
+
+  const cancelDrawing = useCallback(() => {
+    setDrawing(null);
+    setDraft(null);
+  }, []);
+
+  const moveCursor = useCallback((latlng) => {
+    setDrawing((prev) => (prev && prev.points.length ? { ...prev, cursor: latlng } : prev));
+  }, []);
+
+  const addPoint = useCallback(
+    (latlng) => {
+      if (!drawing) return;
+      const point = { lat: latlng.lat, lng: latlng.lng };
+      if (drawing.shape === 'circle' && drawing.points.length) {
+        const center = drawing.points[0];
+        const radiusMeters = Math.max(MIN_CIRCLE_RADIUS_METERS, Math.round(haversineMeters(center, point)));
+        setDrawing(null);
+        setDraft({ shape: 'circle', center, radiusMeters });
+        return;
+      }
+      setDrawing({ ...drawing, points: [...drawing.points, point] });
+    },
+    [drawing]
+  );
+
+  const finishPolygon = useCallback(() => {
+    if (drawing?.shape !== 'polygon' || drawing.points.length < 3) return;
+    setDrawing(null);
+    setDraft({ shape: 'polygon', points: drawing.points });
+  }, [drawing]);
+
+  const saveDraft = useCallback(
+    (name) => {
+      if (!draft) return;
+      const zone = {
+        ...draft,
+        id: `zone-${Date.now().toString(36)}`,
+        name: name.trim() || `Zone ${zones.length + 1}`,
+        kinds: ZONE_KINDS.map((k) => k.id),
+        enabled: true,
+        createdAt: Date.now(),
+      };
+      setZones((prev) => [...prev, zone]);
+      setDraft(null);
+    },
+    [draft, zones.length]
+  );
+
+  const updateZone = useCallback((id, patch) => {
+    setZones((prev) => prev.map((zone) => (zone.id === id ? { ...zone, ...patch } : zone)));
+  }, []);
+
+  const removeZone = useCallback((id) => {
+    setZones((prev) => prev.filter((zone) => zone.id !== id));
+  }, []);
+
+  return {
+    zones,
+    drawing,
+    draft,
+    startDrawing,
+    cancelDrawing,
+    moveCursor,
+    addPoint,
+    finishPolygon,
+    saveDraft,
+    updateZone,
+    removeZone,
+  };
+}
+
+export default useWatchZones;
@@ -0,0 +1,101 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { findZoneEvents } from './watchZones';
+import { WAZE_ALERT_CATEGORY_LABELS } from './wazeAlertTypes';
+
+const STORAGE_KEY = 'watchZoneNotified.v1';
+// Alerts older than this when first seen are news to nobody.
+const MAX_EVENT_AGE_MS = 30 * 60 * 1000;
+// How long a notified key is remembered, across reloads, so it doesn't fire twice.
+const NOTIFIED_TTL_MS = 24 * 60 * 60 * 1000;
+const MAX_RECENT_EVENTS = 20;
+// More new hazards than this at once become a single summary notification.
+const MAX_SEPARATE_NOTIFICATIONS = 3;
+
+function loadNotified() {
+  try {
+    const parsed = JSON.parse(window.localStorage.getItem(STORAGE_KEY) || '{}');
+    return parsed && typeof parsed === 'object' ? parsed : {};
+  } catch (err) {
+    console.error('Failed to read watch zone notifications:', err);
+    return {};
+  }
+}
+
+function saveNotified(notified) {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(notified));
+  } catch (err) {
+    console.error('Failed to save watch zone notifications:', err);
+  }
+}
+
+const getPermission = () => (typeof Notification === 'undefined' ? 'unsupported' : Notification.permission);
+
+function describeEvent({ zone, hazard }) {
+  const what = hazard.kind === 'warning' ? 'Driver warning' : WAZE_ALERT_CATEGORY_LABELS[hazard.kind] || 'Hazard';
+  return { title: `${what} in ${zone.name}`, body: hazard.label || '' };
+}
+
+// Checks every update of `hazards` against the watch zones and raises a browser
+// notification for each new hazard inside one; the last few are also listed in the
+// overlay. `onOpen(event)` runs when a notification is clicked.
+function useZoneNotifications(zones, hazards, onOpen) {
+  const [permission, setPermission] = useState(getPermission);
+  const [recent, setRecent] = useState([]);
+  const notifiedRef = useRef(null);
+  const onOpenRef = useRef(onOpen);
+  onOpenRef.current = onOpen;
+
+  const requestPermission = useCallback(async () => {
+    if (typeof Notification === 'undefined') return;
+    setPermission(await Notification.requestPermission());
+  }, []);
+
+  useEffect(() => {
+    if (!zones.some((z) => z.enabled)) return;
+    const now = Date.now();
+    if (!notifiedRef.current) {
+      notifiedRef.current = Object.fromEntries(
+        Object.entries(loadNotified()).filter(([, at]) => now - at < NOTIFIED_TTL_MS)
+      );
+    }
+    const notified = notifiedRef.current;
+    const events = findZoneEvents(zones, hazards, {
+      notifiedKeys: new Set(Object.keys(notified)),
+      now,
+      maxAgeMs: MAX_EVENT_AGE_MS,
+    });
+    if (!events.length) return;
+
+    events.forEach((event) => {
+      notified[event.key] = now;
+    });
+    saveNotified(notified);
+    setRecent((prev) =>
+      [...events.map((event) => ({ ...event, ...describeEvent(event), at: now })), ...prev].slice(0, MAX_RECENT_EVENTS)
+    );
+
+    if (getPermission() !== 'granted') return;
+    const notify = (title, body, event) => {
+      const notification = new Notification(title, { body, tag: event.key });
+      notification.onclick = () => {
+        window.focus();
+        onOpenRef.current?.(event);
+        notification.close();
+      };
+    };
+    if (events.length > MAX_SEPARATE_NOTIFICATIONS) {
+      const zoneNames = Array.from(new Set(events.map((e) => e.zone.name)));
+      notify(`${events.length} new hazards in your watch zones`, zoneNames.join(', '), events[0]);
+      return;
+    }
+    events.forEach((event) => {
+      const { title, body } = describeEvent(event);
+      notify(title, body, event);
+    });
+  }, [hazards, zones]);
+
+  return { permission, requestPermission, recent, clearRecent: () => setRecent([]) };
+}
+
+export default useZoneNotifications;
@@ -0,0 +1,189 @@
+// User layers: POI or camera files imported from GPX, KML, GeoJSON or CSV and shown
+// next to the built-in sources. Parsing lives here; src/useUserLayers.js keeps the
+// layers in IndexedDB between sessions.
+
+import { parseCsvRows } from './csv';
+import { parseSpeedRadarCsv } from './sources/scdbCsv';
+
+export const USER_LAYER_ICONS = [
+  { id: 'marker', label: 'Pin', glyph: 'mdi-map-marker' },
+  { id: 'camera', label: 'Camera', glyph: 'mdi-cctv' },
+  { id: 'flag', label: 'Flag', glyph: 'mdi-flag' },
+  { id: 'star', label: 'Star', glyph: 'mdi-star' },
+];
+
+const LAYER_COLORS = ['#8e24aa', '#00897b', '#f4511e', '#3949ab', '#7cb342', '#6d4c41'];
+
+export const CSV_DELIMITERS = [
+  { id: ',', label: 'comma' },
+  { id: ';', label: 'semicolon' },
+  { id: '\t', label: 'tab' },
+];
+
+const LAT_COLUMN_NAMES = ['lat', 'latitude', 'y'];
+const LNG_COLUMN_NAMES = ['lng', 'lon', 'long', 'longitude', 'x'];
+const NAME_COLUMN_NAMES = ['name', 'title', 'label', 'desc', 'description'];
+
+export function detectLayerFormat(fileName, text) {
+  const name = fileName.toLowerCase();
+  const head = text.trimStart().slice(0, 500);
+  if (name.endsWith('.gpx') || head.includes('<gpx')) return 'gpx';
+  if (name.endsWith('.kml') || head.includes('<kml')) return 'kml';
+  if (/\.(geo)?json$/.test(name) || head.startsWith('{')) return 'geojson';
+  // SCDB/Garmin camera files have no header: lng,lat,"desc",[id]
+  if (/^-?\d+(\.\d+)?\s*,\s*-?\d+(\.\d+)?\s*,/.test(head)) return 'scdb';
+  return 'csv';
+}
+
+export function guessCsvDelimiter(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  const [best] = CSV_DELIMITERS.map((d) => ({ id: d.id, count: firstLine.split(d.id).length - 1 })).sort(
+    (a, b) => b.count - a.count
+  );
+  return best.count ? best.id : ',';
+}
+
+export function readCsvHeader(text, { delimiter }) {
+  const [header = []] = parseCsvRows(text.split(/\r?\n/, 1)[0], { delimiter });
+  return header.map((h) => h.trim());
+}
+
+export function guessCsvMapping(header) {
+  const find = (names) => header.find((h) => names.includes(h.toLowerCase())) || '';
+  return { latColumn: find(LAT_COLUMN_NAMES), lngColumn: find(LNG_COLUMN_NAMES), nameColumn: find(NAME_COLUMN_NAMES) };
+}
+
+function parseXml(text, label) {
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length) throw new Error(`Invalid ${label} file`);
+  return doc;
+}
+
+const childText = (node, tag) => node.getElementsByTagName(tag)[0]?.textContent?.trim() || '';
+
+function parseGpxPoints(text) {
+  const doc = parseXml(text, 'GPX');
+  // Waypoints are the POIs; route or track points only if the file has nothing else.
+  for (const tag of ['wpt', 'rtept', 'trkpt']) {
+    const nodes = Array.from(doc.getElementsByTagName(tag));
+    if (!nodes.length) continue;
+    return nodes.map((node) => ({
+      lat: Number(node.getAttribute('lat')),
+      lng: Number(node.getAttribute('lon')),
+      name: childText(node, 'name'),
+      desc: childText(node, 'desc'),
+      props: { type: childText(node, 'type') },
+    }));
+  }
+  return [];
+}
+
+function parseKmlPoints(text) {
+  const doc = parseXml(text, 'KML');
+  return Array.from(doc.getElementsByTagName('Placemark')).flatMap((placemark) => {
+    const point = placemark.getElementsByTagName('Point')[0];
+    if (!point) return [];
+    const [lng, lat] = childText(point, 'coordinates').split(',').map(Number);
+    const props = {};
+    Array.from(placemark.getElementsByTagName('Data')).forEach((data) => {
+      props[data.getAttribute('name')] = childText(data, 'value');
+    });
+    return [{ lat, lng, name: childText(placemark, 'name'), desc: childText(placemark, 'description'), props }];
+  });
+}
+
+function parseGeoJsonPoints(text) {
+  const data = JSON.parse(text);
+  const features = data?.type === 'FeatureCollection' ? data.features : [data];
+  return features.flatMap((feature) => {
+    const geometry = feature?.type === 'Feature' ? feature.geometry : feature;
+    const props = feature?.properties || {};
+    const coordinates =
+      geometry?.type === 'Point' ? [geometry.coordinates] : geometry?.type === 'MultiPoint' ? geometry.coordinates : [];
+    return coordinates.map(([lng, lat]) => ({
+      lat,
+      lng,
+      name: String(props.name ?? props.title ?? ''),
+      desc: String(props.desc ?? props.description ?? ''),
+      props,
+    }));
+  });
+}
+
+function parseMappedCsv(text, { delimiter = ',', latColumn, lngColumn, nameColumn }) {
+  const [header = [], ...rows] = parseCsvRows(text, { delimiter });
+  const index = (column) => header.findIndex((h) => h.trim() === column);
+  const latIndex = index(latColumn);
+  const lngIndex = index(lngColumn);
+  if (latIndex < 0 || lngIndex < 0) throw new Error('Choose the latitude and longitude columns');
+  const nameIndex = index(nameColumn);
+  // Decimal commas are common in spreadsheets exported with a semicolon delimiter.
+  const toNumber = (value) =>
+    Number(
+      String(value ?? '')
+        .trim()
+        .replace(',', '.')
+    );
+
+  return rows.map((fields) => ({
+    lat: toNumber(fields[latIndex]),
+    lng: toNumber(fields[lngIndex]),
+    name: nameIndex >= 0 ? fields[nameIndex] : '',
+    desc: '',
+    props: Object.fromEntries(header.map((h, i) => [h.trim(), fields[i]])),
+  }));
+}
+
+function parseScdbPoints(text, fileName) {
+  return parseSpeedRadarCsv(text, { fileName }).map(({ lat, lng, desc, ...camera }) => ({
+    lat,
+    lng,
+    name: '',
+    desc,
+    props: {},
+    camera,
+  }));
+}
+
+export function parseLayerFile(text, fileName, { format = detectLayerFormat(fileName, text), csv = {} } = {}) {
+  const parsers = {
+    gpx: () => parseGpxPoints(text),
+    kml: () => parseKmlPoints(text),
+    geojson: () => parseGeoJsonPoints(text),
+    scdb: () => parseScdbPoints(text, fileName),
+    csv: () => parseMappedCsv(text, csv),
+  };
+  const points = parsers[format]().filter(
+    (p) => Number.isFinite(p.lat) && Number.isFinite(p.lng) && Math.abs(p.lat) <= 90 && Math.abs(p.lng) <= 180
+  );
+  if (!points.length) throw new Error(`No points found in ${fileName}`);
+  return points;
+}
+
+export function createUserLayer({ fileName, points, asCameras = false, existingLayers = [] }) {
+  const id = `layer-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+  const kind = asCameras ? 'speedCamera' : 'poi';
+  return {
+    id,
+    name: fileName.replace(/\.[^.]+$/, ''),
+    fileName,
+    kind,
+    color: LAYER_COLORS[existingLayers.length % LAYER_COLORS.length],
+    icon: asCameras ? 'camera' : 'marker',
+    visible: true,
+    importedAt: Date.now(),
+    items: points.map((p, i) => ({
+      // Camera files keep the fields the speed camera markers and drive mode read.
+      ...(p.camera || {}),
+      // Drive mode tracks alerted hazards by id alone, so plain points get the layer's prefix.
+      id: p.camera?.id ? String(p.camera.id) : `${id}:${i}`,
+      sourceId: id,
+      kind,
+      location: { lat: p.lat, lng: p.lng },
+      reportedAt: null,
+      label: p.name || p.desc,
+      desc: p.desc,
+      props: p.props,
+    })),
+  };
+}
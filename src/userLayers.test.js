@@ -0,0 +1,49 @@
+import { createUserLayer, detectLayerFormat, guessCsvDelimiter, guessCsvMapping, parseLayerFile } from './userLayers';
+
+test('detects formats from the file name or content', () => {
+  expect(detectLayerFormat('a.gpx', '')).toBe('gpx');
+  expect(detectLayerFormat('export', '<?xml version="1.0"?><kml>')).toBe('kml');
+  expect(detectLayerFormat('pois.json', '{}')).toBe('geojson');
+  expect(detectLayerFormat('SCDB_Speed_Romania.csv', '25.62408,45.26836,"bs",[16128]')).toBe('scdb');
+  expect(detectLayerFormat('team.csv', 'name;lat;lon\n')).toBe('csv');
+});
+
+test('reads GPX waypoints and KML placemarks', () => {
+  const gpx = '<gpx><wpt lat="44.4" lon="26.1"><name>Depot</name><desc>Gate 2</desc></wpt></gpx>';
+  expect(parseLayerFile(gpx, 'a.gpx')).toEqual([
+    { lat: 44.4, lng: 26.1, name: 'Depot', desc: 'Gate 2', props: { type: '' } },
+  ]);
+
+  const kml = `<kml><Document>
+    <Placemark><name>Cam</name><ExtendedData><Data name="limit"><value>50</value></Data></ExtendedData>
+      <Point><coordinates>25.5,45.6,0</coordinates></Point></Placemark>
+    <Placemark><name>Area</name><Polygon /></Placemark>
+  </Document></kml>`;
+  expect(parseLayerFile(kml, 'a.kml')).toEqual([
+    { lat: 45.6, lng: 25.5, name: 'Cam', desc: '', props: { limit: '50' } },
+  ]);
+});
+
+test('maps CSV columns, including semicolons and decimal commas', () => {
+  const text = 'Name;Latitude;Longitude\nGarage;44,5;26,2\nBroken;x;y\n';
+  const delimiter = guessCsvDelimiter(text);
+  expect(delimiter).toBe(';');
+  const mapping = guessCsvMapping(['Name', 'Latitude', 'Longitude']);
+  expect(mapping).toEqual({ latColumn: 'Latitude', lngColumn: 'Longitude', nameColumn: 'Name' });
+
+  const points = parseLayerFile(text, 'team.csv', { csv: { delimiter, ...mapping } });
+  expect(points.map((p) => [p.name, p.lat, p.lng])).toEqual([['Garage', 44.5, 26.2]]);
+});
+
+test('imports SCDB camera files as camera layers with their metadata', () => {
+  const points = parseLayerFile('25.62408,45.26836,"bs, inactive (?)",[16128]\n', 'SCDB_Speed_Romania.csv');
+  const layer = createUserLayer({ fileName: 'SCDB_Speed_Romania.csv', points, asCameras: true });
+  expect(layer.name).toBe('SCDB_Speed_Romania');
+  expect(layer.items[0]).toMatchObject({
+    id: '16128',
+    sourceId: layer.id,
+    kind: 'speedCamera',
+    location: { lat: 45.26836, lng: 25.62408 },
+    status: 'inactive',
+  });
+});
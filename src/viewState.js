@@ -0,0 +1,124 @@
+// Map view + display settings, persisted to localStorage and encoded in a
+// shareable URL hash, e.g. `#45.94316,24.96680,7&layers=police,radars&style=cartoDark`.
+
+import { WAZE_ALERT_CATEGORIES } from './wazeAlertTypes';
+
+const STORAGE_KEY = 'mapSettings.v1';
+export const MAP_STYLES = ['osm', 'cartoVoyager', 'cartoLight', 'cartoDark'];
+const WAZE_ENV_MODES = ['auto', 'na', 'row'];
+export const WAZE_REFRESH_INTERVALS_SEC = [0, 30, 60, 120, 300];
+const SPEED_RADARS_LAYER = 'radars';
+const POLICE_HEATMAP_LAYER = 'heatmap';
+const WAZE_CATEGORY_IDS = WAZE_ALERT_CATEGORIES.map((c) => c.id);
+
+export const DEFAULT_VIEW_STATE = {
+  center: null, // null = let the app pick (first warning or Europe-wide)
+  zoom: null,
+  mapStyle: 'osm',
+  wazeEnvMode: 'auto',
+  showWazeBoxes: false,
+  showSpeedRadars: true,
+  hiddenWazeCategories: [],
+  hiddenWazeSubtypes: [],
+  hiddenSpeedCameraTypes: [],
+  showHazardList: false,
+  showPoliceHeatmap: false,
+  minWazeConfidence: 0, // Waze confidence 0-5; 0 = show all
+  maxWazeAgeMinutes: 0, // 0 = no age limit
+  wazeRefreshSeconds: 60, // refresh the view while the map is idle; 0 = off
+};
+
+function isValidCenter(center) {
+  return (
+    Array.isArray(center) &&
+    center.length === 2 &&
+    center.every(Number.isFinite) &&
+    Math.abs(center[0]) <= 90 &&
+    Math.abs(center[1]) <= 180
+  );
+}
+
+export function parseViewHash(hash) {
+  // Returns only the keys present in the hash so it can be layered over stored settings.
+  const parsed = {};
+  const raw = String(hash || '').replace(/^#/, '');
+  if (!raw) return parsed;
+
+  const [viewPart, ...paramParts] = raw.split('&');
+  const [lat, lng, zoom] = viewPart.split(',').map(Number);
+  if (isValidCenter([lat, lng])) parsed.center = [lat, lng];
+  if (Number.isFinite(zoom) && zoom >= 0 && zoom <= 22) parsed.zoom = Math.round(zoom);
+
+  const params = new URLSearchParams(paramParts.join('&'));
+  if (params.has('layers')) {
+    const layers = params.get('layers').split(',').filter(Boolean);
+    parsed.showSpeedRadars = layers.includes(SPEED_RADARS_LAYER);
+    parsed.showPoliceHeatmap = layers.includes(POLICE_HEATMAP_LAYER);
+    parsed.hiddenWazeCategories = WAZE_CATEGORY_IDS.filter((id) => !layers.includes(id));
+  }
+  if (MAP_STYLES.includes(params.get('style'))) parsed.mapStyle = params.get('style');
+  if (WAZE_ENV_MODES.includes(params.get('env'))) parsed.wazeEnvMode = params.get('env');
+  if (params.has('boxes')) parsed.showWazeBoxes = params.get('boxes') === '1';
+
+  return parsed;
+}
+
+export function buildViewHash(state) {
+  const parts = [];
+  if (isValidCenter(state.center) && Number.isFinite(state.zoom)) {
+    parts.push(`${state.center[0].toFixed(5)},${state.center[1].toFixed(5)},${state.zoom}`);
+  }
+
+  const layers = WAZE_CATEGORY_IDS.filter((id) => !state.hiddenWazeCategories.includes(id));
+  if (state.showSpeedRadars) layers.push(SPEED_RADARS_LAYER);
+  if (state.showPoliceHeatmap) layers.push(POLICE_HEATMAP_LAYER);
+  // URLSearchParams would escape the commas; keep the hash readable instead.
+  parts.push(`layers=${layers.join(',')}`);
+  parts.push(`style=${state.mapStyle}`);
+  if (state.wazeEnvMode !== 'auto') parts.push(`env=${state.wazeEnvMode}`);
+  if (state.showWazeBoxes) parts.push('boxes=1');
+
+  return `#${parts.join('&')}`;
+}
+
+export function loadStoredViewState() {
+  try {
+    const raw = window.localStorage.getItem(STORAGE_KEY);
+    const parsed = raw ? JSON.parse(raw) : {};
+    return parsed && typeof parsed === 'object' ? parsed : {};
+  } catch (err) {
+    console.error('Failed to read saved map settings:', err);
+    return {};
+  }
+}
+
+export function saveStoredViewState(state) {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+  } catch (err) {
+    console.error('Failed to save map settings:', err);
+  }
+}
+
+export function resolveInitialViewState() {
+  // URL hash wins over saved settings so shared links open exactly what was shared.
+  const stored = loadStoredViewState();
+  const fromHash = parseViewHash(window.location.hash);
+  const merged = { ...DEFAULT_VIEW_STATE, ...stored, ...fromHash };
+
+  return {
+    ...merged,
+    center: isValidCenter(merged.center) ? merged.center : null,
+    zoom: Number.isFinite(merged.zoom) ? merged.zoom : null,
+    mapStyle: MAP_STYLES.includes(merged.mapStyle) ? merged.mapStyle : DEFAULT_VIEW_STATE.mapStyle,
+    wazeEnvMode: WAZE_ENV_MODES.includes(merged.wazeEnvMode) ? merged.wazeEnvMode : DEFAULT_VIEW_STATE.wazeEnvMode,
+    hiddenWazeCategories: Array.isArray(merged.hiddenWazeCategories) ? merged.hiddenWazeCategories : [],
+    hiddenWazeSubtypes: Array.isArray(merged.hiddenWazeSubtypes) ? merged.hiddenWazeSubtypes : [],
+    hiddenSpeedCameraTypes: Array.isArray(merged.hiddenSpeedCameraTypes) ? merged.hiddenSpeedCameraTypes : [],
+    minWazeConfidence: Number.isFinite(merged.minWazeConfidence) ? merged.minWazeConfidence : 0,
+    maxWazeAgeMinutes: Number.isFinite(merged.maxWazeAgeMinutes) ? merged.maxWazeAgeMinutes : 0,
+    wazeRefreshSeconds: WAZE_REFRESH_INTERVALS_SEC.includes(merged.wazeRefreshSeconds)
+      ? merged.wazeRefreshSeconds
+      : DEFAULT_VIEW_STATE.wazeRefreshSeconds,
+  };
+}
@@ -0,0 +1,31 @@
+import { DEFAULT_VIEW_STATE, buildViewHash, parseViewHash } from './viewState';
+
+test('encodes view and layers into a readable hash', () => {
+  const hash = buildViewHash({
+    ...DEFAULT_VIEW_STATE,
+    center: [45.943161, 24.966761],
+    zoom: 7,
+    mapStyle: 'cartoDark',
+    hiddenWazeCategories: ['accident', 'roadClosed', 'hazard', 'weather', 'jam', 'other'],
+  });
+  expect(hash).toBe('#45.94316,24.96676,7&layers=police,radars&style=cartoDark');
+});
+
+test('parses a shared hash back into settings', () => {
+  const parsed = parseViewHash('#45.94316,24.96676,7&layers=police&style=cartoDark&env=row&boxes=1');
+  expect(parsed.center).toEqual([45.94316, 24.96676]);
+  expect(parsed.zoom).toBe(7);
+  expect(parsed.showSpeedRadars).toBe(false);
+  expect(parsed.hiddenWazeCategories).not.toContain('police');
+  expect(parsed.hiddenWazeCategories).toContain('accident');
+  expect(parsed.mapStyle).toBe('cartoDark');
+  expect(parsed.wazeEnvMode).toBe('row');
+  expect(parsed.showWazeBoxes).toBe(true);
+  expect(parsed.showPoliceHeatmap).toBe(false);
+  expect(parseViewHash('#45,25,7&layers=police,heatmap').showPoliceHeatmap).toBe(true);
+});
+
+test('ignores invalid values and missing keys', () => {
+  expect(parseViewHash('#999,10,3&style=nope')).toEqual({ zoom: 3 });
+  expect(parseViewHash('')).toEqual({});
+});
@@ -0,0 +1,108 @@
+// Local history of the driver warnings we've seen from the warnings API.
+// The live poller replaces its list wholesale, so this store is what lets us
+// replay what the map looked like in the recent past. It is not a full archive:
+// warnings last seen over 14 days ago are dropped, and beyond 5,000 entries the
+// least recently seen go first (pruneByLastSeen), which the replay UI says.
+
+const STORAGE_KEY = 'warningHistory.v1';
+// Twice the longest replay window, and few enough entries to stay well inside the storage quota.
+export const WARNING_HISTORY_MAX_AGE_DAYS = 14;
+export const WARNING_HISTORY_MAX_AGE_MS = WARNING_HISTORY_MAX_AGE_DAYS * 24 * 60 * 60 * 1000;
+export const WARNING_HISTORY_MAX_ENTRIES = 5_000;
+export const WARNING_HISTORY_RETENTION = {
+  maxAgeMs: WARNING_HISTORY_MAX_AGE_MS,
+  maxEntries: WARNING_HISTORY_MAX_ENTRIES,
+};
+
+export function toMillis(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const t = new Date(value).getTime();
+  return Number.isFinite(t) ? t : null;
+}
+
+export function loadWarningHistory() {
+  try {
+    const raw = window.localStorage.getItem(STORAGE_KEY);
+    if (!raw) return {};
+    const parsed = JSON.parse(raw);
+    return parsed && typeof parsed === 'object' ? parsed : {};
+  } catch (err) {
+    console.error('Failed to read warning history:', err);
+    return {};
+  }
+}
+
+export function saveWarningHistory(history) {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(history));
+  } catch (err) {
+    // Most likely the storage quota; keep running with the in-memory copy.
+    console.error('Failed to persist warning history:', err);
+  }
+}
+
+export function mergeWarningsIntoHistory(history, warnings, now) {
+  // Entries are keyed by the same `${userId}-${url}-${created}` id used for markers.
+  // Anything that was live but is missing from this poll gets a removedAt stamp;
+  // if it comes back later we clear it again and keep the time it was gone in `gaps`.
+  const next = { ...history };
+  const liveIds = new Set();
+
+  for (const w of warnings) {
+    liveIds.add(w.id);
+    const existing = next[w.id];
+    if (existing) {
+      const gaps = existing.removedAt
+        ? [...(existing.gaps || []), { from: existing.removedAt, to: now }]
+        : existing.gaps;
+      next[w.id] = { ...existing, lastSeenAt: now, removedAt: null, gaps };
+    } else {
+      next[w.id] = {
+        id: w.id,
+        userId: w.userId,
+        url: w.url,
+        point: w.point,
+        created: w.created,
+        firstSeenAt: now,
+        lastSeenAt: now,
+        removedAt: null,
+        gaps: [],
+      };
+    }
+  }
+
+  for (const id of Object.keys(next)) {
+    if (!liveIds.has(id) && !next[id].removedAt) {
+      next[id] = { ...next[id], removedAt: now };
+    }
+  }
+
+  return next;
+}
+
+export function getWarningAppearedAt(entry) {
+  return toMillis(entry.created) ?? entry.firstSeenAt;
+}
+
+export function getWarningsAt(history, t) {
+  // A warning is on the map from its creation time until the first poll that no
+  // longer returned it (or indefinitely, while it's still live), except for the
+  // gaps between dropping out of the feed and coming back. Entries get the
+  // live warnings' hazard fields (server/normalize.js) so replay renders the same way.
+  return Object.values(history)
+    .filter((entry) => {
+      const appearedAt = getWarningAppearedAt(entry);
+      if (appearedAt === null || appearedAt > t) return false;
+      if ((entry.gaps || []).some((gap) => gap.from <= t && t < gap.to)) return false;
+      return !entry.removedAt || entry.removedAt > t;
+    })
+    .sort((a, b) => getWarningAppearedAt(a) - getWarningAppearedAt(b))
+    .map((entry) => ({
+      ...entry,
+      sourceId: 'driversChat',
+      kind: 'warning',
+      location: { lat: entry.point[0], lng: entry.point[1] },
+      reportedAt: getWarningAppearedAt(entry),
+      label: `User ${entry.userId}`,
+    }));
+}
@@ -0,0 +1,37 @@
+import { getWarningsAt, mergeWarningsIntoHistory } from './warningHistory';
+
+const warning = (id, created) => ({ id, userId: 'u1', url: `https://x/${id}.mp3`, point: [45, 25], created });
+
+test('keeps warnings that drop out of the feed and stamps when they disappeared', () => {
+  let history = mergeWarningsIntoHistory({}, [warning('a', 1000), warning('b', 2000)], 5000);
+  history = mergeWarningsIntoHistory(history, [warning('b', 2000)], 9000);
+
+  expect(Object.keys(history)).toEqual(['a', 'b']);
+  expect(history.a.removedAt).toBe(9000);
+  expect(history.b.removedAt).toBeNull();
+  expect(history.b.lastSeenAt).toBe(9000);
+});
+
+test('clears removedAt when a warning comes back', () => {
+  let history = mergeWarningsIntoHistory({}, [warning('a', 1000)], 5000);
+  history = mergeWarningsIntoHistory(history, [], 6000);
+  history = mergeWarningsIntoHistory(history, [warning('a', 1000)], 7000);
+
+  expect(history.a.removedAt).toBeNull();
+  expect(history.a.firstSeenAt).toBe(5000);
+  expect(history.a.gaps).toEqual([{ from: 6000, to: 7000 }]);
+  expect(getWarningsAt(history, 5500).map((w) => w.id)).toEqual(['a']);
+  expect(getWarningsAt(history, 6500).map((w) => w.id)).toEqual([]);
+  expect(getWarningsAt(history, 7000).map((w) => w.id)).toEqual(['a']);
+});
+
+test('returns the warnings that were on the map at a given time', () => {
+  let history = mergeWarningsIntoHistory({}, [warning('a', 1000), warning('b', 4000)], 5000);
+  history = mergeWarningsIntoHistory(history, [warning('b', 4000)], 9000);
+
+  expect(getWarningsAt(history, 500).map((w) => w.id)).toEqual([]);
+  expect(getWarningsAt(history, 2000).map((w) => w.id)).toEqual(['a']);
+  expect(getWarningsAt(history, 8000).map((w) => w.id)).toEqual(['a', 'b']);
+  expect(getWarningsAt(history, 9500).map((w) => w.id)).toEqual(['b']);
+  expect(getWarningsAt(history, 9500)[0]).toMatchObject({ location: { lat: 45, lng: 25 }, label: 'User u1' });
+});
@@ -0,0 +1,61 @@
+// Warnings reported from the map ("report here"). Each report is shown straight
+// away as a pending warning, swapped for the backend's copy once the upload
+// succeeds, and dropped once the warnings feed has caught up with it.
+//
+// Report shape: { localId, status: 'sending' | 'sent', item, sentAt }.
+
+// Same ids as the backend's WARNING_CATEGORIES (server/normalize.js).
+export { WAZE_ALERT_CATEGORIES as WARNING_CATEGORIES } from './wazeAlertTypes';
+
+export const MAX_REPORT_TEXT = 500;
+// Voice notes stop recording after this long; keeps uploads well under the backend's limit.
+export const MAX_RECORDING_MS = 60_000;
+// A sent report the feed still doesn't list after this long stops being shown.
+export const SENT_REPORT_KEEP_MS = 5 * 60_000;
+
+// The warning shown while a report uploads. No url: the audio isn't anywhere to play from yet.
+export function createPendingWarning({ localId, pin, category, text, hasAudio }, now) {
+  return {
+    id: localId,
+    sourceId: 'driversChat',
+    kind: 'warning',
+    location: { lat: pin.lat, lng: pin.lng },
+    reportedAt: now,
+    label: 'Your report',
+    userId: 'you',
+    url: null,
+    point: [pin.lat, pin.lng],
+    created: new Date(now).toISOString(),
+    transcript: text || null,
+    category,
+    hasAudio,
+    pending: true,
+  };
+}
+
+// Reports the feed has caught up with (or given up on) are done.
+export function pruneReports(reports, warnings, now) {
+  const ids = new Set(warnings.map((w) => w.id));
+  const next = reports.filter(
+    (r) => r.status === 'sending' || (!ids.has(r.item.id) && now - r.sentAt < SENT_REPORT_KEEP_MS)
+  );
+  return next.length === reports.length ? reports : next;
+}
+
+// The feed's warnings plus the reports it doesn't list yet.
+export function mergeReportedWarnings(warnings, reports) {
+  if (!reports.length) return warnings;
+  const ids = new Set(warnings.map((w) => w.id));
+  const extra = reports.map((r) => r.item).filter((item) => !ids.has(item.id));
+  return extra.length ? [...warnings, ...extra] : warnings;
+}
+
+export function blobToBase64(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    // A data: URL; the backend wants only what follows the comma.
+    reader.onload = () => resolve(String(reader.result).split(',')[1] || '');
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
@@ -0,0 +1,37 @@
+import { SENT_REPORT_KEEP_MS, createPendingWarning, mergeReportedWarnings, pruneReports } from './warningReports';
+
+const pin = { lat: 44.4, lng: 26.1 };
+const pending = createPendingWarning(
+  { localId: 'report-1', pin, category: 'police', text: 'Radar', hasAudio: false },
+  1000
+);
+const feed = [{ id: 'w1', point: [44, 26] }];
+
+test('shows a pending report as a warning at its pin', () => {
+  expect(pending).toMatchObject({
+    id: 'report-1',
+    sourceId: 'driversChat',
+    location: pin,
+    point: [44.4, 26.1],
+    transcript: 'Radar',
+    url: null,
+    pending: true,
+  });
+});
+
+test('adds reports the feed does not list yet', () => {
+  const reports = [{ localId: 'report-1', status: 'sending', item: pending, sentAt: null }];
+  expect(mergeReportedWarnings(feed, reports).map((w) => w.id)).toEqual(['w1', 'report-1']);
+  const sent = [{ localId: 'report-1', status: 'sent', item: feed[0], sentAt: 2000 }];
+  expect(mergeReportedWarnings(feed, sent)).toBe(feed);
+});
+
+test('drops sent reports once the feed has them or after a while', () => {
+  const sending = { localId: 'report-1', status: 'sending', item: pending, sentAt: null };
+  const sent = { localId: 'report-2', status: 'sent', item: { id: 'w2' }, sentAt: 2000 };
+  const arrived = { localId: 'report-3', status: 'sent', item: { id: 'w1' }, sentAt: 2000 };
+  expect(pruneReports([sending, sent, arrived], feed, 3000)).toEqual([sending, sent]);
+  expect(pruneReports([sending, sent], feed, 2000 + SENT_REPORT_KEEP_MS)).toEqual([sending]);
+  const unchanged = [sending];
+  expect(pruneReports(unchanged, feed, 3000)).toBe(unchanged);
+});
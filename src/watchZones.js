@@ -0,0 +1,109 @@
+// Watch zones: named circles or polygons drawn on the map. A hazard that
+// shows up inside an enabled zone raises a notification (src/useZoneNotifications.js).
+//
+// Zone shape: { id, name, shape: 'circle' | 'polygon', center, radiusMeters, points, kinds, enabled, createdAt }
+// where circles use center/radiusMeters and polygons use points ([{ lat, lng }]).
+
+import { haversineMeters } from './geo';
+
+const STORAGE_KEY = 'watchZones.v1';
+const METERS_PER_DEGREE_LAT = 111320;
+
+export const ZONE_KINDS = [
+  { id: 'police', label: 'Police' },
+  { id: 'warning', label: 'Driver warnings' },
+  { id: 'hazard', label: 'Other Waze hazards' },
+];
+
+export function loadWatchZones() {
+  try {
+    const raw = window.localStorage.getItem(STORAGE_KEY);
+    const parsed = raw ? JSON.parse(raw) : [];
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (err) {
+    console.error('Failed to read watch zones:', err);
+    return [];
+  }
+}
+
+export function saveWatchZones(zones) {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(zones));
+  } catch (err) {
+    console.error('Failed to save watch zones:', err);
+  }
+}
+
+export function getZoneKind(hazard) {
+  // Which ZONE_KINDS entry a hazard counts as; imported layers and cameras never notify.
+  if (hazard.kind === 'warning') return 'warning';
+  if (hazard.sourceId !== 'waze') return null;
+  return hazard.kind === 'police' ? 'police' : 'hazard';
+}
+
+function isInPolygon({ lat, lng }, points) {
+  // Ray casting; zones are small enough to treat lat/lng as planar.
+  let inside = false;
+  for (let i = 0, j = points.length - 1; i < points.length; j = i, i += 1) {
+    const a = points[i];
+    const b = points[j];
+    const aAbove = a.lat > lat;
+    const bAbove = b.lat > lat;
+    if (aAbove !== bAbove && lng < ((b.lng - a.lng) * (lat - a.lat)) / (b.lat - a.lat) + a.lng) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+export function isInZone(location, zone) {
+  if (zone.shape === 'circle') return haversineMeters(zone.center, location) <= zone.radiusMeters;
+  return isInPolygon(location, zone.points);
+}
+
+export function getZoneBounds(zone) {
+  if (zone.shape === 'circle') {
+    const latPad = zone.radiusMeters / METERS_PER_DEGREE_LAT;
+    // Capped at the poles and at one world's width, which the hazards backend also enforces.
+    const lngPad = Math.min(180, latPad / Math.max(0.15, Math.cos((zone.center.lat * Math.PI) / 180)));
+    return {
+      south: Math.max(-90, zone.center.lat - latPad),
+      north: Math.min(90, zone.center.lat + latPad),
+      west: zone.center.lng - lngPad,
+      east: zone.center.lng + lngPad,
+    };
+  }
+  const lats = zone.points.map((p) => p.lat);
+  const lngs = zone.points.map((p) => p.lng);
+  return { south: Math.min(...lats), north: Math.max(...lats), west: Math.min(...lngs), east: Math.max(...lngs) };
+}
+
+export function getZoneCenter(zone) {
+  if (zone.shape === 'circle') return zone.center;
+  const b = getZoneBounds(zone);
+  return { lat: (b.south + b.north) / 2, lng: (b.west + b.east) / 2 };
+}
+
+const zoneEventKey = (zone, hazard) => `${zone.id}:${hazard.id}`;
+
+// Hazards that are new inside an enabled zone: reported after the zone was drawn
+// (so what was already there doesn't fire), recently enough to still matter, and
+// not notified before. Hazards without a report time can't be told apart from old ones.
+// `hazards` may list the same alert twice (view and zone polls); it's reported once.
+export function findZoneEvents(zones, hazards, { notifiedKeys, now, maxAgeMs }) {
+  const events = [];
+  const found = new Set();
+  for (const zone of zones) {
+    if (!zone.enabled) continue;
+    for (const hazard of hazards) {
+      const kind = getZoneKind(hazard);
+      if (!kind || !zone.kinds.includes(kind)) continue;
+      if (!hazard.reportedAt || hazard.reportedAt < zone.createdAt || now - hazard.reportedAt > maxAgeMs) continue;
+      const key = zoneEventKey(zone, hazard);
+      if (notifiedKeys.has(key) || found.has(key) || !isInZone(hazard.location, zone)) continue;
+      found.add(key);
+      events.push({ key, zone, hazard, kind });
+    }
+  }
+  return events;
+}
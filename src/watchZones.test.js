@@ -0,0 +1,63 @@
+import { findZoneEvents, getZoneBounds, isInZone } from './watchZones';
+
+const circle = {
+  id: 'depot',
+  name: 'Depot',
+  shape: 'circle',
+  center: { lat: 45.0, lng: 25.0 },
+  radiusMeters: 1000,
+  kinds: ['police', 'warning'],
+  enabled: true,
+  createdAt: 1000,
+};
+
+const corridor = {
+  id: 'corridor',
+  name: 'Commute',
+  shape: 'polygon',
+  points: [
+    { lat: 44.0, lng: 26.0 },
+    { lat: 44.0, lng: 26.2 },
+    { lat: 44.1, lng: 26.2 },
+    { lat: 44.1, lng: 26.0 },
+  ],
+  kinds: ['hazard'],
+  enabled: true,
+  createdAt: 1000,
+};
+
+test('tests points against circles and polygons', () => {
+  expect(isInZone({ lat: 45.005, lng: 25.0 }, circle)).toBe(true);
+  expect(isInZone({ lat: 45.02, lng: 25.0 }, circle)).toBe(false);
+  expect(isInZone({ lat: 44.05, lng: 26.1 }, corridor)).toBe(true);
+  expect(isInZone({ lat: 44.05, lng: 26.3 }, corridor)).toBe(false);
+
+  const box = getZoneBounds(circle);
+  expect(box.north - box.south).toBeCloseTo(0.018, 3);
+  expect(box.east - box.west).toBeGreaterThan(box.north - box.south);
+
+  const huge = getZoneBounds({ ...circle, center: { lat: 80, lng: 25 }, radiusMeters: 5_000_000 });
+  expect(huge.north).toBe(90);
+  expect(huge.east - huge.west).toBe(360);
+});
+
+test('only reports new, recent hazards of the kinds each zone watches', () => {
+  const inDepot = { lat: 45.001, lng: 25.0 };
+  const hazards = [
+    { id: 'p1', sourceId: 'waze', kind: 'police', location: inDepot, reportedAt: 5000 },
+    { id: 'p1', sourceId: 'waze', kind: 'police', location: inDepot, reportedAt: 5000 },
+    { id: 'p-old', sourceId: 'waze', kind: 'police', location: inDepot, reportedAt: 500 },
+    { id: 'a1', sourceId: 'waze', kind: 'accident', location: inDepot, reportedAt: 5000 },
+    { id: 'w1', sourceId: 'driversChat', kind: 'warning', location: inDepot, reportedAt: 6000 },
+    { id: 'j1', sourceId: 'waze', kind: 'jam', location: { lat: 44.05, lng: 26.1 }, reportedAt: 5000 },
+    { id: 'cam', sourceId: 'scdb', kind: 'speedCamera', location: inDepot, reportedAt: 5000 },
+  ];
+  const events = findZoneEvents([circle, corridor, { ...corridor, id: 'off', enabled: false }], hazards, {
+    notifiedKeys: new Set(['depot:w1']),
+    now: 7000,
+    maxAgeMs: 10_000,
+  });
+
+  expect(events.map((e) => `${e.zone.id}:${e.hazard.id}:${e.kind}`)).toEqual(['depot:p1:police', 'corridor:j1:hazard']);
+  expect(findZoneEvents([circle], hazards, { notifiedKeys: new Set(), now: 7000, maxAgeMs: 1000 })).toHaveLength(1);
+});
@@ -0,0 +1,34 @@
+// Categories for Waze georss alerts. The georss `alerts` payload mixes police,
+// accidents, closures, road hazards, weather and user-reported jams; the hazards
+// backend buckets them into these ids (categorizeWazeAlert in server/normalize.js).
+
+export const WAZE_ALERT_CATEGORIES = [
+  { id: 'police', label: 'Police' },
+  { id: 'accident', label: 'Accidents' },
+  { id: 'roadClosed', label: 'Road closures' },
+  { id: 'hazard', label: 'Hazards on road' },
+  { id: 'weather', label: 'Weather' },
+  { id: 'jam', label: 'Jams' },
+  { id: 'other', label: 'Other' },
+];
+
+export const WAZE_ALERT_CATEGORY_LABELS = Object.fromEntries(
+  WAZE_ALERT_CATEGORIES.map((c) => [c.id, c.label])
+);
+
+// Subtypes start with a type's name, but not always their own alert's: WEATHERHAZARD
+// alerts carry HAZARD_* subtypes, so a category's subtypes can have different prefixes.
+const WAZE_SUBTYPE_PREFIXES = ['WEATHERHAZARD_', 'HAZARD_', 'ROAD_CLOSED_', 'ACCIDENT_', 'POLICE_', 'JAM_'];
+
+export function formatWazeSubtype(subtype) {
+  // "HAZARD_ON_ROAD_POT_HOLE" -> "On road pot hole"
+  if (!subtype) return '';
+  const prefix = WAZE_SUBTYPE_PREFIXES.find((p) => subtype.toUpperCase().startsWith(p));
+  const trimmed = prefix ? subtype.slice(prefix.length) : subtype;
+  const words = trimmed.replace(/_/g, ' ').toLowerCase();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+export function getWazeSubtypeFilterKey(alert) {
+  return `${alert.kind}:${alert.subtype || ''}`;
+}
@@ -0,0 +1,11 @@
+import { formatWazeSubtype } from './wazeAlertTypes';
+
+test('strips the type prefix whichever type the subtype comes with', () => {
+  // The hazard category mixes HAZARD and WEATHERHAZARD alerts, both with HAZARD_* subtypes.
+  expect(formatWazeSubtype('HAZARD_ON_ROAD_POT_HOLE')).toBe('On road pot hole');
+  expect(formatWazeSubtype('HAZARD_WEATHER_FOG')).toBe('Weather fog');
+  expect(formatWazeSubtype('ROAD_CLOSED_EVENT')).toBe('Event');
+  expect(formatWazeSubtype('POLICE_HIDING')).toBe('Hiding');
+  expect(formatWazeSubtype('JAM_STAND_STILL_TRAFFIC')).toBe('Stand still traffic');
+  expect(formatWazeSubtype('')).toBe('');
+});